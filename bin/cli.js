@@ -2,8 +2,21 @@
 import { Command } from 'commander'
 import chalk from 'chalk'
 import ora from 'ora'
+import { writeFileSync } from 'fs'
+import { relative, resolve } from 'path'
+import { createInterface } from 'readline'
 import { TypeAnalyzer } from '../lib/analyzer.js'
-import { ReportGenerator } from '../lib/reporter.js'
+import { ReportGenerator, REPORT_FORMATS } from '../lib/reporter.js'
+import { TypeCleaner } from '../lib/cleaner.js'
+import { TypeDeduper } from '../lib/deduper.js'
+import { TypeWatcher } from '../lib/watcher.js'
+import { DEFAULT_BASELINE_FILE, loadBaseline, writeBaseline, applyBaseline } from '../lib/baseline.js'
+import { loadConfig } from '../lib/config.js'
+import { clearCache } from '../lib/cache.js'
+import { getChangedFiles, describeChangeMode, filterReportToFiles } from '../lib/changed.js'
+import { appendSnapshot, createSnapshot, loadHistory, summarizeTrend } from '../lib/history.js'
+import { GRAPH_DIRECTIONS, GRAPH_FORMATS, buildTypeGraph, findGraphRoots, formatGraph } from '../lib/graph.js'
+import { createConsoleLogger } from '../lib/logger.js'
 
 const program = new Command()
 
@@ -18,27 +31,81 @@ program
   .alias('a')
   .description('📊 分析项目类型使用情况')
   .option('-r, --root <path>', '项目根目录', process.cwd())
+  .option('--project <path>', 'tsconfig.json 路径 (默认: <root>/tsconfig.json)')
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .option('--include <globs...>', '包含的文件 glob，可指定多个 (默认: src/**/*)')
+  .option('--exclude <globs...>', '排除的文件 glob，可指定多个')
+  .option('--declarations', '统计 .d.ts 文件中的类型声明')
+  .option('--no-gitignore', '不跳过 .gitignore 中忽略的文件')
+  .option('-w, --workspace', '工作区模式：分析 monorepo 中的所有包')
+  .option('--cache', '启用磁盘缓存，未修改的文件复用上次的分析结果')
+  .option('--no-cache', '不使用磁盘缓存（覆盖配置文件）')
   .option('-v, --verbose', '显示详细信息', false)
   .option('--no-report', '不生成 Markdown 报告')
+  .option('--show-ignored', '列出被 ignoreDiagnostics 规则忽略的诊断')
+  .option('--structural', '按成员结构检测重复类型')
+  .option('--similarity <number>', '结构相似度阈值 (0-1, 默认: 0.8)')
+  .option('-f, --format <type>', `报告格式 (${REPORT_FORMATS.join('/')})`)
+  .option('-o, --output <file>', '报告输出文件 (默认: type-reports/ 或标准输出)')
+  .option('--update-baseline [file]', `将当前问题记录为基线 (默认: ${DEFAULT_BASELINE_FILE})`)
+  .option('--watch', '监听文件变化，增量分析并输出新增/已解决的问题')
+  .option('--no-history', '不记录本次运行的历史快照')
   .action(async (options) => {
     const spinner = ora('🔍 正在分析类型...').start()
     
     try {
-      const analyzer = new TypeAnalyzer({
+      validateFormat(options.format)
+      const toStdout = isStdoutReport(options)
+      const { config } = await loadConfig(options.root, options.config)
+      
+      const analyzerOptions = {
         rootDir: options.root,
-        verbose: options.verbose
-      })
+        project: options.project,
+        verbose: options.verbose,
+        // 报告写到标准输出时不输出进度信息，警告与错误仍输出到 stderr
+        logger: createConsoleLogger({ verbose: options.verbose, quiet: toStdout }),
+        config,
+        ...getSourceOptions(options),
+        workspace: options.workspace,
+        cache: options.cache,
+        structural: options.structural,
+        similarityThreshold: parseOptionalNumber(options.similarity)
+      }
       
+      if (options.watch) {
+        if (toStdout) {
+          throw new Error('--watch 模式下报告不能输出到标准输出，请使用 --output 指定文件')
+        }
+        spinner.stop()
+        await startWatch(options, analyzerOptions)
+        return
+      }
+      
+      const analyzer = new TypeAnalyzer(analyzerOptions)
+      trackProgress(analyzer, spinner)
       const report = await analyzer.analyze()
       spinner.succeed('✅ 分析完成')
+      report.trend = recordHistory(options, config, report)
       
-      // 生成控制台输出
+      // 生成控制台输出（报告写到标准输出时跳过）
       const reporter = new ReportGenerator(options.root)
-      reporter.generateConsoleOutput(report)
+      if (!toStdout) {
+        reporter.generateConsoleOutput(report, { showIgnored: options.showIgnored })
+      }
       
-      // 生成 Markdown 报告
-      if (options.report !== false) {
-        await reporter.generateMarkdownReport(report)
+      // 生成报告文件，未指定格式时默认生成 Markdown 报告
+      if (options.format) {
+        await writeReport(reporter, report, options)
+      } else if (options.report !== false) {
+        await reporter.generateMarkdownReport(report, options.output)
+      }
+      
+      // 记录基线，之后 check --baseline 只关注新增问题
+      if (options.updateBaseline) {
+        const baselinePath = resolveBaselinePath(options.root, options.updateBaseline)
+        const baseline = writeBaseline(baselinePath, report, report.projectPath)
+        const log = toStdout ? console.error : console.log
+        log(`\n📌 基线已更新: ${chalk.green(reporter.relativePath(baselinePath))} (${baseline.entries.length} 个问题)`)
       }
       
       // 根据结果设置退出码
@@ -62,58 +129,190 @@ program
   .alias('c')
   .description('🎯 快速检查类型错误')
   .option('-r, --root <path>', '项目根目录', process.cwd())
-  .option('-t, --threshold <number>', '健康度阈值', '70')
+  .option('--project <path>', 'tsconfig.json 路径 (默认: <root>/tsconfig.json)')
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .option('--include <globs...>', '包含的文件 glob，可指定多个 (默认: src/**/*)')
+  .option('--exclude <globs...>', '排除的文件 glob，可指定多个')
+  .option('--declarations', '统计 .d.ts 文件中的类型声明')
+  .option('--no-gitignore', '不跳过 .gitignore 中忽略的文件')
+  .option('-w, --workspace', '工作区模式：分析 monorepo 中的所有包')
+  .option('--cache', '启用磁盘缓存，未修改的文件复用上次的分析结果')
+  .option('--no-cache', '不使用磁盘缓存（覆盖配置文件）')
+  .option('-t, --threshold <number>', '健康度阈值 (默认: 70)')
+  .option('--max-warnings <number>', '允许的最大类型警告数，超过时检查失败 (默认: 不限制)')
+  .option('--show-ignored', '列出被 ignoreDiagnostics 规则忽略的诊断')
+  .option('--structural', '按成员结构检测重复类型')
+  .option('--similarity <number>', '结构相似度阈值 (0-1, 默认: 0.8)')
+  .option('-f, --format <type>', `报告格式 (${REPORT_FORMATS.join('/')})`)
+  .option('-o, --output <file>', '报告输出文件 (默认: 标准输出)')
+  .option('--baseline [file]', `只报告基线之外的新增问题 (默认: ${DEFAULT_BASELINE_FILE})`)
+  .option('--since <ref>', '只报告相对该分支/提交变更的文件中的问题 (如 origin/main)')
+  .option('--staged', '只报告暂存区文件中的问题')
+  .option('--changed', '只报告未提交修改的文件中的问题')
+  .option('--history', '记录本次运行的历史快照（与 --since / --staged / --changed 同时使用时不记录）')
   .action(async (options) => {
     const spinner = ora('🎯 正在检查...').start()
     
     try {
+      validateFormat(options.format)
+      const maxWarnings = parseOptionalNumber(options.maxWarnings)
+      if (maxWarnings !== undefined && (!Number.isInteger(maxWarnings) || maxWarnings < 0)) {
+        throw new Error('--max-warnings 应为非负整数')
+      }
+      const toStdout = isStdoutReport(options)
+      const { config } = await loadConfig(options.root, options.config)
+      
+      // 变更文件由 git 确定；没有变更的源文件时无需分析
+      const changeOptions = getChangeOptions(options)
+      const changedFiles = changeOptions && getChangedFiles(options.root, changeOptions)
+      if (changedFiles && !changedFiles.some(file => /\.(ts|tsx|vue)$/.test(file))) {
+        spinner.stop()
+        const print = toStdout ? console.error : console.log
+        print(chalk.green(`\n🎉 没有需要检查的变更文件（${describeChangeMode(changeOptions)}）`))
+        return
+      }
+      
       const analyzer = new TypeAnalyzer({
         rootDir: options.root,
-        verbose: false
+        project: options.project,
+        verbose: false,
+        logger: createConsoleLogger({ quiet: toStdout }),
+        config,
+        ...getSourceOptions(options),
+        workspace: options.workspace,
+        cache: options.cache,
+        structural: options.structural,
+        similarityThreshold: parseOptionalNumber(options.similarity)
       })
       
-      const report = await analyzer.analyze()
+      trackProgress(analyzer, spinner)
+      let report = await analyzer.analyze()
       spinner.stop()
       
-      const threshold = parseInt(options.threshold)
+      // 检查默认不记录历史，只检查变更文件时也不记录（如 pre-commit 钩子中频繁运行）；
+      // 快照记录整个项目的状态，在基线过滤之前
+      if (options.history && !changeOptions) {
+        report.trend = recordHistory(options, config, report)
+      }
+      
+      // 使用基线时只关注新增问题，不再按健康度阈值判定
+      if (options.baseline) {
+        const baselinePath = resolveBaselinePath(options.root, options.baseline)
+        report = applyBaseline(report, loadBaseline(baselinePath), report.projectPath)
+      }
+      
+      // 仍然分析整个项目以正确解析类型，之后只保留变更文件中的问题；健康度是整个项目的，不再按阈值判定
+      if (changedFiles) {
+        report = filterReportToFiles(report, changedFiles, report.projectPath, describeChangeMode(changeOptions))
+      }
+      
+      const threshold = options.threshold !== undefined
+        ? parseInt(options.threshold)
+        : config.threshold
       const hasErrors = report.issues.errors.length > 0
-      const lowScore = report.healthScore < threshold
+      const tooManyWarnings = maxWarnings !== undefined && report.issues.warnings.length > maxWarnings
+      const lowScore = !report.baseline && !report.changed && report.healthScore < threshold
+      // 同时使用基线时，变更文件中剩下的问题都是新增问题
+      const newIssues = !report.baseline ? 0
+        : report.changed ? report.changed.kept : report.baseline.new
+      const hasNewIssues = newIssues > 0
+      
+      // 报告写到标准输出时，检查结果改为输出到标准错误
+      const print = toStdout ? console.error : console.log
       
       // 简化输出
-      console.log('\n' + '─'.repeat(50))
-      console.log(chalk.cyan.bold('🎯 TypeScript 类型检查'))
-      console.log('─'.repeat(50))
+      print('\n' + '─'.repeat(50))
+      print(chalk.cyan.bold('🎯 TypeScript 类型检查'))
+      print('─'.repeat(50))
       
       const scoreColor = report.healthScore >= 80 ? 'green' : 
                         report.healthScore >= 60 ? 'yellow' : 'red'
-      console.log(`📊 健康度评分: ${chalk[scoreColor].bold(report.healthScore)}/100`)
+      print(`📊 健康度评分: ${chalk[scoreColor].bold(report.healthScore)}/100`)
       
       if (hasErrors) {
-        console.log(`🚨 类型错误: ${chalk.red.bold(report.issues.errors.length)}`)
+        print(`🚨 类型错误: ${chalk.red.bold(report.issues.errors.length)}`)
+      }
+      
+      if (report.issues.warnings.length > 0) {
+        const limit = maxWarnings !== undefined ? chalk.gray(` / 上限 ${maxWarnings}`) : ''
+        print(`⚠️ 类型警告: ${chalk.yellow.bold(report.issues.warnings.length)}${limit}`)
       }
       
       if (Object.keys(report.issues.duplicates).length > 0) {
-        console.log(`⚠️ 重复定义: ${chalk.yellow.bold(Object.keys(report.issues.duplicates).length)}`)
+        print(`⚠️ 重复定义: ${chalk.yellow.bold(Object.keys(report.issues.duplicates).length)}`)
       }
       
       if (report.issues.unused.length > 0) {
-        console.log(`🗑️ 未使用类型: ${chalk.yellow.bold(report.issues.unused.length)}`)
+        print(`🗑️ 未使用类型: ${chalk.yellow.bold(report.issues.unused.length)}`)
+      }
+      
+      if (report.issues.unnecessaryExports.length > 0) {
+        print(`🔒 不必要的导出: ${chalk.yellow.bold(report.issues.unnecessaryExports.length)}`)
       }
       
-      console.log('─'.repeat(50))
+      if (report.issues.singleConsumer.length > 0) {
+        print(`📦 单一使用方类型: ${chalk.yellow.bold(report.issues.singleConsumer.length)}`)
+      }
+      
+      if (report.issues.structuralDuplicates.exact.length > 0) {
+        print(`🧬 结构重复: ${chalk.yellow.bold(report.issues.structuralDuplicates.exact.length)}`)
+      }
       
-      if (hasErrors || lowScore) {
-        console.log(chalk.red.bold('\n❌ 检查未通过'))
+      if (report.issues.complexTypes.length > 0) {
+        print(`🌀 复杂类型: ${chalk.yellow.bold(report.issues.complexTypes.length)}`)
+      }
+      
+      new ReportGenerator(options.root).groupPluginIssues(report).forEach(({ category, items }) => {
+        print(`🧩 ${category.title}: ${chalk.yellow.bold(items.length)}`)
+      })
+      
+      if (report.suppressions.total > 0) {
+        print(`🤫 已抑制: ${chalk.gray(report.suppressions.total)}`)
+      }
+      
+      if (report.suppressions.unusedDirectives.length > 0) {
+        print(`⚠️ 未生效的抑制注释: ${chalk.yellow.bold(report.suppressions.unusedDirectives.length)}`)
+      }
+      
+      if (report.ignoredDiagnostics.total > 0) {
+        print(`🙈 已忽略: ${chalk.gray(report.ignoredDiagnostics.total)}`)
+        if (options.showIgnored) {
+          printIgnoredDiagnostics(report.ignoredDiagnostics, options.root, print)
+        }
+      }
+      
+      if (report.baseline) {
+        printBaselineSummary(report.baseline, print)
+      }
+      
+      if (report.changed) {
+        printChangedSummary(report.changed, print)
+      }
+      
+      print('─'.repeat(50))
+      
+      if (options.format) {
+        await writeReport(new ReportGenerator(options.root), report, options)
+      }
+      
+      if (hasErrors || tooManyWarnings || lowScore || hasNewIssues) {
+        print(chalk.red.bold('\n❌ 检查未通过'))
         if (hasErrors) {
-          console.log(chalk.gray(`   发现 ${report.issues.errors.length} 个类型错误`))
+          print(chalk.gray(`   发现 ${report.issues.errors.length} 个类型错误`))
+        }
+        if (tooManyWarnings) {
+          print(chalk.gray(`   类型警告 ${report.issues.warnings.length} 个，超过上限 ${maxWarnings}`))
+        }
+        if (hasNewIssues) {
+          print(chalk.gray(`   相比基线新增 ${newIssues} 个问题`))
         }
         if (lowScore) {
-          console.log(chalk.gray(`   健康度 ${report.healthScore} 低于阈值 ${threshold}`))
+          print(chalk.gray(`   健康度 ${report.healthScore} 低于阈值 ${threshold}`))
         }
-        console.log(chalk.gray('\n   运行 `vue-type-checker analyze` 查看详细信息'))
+        print(chalk.gray('\n   运行 `vue-type-checker analyze` 查看详细信息'))
         process.exit(1)
       } else {
-        console.log(chalk.green.bold('\n🎉 检查通过！'))
+        print(chalk.green.bold('\n🎉 检查通过！'))
       }
       
     } catch (error) {
@@ -123,21 +322,80 @@ program
     }
   })
 
+// watch 命令 - 监听文件变化并增量分析
+program
+  .command('watch')
+  .alias('w')
+  .description('👀 监听文件变化，增量分析类型问题')
+  .option('-r, --root <path>', '项目根目录', process.cwd())
+  .option('--project <path>', 'tsconfig.json 路径 (默认: <root>/tsconfig.json)')
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .option('--include <globs...>', '包含的文件 glob，可指定多个 (默认: src/**/*)')
+  .option('--exclude <globs...>', '排除的文件 glob，可指定多个')
+  .option('--declarations', '统计 .d.ts 文件中的类型声明')
+  .option('--no-gitignore', '不跳过 .gitignore 中忽略的文件')
+  .option('-w, --workspace', '工作区模式：分析 monorepo 中的所有包')
+  .option('--cache', '启用磁盘缓存，未修改的文件复用上次的分析结果')
+  .option('--no-cache', '不使用磁盘缓存（覆盖配置文件）')
+  .option('--show-ignored', '列出被 ignoreDiagnostics 规则忽略的诊断')
+  .option('--structural', '按成员结构检测重复类型')
+  .option('--similarity <number>', '结构相似度阈值 (0-1, 默认: 0.8)')
+  .option('-v, --verbose', '显示详细信息', false)
+  .action(async (options) => {
+    try {
+      const { config } = await loadConfig(options.root, options.config)
+      
+      // 只输出到控制台，不生成报告文件
+      await startWatch({ ...options, report: false }, {
+        rootDir: options.root,
+        project: options.project,
+        verbose: options.verbose,
+        config,
+        ...getSourceOptions(options),
+        workspace: options.workspace,
+        cache: options.cache,
+        structural: options.structural,
+        similarityThreshold: parseOptionalNumber(options.similarity)
+      })
+      
+    } catch (error) {
+      console.error(chalk.red('\n错误:'), error.message)
+      process.exit(1)
+    }
+  })
+
 // summary 命令 - 项目概览
 program
   .command('summary')
   .alias('s')
   .description('📈 显示项目类型统计概览')
   .option('-r, --root <path>', '项目根目录', process.cwd())
+  .option('--project <path>', 'tsconfig.json 路径 (默认: <root>/tsconfig.json)')
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .option('--include <globs...>', '包含的文件 glob，可指定多个 (默认: src/**/*)')
+  .option('--exclude <globs...>', '排除的文件 glob，可指定多个')
+  .option('--declarations', '统计 .d.ts 文件中的类型声明')
+  .option('--no-gitignore', '不跳过 .gitignore 中忽略的文件')
+  .option('-w, --workspace', '工作区模式：分析 monorepo 中的所有包')
+  .option('--cache', '启用磁盘缓存，未修改的文件复用上次的分析结果')
+  .option('--no-cache', '不使用磁盘缓存（覆盖配置文件）')
   .action(async (options) => {
     const spinner = ora('📈 正在统计...').start()
     
     try {
+      const { config } = await loadConfig(options.root, options.config)
       const analyzer = new TypeAnalyzer({
         rootDir: options.root,
-        verbose: false
+        project: options.project,
+        config,
+        ...getSourceOptions(options),
+        workspace: options.workspace,
+        cache: options.cache,
+        verbose: false,
+        logger: createConsoleLogger()
       })
       
+      trackProgress(analyzer, spinner)
       const report = await analyzer.analyze()
       spinner.stop()
       
@@ -153,13 +411,18 @@ program
         ['🔗 类型引用', stats.totalUsages],
         ['🚨 类型错误', stats.totalErrors],
         ['⚠️ 重复定义', stats.duplicateTypes],
-        ['🗑️ 未使用类型', stats.unusedTypes]
+        ['🗑️ 未使用类型', stats.unusedTypes],
+        ['🔒 不必要的导出', stats.unnecessaryExports],
+        ['📦 单一使用方', stats.singleConsumerTypes],
+        ['🌀 复杂类型', stats.complexTypes],
+        ['🧩 插件问题', stats.pluginIssues],
+        ['🤫 已抑制', stats.suppressedIssues]
       ]
       
       data.forEach(([label, value]) => {
         const color = label.includes('错误') && value > 0 ? 'red' :
                      label.includes('重复') && value > 0 ? 'yellow' :
-                     label.includes('未使用') && value > 0 ? 'yellow' : 'cyan'
+                     /未使用|导出|使用方|复杂|插件/.test(label) && value > 0 ? 'yellow' : 'cyan'
         
         console.log(`${label.padEnd(12)} ${chalk[color].bold(value.toString().padStart(3))}`)
       })
@@ -173,6 +436,564 @@ program
     }
   })
 
+// clean 命令 - 清理未使用类型
+program
+  .command('clean')
+  .description('🧹 删除未使用的类型定义')
+  .option('-r, --root <path>', '项目根目录', process.cwd())
+  .option('--project <path>', 'tsconfig.json 路径 (默认: <root>/tsconfig.json)')
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .option('--include <globs...>', '包含的文件 glob，可指定多个 (默认: src/**/*)')
+  .option('--exclude <globs...>', '排除的文件 glob，可指定多个')
+  .option('--declarations', '统计 .d.ts 文件中的类型声明')
+  .option('--no-gitignore', '不跳过 .gitignore 中忽略的文件')
+  .option('-w, --workspace', '工作区模式：分析 monorepo 中的所有包')
+  .option('--cache', '启用磁盘缓存，未修改的文件复用上次的分析结果')
+  .option('--no-cache', '不使用磁盘缓存（覆盖配置文件）')
+  .option('-d, --dry-run', '仅输出 diff，不修改文件', false)
+  .option('-i, --interactive', '逐个文件确认后再修改', false)
+  .option('-p, --patch <file>', '将修改写入 patch 文件而不是直接修改')
+  .option('-v, --verbose', '显示详细信息', false)
+  .action(async (options) => {
+    const spinner = ora('🔍 正在分析未使用类型...').start()
+
+    try {
+      const { config } = await loadConfig(options.root, options.config)
+      const analyzer = new TypeAnalyzer({
+        rootDir: options.root,
+        project: options.project,
+        config,
+        ...getSourceOptions(options),
+        workspace: options.workspace,
+        cache: options.cache,
+        verbose: options.verbose,
+        logger: createConsoleLogger({ verbose: options.verbose })
+      })
+
+      trackProgress(analyzer, spinner)
+      const report = await analyzer.analyze()
+      const cleaner = new TypeCleaner(analyzer)
+      const { changes, skipped } = cleaner.plan(report.issues.unused)
+      spinner.stop()
+
+      if (skipped.length > 0 && options.verbose) {
+        console.log(chalk.yellow(`\n⚠️ 跳过 ${skipped.length} 个类型:`))
+        skipped.forEach(item => {
+          console.log(chalk.gray(`   ${item.file} ${item.name} - ${item.reason}`))
+        })
+      }
+
+      if (changes.length === 0) {
+        console.log(chalk.green('\n🎉 没有需要清理的类型'))
+        return
+      }
+
+      // dry-run / patch 模式只输出 diff
+      if (options.dryRun || options.patch) {
+        const patch = changes.map(change => cleaner.createPatch(change)).join('')
+
+        if (options.patch) {
+          writeFileSync(resolve(options.patch), patch, 'utf8')
+          console.log(`\n📋 补丁已保存: ${chalk.green(options.patch)}`)
+        } else {
+          console.log('\n' + colorizeDiff(patch))
+        }
+
+        const removedCount = changes.reduce((sum, c) => sum + c.removed.length, 0)
+        console.log(chalk.cyan(`\n🧹 将删除 ${removedCount} 个类型，涉及 ${changes.length} 个文件`))
+        return
+      }
+
+      let removedCount = 0
+      let fileCount = 0
+      let applyAll = !options.interactive
+
+      for (const change of changes) {
+        if (!applyAll) {
+          console.log('\n' + colorizeDiff(cleaner.createPatch(change)))
+          const answer = await askQuestion(`应用到 ${chalk.blue(change.relativeFile)}? [y]es / [n]o / [a]ll / [q]uit: `)
+
+          if (answer === 'q') break
+          if (answer === 'a') applyAll = true
+          if (answer !== 'y' && answer !== 'a') continue
+        }
+
+        cleaner.applyChange(change)
+        removedCount += change.removed.length
+        fileCount++
+        console.log(`${chalk.green('✔')} ${change.relativeFile}`)
+      }
+
+      console.log(chalk.green.bold(`\n🧹 已删除 ${removedCount} 个未使用类型，修改 ${fileCount} 个文件`))
+
+    } catch (error) {
+      spinner.fail('❌ 清理失败')
+      console.error(chalk.red('\n错误:'), error.message)
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack))
+      }
+      process.exit(1)
+    }
+  })
+
+// dedupe 命令 - 合并重复类型
+program
+  .command('dedupe')
+  .description('🔗 合并结构一致的重复类型，并改写所有导入')
+  .option('-r, --root <path>', '项目根目录', process.cwd())
+  .option('--project <path>', 'tsconfig.json 路径 (默认: <root>/tsconfig.json)')
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .option('--include <globs...>', '包含的文件 glob，可指定多个 (默认: src/**/*)')
+  .option('--exclude <globs...>', '排除的文件 glob，可指定多个')
+  .option('--declarations', '统计 .d.ts 文件中的类型声明')
+  .option('--no-gitignore', '不跳过 .gitignore 中忽略的文件')
+  .option('-w, --workspace', '工作区模式：分析 monorepo 中的所有包')
+  .option('--cache', '启用磁盘缓存，未修改的文件复用上次的分析结果')
+  .option('--no-cache', '不使用磁盘缓存（覆盖配置文件）')
+  .option('-t, --type <names...>', '只合并指定名称的类型')
+  .option('-m, --move [file]', '将声明移动到共享模块 (默认: 配置项 sharedTypesFile)')
+  .option('--prefer <file>', '优先保留该文件中的声明')
+  .option('-d, --dry-run', '仅输出 diff，不修改文件', false)
+  .option('-p, --patch <file>', '将修改写入 patch 文件而不是直接修改')
+  .option('-v, --verbose', '显示详细信息', false)
+  .action(async (options) => {
+    const spinner = ora('🔍 正在分析重复类型...').start()
+
+    try {
+      const { config } = await loadConfig(options.root, options.config)
+      const analyzer = new TypeAnalyzer({
+        rootDir: options.root,
+        project: options.project,
+        config,
+        ...getSourceOptions(options),
+        workspace: options.workspace,
+        cache: options.cache,
+        verbose: options.verbose,
+        logger: createConsoleLogger({ verbose: options.verbose })
+      })
+
+      trackProgress(analyzer, spinner)
+      const report = await analyzer.analyze()
+      const deduper = new TypeDeduper(analyzer, {
+        target: options.move === true ? config.sharedTypesFile : options.move,
+        prefer: options.prefer
+      })
+      const { changes, merged, skipped } = deduper.plan(report.issues.duplicates, options.type || [])
+      spinner.stop()
+
+      // 未合并的原因总是输出，便于手动处理
+      if (skipped.length > 0) {
+        console.log(chalk.yellow(`\n⚠️ 跳过 ${skipped.length} 个重复类型:`))
+        skipped.forEach(item => {
+          console.log(`   ${chalk.bold(item.name)} ${chalk.gray(item.files.join(', '))}`)
+          console.log(chalk.gray(`     ${item.reason}`))
+        })
+      }
+
+      if (merged.length === 0) {
+        console.log(chalk.green('\n🎉 没有可以自动合并的重复类型'))
+        return
+      }
+
+      console.log(chalk.cyan(`\n🔗 合并 ${merged.length} 个重复类型:`))
+      merged.forEach(item => {
+        const target = item.canonical.moved ? item.canonical.file : `${item.canonical.file}:${item.canonical.line}`
+        console.log(`   ${chalk.green('✔')} ${chalk.bold(item.name)} → ${chalk.blue(target)}`)
+        if (options.verbose) {
+          item.removed.forEach(copy => console.log(chalk.gray(`     删除 ${copy.file}:${copy.line}`)))
+        }
+      })
+
+      // dry-run / patch 模式只输出 diff
+      if (options.dryRun || options.patch) {
+        const patch = changes.map(change => deduper.createPatch(change)).join('')
+
+        if (options.patch) {
+          writeFileSync(resolve(options.patch), patch, 'utf8')
+          console.log(`\n📋 补丁已保存: ${chalk.green(options.patch)}`)
+        } else {
+          console.log('\n' + colorizeDiff(patch))
+        }
+
+        console.log(chalk.cyan(`\n🔗 将修改 ${changes.length} 个文件`))
+        return
+      }
+
+      changes.forEach(change => deduper.applyChange(change))
+      console.log(chalk.green.bold(`\n🔗 已合并 ${merged.length} 个重复类型，修改 ${changes.length} 个文件`))
+
+    } catch (error) {
+      spinner.fail('❌ 合并失败')
+      console.error(chalk.red('\n错误:'), error.message)
+      if (options.verbose) {
+        console.error(chalk.gray(error.stack))
+      }
+      process.exit(1)
+    }
+  })
+
+// trend 命令 - 历史趋势
+program
+  .command('trend')
+  .description('📈 查看类型健康度的历史趋势')
+  .option('-r, --root <path>', '项目根目录', process.cwd())
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .option('-n, --limit <number>', '显示最近 N 次运行', '20')
+  .action(async (options) => {
+    try {
+      const { config } = await loadConfig(options.root, options.config)
+      const historyPath = resolve(options.root, config.historyFile)
+      const trend = summarizeTrend(loadHistory(historyPath), parseInt(options.limit))
+      
+      if (!trend) {
+        console.log(chalk.yellow(`\n📭 还没有历史记录（${historyPath}）`))
+        console.log(chalk.gray('   运行 `vue-type-checker analyze` 或 `check` 后会自动记录'))
+        return
+      }
+      
+      new ReportGenerator(options.root).printTrend(trend)
+      
+    } catch (error) {
+      console.error(chalk.red('\n错误:'), error.message)
+      process.exit(1)
+    }
+  })
+
+// graph 命令 - 导出类型依赖图
+program
+  .command('graph')
+  .alias('g')
+  .description('🔗 导出类型依赖图 (DOT / Mermaid / JSON)')
+  .option('-r, --root <path>', '项目根目录', process.cwd())
+  .option('--project <path>', 'tsconfig.json 路径 (默认: <root>/tsconfig.json)')
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .option('--include <globs...>', '包含的文件 glob，可指定多个 (默认: src/**/*)')
+  .option('--exclude <globs...>', '排除的文件 glob，可指定多个')
+  .option('--declarations', '统计 .d.ts 文件中的类型声明')
+  .option('--no-gitignore', '不跳过 .gitignore 中忽略的文件')
+  .option('-w, --workspace', '工作区模式：分析 monorepo 中的所有包')
+  .option('--cache', '启用磁盘缓存，未修改的文件复用上次的分析结果')
+  .option('--no-cache', '不使用磁盘缓存（覆盖配置文件）')
+  .option('-f, --format <type>', `图格式 (${GRAPH_FORMATS.join('/')})`, 'dot')
+  .option('-o, --output <file>', '输出文件 (默认: 标准输出)')
+  .option('-t, --type <name>', '从指定类型出发（类型名称或 "相对路径#名称"）')
+  .option('-d, --depth <number>', '从起点出发的最大层数 (默认: 不限)')
+  .option('--direction <dir>', `遍历方向 (${GRAPH_DIRECTIONS.join('/')})`, 'dependents')
+  .option('--no-files', '只包含类型之间的依赖，不包含引用类型的文件')
+  .action(async (options) => {
+    const spinner = ora('🔗 正在分析类型依赖...').start()
+    
+    try {
+      if (!GRAPH_FORMATS.includes(options.format)) {
+        throw new Error(`不支持的图格式: ${options.format}（可选: ${GRAPH_FORMATS.join(', ')}）`)
+      }
+      if (!GRAPH_DIRECTIONS.includes(options.direction)) {
+        throw new Error(`不支持的遍历方向: ${options.direction}（可选: ${GRAPH_DIRECTIONS.join(', ')}）`)
+      }
+      const depth = parseOptionalNumber(options.depth)
+      if (depth !== undefined && (!Number.isInteger(depth) || depth < 0)) {
+        throw new Error('--depth 应为非负整数')
+      }
+      
+      const { config } = await loadConfig(options.root, options.config)
+      const analyzer = new TypeAnalyzer({
+        rootDir: options.root,
+        project: options.project,
+        logger: createConsoleLogger({ quiet: true }),
+        config,
+        ...getSourceOptions(options),
+        workspace: options.workspace,
+        cache: options.cache,
+        verbose: false
+      })
+      
+      trackProgress(analyzer, spinner)
+      const report = await analyzer.analyze()
+      spinner.stop()
+      
+      const roots = options.type ? findGraphRoots(report.dependencies, options.type) : []
+      if (options.type && roots.length === 0) {
+        throw new Error(`未找到类型: ${options.type}`)
+      }
+      
+      const graph = buildTypeGraph(report.dependencies, {
+        roots,
+        depth: depth ?? Infinity,
+        direction: options.direction,
+        files: options.files
+      })
+      const content = formatGraph(graph, options.format)
+      
+      if (!options.output) {
+        process.stdout.write(content)
+        return
+      }
+      
+      const reporter = new ReportGenerator(options.root)
+      const filePath = resolve(options.output)
+      reporter.writeFile(filePath, content)
+      console.log(`🔗 依赖图已保存: ${chalk.green(reporter.relativePath(filePath))} (${graph.nodes.length} 个节点, ${graph.edges.length} 条边)`)
+      
+    } catch (error) {
+      spinner.fail('❌ 生成依赖图失败')
+      console.error(chalk.red('\n错误:'), error.message)
+      process.exit(1)
+    }
+  })
+
+// cache 命令 - 管理磁盘缓存
+const cacheCommand = program
+  .command('cache')
+  .description('🗄️ 管理分析缓存')
+
+cacheCommand
+  .command('clear')
+  .description('🧹 删除分析缓存')
+  .option('-r, --root <path>', '项目根目录', process.cwd())
+  .option('-c, --config <file>', '配置文件路径 (默认: 从根目录向上查找)')
+  .action(async (options) => {
+    try {
+      const { config } = await loadConfig(options.root, options.config)
+      const removed = clearCache(options.root, config.cacheDir)
+      
+      if (removed) {
+        console.log(chalk.green(`🧹 已删除缓存: ${removed}`))
+      } else {
+        console.log(chalk.gray('🗄️ 没有需要删除的缓存'))
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('\n错误:'), error.message)
+      process.exit(1)
+    }
+  })
+
+function validateFormat(format) {
+  if (format && !REPORT_FORMATS.includes(format)) {
+    throw new Error(`不支持的报告格式: ${format}（可选: ${REPORT_FORMATS.join(', ')}）`)
+  }
+}
+
+// json / sarif / junit 且未指定 --output 时，报告直接写到标准输出
+function isStdoutReport(options) {
+  return ['json', 'sarif', 'junit'].includes(options.format) && !options.output
+}
+
+async function writeReport(reporter, report, options) {
+  if (options.format === 'console') return
+  if (options.format === 'markdown') {
+    await reporter.generateMarkdownReport(report, options.output)
+    return
+  }
+  if (options.format === 'html') {
+    await reporter.generateHtmlReport(report, options.output)
+    return
+  }
+  await reporter.generateFormattedReport(report, options.format, options.output)
+}
+
+// 文件范围参数，未指定时使用配置文件中的值
+function getSourceOptions(options) {
+  return {
+    include: options.include,
+    exclude: options.exclude,
+    declarationFiles: options.declarations,
+    gitignore: options.gitignore === false ? false : undefined
+  }
+}
+
+function parseOptionalNumber(value) {
+  return value !== undefined ? parseFloat(value) : undefined
+}
+
+function resolveBaselinePath(root, file) {
+  return resolve(root, typeof file === 'string' ? file : DEFAULT_BASELINE_FILE)
+}
+
+// 追加本次运行的快照并返回趋势（用于报告中的趋势图）；写入失败不影响分析结果
+function recordHistory(options, config, report) {
+  if (options.history === false || !config.history) return null
+  
+  const historyPath = resolve(options.root, config.historyFile)
+  try {
+    appendSnapshot(historyPath, createSnapshot(report, report.projectPath))
+    return summarizeTrend(loadHistory(historyPath))
+  } catch (error) {
+    console.error(chalk.yellow(`⚠️ 历史记录写入失败: ${error.message}`))
+    return null
+  }
+}
+
+function getChangeOptions(options) {
+  const modes = ['since', 'staged', 'changed'].filter(mode => options[mode])
+  if (modes.length > 1) {
+    throw new Error('--since、--staged 与 --changed 只能指定一个')
+  }
+  if (modes.length === 0) return null
+  return { since: options.since, staged: options.staged, changed: options.changed }
+}
+
+function printChangedSummary(changed, print) {
+  print(`🔀 变更文件 (${changed.mode}): ${chalk.cyan.bold(changed.files.length)}`)
+  print(`🙈 已过滤的既有问题: ${chalk.gray(changed.filtered)}`)
+}
+
+function printBaselineSummary(baseline, print) {
+  print(`📌 基线中已有问题: ${chalk.gray(baseline.matched)}`)
+  print(`🆕 新增问题: ${baseline.new > 0 ? chalk.red.bold(baseline.new) : chalk.green.bold(0)}`)
+  
+  if (baseline.fixed.length > 0) {
+    print(`✅ 已修复的基线问题: ${chalk.green.bold(baseline.fixed.length)}`)
+    baseline.fixed.slice(0, 10).forEach(entry => {
+      print(chalk.gray(`   • [${entry.category}] ${entry.file} ${entry.key}`))
+    })
+    if (baseline.fixed.length > 10) {
+      print(chalk.gray(`   ... 还有 ${baseline.fixed.length - 10} 个`))
+    }
+    print(chalk.gray('   运行 `vue-type-checker analyze --update-baseline` 更新基线'))
+  }
+}
+
+// 在 spinner 上显示分析进度，如 "🔍 正在分析类型... (3/8 收集类型定义)"
+function trackProgress(analyzer, spinner) {
+  const text = spinner.text
+  analyzer.on('progress', ({ label, step, total }) => {
+    spinner.text = `${text} ${chalk.gray(`(${step}/${total} ${label})`)}`
+  })
+}
+
+// 按忽略规则列出被忽略的诊断
+function printIgnoredDiagnostics(ignored, rootDir, print) {
+  ignored.rules.filter(rule => rule.count > 0).forEach(rule => {
+    print(chalk.gray(`   • ${rule.reason}（${rule.match}）: ${rule.count}`))
+    rule.diagnostics.forEach(item => {
+      print(chalk.gray(`     ${relative(rootDir, item.file)}:${item.line} ${item.code} ${item.message.split('\n')[0]}`))
+    })
+  })
+}
+
+// 首次分析输出完整结果，之后每次变更只输出新增与已解决的问题
+async function startWatch(options, analyzerOptions) {
+  const reporter = new ReportGenerator(options.root)
+  const spinner = ora('🔍 正在分析类型...').start()
+  
+  const watcher = new TypeWatcher({
+    ...analyzerOptions,
+    // 开始与失败由 spinner 和 onError 输出
+    logger: { ...createConsoleLogger({ verbose: analyzerOptions.verbose, quiet: true }), error() {} },
+    onReport: async ({ report, diff, changedFiles, affectedFiles, duration }) => {
+      // 编辑器重复写入等没有实际变化的事件不输出
+      const unchanged = diff && affectedFiles?.size === 0 &&
+        diff.added.length === 0 && diff.resolved.length === 0
+      if (unchanged) return
+      
+      if (!diff) {
+        spinner.succeed('✅ 分析完成')
+        reporter.generateConsoleOutput(report, { showIgnored: options.showIgnored })
+      } else {
+        printWatchUpdate({ report, diff, changedFiles, affectedFiles, duration }, reporter)
+      }
+      
+      // analyze --watch 时每次分析后更新报告文件
+      try {
+        if (options.format) {
+          await writeReport(reporter, report, options)
+        } else if (options.report !== false) {
+          await reporter.generateMarkdownReport(report, options.output)
+        }
+      } catch (error) {
+        console.error(chalk.red('❌ 报告生成失败:'), error.message)
+      }
+      
+      console.log(chalk.gray('\n👀 正在监听文件变化... (Ctrl+C 退出)'))
+    },
+    onError: (error, changedFiles) => {
+      if (changedFiles.length === 0) {
+        spinner.fail('❌ 分析失败')
+      }
+      console.error(chalk.red('\n❌ 分析失败:'), error.message)
+      if (analyzerOptions.verbose) {
+        console.error(chalk.gray(error.stack))
+      }
+      console.log(chalk.gray('\n👀 修复后将自动重新分析... (Ctrl+C 退出)'))
+    }
+  })
+  
+  process.on('SIGINT', () => {
+    watcher.close()
+    console.log(chalk.gray('\n👋 已停止监听'))
+    process.exit(0)
+  })
+  
+  await watcher.start()
+}
+
+function printWatchUpdate({ report, diff, changedFiles, affectedFiles, duration }, reporter) {
+  const time = new Date().toLocaleTimeString()
+  const changed = changedFiles.map(file => reporter.relativePath(file))
+  const changedText = changed.length > 1 ? `${changed[0]} 等 ${changed.length} 个文件` : changed[0]
+  const affectedText = affectedFiles ? `${affectedFiles.size} 个受影响文件` : '全部文件'
+  
+  console.log('\n' + chalk.cyan(`🔄 [${time}] ${changedText} 已变更，重新分析 ${affectedText} (${duration}ms)`))
+  
+  if (diff.added.length === 0 && diff.resolved.length === 0) {
+    console.log(chalk.gray('   问题没有变化'))
+  }
+  
+  const printEntries = (entries, prefix, color) => {
+    entries.slice(0, 20).forEach(entry => {
+      console.log(chalk[color](`   ${prefix} [${entry.category}] ${entry.file} ${entry.key}`) + chalk.gray(` ${entry.message}`))
+    })
+    if (entries.length > 20) {
+      console.log(chalk.gray(`   ... 还有 ${entries.length - 20} 个`))
+    }
+  }
+  
+  if (diff.added.length > 0) {
+    console.log(`🆕 新增问题: ${chalk.red.bold(diff.added.length)}`)
+    printEntries(diff.added, '+', 'red')
+  }
+  if (diff.resolved.length > 0) {
+    console.log(`✅ 已解决问题: ${chalk.green.bold(diff.resolved.length)}`)
+    printEntries(diff.resolved, '-', 'green')
+  }
+  
+  const { issues } = report
+  const scoreColor = report.healthScore >= 80 ? 'green' : report.healthScore >= 60 ? 'yellow' : 'red'
+  console.log(
+    `📊 健康度 ${chalk[scoreColor].bold(report.healthScore)}/100 · ` +
+    `错误 ${issues.errors.length} · 重复 ${Object.keys(issues.duplicates).length} · ` +
+    `未使用 ${issues.unused.length} · 不必要导出 ${issues.unnecessaryExports.length}`
+  )
+  
+  if (report.skippedFiles.length > 0) {
+    console.log(chalk.yellow(`⏭️ 跳过 ${report.skippedFiles.length} 个文件（读取或解析失败）`))
+  }
+}
+
+function colorizeDiff(patch) {
+  return patch
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('---') || line.startsWith('+++')) return chalk.bold(line)
+      if (line.startsWith('@@')) return chalk.cyan(line)
+      if (line.startsWith('-')) return chalk.red(line)
+      if (line.startsWith('+')) return chalk.green(line)
+      return line
+    })
+    .join('\n')
+}
+
+function askQuestion(question) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout })
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close()
+      resolve(answer.trim().toLowerCase())
+    })
+  })
+}
+
 // 全局错误处理
 process.on('uncaughtException', (error) => {
   console.error(chalk.red('\n💥 未捕获异常:'), error.message)
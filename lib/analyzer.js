@@ -1,124 +1,368 @@
-import { readFileSync, readdirSync, statSync, existsSync, writeFileSync } from 'fs'
-import { join, resolve, relative } from "path";
+import { readFileSync } from 'fs'
+import { createHash } from "crypto";
+import { EventEmitter } from "events";
+import { resolve, relative, dirname } from "path";
 import ts from "typescript";
-
-export class TypeAnalyzer {
+import { getTypeMembers, findStructuralDuplicates } from "./structure.js";
+import { getGenericNesting, findComplexTypes } from "./hierarchy.js";
+import {
+  SUPPRESSION_RULES,
+  parseSuppressionComments,
+  applySuppressions,
+} from "./suppressions.js";
+import {
+  createSeverityResolver,
+  createIgnoreMatcher,
+  expandIgnoreRules,
+  summarizeIgnored,
+} from "./diagnostics.js";
+import { createVirtualScript } from "./vue.js";
+import {
+  DEFAULT_COMPILER_OPTIONS,
+  findTsConfig,
+  loadProjects,
+} from "./tsconfig.js";
+import { scanFiles } from "./files.js";
+import {
+  findWorkspace,
+  resolveWorkspaceImport,
+  findPackageForFile,
+} from "./workspace.js";
+import { resolveConfig, normalizeErrorCode } from "./config.js";
+import { AnalysisCache } from "./cache.js";
+import { calculateScore } from "./score.js";
+import { normalizeLogger, silentLogger } from "./logger.js";
+import { loadPlugins, runCollectors } from "./plugins.js";
+
+// analyze() 的各个阶段，开始时依次触发 progress 事件
+export const ANALYSIS_PHASES = [
+  { phase: "scan", label: "扫描源文件" },
+  { phase: "programs", label: "创建 TypeScript 程序" },
+  { phase: "definitions", label: "收集类型定义" },
+  { phase: "usages", label: "收集类型引用" },
+  { phase: "errors", label: "检查类型错误" },
+  { phase: "unused", label: "检测未使用类型" },
+  { phase: "plugins", label: "运行插件" },
+  { phase: "report", label: "生成报告" },
+];
+
+// 事件：progress（阶段开始）、finding（报告中的每个问题）、report（分析完成）
+export class TypeAnalyzer extends EventEmitter {
   constructor(options = {}) {
-    this.rootDir = options.rootDir || process.cwd();
-    this.srcDir = join(this.rootDir, "src");
+    super();
+    this.rootDir = resolve(options.rootDir || process.cwd());
+    // 配置文件中的设置（已校验并与默认值合并），命令行参数优先
+    this.config = resolveConfig(options.config);
+    // 源码根目录（可多个）与文件 glob，命令行 --include/--exclude 覆盖配置
+    this.srcDirs = [].concat(this.config.srcDir);
+    this.customInclude = !!(options.include?.length || this.config.include);
+    this.include = options.include?.length
+      ? options.include
+      : this.config.include ||
+        this.srcDirs.map((dir) => `${dir.replace(/[\\/]+$/, "")}/**/*`);
+    this.exclude = options.exclude?.length ? options.exclude : this.config.exclude;
+    this.gitignore = options.gitignore ?? this.config.gitignore;
+    this.declarationFiles =
+      options.declarationFiles ?? this.config.declarationFiles;
     this.verbose = options.verbose || false;
+    // 日志输出（{ debug, info, warn, error }），默认不输出；命令行传入控制台日志
+    this.logger = normalizeLogger(options.logger || silentLogger);
+    // 插件注册的问题类别与收集器（配置文件中的插件在前）
+    this.plugins = loadPlugins([
+      ...this.config.plugins,
+      ...(options.plugins || []),
+    ]);
+    // run() 的分析结果，多个使用方共享
+    this.result = null;
+    // 自定义 tsconfig 路径（--project），默认使用根目录下的 tsconfig.json
+    this.project = options.project || null;
+    this.projects = [];
+    // 工作区模式：按包发现源码目录，跨包引用解析到包内源文件
+    this.workspaceMode = options.workspace || false;
+    // ts-unused-exports 判定为未被其他文件导入的导出类型（id），未运行时为 null
+    this.unimportedExports = null;
+    this.workspace = null;
+
+    // 结构重复检测（按成员比较，忽略类型名）
+    this.structural = options.structural ?? this.config.structural;
+    this.similarityThreshold =
+      options.similarityThreshold ?? this.config.similarityThreshold;
+
+    // 复杂类型检测：跨文件循环依赖、extends 链与泛型嵌套层数上限（0 表示不检查）
+    this.circularTypes = options.circularTypes ?? this.config.circularTypes;
+    this.maxExtendsDepth = options.maxExtendsDepth ?? this.config.maxExtendsDepth;
+    this.maxGenericDepth = options.maxGenericDepth ?? this.config.maxGenericDepth;
+
+    // 增量模式（watch）：复用上次的程序与解析结果，只重新分析受影响的文件
+    this.incremental = options.incremental || false;
+    // 每个 tsconfig 项目的 BuilderProgram，键为 tsconfig 路径
+    this.builders = new Map();
+    this.builderPrograms = new WeakMap();
+    // 已解析的 SourceFile（按文件路径缓存），文件修改后由 invalidateFiles 清除
+    this.sourceFileCache = new Map();
+    // 每个文件中记录的类型引用，未受影响的文件直接复用
+    this.usageCache = new Map();
+    this.recordedUsages = null;
+    // 每个文件的类型定义（按解析出的 SourceFile 复用）与抑制注释（文件修改后由 invalidateFiles 清除）
+    this.definitionCache = new Map();
+    this.directiveCache = new Map();
+    // 上次检测的未使用导出（{ 文件: [{ exportName }] }），只重新计算受影响的文件
+    this.unusedExportsResult = null;
+    // 受影响（或已删除）的文件修改前引用的类型所在的文件，invalidateFiles 清除引用前先记录
+    this.staleUsageTargets = new Set();
+    // 本次分析中受影响的文件，非增量模式或需要全量分析时为 null
+    this.affectedFiles = null;
+
+    // 磁盘缓存（--cache）：未修改的文件复用上次运行的定义、引用与诊断
+    this.cache = (options.cache ?? this.config.cache)
+      ? new AnalysisCache(this.rootDir, {
+          dir: this.config.cacheDir,
+          settings: {
+            config: this.config,
+            include: this.include,
+            exclude: this.exclude,
+            gitignore: this.gitignore,
+            declarationFiles: this.declarationFiles,
+            project: this.project,
+            workspace: this.workspaceMode,
+          },
+        })
+      : null;
+    // 增量与缓存模式都需要 BuilderProgram 提供文件版本与依赖关系
+    this.useBuilder = this.incremental || !!this.cache;
+    // 每个文件的内容哈希与依赖签名（缓存模式）
+    this.fileSignatures = new Map();
+    this.projectSignature = null;
 
     // 数据结构
     this.sourceFiles = [];
+    this.sourceFileSet = new Set();
+    // 因读取或解析失败而跳过的文件
+    this.skippedFiles = [];
+    // Vue SFC 对应的虚拟 TS 文件（按 .vue 路径缓存）
+    this.vueFiles = new Map();
+    // definitions 以 "文件#类型名" 为键保存每一个声明，同名类型互不覆盖
     this.types = {
       definitions: new Map(),
+      definitionsByName: new Map(),
       usages: new Map(),
       errors: [],
+      // 被忽略规则匹配的诊断（带 ignoredBy 规则下标）
+      ignored: [],
     };
 
-    // Vue3 + TS 项目全局变量
-    this.excludePatterns = new Set([
-      // Vue 3 API
-      "ref",
-      "reactive",
-      "computed",
-      "watch",
-      "watchEffect",
-      "readonly",
-      "unref",
-      "nextTick",
-      "onMounted",
-      "onUnmounted",
-      "provide",
-      "inject",
-      "defineComponent",
-      "h",
-      "Fragment",
-      "createApp",
-      "createPinia",
-      "useRouter",
-      "useRoute",
-      "defineStore",
-      "useMessage",
-      "useDebounceFn",
-      "useThrottleFn",
-      // UI 组件
-      "NButton",
-      "NInput",
-      "NSelect",
-      "NModal",
-      "NTable",
-      "NForm",
-    ]);
+    // 可配置项（全局变量、内置类型、约定类型、错误级别等）
+    this.excludePatterns = new Set(this.config.excludePatterns);
+    this.builtinTypes = new Set(this.config.builtinTypes);
+    this.errorCodes = {
+      error: new Set(this.config.errorCodes.error.map(normalizeErrorCode)),
+      warning: new Set(this.config.errorCodes.warning.map(normalizeErrorCode)),
+    };
+    this.resolveSeverity = createSeverityResolver({
+      diagnosticRules: this.config.diagnosticRules,
+      errorCodes: this.errorCodes,
+    });
+    // 忽略规则：excludePatterns 中的全局变量不报告 "Cannot find name"，其余来自 ignoreDiagnostics
+    this.ignoreRules = [
+      ...(this.excludePatterns.size > 0
+        ? [
+            {
+              code: 2304,
+              symbol: [...this.excludePatterns],
+              reason: "全局变量/组件（excludePatterns）",
+            },
+          ]
+        : []),
+      ...expandIgnoreRules(this.config.ignoreDiagnostics),
+    ];
+    this.matchIgnoreRule = createIgnoreMatcher(this.ignoreRules, this.rootDir);
   }
 
   async analyze() {
-    console.log("🔍 开始分析 Vue3 + TypeScript 项目类型...");
+    this.logger.info("🔍 开始分析 Vue3 + TypeScript 项目类型...");
 
     try {
+      this.resetResults();
+      this.progress("scan");
+      if (this.workspaceMode) {
+        this.loadWorkspace();
+      }
       this.scanSourceFiles();
-      const program = this.createTSProgram();
-      this.collectTypeDefinitions(program);
-      this.collectTypeUsages(program);
-      this.collectTypeErrors(program);
+      this.loadTsConfig();
+      this.progress("programs");
+      const programs = this.createTSPrograms();
+      this.affectedFiles = this.collectAffectedFiles(programs);
+      this.loadCache(programs);
+      this.progress("definitions");
+      this.collectTypeDefinitions(programs);
+      this.progress("usages");
+      this.collectTypeUsages(programs);
+      this.progress("errors");
+      this.collectTypeErrors(programs);
 
       // 使用专业库检测
+      this.progress("unused");
       const unused = await this.detectUnusedTypes();
+      this.staleUsageTargets.clear();
+
+      this.progress("plugins");
+      const pluginIssues = await this.collectPluginIssues(programs);
 
-      return this.generateReport(unused);
+      this.progress("report");
+      const report = this.generateReport(unused, pluginIssues);
+      this.saveCache();
+      this.emitFindings(report);
+      this.emit("report", report);
+      return report;
     } catch (error) {
-      console.error("❌ 分析失败:", error.message);
+      // 中断的分析可能丢失了需要更新的文件，下次重新完整检测未使用导出
+      this.unusedExportsResult = null;
+      this.staleUsageTargets.clear();
+      this.logger.error("❌ 分析失败:", error.message);
       throw error;
     }
   }
 
-  // 使用专业库检测未使用类型
-  async detectUnusedTypes() {
-    try {
-      this.log("🔍 使用专业库检测未使用类型...");
+  // 只分析一次，多次调用（如同时需要检查结果与统计）共享同一份报告；需要重新分析时调用 analyze()
+  run() {
+    if (!this.result) {
+      this.result = this.analyze().catch((error) => {
+        this.result = null;
+        throw error;
+      });
+    }
+    return this.result;
+  }
 
-      // 创建临时配置
-      const tempConfig = {
-        compilerOptions: {
-          target: "ES2020",
-          module: "ESNext",
-          moduleResolution: "node",
-          skipLibCheck: true,
-          noEmit: true,
-          allowJs: true,
-          jsx: "preserve",
-        },
-        include: ["src/**/*"],
-        exclude: ["node_modules", "dist", "src/stores/**/*"],
-      };
+  progress(phase) {
+    const step = ANALYSIS_PHASES.findIndex((item) => item.phase === phase);
+    this.emit("progress", {
+      ...ANALYSIS_PHASES[step],
+      step: step + 1,
+      total: ANALYSIS_PHASES.length,
+    });
+  }
 
-      const tempConfigPath = join(this.rootDir, ".temp-tsconfig.json");
-      writeFileSync(tempConfigPath, JSON.stringify(tempConfig, null, 2));
+  // 逐个触发报告中的问题（已去除被抑制的问题）；category 与抑制注释的规则名一致
+  emitFindings(report) {
+    if (this.listenerCount("finding") === 0) return;
+
+    const { issues } = report;
+    const emit = (category, issue) => this.emit("finding", { category, issue });
+    issues.errors.forEach((issue) => emit("error", issue));
+    issues.warnings.forEach((issue) => emit("warning", issue));
+    issues.info.forEach((issue) => emit("info", issue));
+    Object.entries(issues.duplicates).forEach(([name, definitions]) =>
+      emit("duplicate", { name, definitions })
+    );
+    issues.structuralDuplicates.exact.forEach((group) => emit("structural", group));
+    issues.structuralDuplicates.similar.forEach((group) => emit("structural", group));
+    issues.unused.forEach((issue) => emit("unused", issue));
+    issues.unnecessaryExports.forEach((issue) => emit("unnecessary-export", issue));
+    issues.singleConsumer.forEach((issue) => emit("single-consumer", issue));
+    issues.complexTypes.forEach((issue) => emit("complex", issue));
+    issues.plugins.forEach((issue) => emit(issue.category, issue));
+  }
 
-      const { analyzeFiles } = await import("ts-unused-exports");
-      const result = analyzeFiles(tempConfigPath, {
-        searchNamespaces: true,
-        allowUnusedTypes: false,
-        excludeDeclarationFiles: true,
-      });
+  // 清空上一次分析的结果；增量模式下保留程序与文件缓存
+  resetResults() {
+    this.types = {
+      definitions: new Map(),
+      definitionsByName: new Map(),
+      usages: new Map(),
+      errors: [],
+      ignored: [],
+    };
+    this.skippedFiles = [];
+    this.unimportedExports = null;
+    this.fileSignatures = new Map();
+    this.projectSignature = null;
+
+    // 解析失败的 Vue 文件重新尝试，修复后即可恢复分析
+    for (const [file, virtual] of this.vueFiles) {
+      if (!virtual) this.vueFiles.delete(file);
+    }
+  }
 
-      // 清理临时文件
-      try {
-        const { unlinkSync } = await import("fs");
-        unlinkSync(tempConfigPath);
-      } catch (e) {}
+  // 文件修改、新增或删除后清除对应的缓存，下次 analyze() 时重新读取
+  invalidateFiles(files) {
+    for (const file of files) {
+      const fullPath = resolve(file);
+      this.getUsageTargets([fullPath]).forEach((target) => this.staleUsageTargets.add(target));
+      this.vueFiles.delete(fullPath);
+      this.usageCache.delete(fullPath);
+      this.directiveCache.delete(fullPath);
+      for (const fileName of [fullPath, `${fullPath}.ts`, `${fullPath}.tsx`]) {
+        this.sourceFileCache.delete(fileName);
+      }
+    }
+  }
+
+  // 使用专业库检测未使用的导出类型，未导出类型沿用基础检测
+  async detectUnusedTypes() {
+    const primary = this.getPrimaryProject();
+    if (!primary) {
+      // 没有 tsconfig.json（如根目录与各包都没有 tsconfig 的工作区）时，导出的类型同样按收集到的引用（含跨包引用）判断
+      this.log("⚠️ 未找到 tsconfig.json，根据收集到的引用检测未使用类型");
+      return this.basicUnusedDetection(new Set(), { exported: true });
+    }
+
+    try {
+      this.log("🔍 使用专业库检测未使用类型...");
+
+      // 所有子项目的文件一起分析，跨项目的引用才不会被误判为未使用；
+      // 没有被任何 tsconfig 包含的扫描文件（如没有 tsconfig.json 的工作区包）也一并检测
+      const files = [
+        ...new Set([
+          ...this.projects.flatMap((p) => p.fileNames),
+          ...this.sourceFiles.map((f) => resolve(f)),
+        ]),
+      ].filter((f) => !f.endsWith(".vue"));
+
+      // 所有文件及其依赖都未变化时复用上次的结果；增量模式下只更新受影响的文件
+      let result = { unusedExports: this.cache?.getUnusedExports(this.projectSignature) };
+      if (!result.unusedExports && this.unusedExportsResult && this.affectedFiles) {
+        result = { unusedExports: this.updateUnusedExports(files) };
+      }
+      if (!result.unusedExports) {
+        const { analyzeTsConfig } = await import("ts-unused-exports");
+        result = analyzeTsConfig(primary.configPath, [
+          "--searchNamespaces",
+          ...(this.declarationFiles ? [] : ["--excludeDeclarationFiles"]),
+          ...files,
+        ]);
+      }
+      this.cache?.setUnusedExports(this.projectSignature, result.unusedExports);
+      if (this.incremental) {
+        this.unusedExportsResult = Object.fromEntries(
+          Object.entries(result.unusedExports).map(([file, exports]) => [resolve(file), exports])
+        );
+      }
 
       // 处理结果
       const unusedTypes = [];
-      for (const [filePath, exports] of Object.entries(result)) {
-        exports.forEach((exportName) => {
+      const reported = new Set();
+      this.unimportedExports = new Set();
+      for (const [filePath, exports] of Object.entries(result.unusedExports)) {
+        exports.forEach(({ exportName }) => {
+          const declared = this.types.definitions.get(
+            this.getDefinitionId(resolve(filePath), exportName)
+          );
+          if (declared) this.unimportedExports.add(declared.id);
+
+          const definition = this.findExportedDefinition(
+            resolve(filePath),
+            exportName
+          );
           if (
-            this.types.definitions.has(exportName) &&
-            !this.isCommonType(exportName)
+            definition &&
+            !reported.has(definition.id) &&
+            !this.isCommonType(definition.name) &&
+            !this.hasUsages(definition)
           ) {
-            const definition = this.types.definitions.get(exportName);
+            reported.add(definition.id);
             unusedTypes.push({
-              name: exportName,
+              name: definition.name,
               type: definition.kind,
               file: this.relativePath(definition.file),
               line: definition.line,
@@ -128,25 +372,121 @@ export class TypeAnalyzer {
         });
       }
 
+      // 以导出列表（export { A }）导出的类型两种检测都会报告，只保留一次
+      unusedTypes.push(...this.basicUnusedDetection(reported));
+
       this.log(`🎯 检测到 ${unusedTypes.length} 个未使用类型`);
       return unusedTypes;
     } catch (error) {
-      this.log(`⚠️ 专业库检测失败，使用基础检测`);
+      this.log(`⚠️ 专业库检测失败，使用基础检测: ${error.message || error}`);
       return this.basicUnusedDetection();
     }
   }
 
-  // 基础未使用检测（备用）
-  basicUnusedDetection() {
+  // 增量模式：未受影响的文件沿用上次的结果；受影响的文件，以及它们修改前后引用的类型所在的文件，
+  // 按收集到的引用重新判断（没有被其他文件引用的导出类型视为未被导入）
+  updateUnusedExports(files) {
+    const current = new Set(files);
+    const stale = new Set([
+      ...this.affectedFiles,
+      ...this.staleUsageTargets,
+      ...this.getUsageTargets(this.affectedFiles),
+    ]);
+
+    const unusedExports = {};
+    for (const [file, exports] of Object.entries(this.unusedExportsResult)) {
+      if (current.has(file) && !stale.has(file)) unusedExports[file] = exports;
+    }
+    for (const definition of this.types.definitions.values()) {
+      const file = resolve(definition.file);
+      if (!definition.isExported || !current.has(file) || !stale.has(file)) continue;
+      const usages = this.types.usages.get(definition.id) || [];
+      if (usages.some((usage) => usage.file !== definition.file)) continue;
+      (unusedExports[file] ||= []).push({ exportName: definition.name });
+    }
+
+    this.log(`♻️ 重新检测 ${stale.size} 个文件的未使用导出`);
+    return unusedExports;
+  }
+
+  // 文件中记录的类型引用指向的声明所在的文件
+  getUsageTargets(files) {
+    const targets = new Set();
+    for (const file of files) {
+      for (const { id } of this.usageCache.get(file) || []) {
+        targets.add(resolve(id.slice(0, id.lastIndexOf("#"))));
+      }
+    }
+    return targets;
+  }
+
+  // 沿 export * / export { A } from 的转导出链查找声明（如包入口 index.ts 转导出的类型）
+  findExportedDefinition(file, name, seen = new Set()) {
+    const direct = this.types.definitions.get(this.getDefinitionId(file, name));
+    if (direct) return direct;
+    if (seen.has(file) || file.endsWith(".vue")) return null;
+    seen.add(file);
+
+    let sourceFile;
+    try {
+      sourceFile = ts.createSourceFile(
+        file,
+        readFileSync(file, "utf8"),
+        ts.ScriptTarget.Latest
+      );
+    } catch (error) {
+      return null;
+    }
+
+    for (const statement of sourceFile.statements) {
+      if (
+        !ts.isExportDeclaration(statement) ||
+        !statement.moduleSpecifier ||
+        !ts.isStringLiteral(statement.moduleSpecifier)
+      ) {
+        continue;
+      }
+
+      const target = this.resolveModulePath(statement.moduleSpecifier.text, file);
+      if (!target) continue;
+
+      if (!statement.exportClause) {
+        const found = this.findExportedDefinition(target, name, seen);
+        if (found) return found;
+      } else if (ts.isNamedExports(statement.exportClause)) {
+        const element = statement.exportClause.elements.find(
+          (el) => el.name.text === name
+        );
+        if (element) {
+          return this.findExportedDefinition(
+            target,
+            (element.propertyName || element.name).text,
+            seen
+          );
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // ts-unused-exports 不解析 .vue 文件，也不统计文件内部的引用，需要用收集到的引用再确认
+  hasUsages(definition) {
+    return (this.types.usages.get(definition.id) || []).length > 0;
+  }
+
+  // 基础未使用检测（备用）：默认只检测未导出的类型，exported 时导出的类型也以收集到的引用判断
+  basicUnusedDetection(reported = new Set(), { exported = false } = {}) {
     const unused = [];
-    for (const [typeName, definition] of this.types.definitions) {
+    for (const definition of this.types.definitions.values()) {
       if (
-        !definition.isExported &&
-        !this.isCommonType(typeName) &&
-        (this.types.usages.get(typeName) || []).length === 0
+        (exported || !definition.isExported) &&
+        !reported.has(definition.id) &&
+        !this.isCommonType(definition.name) &&
+        (this.types.usages.get(definition.id) || []).length === 0
       ) {
         unused.push({
-          name: typeName,
+          name: definition.name,
           type: definition.kind,
           file: this.relativePath(definition.file),
           line: definition.line,
@@ -157,109 +497,430 @@ export class TypeAnalyzer {
     return unused;
   }
 
-  // 扫描源文件
+  // 按 include / exclude 扫描源文件，读取失败的文件记录到 skippedFiles
   scanSourceFiles() {
-    if (!existsSync(this.srcDir)) {
-      throw new Error(`src 目录不存在: ${this.srcDir}`);
+    const { files, skipped, missing, allMissing } = scanFiles(this.rootDir, {
+      include: this.include,
+      exclude: this.exclude,
+      gitignore: this.gitignore,
+      filter: (file) => this.isSourceFile(file),
+    });
+
+    if (allMissing) {
+      throw new Error(`源码目录不存在: ${missing.join(", ")}`);
     }
+    missing.forEach((dir) => this.log(`⚠️ 目录不存在，已跳过: ${dir}`));
 
-    this.sourceFiles = this.walkDirectory(this.srcDir)
-      .filter((file) => /\.(ts|tsx|vue)$/.test(file))
-      .filter(
-        (file) =>
-          !file.includes(".d.ts") &&
-          !file.includes("node_modules") &&
-          !this.isStoreFile(file)
-      );
+    this.sourceFiles = files;
+    this.sourceFileSet = new Set(files);
+    this.skippedFiles.push(...skipped);
 
     this.log(`📁 找到 ${this.sourceFiles.length} 个源文件`);
+    if (skipped.length > 0) {
+      this.log(`⚠️ ${skipped.length} 个文件读取失败，已跳过`);
+    }
   }
 
-  walkDirectory(dir) {
-    const files = [];
-    try {
-      const items = readdirSync(dir);
-      for (const item of items) {
-        if (item.startsWith(".")) continue;
+  isSourceFile(file) {
+    if (!/\.(ts|tsx|vue)$/.test(file)) return false;
+    if (/\.d\.ts$/.test(file) && !this.declarationFiles) return false;
+    return !this.isStoreFile(file);
+  }
 
-        const fullPath = join(dir, item);
-        const stat = statSync(fullPath);
+  // 发现工作区中的包，未指定 include 时扫描每个包的源码目录
+  loadWorkspace() {
+    this.workspace = findWorkspace(this.rootDir);
+    if (!this.workspace) {
+      throw new Error(
+        "未找到工作区配置（pnpm-workspace.yaml、package.json workspaces 或 tsconfig references）"
+      );
+    }
+    if (this.workspace.packages.length === 0) {
+      throw new Error(`${this.workspace.source} 中未匹配到任何包`);
+    }
+
+    if (!this.customInclude) {
+      this.include = this.workspace.packages.map(
+        (pkg) => `${pkg.relativeSrcDir}/**/*`
+      );
+    }
+    this.log(
+      `📦 工作区（${this.workspace.source}）: ${this.workspace.packages.length} 个包`
+    );
+  }
+
+  // 加载项目 tsconfig.json（含 extends 与 references）
+  loadTsConfig() {
+    if (this.workspace && !this.project) {
+      this.loadWorkspaceTsConfigs();
+      return;
+    }
+
+    const configPath = findTsConfig(this.rootDir, this.project);
+    if (!configPath) {
+      this.log("⚠️ 未找到 tsconfig.json，使用默认编译选项");
+      this.projects = [];
+      return;
+    }
+
+    this.projects = loadProjects(configPath);
+    this.log(
+      `⚙️ 使用 ${this.relativePath(configPath)}（${this.projects.length} 个项目）`
+    );
+  }
+
+  // 工作区模式：根目录与各个包的 tsconfig 一起加载，同一配置只加载一次
+  loadWorkspaceTsConfigs() {
+    const configPaths = [
+      findTsConfig(this.rootDir),
+      ...this.workspace.packages.map((pkg) => pkg.tsconfig),
+    ].filter(Boolean);
+
+    const loaded = new Map();
+    for (const configPath of configPaths) {
+      if (loaded.has(resolve(configPath))) continue;
+      for (const project of loadProjects(configPath)) {
+        if (!loaded.has(project.configPath)) {
+          loaded.set(project.configPath, project);
+        }
+      }
+    }
+
+    this.projects = Array.from(loaded.values());
+    this.log(`⚙️ 加载 ${this.projects.length} 个 tsconfig 项目`);
+  }
+
+  // 每个 tsconfig 项目各自创建 TypeScript 程序，未被任何项目包含的源文件使用默认配置
+  createTSPrograms() {
+    const tsFiles = this.sourceFiles.map((f) => resolve(f));
+    const tsFileSet = new Set(tsFiles);
+    const covered = new Set();
+    const programs = [];
+
+    for (const project of this.projects) {
+      if (!project.fileNames.some((f) => tsFileSet.has(f))) continue;
+
+      // 不传入 projectReferences 且关闭 composite，引用其他子项目时直接分析源码而不依赖构建产物
+      programs.push(
+        this.createProgram(
+          project.fileNames,
+          { ...project.options, composite: false },
+          project.configPath
+        )
+      );
+      project.fileNames.forEach((f) => covered.add(f));
+    }
+
+    const rest = tsFiles.filter((f) => !covered.has(f));
+    if (rest.length > 0) {
+      programs.push(
+        this.createProgram(rest, this.getCompilerOptions(), "<default>")
+      );
+    }
+
+    return programs;
+  }
+
+  // .vue 文件以虚拟 TS 文件的形式加入程序
+  createProgram(files, options, key) {
+    const rootNames = files
+      .map((file) => (file.endsWith(".vue") ? this.getVirtualFileName(file) : file))
+      .filter(Boolean);
+    const host = this.createCompilerHost(options);
+
+    if (!this.useBuilder) {
+      return ts.createProgram({ rootNames, options, host });
+    }
 
-        if (stat.isDirectory()) {
-          files.push(...this.walkDirectory(fullPath));
+    // 基于上一次的 BuilderProgram 创建，未修改的文件直接复用，诊断信息按文件缓存
+    const builder = ts.createSemanticDiagnosticsBuilderProgram(
+      rootNames,
+      options,
+      host,
+      this.builders.get(key)
+    );
+    this.builders.set(key, builder);
+
+    const program = builder.getProgram();
+    this.builderPrograms.set(program, builder);
+    return program;
+  }
+
+  // 增量模式：依次取出受影响的文件（首次分析时为全部文件），同时完成这些文件的语义检查
+  collectAffectedFiles(programs) {
+    if (!this.incremental) return null;
+
+    const affected = new Set();
+    let all = false;
+    for (const program of programs) {
+      const builder = this.builderPrograms.get(program);
+      // 项目外的文件（lib.d.ts、node_modules 等）不需要检查
+      const ignore = (sourceFile) => !this.isProjectFile(this.getSourcePath(sourceFile.fileName));
+
+      let result;
+      while ((result = builder.getSemanticDiagnosticsOfNextAffectedFile(undefined, ignore))) {
+        // 编译选项变化等情况下整个程序都受影响
+        if (result.affected.kind === ts.SyntaxKind.SourceFile) {
+          affected.add(this.getSourcePath(result.affected.fileName));
         } else {
-          files.push(fullPath);
+          all = true;
         }
       }
-    } catch (error) {}
-    return files;
-  }
-
-  // 创建 TypeScript 程序
-  createTSProgram() {
-    const tsFiles = this.sourceFiles.filter((f) => /\.(ts|tsx)$/.test(f));
-    const compilerOptions = {
-      target: ts.ScriptTarget.ES2020,
-      module: ts.ModuleKind.ESNext,
-      moduleResolution: ts.ModuleResolutionKind.NodeJs,
-      skipLibCheck: true,
-      noEmit: true,
-      allowJs: true,
-      jsx: ts.JsxEmit.Preserve,
+    }
+
+    this.log(`♻️ 受影响的文件: ${all ? "全部" : affected.size}`);
+    return all ? null : affected;
+  }
+
+  createCompilerHost(options) {
+    const host = ts.createCompilerHost(options, true);
+    const getSourceFile = host.getSourceFile.bind(host);
+
+    // 虚拟文件只通过 getSourceFile 提供，不影响 "./Comp.vue" 的模块解析（仍走 shims）
+    const createSourceFile = (fileName, languageVersion, onError, shouldCreate) => {
+      if (!this.isVirtualFileName(fileName)) {
+        return getSourceFile(fileName, languageVersion, onError, shouldCreate);
+      }
+
+      const virtual = this.getVueVirtualFile(this.getSourcePath(fileName));
+      return virtual
+        ? ts.createSourceFile(
+            fileName,
+            virtual.content,
+            languageVersion,
+            true,
+            virtual.scriptKind
+          )
+        : undefined;
+    };
+
+    host.getSourceFile = (fileName, languageVersion, onError, shouldCreate) => {
+      if (!this.useBuilder) {
+        return createSourceFile(fileName, languageVersion, onError, shouldCreate);
+      }
+
+      // 增量/缓存模式：返回同一个 SourceFile 对象，TypeScript 才能复用；version 供 BuilderProgram 判断文件是否变化
+      const cacheKey = resolve(fileName);
+      const versionKey = JSON.stringify(languageVersion);
+      const cached = this.sourceFileCache.get(cacheKey);
+      if (cached?.has(versionKey)) return cached.get(versionKey);
+
+      const sourceFile = createSourceFile(fileName, languageVersion, onError, shouldCreate);
+      if (sourceFile) {
+        sourceFile.version = createHash("sha1").update(sourceFile.text).digest("hex");
+        if (!cached) this.sourceFileCache.set(cacheKey, new Map());
+        this.sourceFileCache.get(cacheKey).set(versionKey, sourceFile);
+      }
+      return sourceFile;
     };
 
-    return ts.createProgram(tsFiles, compilerOptions);
+    // 工作区模式：包名导入解析到包内源码，不依赖 node_modules 链接和构建产物
+    if (this.workspace) {
+      host.resolveModuleNames = (moduleNames, containingFile) =>
+        moduleNames.map((moduleName) => {
+          const file = resolveWorkspaceImport(moduleName, this.workspace);
+          if (file && !file.endsWith(".vue")) {
+            return {
+              resolvedFileName: file,
+              extension: ts.extensionFromPath(file),
+              isExternalLibraryImport: false,
+            };
+          }
+          return ts.resolveModuleName(moduleName, containingFile, options, host)
+            .resolvedModule;
+        });
+    }
+
+    return host;
   }
 
-  // 收集类型定义
-  collectTypeDefinitions(program) {
-    // 处理 TS/TSX 文件
-    if (program) {
+  getVueVirtualFile(file) {
+    const fullPath = resolve(file);
+    if (!this.vueFiles.has(fullPath)) {
+      let virtual = null;
+      try {
+        virtual = createVirtualScript(readFileSync(fullPath, "utf8"));
+      } catch (error) {
+        this.log(`⚠️ 解析 Vue 文件失败: ${this.relativePath(fullPath)}`);
+        this.skippedFiles.push({
+          file: this.relativePath(fullPath),
+          reason: error.message,
+        });
+      }
+      this.vueFiles.set(fullPath, virtual);
+    }
+    return this.vueFiles.get(fullPath);
+  }
+
+  getVirtualFileName(file) {
+    const virtual = this.getVueVirtualFile(file);
+    if (!virtual) return null;
+    return `${resolve(file)}${
+      virtual.scriptKind === ts.ScriptKind.TSX ? ".tsx" : ".ts"
+    }`;
+  }
+
+  isVirtualFileName(fileName) {
+    return /\.vue\.tsx?$/.test(fileName);
+  }
+
+  // 将程序中的文件名（可能是虚拟文件）还原为磁盘上的源文件路径
+  getSourcePath(fileName) {
+    return resolve(
+      this.isVirtualFileName(fileName)
+        ? fileName.replace(/\.tsx?$/, "")
+        : fileName
+    );
+  }
+
+  // 虚拟文件末尾追加的声明（泛型参数、编译宏）映射回 <script> 标签所在行
+  mapVirtualLine(sourceFile, position, line) {
+    if (!this.isVirtualFileName(sourceFile.fileName)) return line;
+
+    const virtual = this.getVueVirtualFile(this.getSourcePath(sourceFile.fileName));
+    if (!virtual || position < virtual.generatedStart) return line;
+    return virtual.genericLine || 1;
+  }
+
+  isGeneratedNode(sourceFile, node) {
+    if (!this.isVirtualFileName(sourceFile.fileName)) return false;
+
+    const virtual = this.getVueVirtualFile(this.getSourcePath(sourceFile.fileName));
+    return !!virtual && node.getStart(sourceFile) >= virtual.generatedStart;
+  }
+
+  // 每个项目文件只取第一个包含它的程序，避免重复统计
+  getProjectSourceFiles(programs) {
+    const seen = new Set();
+    const result = [];
+
+    for (const program of programs) {
       for (const sourceFile of program.getSourceFiles()) {
-        if (this.isProjectFile(sourceFile.fileName)) {
+        const file = this.getSourcePath(sourceFile.fileName);
+        if (seen.has(file) || !this.isProjectFile(file)) continue;
+        seen.add(file);
+        result.push({ program, sourceFile });
+      }
+    }
+
+    return result;
+  }
+
+  getPrimaryProject() {
+    let primary = null;
+    let maxCount = 0;
+
+    for (const project of this.projects) {
+      const count = project.fileNames.filter((f) => this.isProjectFile(f)).length;
+      if (count > maxCount) {
+        primary = project;
+        maxCount = count;
+      }
+    }
+
+    return primary || this.projects[0] || null;
+  }
+
+  // 文件所属项目的编译选项，不传文件时返回主项目的编译选项
+  getCompilerOptions(file) {
+    if (file) {
+      const fullPath = resolve(file);
+      const project = this.projects.find((p) => p.fileNames.includes(fullPath));
+      if (project) return project.options;
+    }
+
+    const primary = this.getPrimaryProject();
+    return primary ? primary.options : DEFAULT_COMPILER_OPTIONS;
+  }
+
+  // 读取磁盘缓存，并计算每个文件的内容哈希与依赖签名
+  loadCache(programs) {
+    if (!this.cache) return;
+
+    if (!this.cache.loaded) {
+      this.log(this.cache.load() ? "🗄️ 已加载分析缓存" : "🗄️ 缓存为空或已失效");
+    }
+
+    const signatures = [];
+    for (const { program, sourceFile } of this.getProjectSourceFiles(programs)) {
+      const file = this.getSourcePath(sourceFile.fileName);
+      const builder = this.builderPrograms.get(program);
+      // 签名包含编译选项以及文件自身和所有（传递）依赖的版本，任何一个变化都需要重新分析
+      const dependencies = builder
+        .getAllDependencies(sourceFile)
+        .map((fileName) => `${fileName}:${program.getSourceFile(fileName)?.version}`)
+        .sort();
+      const signature = createHash("sha1")
+        .update(JSON.stringify(program.getCompilerOptions()))
+        .update(dependencies.join("\n"))
+        .digest("hex");
+
+      this.fileSignatures.set(file, { hash: sourceFile.version, signature });
+      signatures.push(`${file}:${signature}`);
+    }
+
+    this.projectSignature = createHash("sha1")
+      .update(signatures.sort().join("\n"))
+      .digest("hex");
+  }
+
+  saveCache() {
+    if (!this.cache) return;
+
+    const total = this.fileSignatures.size;
+    this.log(`🗄️ 缓存命中 ${this.cache.hits} 次（${total} 个文件）`);
+    try {
+      this.cache.save();
+    } catch (error) {
+      this.log(`⚠️ 缓存写入失败: ${error.message}`);
+    }
+  }
+
+  // 收集类型定义
+  collectTypeDefinitions(programs) {
+    // TS/TSX 文件以及 Vue 文件对应的虚拟文件
+    const files = new Set();
+    for (const { sourceFile } of this.getProjectSourceFiles(programs)) {
+      const file = this.getSourcePath(sourceFile.fileName);
+      files.add(file);
+      const { hash } = this.fileSignatures.get(file) || {};
+      // 增量模式下未修改的文件仍是同一个 SourceFile，直接复用上次提取的定义
+      const previous = this.definitionCache.get(file);
+      try {
+        const definitions =
+          (previous?.sourceFile === sourceFile && previous.definitions) ||
+          this.cache?.getDefinitions(file, hash) ||
           this.extractDefinitionsFromFile(sourceFile);
+        definitions.forEach((typeInfo) => this.addTypeDefinition(typeInfo));
+        this.cache?.update(file, { hash, definitions });
+        if (this.incremental) {
+          this.definitionCache.set(file, { sourceFile, definitions });
         }
+      } catch (error) {
+        this.definitionCache.delete(file);
+        this.skipFile(sourceFile, error);
       }
     }
 
-    // 处理 Vue 文件
-    this.sourceFiles
-      .filter((file) => file.endsWith(".vue"))
-      .forEach((file) => this.extractDefinitionsFromVue(file));
+    // 已删除的文件不再保留
+    for (const file of this.definitionCache.keys()) {
+      if (!files.has(file)) this.definitionCache.delete(file);
+    }
 
     this.log(`🎯 收集到 ${this.types.definitions.size} 个类型定义`);
   }
 
   extractDefinitionsFromFile(sourceFile) {
+    const definitions = [];
     const visit = (node) => {
       const typeInfo = this.getTypeInfo(node, sourceFile);
       if (typeInfo) {
-        this.types.definitions.set(typeInfo.name, typeInfo);
+        definitions.push(typeInfo);
       }
       ts.forEachChild(node, visit);
     };
     visit(sourceFile);
-  }
-
-  extractDefinitionsFromVue(filePath) {
-    try {
-      const content = readFileSync(filePath, "utf8");
-      const scriptMatch = content.match(
-        /<script[^>]*lang=["']ts["'][^>]*>([\s\S]*?)<\/script>/i
-      );
-
-      if (scriptMatch) {
-        const tempSourceFile = ts.createSourceFile(
-          filePath,
-          scriptMatch[1],
-          ts.ScriptTarget.Latest,
-          true
-        );
-        this.extractDefinitionsFromFile(tempSourceFile);
-      }
-    } catch (error) {
-      this.log(`⚠️ 解析 Vue 文件失败: ${filePath}`);
-    }
+    return definitions;
   }
 
   getTypeInfo(node, sourceFile) {
@@ -282,183 +943,878 @@ export class TypeAnalyzer {
     }
 
     if (!name || this.isBuiltinType(name)) return null;
+    if (this.isGeneratedNode(sourceFile, node)) return null;
 
+    const file = this.getSourcePath(sourceFile.fileName);
     return {
+      id: this.getDefinitionId(file, name),
       name,
       kind,
-      file: resolve(sourceFile.fileName),
+      file,
       line: this.getLineNumber(sourceFile, node),
       isExported: this.hasExportModifier(node),
+      members: getTypeMembers(node, sourceFile),
+      generics: getGenericNesting(node, sourceFile),
+      // JSDoc @public：有意导出的 API
+      isPublic: ts
+        .getJSDocTags(node)
+        .some((tag) => tag.tagName.text === "public"),
     };
   }
 
   // 收集类型使用
-  collectTypeUsages(program) {
-    if (program) {
-      for (const sourceFile of program.getSourceFiles()) {
-        if (this.isProjectFile(sourceFile.fileName)) {
-          this.extractUsagesFromFile(sourceFile);
+  collectTypeUsages(programs) {
+    const checkers = new Map();
+    let reused = 0;
+    const sourceFiles = this.getProjectSourceFiles(programs);
+    const files = new Set(
+      sourceFiles.map(({ sourceFile }) => this.getSourcePath(sourceFile.fileName))
+    );
+
+    // 受影响（或已删除）的文件修改前引用的类型，其所在文件的未使用导出需要重新判断
+    if (this.affectedFiles) {
+      const previous = Array.from(this.usageCache.keys()).filter(
+        (file) => this.affectedFiles.has(file) || !files.has(file)
+      );
+      this.getUsageTargets(previous).forEach((target) => this.staleUsageTargets.add(target));
+    }
+
+    for (const { program, sourceFile } of sourceFiles) {
+      const file = this.getSourcePath(sourceFile.fileName);
+
+      // 增量模式下未受影响的文件、缓存模式下签名未变的文件沿用上次的结果，声明已删除的引用丢弃
+      const { signature } = this.fileSignatures.get(file) || {};
+      const cached =
+        this.affectedFiles && !this.affectedFiles.has(file)
+          ? this.usageCache.get(file)
+          : this.cache?.getUsages(file, signature);
+      if (cached) {
+        cached.forEach(({ id, usage }) => {
+          const definition = this.types.definitions.get(id);
+          if (definition) this.addUsage(definition, usage);
+        });
+        this.usageCache.set(file, cached);
+        this.cache?.update(file, { signature, usages: cached });
+        reused++;
+        continue;
+      }
+
+      if (!checkers.has(program)) {
+        checkers.set(program, program.getTypeChecker());
+      }
+      this.recordedUsages = this.useBuilder ? [] : null;
+      try {
+        this.extractUsagesFromFile(sourceFile, checkers.get(program));
+        if (this.recordedUsages) {
+          this.usageCache.set(file, this.recordedUsages);
+          this.cache?.update(file, { signature, usages: this.recordedUsages });
         }
+      } catch (error) {
+        this.usageCache.delete(file);
+        this.skipFile(sourceFile, error);
       }
+      this.recordedUsages = null;
     }
 
-    // 处理 Vue 文件
-    this.sourceFiles
-      .filter((file) => file.endsWith(".vue"))
-      .forEach((file) => this.extractUsagesFromVue(file));
+    if (this.useBuilder) {
+      for (const file of this.usageCache.keys()) {
+        if (!files.has(file)) this.usageCache.delete(file);
+      }
+      this.log(`♻️ 复用 ${reused} 个未受影响文件的类型引用`);
+    }
 
-    this.log(
-      `🔗 收集到 ${
-        Array.from(this.types.usages.values()).flat().length
-      } 个类型引用`
-    );
+    this.log(`🔗 收集到 ${this.countUsages()} 个类型引用`);
+    if (this.verbose) {
+      const kinds = Object.entries(this.countUsagesByKind())
+        .map(([kind, count]) => `${kind} ${count}`)
+        .join(", ");
+      if (kinds) this.log(`   ${kinds}`);
+    }
   }
 
-  extractUsagesFromFile(sourceFile) {
-    const visit = (node) => {
-      // 简化的类型使用检测
-      if (ts.isTypeReferenceNode(node) && ts.isIdentifier(node.typeName)) {
-        const typeName = node.typeName.text;
-        if (!this.isBuiltinType(typeName)) {
-          this.addTypeUsage(typeName, {
-            file: resolve(sourceFile.fileName),
-            line: this.getLineNumber(sourceFile, node),
-          });
+  // 通过 TypeChecker 将标识符解析到具体的声明（跟随导入别名），并记录引用方式
+  extractUsagesFromFile(sourceFile, checker) {
+    const file = this.getSourcePath(sourceFile.fileName);
+    const imports = this.collectImports(sourceFile);
+
+    // Vue 模板表达式中的类型断言（不在 TS 程序中，按名称解析）
+    if (this.isVirtualFileName(sourceFile.fileName)) {
+      const virtual = this.getVueVirtualFile(file);
+      for (const reference of virtual?.templateTypeReferences || []) {
+        if (!this.isBuiltinType(reference.name)) {
+          this.addTypeUsage(
+            reference.name,
+            { file, line: reference.line, kind: "template" },
+            imports
+          );
         }
       }
+    }
 
-      // 类型断言
-      if (ts.isAsExpression(node) && ts.isTypeReferenceNode(node.type)) {
-        if (ts.isIdentifier(node.type.typeName)) {
-          const typeName = node.type.typeName.text;
-          if (!this.isBuiltinType(typeName)) {
-            this.addTypeUsage(typeName, {
-              file: resolve(sourceFile.fileName),
-              line: this.getLineNumber(sourceFile, node),
-            });
-          }
-        }
+    // 只解析可能指向自定义类型的标识符：已知类型名以及导入绑定（可能是别名）
+    const candidates = new Set([
+      ...this.types.definitionsByName.keys(),
+      ...this.collectImportBindings(sourceFile),
+    ]);
+
+    const visit = (node) => {
+      if (ts.isIdentifier(node) && candidates.has(node.text)) {
+        this.recordIdentifierUsage(node, sourceFile, checker, imports, file);
       }
 
+      // JSDoc 中的类型（@type、@param 等）不在普通子节点中
+      if (node.jsDoc) {
+        node.jsDoc.forEach(visit);
+      }
       ts.forEachChild(node, visit);
     };
     visit(sourceFile);
   }
 
-  extractUsagesFromVue(filePath) {
+  recordIdentifierUsage(node, sourceFile, checker, imports, file) {
+    if (this.isDeclarationName(node)) return;
+
+    const definitions = this.resolveIdentifierDefinitions(node, checker, imports);
+    if (definitions.length === 0) return;
+
+    const usage = {
+      file,
+      line: this.getLineNumber(sourceFile, node),
+      name: node.text,
+      kind: this.isGeneratedNode(sourceFile, node)
+        ? "constraint"
+        : this.getUsageKind(node),
+    };
+    // 引用所在的类型声明，用于类型之间的依赖关系
+    const owner = this.getEnclosingTypeName(node);
+    if (owner) usage.owner = owner;
+
+    for (const definition of definitions) {
+      // 类型在自身声明内部的引用（如递归类型）不计入
+      if (definition.file === file && this.isInsideDeclaration(node, definition)) {
+        continue;
+      }
+      this.addUsage(definition, usage);
+    }
+  }
+
+  // 符号解析失败（如模块未解析、.vue 文件走 shims）时，退回到导入语句指向的文件查找
+  resolveIdentifierDefinitions(node, checker, imports) {
+    let symbol = null;
     try {
-      const content = readFileSync(filePath, "utf8");
-      const scriptMatch = content.match(
-        /<script[^>]*lang=["']ts["'][^>]*>([\s\S]*?)<\/script>/i
-      );
+      symbol = checker.getSymbolAtLocation(node);
+      if (symbol && symbol.flags & ts.SymbolFlags.Alias) {
+        symbol = checker.getAliasedSymbol(symbol);
+      }
+    } catch (error) {
+      symbol = null;
+    }
 
-      if (scriptMatch) {
-        const tempSourceFile = ts.createSourceFile(
-          filePath,
-          scriptMatch[1],
-          ts.ScriptTarget.Latest,
-          true
-        );
-        this.extractUsagesFromFile(tempSourceFile);
+    const definitions = [];
+    for (const declaration of symbol?.declarations || []) {
+      const definition = this.getDeclarationDefinition(declaration);
+      if (definition && !definitions.includes(definition)) {
+        definitions.push(definition);
+      }
+    }
+    if (definitions.length > 0) return definitions;
+
+    const imported = imports.get(node.text);
+    if (imported && this.isImportedReference(node)) {
+      const definition = this.findExportedDefinition(imported.file, imported.name);
+      if (definition) return [definition];
+    }
+    return [];
+  }
+
+  getDeclarationDefinition(declaration) {
+    if (
+      !ts.isInterfaceDeclaration(declaration) &&
+      !ts.isTypeAliasDeclaration(declaration) &&
+      !ts.isEnumDeclaration(declaration)
+    ) {
+      return null;
+    }
+
+    const file = this.getSourcePath(declaration.getSourceFile().fileName);
+    return (
+      this.types.definitions.get(
+        this.getDefinitionId(file, declaration.name.text)
+      ) || null
+    );
+  }
+
+  // 引用方式：由标识符向上查找最近的语法上下文
+  getUsageKind(node) {
+    let child = node;
+    for (let parent = node.parent; parent; child = parent, parent = parent.parent) {
+      if (parent.typeArguments?.includes(child)) return "generic-argument";
+
+      switch (parent.kind) {
+        case ts.SyntaxKind.TypeParameter:
+          if (parent.default === child) return "generic-default";
+          if (parent.constraint === child) return "constraint";
+          break;
+        case ts.SyntaxKind.HeritageClause:
+          return parent.token === ts.SyntaxKind.ImplementsKeyword
+            ? "implements"
+            : "extends";
+        case ts.SyntaxKind.AsExpression:
+        case ts.SyntaxKind.TypeAssertionExpression:
+          if (parent.type === child) return "assertion";
+          break;
+        case ts.SyntaxKind.SatisfiesExpression:
+          if (parent.type === child) return "satisfies";
+          break;
+        case ts.SyntaxKind.TypeQuery:
+          return "typeof";
+        case ts.SyntaxKind.TypeOperator:
+          if (parent.operator === ts.SyntaxKind.KeyOfKeyword) return "keyof";
+          break;
+        case ts.SyntaxKind.JSDoc:
+          return "jsdoc";
+      }
+
+      if (ts.isStatement(parent) || ts.isSourceFile(parent)) break;
+    }
+
+    return this.isTypePosition(node) ? "annotation" : "value";
+  }
+
+  isTypePosition(node) {
+    for (let current = node.parent; current; current = current.parent) {
+      if (ts.isTypeNode(current)) return true;
+      if (ts.isExpression(current) || ts.isStatement(current)) return false;
+    }
+    return false;
+  }
+
+  // 声明自身的名称以及 import/export 语句中的名称不算引用
+  isDeclarationName(node) {
+    const parent = node.parent;
+    if (!parent) return true;
+    if (parent.name === node && ts.isDeclarationStatement(parent)) return true;
+    return (
+      ts.isImportSpecifier(parent) ||
+      ts.isImportClause(parent) ||
+      ts.isNamespaceImport(parent) ||
+      ts.isImportEqualsDeclaration(parent) ||
+      ts.isExportSpecifier(parent)
+    );
+  }
+
+  // 标识符是否直接引用导入绑定（排除属性名、成员访问右侧等同名标识符）
+  isImportedReference(node) {
+    const parent = node.parent;
+    if (ts.isQualifiedName(parent)) return parent.left === node;
+    if (ts.isPropertyAccessExpression(parent)) return parent.expression === node;
+    return parent.name !== node;
+  }
+
+  getEnclosingTypeName(node) {
+    let current = node.parent;
+    while (current) {
+      if (
+        ts.isInterfaceDeclaration(current) ||
+        ts.isTypeAliasDeclaration(current) ||
+        ts.isEnumDeclaration(current)
+      ) {
+        return current.name.text;
+      }
+      current = current.parent;
+    }
+    return null;
+  }
+
+  isInsideDeclaration(node, definition) {
+    let current = node.parent;
+    while (current) {
+      if (
+        (ts.isInterfaceDeclaration(current) ||
+          ts.isTypeAliasDeclaration(current) ||
+          ts.isEnumDeclaration(current)) &&
+        current.name.text === definition.name
+      ) {
+        return true;
+      }
+      current = current.parent;
+    }
+    return false;
+  }
+
+  collectImportBindings(sourceFile) {
+    const names = [];
+    for (const statement of sourceFile.statements) {
+      if (ts.isImportEqualsDeclaration(statement)) {
+        names.push(statement.name.text);
+        continue;
+      }
+      const clause = ts.isImportDeclaration(statement) && statement.importClause;
+      if (!clause) continue;
+
+      if (clause.name) names.push(clause.name.text);
+      const bindings = clause.namedBindings;
+      if (bindings && ts.isNamespaceImport(bindings)) {
+        names.push(bindings.name.text);
+      } else if (bindings) {
+        bindings.elements.forEach((element) => names.push(element.name.text));
       }
-    } catch (error) {}
+    }
+    return names;
+  }
+
+
+  // 收集文件的 import 绑定：本地名 -> { 来源文件, 导入名 }
+  collectImports(sourceFile) {
+    const imports = new Map();
+
+    for (const statement of sourceFile.statements) {
+      if (
+        !ts.isImportDeclaration(statement) ||
+        !statement.importClause ||
+        !ts.isStringLiteral(statement.moduleSpecifier)
+      ) {
+        continue;
+      }
+
+      const from = this.resolveModulePath(
+        statement.moduleSpecifier.text,
+        sourceFile.fileName
+      );
+      if (!from) continue;
+
+      const bindings = statement.importClause.namedBindings;
+      if (bindings && ts.isNamedImports(bindings)) {
+        for (const element of bindings.elements) {
+          imports.set(element.name.text, {
+            file: from,
+            name: (element.propertyName || element.name).text,
+          });
+        }
+      }
+    }
+
+    return imports;
+  }
+
+  resolveModulePath(specifier, containingFile) {
+    if (specifier.startsWith(".") && specifier.endsWith(".vue")) {
+      return resolve(dirname(containingFile), specifier);
+    }
+
+    // 工作区包优先解析到源码，而不是 node_modules 中的构建产物
+    if (this.workspace) {
+      const file = resolveWorkspaceImport(specifier, this.workspace);
+      if (file) return file;
+    }
+
+    const { resolvedModule } = ts.resolveModuleName(
+      specifier,
+      containingFile,
+      this.getCompilerOptions(containingFile),
+      ts.sys
+    );
+    return resolvedModule ? resolve(resolvedModule.resolvedFileName) : null;
   }
 
   // 收集类型错误
-  collectTypeErrors(program) {
-    if (!program) return;
+  collectTypeErrors(programs) {
+    for (const { program, sourceFile } of this.getProjectSourceFiles(programs)) {
+      const file = this.getSourcePath(sourceFile.fileName);
+      const { signature } = this.fileSignatures.get(file) || {};
+      const errors =
+        this.cache?.getErrors(file, signature) ||
+        this.getFileErrors(program, sourceFile);
+      this.cache?.update(file, { signature, errors });
+      for (const error of errors) {
+        (error.ignoredBy === undefined ? this.types.errors : this.types.ignored).push(error);
+      }
+    }
 
-    const diagnostics = ts.getPreEmitDiagnostics(program);
+    this.log(`🚨 发现 ${this.types.errors.length} 个类型错误`);
+    if (this.types.ignored.length > 0) {
+      this.log(`🙈 忽略规则匹配 ${this.types.ignored.length} 个诊断`);
+    }
+  }
 
+  // 增量模式下语义诊断由 BuilderProgram 缓存，未受影响的文件不会重新检查
+  getFileErrors(program, sourceFile) {
+    const diagnostics = [
+      ...program.getSyntacticDiagnostics(sourceFile),
+      ...(this.builderPrograms.get(program) || program).getSemanticDiagnostics(
+        sourceFile
+      ),
+    ];
+
+    const errors = [];
     for (const diagnostic of diagnostics) {
-      if (!diagnostic.file || !this.isProjectFile(diagnostic.file.fileName))
-        continue;
+      if (!diagnostic.file) continue;
 
       const message = ts.flattenDiagnosticMessageText(
         diagnostic.messageText,
         "\n"
       );
 
-      if (this.shouldIgnoreError(diagnostic.code, message)) continue;
+      if (this.isUsedInVueTemplate(diagnostic, message)) continue;
+
+      const severity = this.getErrorSeverity(
+        diagnostic.code,
+        diagnostic.category
+      );
+      if (severity === "off") continue;
+
+      // 匹配忽略规则的诊断单独记录，报告中按规则统计
+      const ignoredBy = this.findIgnoreRule(diagnostic, message);
 
       const position = diagnostic.start
         ? ts.getLineAndCharacterOfPosition(diagnostic.file, diagnostic.start)
         : { line: 0, character: 0 };
 
-      this.types.errors.push({
-        file: resolve(diagnostic.file.fileName),
-        line: position.line + 1,
+      errors.push({
+        file: this.getSourcePath(diagnostic.file.fileName),
+        line: this.mapVirtualLine(
+          diagnostic.file,
+          diagnostic.start || 0,
+          position.line + 1
+        ),
         column: position.character + 1,
         code: `TS${diagnostic.code}`,
         message: message.trim(),
-        severity: this.getErrorSeverity(diagnostic.code),
+        severity,
+        ...(ignoredBy >= 0 ? { ignoredBy } : {}),
       });
     }
+    return errors;
+  }
 
-    this.log(`🚨 发现 ${this.types.errors.length} 个类型错误`);
+  // 虚拟文件不包含模板代码，只在模板中使用的 <script setup> 绑定会被误报为未使用
+  isUsedInVueTemplate(diagnostic, message) {
+    if (![6133, 6196, 6198].includes(diagnostic.code)) return false;
+    if (!this.isVirtualFileName(diagnostic.file.fileName)) return false;
+
+    const virtual = this.getVueVirtualFile(
+      this.getSourcePath(diagnostic.file.fileName)
+    );
+    const name = message.match(/'(.+?)'/)?.[1];
+    return !!virtual && !!name && virtual.templateIdentifiers.has(name);
+  }
+
+  // 导出但只在定义文件内使用的类型：export 没有必要
+  findUnnecessaryExports() {
+    const findings = [];
+    for (const definition of this.types.definitions.values()) {
+      const usages = this.types.usages.get(definition.id) || [];
+      if (
+        !definition.isExported ||
+        usages.length === 0 ||
+        this.isCommonType(definition.name) ||
+        usages.some((usage) => usage.file !== definition.file)
+      ) {
+        continue;
+      }
+      // 生成声明文件的项目中，导出签名用到的类型必须导出（TS4025），不作判断
+      const options = this.getCompilerOptions(definition.file);
+      if (options.declaration || options.composite) continue;
+      // ts-unused-exports 不分析 .vue 文件，其他文件以它的结果确认没有被导入
+      if (
+        this.unimportedExports &&
+        !definition.file.endsWith(".vue") &&
+        !this.unimportedExports.has(definition.id)
+      ) {
+        continue;
+      }
+
+      findings.push({
+        name: definition.name,
+        type: definition.kind,
+        file: this.relativePath(definition.file),
+        line: definition.line,
+        usages: usages.length,
+        target: { file: this.relativePath(definition.file), line: definition.line },
+        suggestion: `移除 ${definition.name} 的 export，仅在文件内使用`,
+      });
+    }
+    return findings;
+  }
+
+  // 导出且只被另一个文件使用的类型：建议移动到使用方文件中
+  findSingleConsumerTypes() {
+    const findings = [];
+    for (const definition of this.types.definitions.values()) {
+      const usages = this.types.usages.get(definition.id) || [];
+      if (
+        !definition.isExported ||
+        usages.length === 0 ||
+        this.isCommonType(definition.name)
+      ) {
+        continue;
+      }
+
+      const consumers = new Set(usages.map((usage) => usage.file));
+      if (consumers.size !== 1 || consumers.has(definition.file)) continue;
+
+      const [consumer] = consumers;
+      // 工作区中跨包使用的类型属于包的公开 API，不建议移动
+      if (
+        this.workspace &&
+        findPackageForFile(consumer, this.workspace) !==
+          findPackageForFile(definition.file, this.workspace)
+      ) {
+        continue;
+      }
+
+      findings.push({
+        name: definition.name,
+        type: definition.kind,
+        file: this.relativePath(definition.file),
+        line: definition.line,
+        consumer: this.relativePath(consumer),
+        usages: usages.length,
+        target: { file: this.relativePath(consumer) },
+        suggestion: `将 ${definition.name} 移动到唯一使用方 ${this.relativePath(consumer)}`,
+      });
+    }
+    return findings;
+  }
+
+  // 插件收集器基于本次分析的类型定义、引用与诊断查找问题
+  async collectPluginIssues(programs) {
+    if (this.plugins.collectors.length === 0) return [];
+
+    const sourceFiles = new Map(
+      this.getProjectSourceFiles(programs).map(({ sourceFile }) => [
+        this.getSourcePath(sourceFile.fileName),
+        sourceFile,
+      ])
+    );
+    const findings = await runCollectors(this.plugins, {
+      rootDir: this.rootDir,
+      config: this.config,
+      files: this.sourceFiles.map((file) => resolve(file)),
+      definitions: Array.from(this.types.definitions.values()),
+      getDefinitions: (name) => this.types.definitionsByName.get(name) || [],
+      getUsages: (definition) => this.types.usages.get(definition.id) || [],
+      diagnostics: this.types.errors,
+      // .vue 文件返回 <script> 对应的虚拟 TS 文件
+      getSourceFile: (file) => sourceFiles.get(resolve(this.rootDir, file)),
+      relativePath: (file) => this.relativePath(file),
+    });
+
+    this.log(`🧩 插件发现 ${findings.length} 个问题`);
+    return findings;
   }
 
   // 生成报告
-  generateReport(unused = []) {
-    const duplicates = this.findDuplicateTypes();
-    const errors = this.types.errors.filter((e) => e.severity === "error");
-    const warnings = this.types.errors.filter((e) => e.severity === "warning");
+  generateReport(detectedUnused = [], pluginIssues = []) {
+    const dependencies = this.generateDependencyReport();
+    // 移除抑制注释与 @public 标记忽略的问题
+    const { issues, suppressions } = this.applySuppressions({
+      errors: this.types.errors.filter((e) => e.severity === "error"),
+      warnings: this.types.errors.filter((e) => e.severity === "warning"),
+      info: this.types.errors.filter((e) => e.severity === "info"),
+      duplicates: this.findDuplicateTypes(),
+      unused: detectedUnused,
+      unnecessaryExports: this.findUnnecessaryExports(),
+      singleConsumer: this.findSingleConsumerTypes(),
+      structuralDuplicates: this.structural
+        ? this.findStructuralDuplicates()
+        : { exact: [], similar: [], threshold: this.similarityThreshold },
+      complexTypes: this.findComplexTypes(dependencies),
+      plugins: pluginIssues,
+    });
+    const {
+      errors,
+      warnings,
+      info,
+      duplicates,
+      unused,
+      unnecessaryExports,
+      singleConsumer,
+      structuralDuplicates,
+      complexTypes,
+      plugins,
+    } = issues;
 
     const stats = {
       totalFiles: this.sourceFiles.length,
       totalTypes: this.types.definitions.size,
-      totalUsages: Array.from(this.types.usages.values()).flat().length,
+      totalUsages: this.countUsages(),
       totalErrors: errors.length,
       totalWarnings: warnings.length,
+      totalInfo: info.length,
       duplicateTypes: Object.keys(duplicates).length,
       unusedTypes: unused.length,
+      unnecessaryExports: unnecessaryExports.length,
+      singleConsumerTypes: singleConsumer.length,
+      skippedFiles: this.skippedFiles.length,
+      structuralDuplicates: structuralDuplicates.exact.length,
+      similarTypes: structuralDuplicates.similar.length,
+      complexTypes: complexTypes.length,
+      pluginIssues: plugins.length,
+      suppressedIssues: suppressions.total,
     };
+    const { score, breakdown } = calculateScore(stats, this.config.score);
 
     return {
       timestamp: new Date().toISOString(),
       projectPath: this.rootDir,
       statistics: stats,
-      healthScore: this.calculateHealthScore(stats),
-      issues: { errors, warnings, duplicates, unused },
+      healthScore: score,
+      // 各类问题的扣分明细，按扣分从高到低排序
+      scoreBreakdown: breakdown,
+      issues,
+      // 被抑制的问题数（按类别）与没有抑制任何问题的注释
+      suppressions,
+      // 每条忽略规则匹配的诊断
+      ignoredDiagnostics: summarizeIgnored(this.ignoreRules, this.types.ignored),
+      // 插件注册的问题类别（issues.plugins 中的 category）
+      categories: Array.from(this.plugins.categories.values()),
       recommendations: this.generateRecommendations(stats),
-      analysisMethod:
-        unused.length > 0 ? unused[0]?.detectedBy || "hybrid" : "none",
+      skippedFiles: this.skippedFiles,
+      scope: { include: this.include, exclude: this.exclude },
+      workspace: this.workspace
+        ? this.generateWorkspaceReport({ duplicates, errors, warnings, unused })
+        : null,
+      analysisMethod: this.getAnalysisMethod(unused),
+      dependencies,
     };
   }
 
-  // 工具方法
-  findDuplicateTypes() {
-    const duplicates = {};
-    const typesByName = new Map();
+  // 读取所有源文件中的抑制注释，与 @public 标记一起过滤问题
+  applySuppressions(issues) {
+    const directives = new Map();
+    for (const file of this.sourceFiles) {
+      const fullPath = resolve(file);
+      // 增量模式下未修改的文件复用上次解析的注释（每次复制一份，used 标记互不影响）
+      let parsed = this.directiveCache.get(fullPath);
+      if (!parsed) {
+        let content;
+        try {
+          content = readFileSync(file, "utf8");
+        } catch (error) {
+          continue;
+        }
+        parsed = parseSuppressionComments(file, content);
+        if (this.incremental) this.directiveCache.set(fullPath, parsed);
+      }
+      if (parsed.length > 0) {
+        const relativeFile = this.relativePath(fullPath);
+        directives.set(
+          fullPath,
+          parsed.map((directive) => ({ ...directive, file: relativeFile }))
+        );
+      }
+    }
+
+    const publicTypes = new Set(
+      Array.from(this.types.definitions.values())
+        .filter((definition) => definition.isPublic)
+        .map((definition) => definition.id)
+    );
 
-    for (const [typeName, definition] of this.types.definitions) {
-      if (!typesByName.has(typeName)) {
-        typesByName.set(typeName, []);
+    return applySuppressions(issues, {
+      rootDir: this.rootDir,
+      directives,
+      publicTypes,
+      // 插件类别同样可以在抑制注释中使用
+      rules: [...SUPPRESSION_RULES, ...this.plugins.categories.keys()],
+    });
+  }
+
+  // 类型依赖关系：类型声明中引用的其他类型（references，含引用方式如 extends），以及各文件引用的类型（consumers）
+  // 类型以 "相对路径#名称" 标识
+  generateDependencyReport() {
+    const idOf = (definition) =>
+      `${this.relativePath(definition.file)}#${definition.name}`;
+    const references = new Map();
+    const consumers = new Map();
+    const count = (map, key, entry) => {
+      if (!map.has(key)) map.set(key, { ...entry, count: 0 });
+      map.get(key).count++;
+    };
+
+    const types = [];
+    for (const definition of this.types.definitions.values()) {
+      const to = idOf(definition);
+      types.push({
+        id: to,
+        name: definition.name,
+        kind: definition.kind,
+        file: this.relativePath(definition.file),
+        line: definition.line,
+        isExported: definition.isExported,
+      });
+
+      for (const usage of this.types.usages.get(definition.id) || []) {
+        const file = this.relativePath(usage.file);
+        count(consumers, `${file}\0${to}`, { file, type: to });
+
+        const owner =
+          usage.owner &&
+          this.types.definitions.get(
+            this.getDefinitionId(usage.file, usage.owner)
+          );
+        if (owner) {
+          const from = idOf(owner);
+          count(references, `${from}\0${to}`, { from, to, kinds: [] });
+          const { kinds } = references.get(`${from}\0${to}`);
+          if (!kinds.includes(usage.kind)) kinds.push(usage.kind);
+        }
+      }
+    }
+
+    return {
+      types,
+      references: Array.from(references.values()).map((reference) => ({
+        ...reference,
+        kinds: reference.kinds.sort(),
+      })),
+      consumers: Array.from(consumers.values()),
+    };
+  }
+
+  // 按包统计问题和健康度，并汇总跨包引用
+  generateWorkspaceReport({ duplicates, errors, warnings, unused }) {
+    const packageOf = (file) =>
+      findPackageForFile(resolve(this.rootDir, file), this.workspace);
+
+    const packages = this.workspace.packages.map((pkg) => ({
+      name: pkg.name || pkg.relativeDir,
+      path: pkg.relativeDir,
+      files: 0,
+      definitions: [],
+      usages: 0,
+      crossPackageUsages: 0,
+      errors: 0,
+      warnings: 0,
+      duplicates: 0,
+      unused: 0,
+    }));
+    const byPackage = new Map(
+      this.workspace.packages.map((pkg, index) => [pkg, packages[index]])
+    );
+    const entryOf = (file) => byPackage.get(packageOf(file));
+
+    this.sourceFiles.forEach((file) => {
+      const entry = entryOf(file);
+      if (entry) entry.files++;
+    });
+
+    for (const definition of this.types.definitions.values()) {
+      const entry = entryOf(definition.file);
+      if (!entry) continue;
+      entry.definitions.push(definition);
+
+      // 包内类型的引用次数，其中来自其他包的计为跨包引用
+      const owner = packageOf(definition.file);
+      for (const usage of this.types.usages.get(definition.id) || []) {
+        entry.usages++;
+        if (packageOf(usage.file) !== owner) entry.crossPackageUsages++;
       }
-      typesByName.get(typeName).push(definition);
     }
 
-    for (const [typeName, definitions] of typesByName) {
+    const count = (items, key) =>
+      items.forEach((item) => {
+        const entry = entryOf(item.file);
+        if (entry) entry[key]++;
+      });
+    count(errors, "errors");
+    count(warnings, "warnings");
+    count(unused, "unused");
+    for (const definitions of Object.values(duplicates)) {
+      const owners = new Set(definitions.map((def) => entryOf(def.file)));
+      owners.forEach((entry) => entry && entry.duplicates++);
+    }
+
+    const results = packages.map(({ definitions, ...entry }) => {
+      const statistics = {
+        totalFiles: entry.files,
+        totalTypes: definitions.length,
+        totalUsages: entry.usages,
+        crossPackageUsages: entry.crossPackageUsages,
+        totalErrors: entry.errors,
+        totalWarnings: entry.warnings,
+        duplicateTypes: entry.duplicates,
+        unusedTypes: entry.unused,
+      };
+      return {
+        name: entry.name,
+        path: entry.path,
+        statistics,
+        healthScore: this.calculateHealthScore(statistics),
+      };
+    });
+
+    const scores = results.map((pkg) => pkg.healthScore);
+    return {
+      source: this.workspace.source,
+      packages: results,
+      rollup: {
+        packages: results.length,
+        crossPackageUsages: results.reduce(
+          (sum, pkg) => sum + pkg.statistics.crossPackageUsages,
+          0
+        ),
+        averageHealthScore: scores.length
+          ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+          : 100,
+        lowestHealthScore: scores.length ? Math.min(...scores) : 100,
+      },
+    };
+  }
+
+  getAnalysisMethod(unused) {
+    const methods = new Set(unused.map((item) => item.detectedBy));
+    if (methods.size === 0) return "none";
+    return methods.size === 1 ? [...methods][0] : "hybrid";
+  }
+
+  // 工具方法
+  findDuplicateTypes() {
+    const duplicates = {};
+
+    for (const [typeName, definitions] of this.types.definitionsByName) {
       if (definitions.length > 1) {
-        const fileSet = new Set(definitions.map((d) => d.file));
-        if (fileSet.size > 1) {
-          duplicates[typeName] = definitions;
-        }
+        duplicates[typeName] = definitions;
       }
     }
 
     return duplicates;
   }
 
-  calculateHealthScore(stats) {
-    if (stats.totalTypes === 0) return 100;
+  findStructuralDuplicates() {
+    return findStructuralDuplicates(
+      Array.from(this.types.definitions.values()),
+      { threshold: this.similarityThreshold }
+    );
+  }
+
+  // 复杂类型：循环依赖的完整环路、extends 链与泛型嵌套路径
+  findComplexTypes(dependencies) {
+    const generics = new Map();
+    for (const definition of this.types.definitions.values()) {
+      if (definition.generics) {
+        generics.set(
+          `${this.relativePath(definition.file)}#${definition.name}`,
+          definition.generics
+        );
+      }
+    }
 
-    let score = 100;
-    score -= Math.min(60, stats.totalErrors * 15);
-    score -= Math.min(20, (stats.duplicateTypes / stats.totalTypes) * 100);
-    score -= Math.min(10, (stats.unusedTypes / stats.totalTypes) * 50);
+    return findComplexTypes(
+      dependencies.types.map((type) => ({ ...type, generics: generics.get(type.id) })),
+      dependencies.references,
+      {
+        circular: this.circularTypes,
+        maxExtendsDepth: this.maxExtendsDepth,
+        maxGenericDepth: this.maxGenericDepth,
+      }
+    );
+  }
 
-    return Math.max(0, Math.round(score));
+  // 按配置的评分规则计算（config.score）
+  calculateHealthScore(stats) {
+    return calculateScore(stats, this.config.score).score;
   }
 
   generateRecommendations(stats) {
@@ -470,9 +1826,32 @@ export class TypeAnalyzer {
     if (stats.duplicateTypes > 0) {
       recommendations.push(`⚠️ 合并 ${stats.duplicateTypes} 个重复类型`);
     }
+    if (stats.structuralDuplicates > 0) {
+      recommendations.push(
+        `🧬 合并 ${stats.structuralDuplicates} 组结构相同的类型`
+      );
+    }
     if (stats.unusedTypes > 5) {
       recommendations.push(`🗑️ 清理 ${stats.unusedTypes} 个未使用类型`);
     }
+    if (stats.unnecessaryExports > 0) {
+      recommendations.push(
+        `🔒 移除 ${stats.unnecessaryExports} 个仅在文件内使用的类型的 export`
+      );
+    }
+    if (stats.singleConsumerTypes > 0) {
+      recommendations.push(
+        `📦 将 ${stats.singleConsumerTypes} 个只有一个使用方的类型移动到使用处`
+      );
+    }
+    if (stats.complexTypes > 0) {
+      recommendations.push(
+        `🌀 拆解 ${stats.complexTypes} 处循环依赖或过深的类型层级`
+      );
+    }
+    if (stats.pluginIssues > 0) {
+      recommendations.push(`🧩 处理 ${stats.pluginIssues} 个插件规则发现的问题`);
+    }
 
     return recommendations.length > 0
       ? recommendations
@@ -480,80 +1859,131 @@ export class TypeAnalyzer {
   }
 
   // 辅助方法
-  shouldIgnoreError(code, message) {
-    if (code === 2304) {
-      const typeName = message.match(/Cannot find name '(.+)'/)?.[1];
-      return this.excludePatterns.has(typeName);
-    }
-
-    return (
-      message.includes("import.meta") ||
-      message.includes("vite") ||
-      message.includes(".d.ts") ||
-      ((code === 2322 || code === 2345) &&
-        message.includes("unknown") &&
-        message.includes("Promise"))
-    );
+  // 第一条匹配的忽略规则下标，未匹配时为 -1；symbol 为诊断指向的源码文本（如未找到的名称）
+  findIgnoreRule(diagnostic, message) {
+    const symbol =
+      diagnostic.start !== undefined && diagnostic.length
+        ? diagnostic.file.text
+            .slice(diagnostic.start, diagnostic.start + diagnostic.length)
+            .trim()
+        : null;
+
+    return this.matchIgnoreRule({
+      code: diagnostic.code,
+      file: this.getSourcePath(diagnostic.file.fileName),
+      symbol,
+      message,
+    });
   }
 
-  getErrorSeverity(code) {
-    const criticalErrors = [2322, 2345, 2349, 2353];
-    const warningErrors = [2531, 2532, 2571];
-
-    if (criticalErrors.includes(code)) return "error";
-    if (warningErrors.includes(code)) return "warning";
-    return "info";
+  // 按 diagnosticRules、errorCodes 与 TypeScript 的诊断类别确定级别，"off" 表示不报告
+  getErrorSeverity(code, category) {
+    return this.resolveSeverity(code, category);
   }
 
   isBuiltinType(name) {
-    const builtins = [
-      "string",
-      "number",
-      "boolean",
-      "object",
-      "undefined",
-      "null",
-      "Array",
-      "Promise",
-      "Date",
-      "RegExp",
-      "Error",
-      "Function",
-      "Record",
-      "Partial",
-      "Required",
-      "Pick",
-      "Omit",
-    ];
-    return builtins.includes(name) || this.excludePatterns.has(name);
+    return this.builtinTypes.has(name) || this.excludePatterns.has(name);
   }
 
   isCommonType(typeName) {
-    const patterns = ["Props", "Emits", "Config", "Options", "State", "Window"];
-    return patterns.some((p) => typeName.includes(p) || typeName.endsWith(p));
+    return this.config.commonTypePatterns.some((p) => typeName.includes(p));
   }
 
+  // 位于排除目录（默认 stores）中的文件
   isStoreFile(filePath) {
-    return filePath.replace(/\\/g, "/").includes("/stores/");
+    const segments = relative(this.rootDir, filePath)
+      .replace(/\\/g, "/")
+      .split("/");
+    return this.config.excludeDirectories.some((dir) => segments.includes(dir));
   }
 
   isProjectFile(fileName) {
-    const normalizedPath = resolve(fileName);
-    return this.sourceFiles.some((f) => resolve(f) === normalizedPath);
+    return this.sourceFileSet.has(resolve(fileName));
   }
 
-  addTypeUsage(typeName, usage) {
-    if (!this.types.usages.has(typeName)) {
-      this.types.usages.set(typeName, []);
+  getDefinitionId(file, name) {
+    return `${file}#${name}`;
+  }
+
+  addTypeDefinition(typeInfo) {
+    // 同一文件内的声明合并（如 interface 重复声明）只保留首个声明
+    if (this.types.definitions.has(typeInfo.id)) return;
+
+    this.types.definitions.set(typeInfo.id, typeInfo);
+    if (!this.types.definitionsByName.has(typeInfo.name)) {
+      this.types.definitionsByName.set(typeInfo.name, []);
+    }
+    this.types.definitionsByName.get(typeInfo.name).push(typeInfo);
+  }
+
+  // 将一次类型引用归属到具体的声明上
+  resolveDefinitions(typeName, file, imports = new Map()) {
+    const local = this.types.definitions.get(
+      this.getDefinitionId(file, typeName)
+    );
+    if (local) return [local];
+
+    const imported = imports.get(typeName);
+    if (imported) {
+      const target = this.types.definitions.get(
+        this.getDefinitionId(imported.file, imported.name)
+      );
+      if (target) return [target];
+      typeName = imported.name;
     }
-    this.types.usages.get(typeName).push(usage);
+
+    // 无法精确定位时（如经 index 文件转导出），归属到所有同名声明
+    return this.types.definitionsByName.get(typeName) || [];
+  }
+
+  addTypeUsage(typeName, usage, imports) {
+    for (const definition of this.resolveDefinitions(
+      typeName,
+      usage.file,
+      imports
+    )) {
+      this.addUsage(definition, { ...usage, name: typeName });
+    }
+  }
+
+  addUsage(definition, usage) {
+    if (!this.types.usages.has(definition.id)) {
+      this.types.usages.set(definition.id, []);
+    }
+    this.types.usages.get(definition.id).push(usage);
+    this.recordedUsages?.push({ id: definition.id, usage });
+  }
+
+  // 单个文件分析出错时跳过该文件，其余文件继续分析
+  skipFile(sourceFile, error) {
+    const file = this.relativePath(this.getSourcePath(sourceFile.fileName));
+    this.log(`⚠️ 分析文件失败，已跳过: ${file}`);
+    this.skippedFiles.push({ file, reason: error.message || String(error) });
+  }
+
+  countUsages() {
+    let count = 0;
+    for (const usages of this.types.usages.values()) {
+      count += usages.length;
+    }
+    return count;
+  }
+
+  countUsagesByKind() {
+    const kinds = {};
+    for (const usages of this.types.usages.values()) {
+      usages.forEach((usage) => {
+        kinds[usage.kind] = (kinds[usage.kind] || 0) + 1;
+      });
+    }
+    return kinds;
   }
 
   getLineNumber(sourceFile, node) {
     try {
-      const start = node.getStart ? node.getStart() : node.pos;
+      const start = node.getStart ? node.getStart(sourceFile) : node.pos;
       const position = ts.getLineAndCharacterOfPosition(sourceFile, start);
-      return position.line + 1;
+      return this.mapVirtualLine(sourceFile, start, position.line + 1);
     } catch (error) {
       return 1;
     }
@@ -572,8 +2002,6 @@ export class TypeAnalyzer {
   }
 
   log(message) {
-    if (this.verbose) {
-      console.log(message);
-    }
+    this.logger.debug(message);
   }
 }
\ No newline at end of file
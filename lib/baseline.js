@@ -0,0 +1,218 @@
+import { createHash } from 'crypto'
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs'
+import { dirname, isAbsolute, relative, resolve } from 'path'
+
+// 基线文件结构版本
+export const BASELINE_VERSION = 1
+
+export const DEFAULT_BASELINE_FILE = '.type-baseline.json'
+
+// 将报告中的问题记录为基线；指纹不含行号，代码上下移动后仍能匹配
+export function createBaseline(report, rootDir) {
+  const entries = collectEntries(report, rootDir).map(({ issue, ...entry }) => entry)
+  entries.sort(
+    (a, b) =>
+      a.category.localeCompare(b.category) ||
+      a.file.localeCompare(b.file) ||
+      a.fingerprint.localeCompare(b.fingerprint)
+  )
+
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    entries,
+  }
+}
+
+export function writeBaseline(filePath, report, rootDir) {
+  const baseline = createBaseline(report, rootDir)
+  const dir = dirname(filePath)
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true })
+  }
+  writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n', 'utf8')
+  return baseline
+}
+
+export function loadBaseline(filePath) {
+  if (!existsSync(filePath)) {
+    throw new Error(`基线文件不存在: ${filePath}（先运行 analyze --update-baseline 生成）`)
+  }
+
+  let baseline
+  try {
+    baseline = JSON.parse(readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`基线文件解析失败 ${filePath}: ${error.message}`)
+  }
+
+  if (!baseline || !Array.isArray(baseline.entries)) {
+    throw new Error(`基线文件格式无效: ${filePath}`)
+  }
+  if (baseline.version > BASELINE_VERSION) {
+    throw new Error(`基线文件版本 ${baseline.version} 高于当前支持的版本 ${BASELINE_VERSION}`)
+  }
+  return baseline
+}
+
+// 与基线比较：返回只包含新增问题的报告，以及已修复的基线条目
+export function applyBaseline(report, baseline, rootDir) {
+  // 同一指纹可能出现多次（如同一文件中相同的错误），按次数匹配
+  const remaining = new Map()
+  for (const entry of baseline.entries) {
+    remaining.set(entry.fingerprint, (remaining.get(entry.fingerprint) || 0) + 1)
+  }
+
+  const known = new Set()
+  for (const { fingerprint, issue } of collectEntries(report, rootDir)) {
+    const count = remaining.get(fingerprint) || 0
+    if (count > 0) {
+      remaining.set(fingerprint, count - 1)
+      known.add(issue)
+    }
+  }
+
+  const fixed = []
+  for (const entry of baseline.entries) {
+    const count = remaining.get(entry.fingerprint) || 0
+    if (count > 0) {
+      remaining.set(entry.fingerprint, count - 1)
+      fixed.push(entry)
+    }
+  }
+
+  const { issues } = report
+  const isNew = (issue) => !known.has(issue)
+  const filtered = {
+    errors: issues.errors.filter(isNew),
+    warnings: issues.warnings.filter(isNew),
+    // 提示级诊断不记入基线，原样保留
+    info: issues.info || [],
+    duplicates: Object.fromEntries(
+      Object.entries(issues.duplicates).filter(([, definitions]) => isNew(definitions))
+    ),
+    unused: issues.unused.filter(isNew),
+    unnecessaryExports: (issues.unnecessaryExports || []).filter(isNew),
+    singleConsumer: (issues.singleConsumer || []).filter(isNew),
+    structuralDuplicates: issues.structuralDuplicates && {
+      ...issues.structuralDuplicates,
+      exact: issues.structuralDuplicates.exact.filter(isNew),
+      similar: issues.structuralDuplicates.similar.filter(isNew),
+    },
+    complexTypes: (issues.complexTypes || []).filter(isNew),
+    plugins: (issues.plugins || []).filter(isNew),
+  }
+
+  const newCount = countIssues(filtered)
+  return {
+    ...report,
+    issues: filtered,
+    baseline: {
+      total: baseline.entries.length,
+      matched: countIssues(issues) - newCount,
+      new: newCount,
+      fixed,
+    },
+  }
+}
+
+// 提示级诊断（issues.info）不计入问题数
+export function countIssues(issues) {
+  const structural = issues.structuralDuplicates
+  return (
+    issues.errors.length +
+    issues.warnings.length +
+    Object.keys(issues.duplicates).length +
+    issues.unused.length +
+    (issues.unnecessaryExports || []).length +
+    (issues.singleConsumer || []).length +
+    (issues.complexTypes || []).length +
+    (issues.plugins || []).length +
+    (structural ? structural.exact.length + structural.similar.length : 0)
+  )
+}
+
+// 为每个问题生成指纹：类别 + 文件 + 符号名/错误码 + 消息摘要
+function collectEntries(report, rootDir) {
+  const { issues } = report
+  const entries = []
+  const toRelative = (file) =>
+    relative(rootDir, isAbsolute(file) ? file : resolve(rootDir, file)).replace(/\\/g, '/')
+
+  const add = (issue, category, file, key, message) => {
+    entries.push({
+      fingerprint: `${category}:${file}:${key}:${hash(message)}`,
+      category,
+      file,
+      key,
+      message,
+      issue,
+    })
+  }
+
+  for (const [category, list] of [['error', issues.errors], ['warning', issues.warnings]]) {
+    for (const error of list) {
+      add(error, category, toRelative(error.file), error.code, normalizeMessage(error.message))
+    }
+  }
+
+  for (const [name, definitions] of Object.entries(issues.duplicates)) {
+    const files = definitions.map((def) => toRelative(def.file)).sort()
+    add(definitions, 'duplicate', files[0], name, `${name} @ ${files.join(', ')}`)
+  }
+
+  for (const item of issues.unused) {
+    add(item, 'unused', toRelative(item.file), item.name, `${item.type} ${item.name}`)
+  }
+
+  for (const item of issues.unnecessaryExports || []) {
+    add(item, 'unnecessary-export', toRelative(item.file), item.name, `${item.type} ${item.name}`)
+  }
+
+  for (const item of issues.singleConsumer || []) {
+    const consumer = toRelative(item.consumer)
+    add(item, 'single-consumer', toRelative(item.file), item.name, `${item.type} ${item.name} -> ${consumer}`)
+  }
+
+  // 循环依赖以环路上的类型集合区分，extends / 泛型以类型名称区分（层数变化视为同一问题）
+  for (const item of issues.complexTypes || []) {
+    const members = item.rule === 'circular'
+      ? item.path.map((member) => `${toRelative(member.file)}#${member.name}`).sort().join(', ')
+      : `${item.type} ${item.name}`
+    add(item, item.rule, toRelative(item.file), item.name, members)
+  }
+
+  // 插件问题以插件注册的类别区分，没有符号名时以消息区分
+  for (const item of issues.plugins || []) {
+    add(item, item.category, toRelative(item.file), item.name || '', normalizeMessage(item.message))
+  }
+
+  const structural = issues.structuralDuplicates
+  if (structural) {
+    for (const [category, groups] of [['structural', structural.exact], ['similar', structural.similar]]) {
+      for (const group of groups) {
+        const members = group.definitions
+          .map((def) => ({ file: toRelative(def.file), name: def.name }))
+          .sort((a, b) => a.file.localeCompare(b.file) || a.name.localeCompare(b.name))
+        add(
+          group,
+          category,
+          members[0].file,
+          members.map((m) => m.name).join('|'),
+          members.map((m) => `${m.file}#${m.name}`).join(', ')
+        )
+      }
+    }
+  }
+
+  return entries
+}
+
+// 统一空白，避免格式差异导致指纹变化
+function normalizeMessage(message) {
+  return String(message).replace(/\s+/g, ' ').trim()
+}
+
+function hash(text) {
+  return createHash('sha1').update(text).digest('hex').slice(0, 12)
+}
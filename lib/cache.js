@@ -0,0 +1,138 @@
+import { createHash } from 'crypto'
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { join, resolve } from 'path'
+import ts from 'typescript'
+import { TOOL_VERSION } from './utils.js'
+
+// 缓存文件结构版本
+export const CACHE_VERSION = 1
+
+export const DEFAULT_CACHE_DIR = 'node_modules/.cache/ts-type-cleaner'
+
+// 按文件保存的分析结果：类型定义按文件内容哈希失效，类型引用与诊断按文件及其所有依赖的哈希失效
+export class AnalysisCache {
+  constructor(rootDir, options = {}) {
+    this.rootDir = resolve(rootDir)
+    this.dir = resolveCacheDir(this.rootDir, options.dir)
+    this.file = join(this.dir, `analysis-${hash(this.rootDir).slice(0, 12)}.json`)
+    // 工具或 TypeScript 版本、配置、分析范围变化时整个缓存失效
+    this.key = hash(
+      JSON.stringify(
+        {
+          version: CACHE_VERSION,
+          tool: TOOL_VERSION,
+          typescript: ts.version,
+          root: this.rootDir,
+          settings: options.settings || null,
+        },
+        serializeSetting
+      )
+    )
+
+    this.entries = new Map()
+    this.unusedExports = null
+    // 本次分析写入的结果，保存时替换旧缓存（已删除的文件随之清除）
+    this.nextEntries = new Map()
+    this.nextUnusedExports = null
+    this.loaded = false
+    this.hits = 0
+  }
+
+  // 缓存损坏或版本不一致时视为空缓存
+  load() {
+    this.loaded = true
+    if (!existsSync(this.file)) return false
+
+    try {
+      const data = JSON.parse(readFileSync(this.file, 'utf8'))
+      if (data.key !== this.key) return false
+      this.entries = new Map(Object.entries(data.files || {}))
+      this.unusedExports = data.unusedExports || null
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  save() {
+    if (!existsSync(this.dir)) {
+      mkdirSync(this.dir, { recursive: true })
+    }
+
+    const data = {
+      key: this.key,
+      createdAt: new Date().toISOString(),
+      files: Object.fromEntries(this.nextEntries),
+      unusedExports: this.nextUnusedExports,
+    }
+    writeFileSync(this.file, JSON.stringify(data), 'utf8')
+
+    // 同一进程中再次分析（watch 模式）时以本次结果为准
+    this.entries = this.nextEntries
+    this.unusedExports = this.nextUnusedExports
+    this.nextEntries = new Map()
+    this.nextUnusedExports = null
+    this.hits = 0
+  }
+
+  getDefinitions(file, contentHash) {
+    return this.getField(file, 'definitions', 'hash', contentHash)
+  }
+
+  getUsages(file, signature) {
+    return this.getField(file, 'usages', 'signature', signature)
+  }
+
+  getErrors(file, signature) {
+    return this.getField(file, 'errors', 'signature', signature)
+  }
+
+  getUnusedExports(projectSignature) {
+    const cached = this.unusedExports
+    if (!cached || !projectSignature || cached.signature !== projectSignature) return null
+    this.hits++
+    return cached.result
+  }
+
+  setUnusedExports(projectSignature, result) {
+    if (projectSignature) {
+      this.nextUnusedExports = { signature: projectSignature, result }
+    }
+  }
+
+  // 记录文件本次的分析结果（hash / signature 与对应的数据一起写入）
+  update(file, fields) {
+    this.nextEntries.set(file, { ...this.nextEntries.get(file), ...fields })
+  }
+
+  getField(file, field, keyName, keyValue) {
+    const entry = this.entries.get(file)
+    if (!entry || !keyValue || entry[keyName] !== keyValue || entry[field] === undefined) {
+      return null
+    }
+    this.hits++
+    return entry[field]
+  }
+}
+
+// 删除缓存目录，返回被删除的目录（不存在时返回 null）
+export function clearCache(rootDir, dir) {
+  const cacheDir = resolveCacheDir(resolve(rootDir), dir)
+  if (!existsSync(cacheDir)) return null
+
+  rmSync(cacheDir, { recursive: true, force: true })
+  return cacheDir
+}
+
+function resolveCacheDir(rootDir, dir) {
+  return resolve(rootDir, dir || DEFAULT_CACHE_DIR)
+}
+
+function hash(text) {
+  return createHash('sha1').update(text).digest('hex')
+}
+
+// JSON.stringify 会把正则序列化为 {}，改用 /source/flags 形式，修改正则后缓存才会失效
+function serializeSetting(key, value) {
+  return value instanceof RegExp ? String(value) : value
+}
@@ -0,0 +1,107 @@
+import { execFileSync } from 'child_process'
+import { realpathSync } from 'fs'
+import { isAbsolute, relative, resolve } from 'path'
+import { countIssues } from './baseline.js'
+
+// 通过 git 获取变更的文件（绝对路径）：since 相对分支分叉点，staged 为暂存区，changed 为未提交的修改
+// 返回的路径以 rootDir 为前缀（与报告中的路径一致），即使项目位于符号链接之下
+export function getChangedFiles(rootDir, options = {}) {
+  const root = resolve(rootDir)
+  // git 输出的仓库根目录已解析符号链接，项目根目录也需解析后再比较
+  const gitRoot = realpathSync(git(root, ['rev-parse', '--show-toplevel']).trim())
+  const realRoot = realpathSync(root)
+  // 删除的文件不需要检查
+  const diff = ['diff', '--name-only', '-z', '--diff-filter=ACMR']
+
+  let names
+  if (options.staged) {
+    names = listFiles(git(root, [...diff, '--cached']))
+  } else if (options.since) {
+    const mergeBase = git(root, ['merge-base', options.since, 'HEAD']).trim()
+    names = listFiles(git(root, [...diff, mergeBase]))
+  } else {
+    names = [
+      ...listFiles(git(root, [...diff, 'HEAD'])),
+      ...listFiles(git(root, ['ls-files', '--others', '--exclude-standard', '-z', '--full-name'])),
+    ]
+  }
+
+  return Array.from(
+    new Set(names.map((name) => resolve(root, relative(realRoot, resolve(gitRoot, name)))))
+  ).sort()
+}
+
+export function describeChangeMode(options = {}) {
+  if (options.staged) return '暂存区'
+  if (options.since) return `相对 ${options.since}`
+  return '未提交的修改'
+}
+
+// 只保留变更文件中的问题（重复、结构重复、循环依赖按涉及的任一声明所在文件判断），返回新的报告与过滤统计
+export function filterReportToFiles(report, files, rootDir, mode) {
+  const changed = new Set(files)
+  const isChanged = (file) => !!file && changed.has(isAbsolute(file) ? file : resolve(rootDir, file))
+  const hasChangedDefinition = (definitions) => definitions.some((def) => isChanged(def.file))
+
+  const { issues } = report
+  const filtered = {
+    errors: issues.errors.filter((error) => isChanged(error.file)),
+    warnings: issues.warnings.filter((warning) => isChanged(warning.file)),
+    info: (issues.info || []).filter((item) => isChanged(item.file)),
+    duplicates: Object.fromEntries(
+      Object.entries(issues.duplicates).filter(([, definitions]) => hasChangedDefinition(definitions))
+    ),
+    unused: issues.unused.filter((item) => isChanged(item.file)),
+    unnecessaryExports: (issues.unnecessaryExports || []).filter((item) => isChanged(item.file)),
+    singleConsumer: (issues.singleConsumer || []).filter((item) => isChanged(item.file)),
+    structuralDuplicates: issues.structuralDuplicates && {
+      ...issues.structuralDuplicates,
+      exact: issues.structuralDuplicates.exact.filter((group) => hasChangedDefinition(group.definitions)),
+      similar: issues.structuralDuplicates.similar.filter((group) => hasChangedDefinition(group.definitions)),
+    },
+    // 循环依赖与 extends 链涉及的任一类型所在文件变更即保留
+    complexTypes: (issues.complexTypes || []).filter(
+      (item) => isChanged(item.file) || (item.rule !== 'deep-generic' && hasChangedDefinition(item.path))
+    ),
+    plugins: (issues.plugins || []).filter((item) => isChanged(item.file)),
+  }
+
+  const total = countIssues(issues)
+  const kept = countIssues(filtered)
+  return {
+    ...report,
+    issues: filtered,
+    changed: {
+      mode,
+      files: files.map((file) => relative(rootDir, file).replace(/\\/g, '/')),
+      total,
+      kept,
+      filtered: total - kept,
+    },
+  }
+}
+
+// 当前提交与分支，不在 git 仓库中（或还没有提交）时返回 null
+export function getHeadCommit(rootDir) {
+  try {
+    const cwd = resolve(rootDir)
+    const commit = git(cwd, ['rev-parse', 'HEAD']).trim()
+    const branch = git(cwd, ['rev-parse', '--abbrev-ref', 'HEAD']).trim()
+    return { commit, branch: branch === 'HEAD' ? null : branch }
+  } catch (error) {
+    return null
+  }
+}
+
+function git(cwd, args) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] })
+  } catch (error) {
+    const detail = error.stderr ? String(error.stderr).trim() : error.message
+    throw new Error(`git ${args[0]} 失败: ${detail}`)
+  }
+}
+
+function listFiles(output) {
+  return output.split('\0').filter(Boolean)
+}
@@ -0,0 +1,485 @@
+import { readFileSync, writeFileSync } from 'fs'
+import { resolve, relative } from 'path'
+import ts from 'typescript'
+import { createUnifiedDiff } from './diff.js'
+import { parseSFC } from './vue.js'
+
+export class TypeCleaner {
+  constructor(analyzer) {
+    this.analyzer = analyzer
+    this.rootDir = analyzer.rootDir
+  }
+
+  // 根据未使用类型列表生成清理计划（不写入文件）
+  plan(unused) {
+    const skipped = []
+    const changes = new Map()
+
+    for (const [file, items] of this.groupByFile(unused)) {
+      const change = this.removeDeclarations(file, items, skipped)
+      if (change && change.removed.length > 0) {
+        changes.set(file, change)
+      }
+    }
+
+    this.removeDanglingImports(changes, skipped)
+
+    return {
+      changes: Array.from(changes.values()).filter(
+        (change) => change.original !== change.updated
+      ),
+      skipped,
+    }
+  }
+
+  createPatch(change) {
+    return createUnifiedDiff(change.original, change.updated, change.relativeFile)
+  }
+
+  applyChange(change) {
+    writeFileSync(change.file, change.updated, 'utf8')
+  }
+
+  groupByFile(unused) {
+    const groups = new Map()
+    unused
+      .filter((item) => /\.(ts|tsx|vue)$/.test(item.file))
+      .forEach((item) => {
+        const file = resolve(this.rootDir, item.file)
+        if (!groups.has(file)) {
+          groups.set(file, [])
+        }
+        groups.get(file).push(item)
+      })
+    return groups
+  }
+
+  // 删除声明本身、对应的本地 export 说明符以及因此失效的 import
+  removeDeclarations(file, items, skipped) {
+    let original
+    try {
+      original = readFileSync(file, 'utf8')
+    } catch (error) {
+      items.forEach((item) => skipped.push({ ...item, reason: '无法读取文件' }))
+      return null
+    }
+
+    const template = getTemplateContent(file, original)
+    const segments = getScriptSegments(file, original).map((segment) =>
+      parseSegment(file, segment)
+    )
+
+    // 定位每个待删除类型的声明节点
+    let targets = []
+    for (const item of items) {
+      const target = findDeclaration(segments, item)
+      if (target) {
+        targets.push(target)
+      } else {
+        skipped.push({ ...item, reason: '未找到对应声明' })
+      }
+    }
+
+    // 仍被其他代码引用的类型不能删除；删除一个类型后可能影响其他类型，循环直到稳定
+    let changed = true
+    while (changed) {
+      changed = false
+      for (const target of targets) {
+        if (isReferencedOutside(segments, template, target, targets)) {
+          skipped.push({ ...target.item, reason: '仍在文件内被引用' })
+          targets = targets.filter((t) => t !== target)
+          changed = true
+          break
+        }
+      }
+    }
+
+    const removedNames = new Set(targets.map((t) => t.item.name))
+    const referencesBefore = countImportReferences(segments, template)
+
+    // 第一步：删除声明和本地 export { ... } 中的说明符
+    let updatedSegments = segments.map((segment) => {
+      const edits = targets
+        .filter((t) => t.segment === segment)
+        .map((t) => ({
+          ...expandToLines(segment.content, getNodeStart(segment, t.node), t.node.end),
+          text: '',
+        }))
+
+      segment.sourceFile.statements
+        .filter((s) => ts.isExportDeclaration(s) && !s.moduleSpecifier)
+        .forEach((statement) => {
+          const edit = removeSpecifiers(segment, statement, (local, imported) =>
+            removedNames.has(imported)
+          )
+          if (edit) edits.push(edit)
+        })
+
+      return parseSegment(file, {
+        ...segment,
+        content: applyEdits(segment.content, edits),
+      })
+    })
+
+    // 第二步：删除因声明被移除而不再被引用的 import
+    const referencesAfter = countImportReferences(updatedSegments, template)
+    updatedSegments = updatedSegments.map((segment) => {
+      const edits = segment.sourceFile.statements
+        .filter(ts.isImportDeclaration)
+        .map((statement) =>
+          removeSpecifiers(
+            segment,
+            statement,
+            (local) =>
+              (referencesBefore.get(local) || 0) > 0 &&
+              (referencesAfter.get(local) || 0) === 0
+          )
+        )
+        .filter(Boolean)
+      return { ...segment, content: applyEdits(segment.content, edits) }
+    })
+
+    return {
+      file,
+      relativeFile: this.relativePath(file),
+      original,
+      updated: replaceSegments(original, updatedSegments),
+      removed: targets.map((t) => t.item),
+    }
+  }
+
+  // 其他文件中指向已删除类型的 import / re-export 一并清理
+  removeDanglingImports(changes, skipped) {
+    const removedByFile = new Map()
+    for (const change of changes.values()) {
+      removedByFile.set(change.file, new Set(change.removed.map((i) => i.name)))
+    }
+    if (removedByFile.size === 0) return
+
+    for (const file of this.analyzer.sourceFiles.map((f) => resolve(f))) {
+      const existing = changes.get(file)
+      let content
+      try {
+        content = existing ? existing.updated : readFileSync(file, 'utf8')
+      } catch (error) {
+        continue
+      }
+
+      const template = getTemplateContent(file, content)
+      const segments = getScriptSegments(file, content).map((segment) =>
+        parseSegment(file, segment)
+      )
+      const references = countImportReferences(segments, template)
+
+      let touched = false
+      const updatedSegments = segments.map((segment) => {
+        const edits = []
+        for (const statement of segment.sourceFile.statements) {
+          const isImport = ts.isImportDeclaration(statement)
+          const isReExport =
+            ts.isExportDeclaration(statement) && statement.moduleSpecifier
+          if (!isImport && !isReExport) continue
+
+          const target = this.analyzer.resolveModulePath(
+            statement.moduleSpecifier.text,
+            file
+          )
+          const removed = target && removedByFile.get(target)
+          if (!removed) continue
+
+          const edit = removeSpecifiers(segment, statement, (local, imported) => {
+            if (!removed.has(imported)) return false
+            if (isImport && (references.get(local) || 0) > 0) {
+              skipped.push({
+                name: imported,
+                file: this.relativePath(file),
+                reason: '删除后该文件中仍有引用，请手动检查',
+              })
+              return false
+            }
+            return true
+          })
+          if (edit) edits.push(edit)
+        }
+
+        if (edits.length === 0) return segment
+        touched = true
+        return { ...segment, content: applyEdits(segment.content, edits) }
+      })
+
+      if (!touched) continue
+
+      const updated = replaceSegments(content, updatedSegments)
+      if (existing) {
+        existing.updated = updated
+      } else {
+        changes.set(file, {
+          file,
+          relativeFile: this.relativePath(file),
+          original: content,
+          updated,
+          removed: [],
+        })
+      }
+    }
+  }
+
+  relativePath(filePath) {
+    return relative(this.rootDir, filePath).replace(/\\/g, '/')
+  }
+}
+
+// 以下源码编辑工具由 clean 与 dedupe 共用
+
+// 脚本片段：.ts/.tsx 为整个文件，.vue 为每个 ts/tsx 的 <script> 块
+export function getScriptSegments(file, content) {
+  if (!file.endsWith('.vue')) {
+    return [
+      {
+        start: 0,
+        end: content.length,
+        content,
+        scriptKind: file.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS,
+      },
+    ]
+  }
+
+  return parseSFC(content)
+    .scripts.filter((script) => script.isTypeScript)
+    .map((script) => ({
+      start: script.start,
+      end: script.end,
+      blockStart: script.blockStart,
+      blockEnd: script.blockEnd,
+      source: script.content,
+      content: script.content,
+      scriptKind: script.lang === 'tsx' ? ts.ScriptKind.TSX : ts.ScriptKind.TS,
+    }))
+}
+
+export function getTemplateContent(file, content) {
+  if (!file.endsWith('.vue')) return ''
+  return parseSFC(content).template?.content || ''
+}
+
+export function parseSegment(file, segment) {
+  return {
+    ...segment,
+    sourceFile: ts.createSourceFile(
+      file,
+      segment.content,
+      ts.ScriptTarget.Latest,
+      true,
+      segment.scriptKind
+    ),
+  }
+}
+
+// 写回脚本片段；Vue 中被清空的 <script> 块整体删除
+export function replaceSegments(content, segments) {
+  let result = content
+  ;[...segments]
+    .sort((a, b) => b.start - a.start)
+    .forEach((segment) => {
+      const emptied =
+        segment.blockStart !== undefined &&
+        segment.content.trim() === '' &&
+        segment.source.trim() !== ''
+
+      if (emptied) {
+        const block = expandToLines(result, segment.blockStart, segment.blockEnd)
+        result = result.slice(0, block.start) + result.slice(block.end)
+      } else {
+        result = result.slice(0, segment.start) + segment.content + result.slice(segment.end)
+      }
+    })
+  return result
+}
+
+export function isTypeDeclaration(node) {
+  return (
+    ts.isInterfaceDeclaration(node) ||
+    ts.isTypeAliasDeclaration(node) ||
+    ts.isEnumDeclaration(node)
+  )
+}
+
+export function findDeclaration(segments, item) {
+  const candidates = []
+  for (const segment of segments) {
+    for (const node of segment.sourceFile.statements) {
+      if (isTypeDeclaration(node) && node.name.text === item.name) {
+        const line =
+          segment.sourceFile.getLineAndCharacterOfPosition(node.getStart()).line + 1
+        candidates.push({ segment, node, item, distance: Math.abs(line - item.line) })
+      }
+    }
+  }
+  candidates.sort((a, b) => a.distance - b.distance)
+  return candidates[0] || null
+}
+
+export function collectIdentifiers(sourceFile) {
+  const identifiers = []
+  const visit = (node) => {
+    if (ts.isIdentifier(node)) {
+      identifiers.push(node)
+    }
+    ts.forEachChild(node, visit)
+  }
+  visit(sourceFile)
+  return identifiers
+}
+
+function isInside(node, ranges) {
+  const start = node.getStart()
+  return ranges.some((range) => start >= range.start && start < range.end)
+}
+
+function isReferencedOutside(segments, template, target, targets) {
+  const name = target.item.name
+  if (new RegExp(`\\b${name}\\b`).test(template)) return true
+
+  return segments.some((segment) => {
+    const ranges = targets
+      .filter((t) => t.segment === segment)
+      .map((t) => ({ start: t.node.getStart(), end: t.node.end }))
+
+    return collectIdentifiers(segment.sourceFile).some(
+      (identifier) =>
+        identifier.text === name &&
+        !ts.isExportSpecifier(identifier.parent) &&
+        !isInside(identifier, ranges)
+    )
+  })
+}
+
+// 统计每个标识符在 import 语句之外的引用次数
+export function countImportReferences(segments, template) {
+  const counts = new Map()
+  for (const segment of segments) {
+    for (const identifier of collectIdentifiers(segment.sourceFile)) {
+      if (ts.findAncestor(identifier, ts.isImportDeclaration)) continue
+      counts.set(identifier.text, (counts.get(identifier.text) || 0) + 1)
+    }
+  }
+
+  // 模板中的引用（组件、变量）同样计入
+  for (const word of template.match(/[A-Za-z_$][\w$]*/g) || []) {
+    if (counts.has(word)) {
+      counts.set(word, counts.get(word) + 1)
+    }
+  }
+  return counts
+}
+
+// 从 import / export 语句中删除满足条件的说明符，返回对应的编辑
+// shouldRemove(localName, importedName)
+export function removeSpecifiers(segment, statement, shouldRemove) {
+  const { sourceFile, content } = segment
+  const removeStatement = () => ({
+    ...expandToLines(content, statement.getStart(), statement.end),
+    text: '',
+  })
+
+  if (ts.isExportDeclaration(statement)) {
+    const clause = statement.exportClause
+    if (!clause || !ts.isNamedExports(clause)) return null
+
+    const keep = clause.elements.filter(
+      (e) => !shouldRemove(e.name.text, (e.propertyName || e.name).text)
+    )
+    if (keep.length === clause.elements.length) return null
+    if (keep.length === 0) return removeStatement()
+
+    return {
+      start: clause.getStart(),
+      end: clause.end,
+      text: `{ ${keep.map((e) => e.getText(sourceFile)).join(', ')} }`,
+    }
+  }
+
+  const clause = statement.importClause
+  if (!clause) return null
+
+  const bindings = clause.namedBindings
+  const named = bindings && ts.isNamedImports(bindings) ? bindings.elements : []
+  const namespace = bindings && ts.isNamespaceImport(bindings) ? bindings : null
+
+  const keepDefault = clause.name && !shouldRemove(clause.name.text, 'default')
+  const keepNamespace = namespace && !shouldRemove(namespace.name.text, '*')
+  const keepNamed = named.filter(
+    (e) => !shouldRemove(e.name.text, (e.propertyName || e.name).text)
+  )
+
+  const unchanged =
+    !!keepDefault === !!clause.name &&
+    !!keepNamespace === !!namespace &&
+    keepNamed.length === named.length
+  if (unchanged) return null
+  if (!keepDefault && !keepNamespace && keepNamed.length === 0) {
+    return removeStatement()
+  }
+
+  const parts = []
+  if (keepDefault) parts.push(clause.name.text)
+  if (keepNamespace) parts.push(namespace.getText(sourceFile))
+  if (keepNamed.length > 0) {
+    parts.push(`{ ${keepNamed.map((e) => e.getText(sourceFile)).join(', ')} }`)
+  }
+
+  return {
+    start: clause.getStart(),
+    end: clause.end,
+    text: `${clause.isTypeOnly ? 'type ' : ''}${parts.join(', ')}`,
+  }
+}
+
+// 声明起点包含紧贴其上的注释（JSDoc、行注释）
+export function getNodeStart(segment, node) {
+  let start = node.getStart()
+  const comments = ts.getLeadingCommentRanges(segment.content, node.getFullStart()) || []
+  for (const comment of [...comments].reverse()) {
+    const between = segment.content.slice(comment.end, start)
+    if (/\n[ \t]*\r?\n/.test(between)) break
+    start = comment.pos
+  }
+  return start
+}
+
+// 将删除范围扩展为整行，并合并删除后遗留的多余空行
+export function expandToLines(text, start, end) {
+  let s = start
+  while (s > 0 && (text[s - 1] === ' ' || text[s - 1] === '\t')) s--
+  if (s > 0 && text[s - 1] !== '\n') s = start
+
+  let e = end
+  while (e < text.length && (text[e] === ' ' || text[e] === '\t' || text[e] === ';')) e++
+  if (text[e] === '\r') e++
+  if (text[e] === '\n') {
+    e++
+  } else if (e < text.length) {
+    e = end
+  }
+
+  const before = text.slice(0, s)
+  const blankAfter = text.slice(e).match(/^[ \t]*\r?\n/)
+  const blankBefore = s === 0 || /(^|\n)[ \t]*\r?\n$/.test(before)
+  if (blankBefore && blankAfter) {
+    e += blankAfter[0].length
+  } else if (blankBefore && e >= text.length && s > 0) {
+    s = before.replace(/[ \t]*\r?\n$/, '').length
+  }
+
+  return { start: s, end: e }
+}
+
+export function applyEdits(text, edits) {
+  let result = text
+  ;[...edits]
+    .sort((a, b) => b.start - a.start)
+    .forEach((edit) => {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end)
+    })
+  return result
+}
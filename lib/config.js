@@ -0,0 +1,311 @@
+import { existsSync } from 'fs'
+import { dirname, join, resolve } from 'path'
+import { pathToFileURL } from 'url'
+import { DEFAULT_CACHE_DIR } from './cache.js'
+import { DEFAULT_SCORE_RULES, mergeScoreRules, validateScoreRules } from './score.js'
+import { DEFAULT_HISTORY_FILE } from './history.js'
+import { DEFAULT_IGNORE_RULES, validateDiagnosticRules, validateIgnoreRules } from './diagnostics.js'
+import { validatePlugins } from './plugins.js'
+import { isPlainObject, readJson } from './utils.js'
+
+// 按顺序查找的配置文件名；package.json 中的 "ts-type-cleaner" 字段优先级最低
+export const CONFIG_FILES = [
+  'ts-type-cleaner.config.js',
+  'ts-type-cleaner.config.mjs',
+  'ts-type-cleaner.config.json',
+]
+export const PACKAGE_JSON_KEY = 'ts-type-cleaner'
+
+// resolveConfig 结果上的标记（不可枚举，展开或序列化时不会带上）
+const RESOLVED = Symbol('resolvedConfig')
+
+// 默认配置（Vue3 + Naive UI 项目）；数组类配置项会整体替换默认值
+export const DEFAULT_CONFIG = {
+  // 源码目录，相对项目根目录；可以是多个目录
+  srcDir: 'src',
+  // 包含/排除的文件 glob（相对项目根目录）；未设置 include 时扫描 srcDir 下的所有源文件
+  include: null,
+  exclude: [],
+  // 是否跳过 .gitignore 中忽略的文件
+  gitignore: true,
+  // 是否统计 .d.ts 文件中的类型声明
+  declarationFiles: false,
+  // 全局变量/组件名，不视为类型引用，也不报告 "Cannot find name"
+  excludePatterns: [
+    // Vue 3 API
+    'ref',
+    'reactive',
+    'computed',
+    'watch',
+    'watchEffect',
+    'readonly',
+    'unref',
+    'nextTick',
+    'onMounted',
+    'onUnmounted',
+    'provide',
+    'inject',
+    'defineComponent',
+    'h',
+    'Fragment',
+    'createApp',
+    'createPinia',
+    'useRouter',
+    'useRoute',
+    'defineStore',
+    'useMessage',
+    'useDebounceFn',
+    'useThrottleFn',
+    // UI 组件
+    'NButton',
+    'NInput',
+    'NSelect',
+    'NModal',
+    'NTable',
+    'NForm',
+  ],
+  // 内置类型，不统计定义和引用
+  builtinTypes: [
+    'string',
+    'number',
+    'boolean',
+    'object',
+    'undefined',
+    'null',
+    'Array',
+    'Promise',
+    'Date',
+    'RegExp',
+    'Error',
+    'Function',
+    'Record',
+    'Partial',
+    'Required',
+    'Pick',
+    'Omit',
+  ],
+  // 名称包含这些片段的类型视为约定类型，不报告未使用
+  commonTypePatterns: ['Props', 'Emits', 'Config', 'Options', 'State', 'Window'],
+  // 跳过的目录名（任意层级）
+  excludeDirectories: ['stores'],
+  // 强制为错误/警告的错误码；未列出的错误码按 TypeScript 的诊断类别确定级别
+  errorCodes: {
+    error: [2322, 2345, 2349, 2353],
+    warning: [2531, 2532, 2571],
+  },
+  // 按错误码或范围设置诊断级别（off / info / warn / error），优先于 errorCodes，如 { 'TS7000-TS7999': 'warn' }
+  diagnosticRules: {},
+  // 忽略的诊断：按错误码、文件 glob、符号名或消息正则匹配，每条规则需说明原因；也可以写预设名（如 'vite'）
+  ignoreDiagnostics: DEFAULT_IGNORE_RULES,
+  // check 命令的健康度阈值
+  threshold: 70,
+  // 健康度评分规则（按类别覆盖 mode / weight / cap）
+  score: DEFAULT_SCORE_RULES,
+  // 结构重复检测
+  structural: false,
+  similarityThreshold: 0.8,
+  // 复杂类型：跨文件的类型循环依赖，extends 链与泛型嵌套的最大层数（0 表示不检查）
+  circularTypes: true,
+  maxExtendsDepth: 4,
+  maxGenericDepth: 4,
+  // 磁盘缓存（未修改的文件复用上次的分析结果），目录相对项目根目录
+  cache: false,
+  cacheDir: DEFAULT_CACHE_DIR,
+  // 每次 analyze（及 check --history）运行追加一条快照，供 trend 命令使用；文件相对项目根目录
+  history: true,
+  historyFile: DEFAULT_HISTORY_FILE,
+  // dedupe --move 默认移动到的共享类型模块，相对项目根目录
+  sharedTypesFile: 'src/types/index.ts',
+  // 插件：注册自定义的问题类别与收集器（见 definePlugin）
+  plugins: [],
+}
+
+// 供配置文件使用，便于编辑器提示
+export function defineConfig(config) {
+  return config
+}
+
+// 从 startDir 向上查找配置文件，返回 { path, key } 或 null
+export function findConfigFile(startDir) {
+  let dir = resolve(startDir)
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const path = join(dir, name)
+      if (existsSync(path)) return { path, key: null }
+    }
+
+    const packagePath = join(dir, 'package.json')
+    if (existsSync(packagePath)) {
+      const pkg = readJson(packagePath)
+      if (pkg && Object.prototype.hasOwnProperty.call(pkg, PACKAGE_JSON_KEY)) {
+        return { path: packagePath, key: PACKAGE_JSON_KEY }
+      }
+    }
+
+    const parent = dirname(dir)
+    if (parent === dir) return null
+    dir = parent
+  }
+}
+
+// 加载并校验配置：显式指定的文件优先，否则从 rootDir 向上查找
+export async function loadConfig(rootDir = process.cwd(), configFile) {
+  let found
+  if (configFile) {
+    const path = resolve(rootDir, configFile)
+    if (!existsSync(path)) {
+      throw new Error(`配置文件不存在: ${path}`)
+    }
+    found = { path, key: path.endsWith('package.json') ? PACKAGE_JSON_KEY : null }
+  } else {
+    found = findConfigFile(rootDir)
+  }
+
+  if (!found) {
+    return { config: resolveConfig(), path: null }
+  }
+
+  const userConfig = await readConfigFile(found)
+  return { config: resolveConfig(userConfig, found.path), path: found.path }
+}
+
+// 校验用户配置并与默认配置合并；已合并的配置（如 loadConfig 的结果）原样返回，不重复校验
+export function resolveConfig(userConfig = {}, source = '配置') {
+  if (userConfig[RESOLVED]) return userConfig
+  validateConfig(userConfig, source)
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...userConfig,
+    errorCodes: {
+      ...DEFAULT_CONFIG.errorCodes,
+      ...(userConfig.errorCodes || {}),
+    },
+    score: mergeScoreRules(userConfig.score),
+  }
+  Object.defineProperty(config, RESOLVED, { value: true })
+  return config
+}
+
+export function validateConfig(config, source = '配置') {
+  const problems = []
+
+  if (!isPlainObject(config)) {
+    throw new Error(`${source} 无效: 配置必须是对象`)
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in DEFAULT_CONFIG)) {
+      problems.push(`未知配置项 "${key}"（可选: ${Object.keys(DEFAULT_CONFIG).join(', ')}）`)
+      continue
+    }
+    if (value === undefined) continue
+
+    const check = VALIDATORS[key]
+    const problem = check(value)
+    if (problem) problems.push(`${key} ${problem}`)
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`${source} 无效:\n${problems.map((p) => `  - ${p}`).join('\n')}`)
+  }
+}
+
+const VALIDATORS = {
+  srcDir: (value) => {
+    const dirs = Array.isArray(value) ? value : [value]
+    return dirs.length > 0 && dirs.every((dir) => typeof dir === 'string' && dir.trim())
+      ? null
+      : '应为非空字符串或字符串数组'
+  },
+  include: (value) => (value === null ? null : stringArray(value)),
+  exclude: stringArray,
+  gitignore: boolean,
+  declarationFiles: boolean,
+  excludePatterns: stringArray,
+  builtinTypes: stringArray,
+  commonTypePatterns: stringArray,
+  excludeDirectories: stringArray,
+  errorCodes: (value) => {
+    if (!isPlainObject(value)) return '应为 { error: number[], warning: number[] }'
+    for (const [level, codes] of Object.entries(value)) {
+      if (level !== 'error' && level !== 'warning') {
+        return `包含未知级别 "${level}"（可选: error, warning）`
+      }
+      if (!Array.isArray(codes) || !codes.every(isErrorCode)) {
+        return `.${level} 应为错误码数组（如 2322 或 "TS2322"）`
+      }
+    }
+    return null
+  },
+  diagnosticRules: validateDiagnosticRules,
+  ignoreDiagnostics: validateIgnoreRules,
+  threshold: (value) => numberInRange(value, 0, 100),
+  score: validateScoreRules,
+  structural: boolean,
+  similarityThreshold: (value) => numberInRange(value, 0, 1),
+  circularTypes: boolean,
+  maxExtendsDepth: nonNegativeInteger,
+  maxGenericDepth: nonNegativeInteger,
+  cache: boolean,
+  cacheDir: nonEmptyString,
+  history: boolean,
+  historyFile: nonEmptyString,
+  sharedTypesFile: nonEmptyString,
+  plugins: validatePlugins,
+}
+
+// 错误码统一为数字，支持 "TS2322" 写法
+export function normalizeErrorCode(code) {
+  return typeof code === 'number' ? code : Number(String(code).replace(/^TS/i, ''))
+}
+
+async function readConfigFile({ path, key }) {
+  if (key || path.endsWith('.json')) {
+    let json
+    try {
+      json = readJson(path, true)
+    } catch (error) {
+      throw new Error(`配置文件解析失败 ${path}: ${error.message}`)
+    }
+    return key ? json[key] : json
+  }
+
+  try {
+    const module = await import(pathToFileURL(path).href)
+    return module.default ?? module
+  } catch (error) {
+    throw new Error(`配置文件加载失败 ${path}: ${error.message}`)
+  }
+}
+
+function stringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string')
+    ? null
+    : '应为字符串数组'
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim() ? null : '应为非空字符串'
+}
+
+function boolean(value) {
+  return typeof value === 'boolean' ? null : '应为布尔值'
+}
+
+function nonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0 ? null : '应为非负整数'
+}
+
+function numberInRange(value, min, max) {
+  return typeof value === 'number' && value >= min && value <= max
+    ? null
+    : `应为 ${min} 到 ${max} 之间的数字`
+}
+
+function isErrorCode(code) {
+  return (
+    (typeof code === 'number' && Number.isInteger(code)) ||
+    (typeof code === 'string' && /^(TS)?\d+$/i.test(code))
+  )
+}
@@ -0,0 +1,588 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs'
+import { dirname, relative, resolve } from 'path'
+import ts from 'typescript'
+import { createUnifiedDiff } from './diff.js'
+import {
+  applyEdits,
+  countImportReferences,
+  expandToLines,
+  findDeclaration,
+  getNodeStart,
+  getScriptSegments,
+  getTemplateContent,
+  parseSegment,
+  removeSpecifiers,
+  replaceSegments,
+} from './cleaner.js'
+
+const printer = ts.createPrinter({ removeComments: true })
+
+// 合并同名且结构一致的重复类型：保留一份声明（或移动到共享模块），删除其余副本并改写所有导入
+export class TypeDeduper {
+  constructor(analyzer, options = {}) {
+    this.analyzer = analyzer
+    this.rootDir = analyzer.rootDir
+    // 移动到的共享模块（绝对路径），未指定时保留已有的一份声明
+    this.target = options.target ? resolve(this.rootDir, options.target) : null
+    // 优先保留该文件中的声明
+    this.prefer = options.prefer ? resolve(this.rootDir, options.prefer) : null
+
+    // 每个文件的原始内容与修改后的内容，多组类型依次修改同一文件
+    this.files = new Map()
+    this.importers = null
+    this.dependencies = null
+  }
+
+  // 生成合并计划（不写入文件）；names 指定时只处理这些类型
+  plan(duplicates, names = []) {
+    const merged = []
+    const skipped = []
+
+    for (const [name, definitions] of Object.entries(duplicates)) {
+      if (names.length > 0 && !names.includes(name)) continue
+
+      // 一组类型的修改要么全部生效，要么全部撤销
+      const snapshot = new Map(Array.from(this.files, ([file, entry]) => [file, entry.updated]))
+      try {
+        merged.push(this.mergeGroup(name, definitions))
+      } catch (error) {
+        if (!(error instanceof DedupeError)) throw error
+        this.restore(snapshot)
+        skipped.push({
+          name,
+          files: definitions.map((def) => `${this.relativePath(def.file)}:${def.line}`),
+          reason: error.message,
+        })
+      }
+    }
+
+    return {
+      changes: Array.from(this.files.values())
+        .filter((entry) => entry.original !== entry.updated)
+        .map((entry) => ({ ...entry, relativeFile: this.relativePath(entry.file) })),
+      merged,
+      skipped,
+    }
+  }
+
+  createPatch(change) {
+    const patch = createUnifiedDiff(change.original, change.updated, change.relativeFile)
+    // 新建的文件使用 /dev/null 作为原文件，git apply 可以直接创建
+    return change.created ? patch.replace(/^--- a\/.*$/m, '--- /dev/null') : patch
+  }
+
+  applyChange(change) {
+    const dir = dirname(change.file)
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true })
+    }
+    writeFileSync(change.file, change.updated, 'utf8')
+  }
+
+  mergeGroup(name, definitions) {
+    const copies = definitions.map((definition) => this.locate(name, definition))
+
+    // 结构不一致的声明不能自动合并
+    const shapes = new Set(copies.map((copy) => copy.shape))
+    if (shapes.size > 1) {
+      throw new DedupeError('各文件中的声明结构不一致，请手动合并')
+    }
+
+    // 声明中引用的其他类型必须是同一批声明，否则合并后含义会改变
+    const dependencies = copies.map((copy) => this.getDependencies(copy))
+    if (new Set(dependencies.map((ids) => ids.join('\n'))).size > 1) {
+      throw new DedupeError('声明引用的类型不同（如各自文件中的同名类型），可先合并被引用的类型后重新运行')
+    }
+
+    const canonical = this.target ? null : this.chooseCanonical(copies)
+    const removed = copies.filter((copy) => copy !== canonical)
+    const canonicalFile = canonical ? canonical.file : this.target
+
+    let movedImports = new Map()
+    if (this.target) {
+      if (copies.some((copy) => copy.file === this.target)) {
+        throw new DedupeError(`${this.relativePath(this.target)} 中已有该类型的声明，请使用 --prefer 指定保留的文件`)
+      }
+      movedImports = this.getMovedImports(copies[0], dependencies[0])
+    }
+
+    const removedFiles = new Set(removed.map((copy) => copy.file))
+    this.checkReferences(name, removed, canonicalFile)
+
+    // 删除副本；文件中仍有引用时改为从保留的声明导入，副本原本导出时改为转导出
+    const pending = new Map()
+    const addPending = (file, item) => {
+      if (!pending.has(file)) pending.set(file, [])
+      pending.get(file).push(item)
+    }
+    for (const copy of removed) {
+      const { referenced, exports } = this.removeCopy(name, copy)
+      const typeOnly = copy.kind !== 'enum'
+      if (referenced) addPending(copy.file, { name, local: name, typeOnly, reExport: false })
+      exports.forEach((local) => addPending(copy.file, { name, local, typeOnly, reExport: true }))
+    }
+
+    // 改写指向副本的 import / export ... from
+    for (const file of this.getImporters(removedFiles)) {
+      const items = this.rewriteImports(file, name, removedFiles, canonicalFile)
+      items.forEach((item) => addPending(file, item))
+    }
+
+    for (const [file, items] of pending) {
+      this.addImports(file, canonicalFile, items)
+    }
+
+    if (this.target) {
+      this.appendDeclaration(this.target, copies[0])
+      for (const [file, items] of movedImports) {
+        this.addImports(this.target, file, items)
+      }
+    } else if (!canonical.exported) {
+      this.exportDeclaration(canonical)
+    }
+
+    return {
+      name,
+      kind: copies[0].kind,
+      canonical: {
+        file: this.relativePath(canonicalFile),
+        line: canonical ? canonical.line : null,
+        moved: !!this.target,
+      },
+      removed: removed.map((copy) => ({ file: this.relativePath(copy.file), line: copy.line })),
+    }
+  }
+
+  // 移动到共享模块后，声明引用的类型需要从其定义文件导入（按文件分组）
+  getMovedImports(copy, dependencies) {
+    const imports = new Map()
+    for (const id of dependencies) {
+      const definition = this.analyzer.types.definitions.get(id)
+      if (!definition || definition.file === this.target) continue
+
+      // 只支持以原名引用的、已导出的类型
+      const file = resolve(definition.file)
+      const local =
+        file === copy.file || this.findImports(copy.file, file).some(
+          (item) => item.imported === definition.name && item.local === definition.name
+        )
+      if (!definition.isExported || !local) {
+        throw new DedupeError(`声明引用的 ${definition.name}（${this.relativePath(file)}）未导出或以别名导入，无法移动到共享模块`)
+      }
+
+      if (!imports.has(file)) imports.set(file, [])
+      imports.get(file).push({ name: definition.name, local: definition.name, typeOnly: true, reExport: false })
+    }
+    return imports
+  }
+
+  // 在文件当前内容中定位声明（之前的合并可能已修改过该文件）
+  locate(name, definition) {
+    const file = resolve(this.rootDir, definition.file)
+    if (!/\.(ts|tsx|vue)$/.test(file) || file.endsWith('.d.ts')) {
+      throw new DedupeError(`不支持修改 ${this.relativePath(file)}（仅支持 .ts / .tsx / .vue 源文件）`)
+    }
+
+    const content = this.read(file)
+    const segments = getScriptSegments(file, content).map((segment) => parseSegment(file, segment))
+    const found = findDeclaration(segments, { name, line: definition.line })
+    if (!found) {
+      throw new DedupeError(`未在 ${this.relativePath(file)} 中找到声明`)
+    }
+    // 没有 import / export 的脚本文件中的声明是全局的，添加 import 会改变其含义
+    if (!file.endsWith('.vue') && !ts.isExternalModule(found.segment.sourceFile)) {
+      throw new DedupeError(`${this.relativePath(file)} 中的声明是全局声明`)
+    }
+
+    const { node, segment } = found
+    return {
+      definition,
+      file,
+      line: definition.line,
+      kind: definition.kind,
+      node,
+      segment,
+      exported: hasModifier(node, ts.SyntaxKind.ExportKeyword),
+      shape: getShape(node, segment.sourceFile),
+    }
+  }
+
+  // 保留的声明：--prefer 指定的文件 > 非 .vue 文件 > 被更多文件引用 > 路径排序
+  chooseCanonical(copies) {
+    const consumers = (copy) =>
+      new Set(
+        (this.analyzer.types.usages.get(copy.definition.id) || [])
+          .map((usage) => usage.file)
+          .filter((file) => file !== copy.file)
+      ).size
+
+    const [canonical] = [...copies].sort(
+      (a, b) =>
+        (b.file === this.prefer) - (a.file === this.prefer) ||
+        a.file.endsWith('.vue') - b.file.endsWith('.vue') ||
+        consumers(b) - consumers(a) ||
+        a.file.localeCompare(b.file)
+    )
+
+    // <script setup> 中不能导出值，枚举需要导出时无法作为保留的声明
+    if (!canonical.exported && canonical.kind === 'enum' && canonical.file.endsWith('.vue')) {
+      throw new DedupeError('枚举只在 .vue 文件中声明且未导出，请使用 --move 移动到共享模块')
+    }
+    return canonical
+  }
+
+  // 被删除的副本只能通过直接导入引用，经 export * 转导出或命名空间导入的引用无法安全改写
+  checkReferences(name, removed, canonicalFile) {
+    for (const copy of removed) {
+      const usages = this.analyzer.types.usages.get(copy.definition.id) || []
+      for (const file of new Set(usages.map((usage) => usage.file))) {
+        if (file === copy.file) continue
+        const direct = this.findImports(file, copy.file).some((item) => item.imported === name)
+        if (!direct) {
+          throw new DedupeError(`${this.relativePath(file)} 通过其他方式引用了 ${this.relativePath(copy.file)} 中的 ${name}（如 export * 转导出或命名空间导入），请手动处理`)
+        }
+        if (file === canonicalFile) {
+          const aliased = this.findImports(file, copy.file).some(
+            (item) => item.imported === name && item.local !== name
+          )
+          if (aliased) {
+            throw new DedupeError(`${this.relativePath(file)} 以别名导入了 ${name}，请手动处理`)
+          }
+        }
+      }
+    }
+  }
+
+  // 删除声明及本地 export { Name }，清理因此不再使用的 import；返回文件中是否仍引用该类型及副本原有的导出名
+  removeCopy(name, copy) {
+    const { file } = copy
+    const content = this.read(file)
+    const template = getTemplateContent(file, content)
+    const segments = getScriptSegments(file, content).map((segment) => parseSegment(file, segment))
+    const { node, segment } = findDeclaration(segments, { name, line: copy.line })
+    const referencesBefore = countImportReferences(segments, template)
+
+    const exports = copy.exported ? [name] : []
+    let updatedSegments = segments.map((current) => {
+      const edits = []
+      if (current.start === segment.start) {
+        edits.push({ ...expandToLines(current.content, getNodeStart(current, node), node.end), text: '' })
+      }
+      current.sourceFile.statements
+        .filter((statement) => ts.isExportDeclaration(statement) && !statement.moduleSpecifier)
+        .forEach((statement) => {
+          const edit = removeSpecifiers(current, statement, (local, imported) => {
+            if (imported !== name) return false
+            exports.push(local)
+            return true
+          })
+          if (edit) edits.push(edit)
+        })
+      return parseSegment(file, { ...current, content: applyEdits(current.content, edits) })
+    })
+
+    const referencesAfter = countImportReferences(updatedSegments, template)
+    updatedSegments = updatedSegments.map((current) => {
+      const edits = current.sourceFile.statements
+        .filter(ts.isImportDeclaration)
+        .map((statement) =>
+          removeSpecifiers(
+            current,
+            statement,
+            (local) => (referencesBefore.get(local) || 0) > 0 && (referencesAfter.get(local) || 0) === 0
+          )
+        )
+        .filter(Boolean)
+      return { ...current, content: applyEdits(current.content, edits) }
+    })
+
+    this.write(file, replaceSegments(content, updatedSegments))
+    return { referenced: (referencesAfter.get(name) || 0) > 0, exports }
+  }
+
+  // 删除指向副本的导入说明符，返回需要改为从保留的声明导入（或转导出）的项
+  rewriteImports(file, name, removedFiles, canonicalFile) {
+    const content = this.read(file)
+    const segments = getScriptSegments(file, content).map((segment) => parseSegment(file, segment))
+    const items = []
+
+    const updatedSegments = segments.map((segment) => {
+      const edits = []
+      for (const statement of segment.sourceFile.statements) {
+        const isImport = ts.isImportDeclaration(statement)
+        const isReExport = ts.isExportDeclaration(statement) && !!statement.moduleSpecifier
+        if (!isImport && !isReExport) continue
+        if (!removedFiles.has(this.resolveModule(statement, file))) continue
+
+        const statementTypeOnly = isImport ? !!statement.importClause?.isTypeOnly : statement.isTypeOnly
+        const edit = removeSpecifiers(segment, statement, (local, imported) => {
+          if (imported !== name) return false
+          const element = findElement(statement, local)
+          // 保留的声明所在文件直接使用本地声明，不再导入
+          if (file !== canonicalFile || isReExport) {
+            items.push({
+              name,
+              local,
+              typeOnly: statementTypeOnly || !!element?.isTypeOnly,
+              reExport: isReExport,
+            })
+          }
+          return true
+        })
+        if (edit) edits.push(edit)
+      }
+      return edits.length > 0 ? { ...segment, content: applyEdits(segment.content, edits) } : segment
+    })
+
+    this.write(file, replaceSegments(content, updatedSegments))
+    // 保留的声明所在文件不能从自身转导出
+    return file === canonicalFile ? items.filter((item) => !item.reExport) : items
+  }
+
+  // 添加 import / export ... from；已有从同一模块的同类导入时合并到其中
+  addImports(file, moduleFile, items) {
+    const unique = new Map(items.map((item) => [`${item.reExport}:${item.typeOnly}:${item.local}`, item]))
+    const content = this.read(file)
+    const segments = getScriptSegments(file, content).map((segment) => parseSegment(file, segment))
+    if (segments.length === 0) return
+
+    // Vue 文件优先添加到 <script setup>（最后一个脚本块）
+    const segment = segments[segments.length - 1]
+    const statements = segment.sourceFile.statements
+    // 文件原有的 import 可能已被删除，按修改前的内容判断风格
+    const original = getScriptSegments(file, this.files.get(file).original).map((current) => parseSegment(file, current))
+    const style = getImportStyle([...original, segment].map((current) => current.sourceFile))
+    const specifier = this.moduleSpecifier(file, moduleFile)
+    const edits = []
+    const lines = []
+
+    for (const [reExport, typeOnly] of [[false, true], [false, false], [true, true], [true, false]]) {
+      const group = Array.from(unique.values()).filter(
+        (item) => item.reExport === reExport && item.typeOnly === typeOnly
+      )
+      if (group.length === 0) continue
+      const elements = group.map((item) => (item.local === item.name ? item.name : `${item.name} as ${item.local}`))
+
+      const existing = statements.find(
+        (statement) =>
+          (reExport
+            ? ts.isExportDeclaration(statement) && statement.moduleSpecifier && statement.isTypeOnly === typeOnly
+            : ts.isImportDeclaration(statement) && !!statement.importClause?.isTypeOnly === typeOnly) &&
+          this.resolveModule(statement, file) === moduleFile &&
+          getNamedElements(statement)
+      )
+      if (existing) {
+        const named = getNamedElements(existing)
+        const names = [...named.elements.map((element) => element.getText(segment.sourceFile)), ...elements]
+        edits.push({ start: named.getStart(), end: named.end, text: `{ ${names.join(', ')} }` })
+        continue
+      }
+
+      const keyword = reExport ? 'export' : 'import'
+      lines.push(`${keyword} ${typeOnly ? 'type ' : ''}{ ${elements.join(', ')} } from ${style.quote}${specifier}${style.quote}${style.semicolon}`)
+    }
+
+    if (lines.length > 0) {
+      const imports = statements.filter(ts.isImportDeclaration)
+      const anchor = imports[imports.length - 1]
+      if (anchor) {
+        edits.push({ start: anchor.end, end: anchor.end, text: `\n${lines.join('\n')}` })
+      } else {
+        const leading = segment.content.match(/^\s*/)[0]
+        // 删除声明后文件可能只剩下转导出
+        const separator = leading.length < segment.content.length ? '\n\n' : '\n'
+        edits.push({ start: leading.length, end: leading.length, text: `${lines.join('\n')}${separator}` })
+      }
+    }
+
+    const updated = { ...segment, content: applyEdits(segment.content, edits) }
+    this.write(file, replaceSegments(content, segments.map((current) => (current === segment ? updated : current))))
+  }
+
+  exportDeclaration(copy) {
+    const content = this.read(copy.file)
+    const segments = getScriptSegments(copy.file, content).map((segment) => parseSegment(copy.file, segment))
+    const { node, segment } = findDeclaration(segments, { name: copy.node.name.text, line: copy.line })
+    const updated = { ...segment, content: applyEdits(segment.content, [{ start: node.getStart(), end: node.getStart(), text: 'export ' }]) }
+    this.write(copy.file, replaceSegments(content, segments.map((current) => (current === segment ? updated : current))))
+  }
+
+  // 将声明（含注释）追加到共享模块末尾，不存在时创建
+  appendDeclaration(file, copy) {
+    const { node, segment } = copy
+    const start = getNodeStart(segment, node)
+    let text = segment.content.slice(start, node.end)
+    if (!copy.exported) {
+      const offset = node.getStart() - start
+      text = `${text.slice(0, offset)}export ${text.slice(offset)}`
+    }
+
+    const existing = this.read(file)
+    const segments = existing ? getScriptSegments(file, existing).map((current) => parseSegment(file, current)) : []
+    if (segments.some((current) => findDeclaration([current], { name: node.name.text, line: 1 }))) {
+      throw new DedupeError(`${this.relativePath(file)} 中已有同名声明`)
+    }
+
+    const body = existing.replace(/\s*$/, '')
+    this.write(file, `${body}${body ? '\n\n' : ''}${text}\n`)
+  }
+
+  // 每个文件导入（或转导出）了哪些模块，按被导入的文件建立索引；基于分析时的文件内容，只计算一次
+  getImporters(targetFiles) {
+    if (!this.importers) {
+      this.importers = new Map()
+      for (const file of this.analyzer.sourceFiles.map((f) => resolve(f))) {
+        for (const target of new Set(this.findImports(file).map((item) => item.from))) {
+          if (!this.importers.has(target)) this.importers.set(target, new Set())
+          this.importers.get(target).add(file)
+        }
+      }
+    }
+
+    const files = new Set()
+    for (const target of targetFiles) {
+      this.importers.get(target)?.forEach((file) => files.add(file))
+    }
+    return Array.from(files)
+  }
+
+  // 文件中的命名导入与转导出 { from, imported, local }；指定 from 时只返回来自该文件的
+  findImports(file, from) {
+    let content
+    try {
+      content = this.read(file)
+    } catch (error) {
+      return []
+    }
+
+    const items = []
+    for (const segment of getScriptSegments(file, content).map((current) => parseSegment(file, current))) {
+      for (const statement of segment.sourceFile.statements) {
+        if (!ts.isImportDeclaration(statement) && !(ts.isExportDeclaration(statement) && statement.moduleSpecifier)) {
+          continue
+        }
+        const target = this.resolveModule(statement, file)
+        if (!target || (from && target !== from)) continue
+
+        const named = getNamedElements(statement)
+        if (!named) {
+          items.push({ from: target, imported: '*', local: '*' })
+          continue
+        }
+        for (const element of named.elements) {
+          items.push({ from: target, imported: (element.propertyName || element.name).text, local: element.name.text })
+        }
+      }
+    }
+    return items
+  }
+
+  // 声明中引用的其他类型（分析时记录的引用所在声明），排序后用于比较
+  getDependencies(copy) {
+    if (!this.dependencies) {
+      this.dependencies = new Map()
+      for (const [id, usages] of this.analyzer.types.usages) {
+        for (const usage of usages) {
+          if (!usage.owner) continue
+          const key = `${usage.file}#${usage.owner}`
+          if (!this.dependencies.has(key)) this.dependencies.set(key, new Set())
+          this.dependencies.get(key).add(id)
+        }
+      }
+    }
+    return Array.from(this.dependencies.get(copy.definition.id) || []).sort()
+  }
+
+  resolveModule(statement, file) {
+    return this.analyzer.resolveModulePath(statement.moduleSpecifier.text, file)
+  }
+
+  // 相对路径的模块说明符，省略 .ts / .tsx 扩展名与 /index
+  moduleSpecifier(fromFile, moduleFile) {
+    let path = relative(dirname(fromFile), moduleFile).replace(/\\/g, '/')
+    path = path.replace(/\.(d\.)?tsx?$/, '').replace(/\/index$/, '')
+    if (path === 'index') path = '.'
+    return path.startsWith('.') ? path : `./${path}`
+  }
+
+  read(file) {
+    if (this.files.has(file)) return this.files.get(file).updated
+    const created = !existsSync(file)
+    const content = created ? '' : readFileSync(file, 'utf8')
+    this.files.set(file, { file, original: content, updated: content, created })
+    return content
+  }
+
+  write(file, content) {
+    this.read(file)
+    this.files.get(file).updated = content
+  }
+
+  restore(snapshot) {
+    for (const [file, entry] of this.files) {
+      if (snapshot.has(file)) {
+        entry.updated = snapshot.get(file)
+      } else {
+        this.files.delete(file)
+      }
+    }
+  }
+
+  relativePath(filePath) {
+    return relative(this.rootDir, resolve(this.rootDir, filePath)).replace(/\\/g, '/')
+  }
+}
+
+// 无法安全合并时抛出，plan 记录原因后跳过该类型
+class DedupeError extends Error {}
+
+// 结构指纹：忽略注释、空白、export 修饰符与成员顺序；枚举成员按顺序比较（影响取值）
+function getShape(node, sourceFile) {
+  const print = (child) => printer.printNode(ts.EmitHint.Unspecified, child, sourceFile).replace(/\s+/g, ' ').trim()
+  const list = (nodes) => (nodes ? nodes.map(print).join(', ') : '')
+  const members = (nodes) => `{ ${nodes.map(print).sort().join(' ')} }`
+
+  if (ts.isInterfaceDeclaration(node)) {
+    return `object<${list(node.typeParameters)}> ${list(node.heritageClauses)} ${members(node.members)}`
+  }
+  if (ts.isTypeAliasDeclaration(node)) {
+    const body = ts.isTypeLiteralNode(node.type) ? members(node.type.members) : print(node.type)
+    return `${ts.isTypeLiteralNode(node.type) ? 'object' : 'type'}<${list(node.typeParameters)}> ${body}`
+  }
+  return `enum ${hasModifier(node, ts.SyntaxKind.ConstKeyword) ? 'const ' : ''}{ ${list(node.members)} }`
+}
+
+function hasModifier(node, kind) {
+  return node.modifiers?.some((modifier) => modifier.kind === kind) || false
+}
+
+function getNamedElements(statement) {
+  if (ts.isExportDeclaration(statement)) {
+    return statement.exportClause && ts.isNamedExports(statement.exportClause) ? statement.exportClause : null
+  }
+  const bindings = statement.importClause?.namedBindings
+  return bindings && ts.isNamedImports(bindings) ? bindings : null
+}
+
+function findElement(statement, local) {
+  return getNamedElements(statement)?.elements.find((element) => element.name.text === local)
+}
+
+// 沿用文件中已有 import 的引号与分号风格，没有 import 时按其余语句判断分号
+function getImportStyle(sourceFiles) {
+  const statements = sourceFiles.flatMap((sourceFile) =>
+    sourceFile.statements.map((statement) => ({ statement, sourceFile }))
+  )
+  const sample = statements.find(
+    ({ statement }) => ts.isImportDeclaration(statement) || (ts.isExportDeclaration(statement) && statement.moduleSpecifier)
+  )
+  if (sample) {
+    return {
+      quote: sample.statement.moduleSpecifier.getText(sample.sourceFile)[0],
+      semicolon: sample.statement.getText(sample.sourceFile).trimEnd().endsWith(';') ? ';' : '',
+    }
+  }
+
+  const semicolon = statements.some(({ statement, sourceFile }) => statement.getText(sourceFile).trimEnd().endsWith(';'))
+  return { quote: "'", semicolon: semicolon ? ';' : '' }
+}
@@ -0,0 +1,204 @@
+import ts from 'typescript'
+import { relative } from 'path'
+import { createMatcher } from './files.js'
+
+// 诊断规则级别：off 不报告，info / warn / error 对应报告中的提示、警告与错误
+export const DIAGNOSTIC_LEVELS = ['off', 'info', 'warn', 'error']
+
+const SEVERITIES = { off: 'off', info: 'info', warn: 'warning', error: 'error' }
+
+// TypeScript 自身的诊断类别，未配置规则的错误码按此确定级别
+const CATEGORY_SEVERITIES = {
+  [ts.DiagnosticCategory.Error]: 'error',
+  [ts.DiagnosticCategory.Warning]: 'warning',
+  [ts.DiagnosticCategory.Suggestion]: 'info',
+  [ts.DiagnosticCategory.Message]: 'info',
+}
+
+const RULE_KEY = /^(?:TS)?(\d+)(?:\s*-\s*(?:TS)?(\d+))?$/i
+
+// 忽略规则的匹配条件；同一规则中的条件需全部满足
+const IGNORE_MATCHERS = ['code', 'file', 'symbol', 'message']
+
+// 默认不忽略任何诊断
+export const DEFAULT_IGNORE_RULES = []
+
+// 预设规则：在 ignoreDiagnostics 中写预设名启用，如 ['vite', { code: 2307, reason: '...' }]
+export const IGNORE_PRESETS = {
+  // 没有引入 vite/client 类型时，import.meta 及其 Vite 扩展（env、glob）由构建工具处理
+  vite: [
+    {
+      code: [1343, 2339],
+      message: "import\\.meta|on type 'ImportMeta'",
+      reason: 'import.meta 及其 Vite 扩展（env、glob）由构建工具处理',
+    },
+  ],
+  'untyped-modules': [
+    {
+      code: 7016,
+      reason: '第三方模块缺少类型声明（可安装 @types 包或添加 declare module）',
+    },
+  ],
+}
+
+// 诊断级别：diagnosticRules（单个错误码优先于范围，范围越小越优先）> errorCodes 列表 > TypeScript 的诊断类别
+// errorCodes 为 { error: Set, warning: Set }（数字错误码）
+export function createSeverityResolver({ diagnosticRules = {}, errorCodes }) {
+  const rules = parseDiagnosticRules(diagnosticRules)
+
+  return (code, category = ts.DiagnosticCategory.Error) => {
+    const rule = rules.find((item) => code >= item.from && code <= item.to)
+    if (rule) return SEVERITIES[rule.level]
+    if (errorCodes.error.has(code)) return 'error'
+    if (errorCodes.warning.has(code)) return 'warning'
+    return CATEGORY_SEVERITIES[category] || 'error'
+  }
+}
+
+// 校验 diagnosticRules：键为错误码（2339 / "TS2339"）或范围（"TS2300-TS2399"），值为级别
+export function validateDiagnosticRules(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return '应为对象，如 { "TS2339": "error", "TS7000-TS7999": "warn" }'
+  }
+
+  const problems = []
+  for (const [key, level] of Object.entries(value)) {
+    const range = parseRuleKey(key)
+    if (!range) {
+      problems.push(`"${key}" 应为错误码或错误码范围（如 TS2339、TS2300-TS2399）`)
+    } else if (range.from > range.to) {
+      problems.push(`"${key}" 范围的起点大于终点`)
+    }
+    if (!DIAGNOSTIC_LEVELS.includes(level)) {
+      problems.push(`"${key}" 的级别应为 ${DIAGNOSTIC_LEVELS.join(' / ')}`)
+    }
+  }
+  return problems.length > 0 ? problems.join('；') : null
+}
+
+// 校验 ignoreDiagnostics：[预设名 | { code?, file?, symbol?, message?, reason }]
+export function validateIgnoreRules(value) {
+  if (!Array.isArray(value)) return '应为规则数组，如 [{ code: "TS2307", file: "src/legacy/**", reason: "..." }]'
+
+  const problems = []
+  value.forEach((rule, index) => {
+    const name = `[${index}]`
+    if (typeof rule === 'string') {
+      if (!(rule in IGNORE_PRESETS)) {
+        problems.push(`${name} 未知的预设 "${rule}"（可选: ${Object.keys(IGNORE_PRESETS).join(', ')}）`)
+      }
+      return
+    }
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      problems.push(`${name} 应为对象`)
+      return
+    }
+    const unknown = Object.keys(rule).filter((key) => key !== 'reason' && !IGNORE_MATCHERS.includes(key))
+    if (unknown.length > 0) {
+      problems.push(`${name} 包含未知字段 ${unknown.join(', ')}（可选: ${[...IGNORE_MATCHERS, 'reason'].join(', ')}）`)
+    }
+    if (typeof rule.reason !== 'string' || !rule.reason.trim()) {
+      problems.push(`${name}.reason 应为非空字符串，说明忽略的原因`)
+    }
+    if (!IGNORE_MATCHERS.some((key) => rule[key] !== undefined)) {
+      problems.push(`${name} 至少需要 code / file / symbol / message 中的一个条件`)
+    }
+    if (rule.code !== undefined && ![].concat(rule.code).every((code) => parseRuleKey(code))) {
+      problems.push(`${name}.code 应为错误码、错误码范围或其数组（如 2307、"TS2300-TS2399"）`)
+    }
+    for (const key of ['file', 'symbol']) {
+      const values = [].concat(rule[key] ?? [])
+      if (rule[key] !== undefined && (values.length === 0 || !values.every((item) => typeof item === 'string' && item))) {
+        problems.push(`${name}.${key} 应为非空字符串或字符串数组`)
+      }
+    }
+    if (rule.message !== undefined && !(rule.message instanceof RegExp)) {
+      try {
+        new RegExp(rule.message)
+      } catch (error) {
+        problems.push(`${name}.message 不是有效的正则表达式: ${error.message}`)
+      }
+    }
+  })
+  return problems.length > 0 ? problems.join('；') : null
+}
+
+// 展开规则中的预设名
+export function expandIgnoreRules(rules) {
+  return rules.flatMap((rule) => (typeof rule === 'string' ? IGNORE_PRESETS[rule] : [rule]))
+}
+
+// 返回匹配诊断的第一条规则的下标，没有匹配时为 -1
+// 诊断信息 { code, file（绝对路径）, symbol（诊断指向的源码文本）, message }
+export function createIgnoreMatcher(rules, rootDir) {
+  const compiled = rules.map((rule) => ({
+    codes: rule.code === undefined ? null : [].concat(rule.code).map(parseRuleKey),
+    file: rule.file === undefined ? null : createMatcher([].concat(rule.file)),
+    symbols: rule.symbol === undefined ? null : new Set([].concat(rule.symbol)),
+    message: rule.message === undefined ? null : new RegExp(rule.message),
+  }))
+
+  return ({ code, file, symbol, message }) => {
+    const path = relative(rootDir, file).replace(/\\/g, '/')
+    return compiled.findIndex(
+      (rule) =>
+        (!rule.codes || rule.codes.some((range) => code >= range.from && code <= range.to)) &&
+        (!rule.file || rule.file(path)) &&
+        (!rule.symbols || (!!symbol && rule.symbols.has(symbol))) &&
+        (!rule.message || rule.message.test(message))
+    )
+  }
+}
+
+// 每条忽略规则吞掉的诊断（ignored 中的诊断带有 ignoredBy 规则下标）
+export function summarizeIgnored(rules, ignored) {
+  return {
+    total: ignored.length,
+    rules: rules.map((rule, index) => {
+      const diagnostics = ignored
+        .filter((item) => item.ignoredBy === index)
+        .map(({ ignoredBy, ...item }) => item)
+      return { reason: rule.reason, match: describeIgnoreRule(rule), count: diagnostics.length, diagnostics }
+    }),
+  }
+}
+
+// 规则条件的简短描述，如 "TS2339 · message /ImportMeta/"
+export function describeIgnoreRule(rule) {
+  const list = (values) => {
+    const items = [].concat(values)
+    return items.length > 3 ? `${items.slice(0, 3).join(', ')} 等 ${items.length} 个` : items.join(', ')
+  }
+  const parts = []
+  if (rule.code !== undefined) {
+    parts.push(list([].concat(rule.code).map((code) => (/^ts/i.test(String(code)) ? String(code) : `TS${code}`))))
+  }
+  if (rule.file !== undefined) parts.push(`file ${list(rule.file)}`)
+  if (rule.symbol !== undefined) parts.push(`symbol ${list(rule.symbol)}`)
+  if (rule.message !== undefined) parts.push(`message ${new RegExp(rule.message)}`)
+  return parts.join(' · ')
+}
+
+// 按错误码统计数量，数量多的在前
+export function countByCode(diagnostics) {
+  const counts = new Map()
+  for (const diagnostic of diagnostics) {
+    counts.set(diagnostic.code, (counts.get(diagnostic.code) || 0) + 1)
+  }
+  return Array.from(counts, ([code, count]) => ({ code, count })).sort(
+    (a, b) => b.count - a.count || a.code.localeCompare(b.code)
+  )
+}
+
+function parseDiagnosticRules(rules) {
+  return Object.entries(rules)
+    .map(([key, level]) => ({ ...parseRuleKey(key), level }))
+    .sort((a, b) => a.to - a.from - (b.to - b.from))
+}
+
+function parseRuleKey(key) {
+  const match = String(key).trim().match(RULE_KEY)
+  if (!match) return null
+  const from = Number(match[1])
+  return { from, to: match[2] ? Number(match[2]) : from }
+}
@@ -0,0 +1,111 @@
+// 行级 diff 工具（Myers 算法），用于 clean / dedupe 的 dry-run 补丁输出
+
+export function diffLines(oldLines, newLines) {
+  const n = oldLines.length
+  const m = newLines.length
+  const max = n + m
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  const trace = []
+
+  outer: for (let d = 0; d <= max; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset])
+          ? v[k + 1 + offset]
+          : v[k - 1 + offset] + 1
+      let y = x - k
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++
+        y++
+      }
+      v[k + offset] = x
+      if (x >= n && y >= m) break outer
+    }
+  }
+
+  // 回溯得到编辑序列
+  const edits = []
+  let x = n
+  let y = m
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d]
+    const k = x - y
+    const prevK =
+      k === -d || (k !== d && vd[k - 1 + offset] < vd[k + 1 + offset])
+        ? k + 1
+        : k - 1
+    const prevX = vd[prevK + offset]
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: ' ', line: oldLines[x - 1] })
+      x--
+      y--
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: '+', line: newLines[y - 1] })
+      } else {
+        edits.push({ type: '-', line: oldLines[x - 1] })
+      }
+    }
+    x = prevX
+    y = prevY
+  }
+
+  return edits.reverse()
+}
+
+// 生成统一格式（unified）的 diff 文本，无变化时返回空字符串
+export function createUnifiedDiff(oldText, newText, fileName, context = 3) {
+  if (oldText === newText) return ''
+
+  const edits = diffLines(splitLines(oldText), splitLines(newText))
+
+  // 为每个编辑记录新旧行号
+  let oldLine = 1
+  let newLine = 1
+  for (const edit of edits) {
+    edit.oldLine = oldLine
+    edit.newLine = newLine
+    if (edit.type !== '+') oldLine++
+    if (edit.type !== '-') newLine++
+  }
+
+  // 按上下文范围合并为 hunk
+  const hunks = []
+  let current = null
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') return
+    const start = Math.max(0, index - context)
+    const end = Math.min(edits.length - 1, index + context)
+    if (current && start <= current.end + 1) {
+      current.end = end
+    } else {
+      current = { start, end }
+      hunks.push(current)
+    }
+  })
+
+  const output = [`--- a/${fileName}`, `+++ b/${fileName}`]
+  for (const hunk of hunks) {
+    const slice = edits.slice(hunk.start, hunk.end + 1)
+    const oldCount = slice.filter((e) => e.type !== '+').length
+    const newCount = slice.filter((e) => e.type !== '-').length
+    const oldStart = oldCount === 0 ? slice[0].oldLine - 1 : slice[0].oldLine
+    const newStart = newCount === 0 ? slice[0].newLine - 1 : slice[0].newLine
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`)
+    slice.forEach((edit) => output.push(`${edit.type}${edit.line}`))
+  }
+
+  return output.join('\n') + '\n'
+}
+
+function splitLines(text) {
+  const lines = text.split('\n')
+  if (lines[lines.length - 1] === '') lines.pop()
+  return lines
+}
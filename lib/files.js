@@ -0,0 +1,246 @@
+import { existsSync, readFileSync, readdirSync, realpathSync, statSync } from 'fs'
+import { dirname, join, relative, resolve, sep } from 'path'
+import { toPosix } from './utils.js'
+
+const GLOB_CHARS = /[*?[{]/
+
+// 始终跳过的目录
+const ALWAYS_SKIPPED_DIRS = new Set(['node_modules', '.git'])
+
+// 将 glob 转换为正则：支持 **、*、?、[abc] 与 {a,b}，路径分隔符统一为 /
+export function globToRegExp(pattern) {
+  let source = ''
+  let braceDepth = 0
+  const glob = toPosix(pattern).replace(/^\.\//, '')
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" 匹配零到多级目录，末尾的 "**" 匹配任意内容
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?'
+          i += 2
+        } else {
+          source += '.*'
+          i += 1
+        }
+      } else {
+        source += '[^/]*'
+      }
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1)
+      if (end === -1) {
+        source += '\\['
+      } else {
+        const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')
+        source += `[${body}]`
+        i = end
+      }
+    } else if (char === '{') {
+      braceDepth++
+      source += '(?:'
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--
+      source += ')'
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|'
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&')
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+// 多个 glob 的匹配函数；匹配目录的模式同时匹配其中的所有文件（如 "apps/*"）
+export function createMatcher(patterns) {
+  const regexes = patterns.flatMap((pattern) => {
+    const glob = toPosix(pattern).replace(/\/+$/, '')
+    return [globToRegExp(glob), globToRegExp(`${glob}/**`)]
+  })
+  return (path) => regexes.some((regex) => regex.test(path))
+}
+
+// 按 include / exclude 扫描文件，返回项目根目录下的绝对路径以及因错误跳过的文件
+export function scanFiles(rootDir, options = {}) {
+  const { include = [], exclude = [], gitignore = true, filter = () => true } = options
+  const root = resolve(rootDir)
+  const isIncluded = createMatcher(include)
+  const isExcluded = createMatcher(exclude)
+  const toRelative = (path) => toPosix(relative(root, path))
+
+  const files = new Set()
+  const skipped = []
+  const missing = []
+  const visited = new Set()
+
+  const walk = (dir, ignoreRules) => {
+    let realPath
+    let items
+    try {
+      // 记录真实路径，避免符号链接造成的循环
+      realPath = realpathSync(dir)
+      if (visited.has(realPath)) return
+      visited.add(realPath)
+      items = readdirSync(dir)
+    } catch (error) {
+      skipped.push({ file: toRelative(dir), reason: describeError(error) })
+      return
+    }
+
+    const rules = gitignore ? [...ignoreRules, ...readGitignore(dir)] : ignoreRules
+
+    for (const item of items) {
+      const fullPath = join(dir, item)
+      const relativePath = toRelative(fullPath)
+
+      let stat
+      try {
+        stat = statSync(fullPath)
+      } catch (error) {
+        skipped.push({ file: relativePath, reason: describeError(error) })
+        continue
+      }
+
+      if (stat.isDirectory()) {
+        if (ALWAYS_SKIPPED_DIRS.has(item)) continue
+        if (isExcluded(relativePath) || isIgnored(fullPath, true, rules)) continue
+        walk(fullPath, rules)
+      } else if (
+        isIncluded(relativePath) &&
+        !isExcluded(relativePath) &&
+        !isIgnored(fullPath, false, rules) &&
+        filter(fullPath)
+      ) {
+        files.add(fullPath)
+      }
+    }
+  }
+
+  // 只遍历 include 中不含通配符的前缀目录
+  const bases = getBaseDirectories(root, include)
+  for (const base of bases) {
+    if (!existsSync(base)) {
+      missing.push(toRelative(base) || '.')
+      continue
+    }
+    const rules = gitignore ? readParentGitignores(root, base) : []
+    // include 前缀目录本身（或其上级目录）被忽略时不遍历，如 include: ['dist/**']
+    if (isIgnoredDirectory(root, base, rules)) continue
+    walk(base, rules)
+  }
+
+  return {
+    files: Array.from(files).sort(),
+    skipped,
+    missing,
+    allMissing: bases.length > 0 && missing.length === bases.length,
+  }
+}
+
+// include 模式中不含通配符的前缀目录（绝对路径），已被其他目录包含的不重复返回
+export function getBaseDirectories(root, patterns) {
+  const bases = patterns.map((pattern) => {
+    const segments = toPosix(pattern).replace(/^\.\//, '').split('/')
+    const index = segments.findIndex((segment) => GLOB_CHARS.test(segment))
+    const fixed = index === -1 ? segments : segments.slice(0, index)
+    return resolve(root, fixed.join('/'))
+  })
+
+  // 去掉被其他目录包含的目录
+  return Array.from(new Set(bases)).filter(
+    (base) => !bases.some((other) => other !== base && base.startsWith(`${other}${sep}`))
+  )
+}
+
+// 从 git 仓库根目录（不在仓库中时为项目根目录）到遍历起点之间的 .gitignore，不含起点本身
+function readParentGitignores(root, base) {
+  const top = findGitRoot(root) || root
+  const dirs = []
+  let dir = base
+  while (dir !== top && dir.startsWith(`${top}${sep}`)) {
+    dir = dirname(dir)
+    dirs.unshift(dir)
+  }
+  return dirs.flatMap((d) => readGitignore(d))
+}
+
+function findGitRoot(dir) {
+  let current = dir
+  while (true) {
+    if (existsSync(join(current, '.git'))) return current
+    const parent = dirname(current)
+    if (parent === current) return null
+    current = parent
+  }
+}
+
+// 解析 .gitignore：支持注释、! 取反、/ 结尾的目录规则和以 / 开头的锚定规则
+function readGitignore(dir) {
+  const path = join(dir, '.gitignore')
+  if (!existsSync(path)) return []
+
+  let content
+  try {
+    content = readFileSync(path, 'utf8')
+  } catch (error) {
+    return []
+  }
+
+  const rules = []
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '')
+    if (!line || line.startsWith('#')) continue
+
+    const negate = line.startsWith('!')
+    if (negate) line = line.slice(1)
+    line = line.replace(/^\\([#!])/, '$1')
+
+    const directoryOnly = line.endsWith('/')
+    line = line.replace(/\/+$/, '')
+    // 含有 / 的规则相对 .gitignore 所在目录，否则匹配任意层级
+    const anchored = line.includes('/')
+    line = line.replace(/^\//, '')
+    if (!line) continue
+
+    rules.push({
+      base: dir,
+      negate,
+      directoryOnly,
+      regex: globToRegExp(anchored ? line : `**/${line}`),
+    })
+  }
+  return rules
+}
+
+// 后出现的规则优先；父目录被忽略时遍历阶段已跳过
+function isIgnored(fullPath, isDirectory, rules) {
+  let ignored = false
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue
+    const path = toPosix(relative(rule.base, fullPath))
+    if (path.startsWith('..')) continue
+    if (rule.regex.test(path)) {
+      ignored = !rule.negate
+    }
+  }
+  return ignored
+}
+
+// 从 git 仓库根目录（或项目根目录）到 dir 之间的任意一级目录被忽略时，dir 也被忽略
+function isIgnoredDirectory(root, dir, rules) {
+  const top = findGitRoot(root) || root
+  let current = dir
+  while (current !== top && current.startsWith(`${top}${sep}`)) {
+    if (isIgnored(current, true, rules)) return true
+    current = dirname(current)
+  }
+  return false
+}
+
+function describeError(error) {
+  return error.message || String(error)
+}
@@ -0,0 +1,193 @@
+// 类型依赖图：由报告中的 dependencies 构建类型 → 类型、文件 → 类型的有向图，并导出为 DOT / Mermaid / JSON
+
+export const GRAPH_FORMATS = ['dot', 'mermaid', 'json']
+
+// dependents: 依赖起点类型的类型与文件（修改起点的影响范围）；dependencies: 起点依赖的类型
+export const GRAPH_DIRECTIONS = ['dependents', 'dependencies', 'both']
+
+// 构建依赖图；指定 roots 时只保留从起点出发 depth 层以内可达的节点
+export function buildTypeGraph(dependencies, options = {}) {
+  const { roots = [], depth = Infinity, direction = 'dependents', files = true } = options
+  const nodes = new Map()
+  const edges = []
+
+  for (const type of dependencies.types) {
+    nodes.set(type.id, {
+      id: type.id,
+      type: 'type',
+      name: type.name,
+      kind: type.kind,
+      file: type.file,
+      line: type.line,
+    })
+  }
+
+  for (const reference of dependencies.references) {
+    if (!nodes.has(reference.from) || !nodes.has(reference.to)) continue
+    edges.push({
+      from: reference.from,
+      to: reference.to,
+      // extends 关系单独标注，其余引用（属性类型、泛型参数等）统一为 references
+      kind: reference.kinds?.includes('extends') ? 'extends' : 'references',
+      count: reference.count,
+    })
+  }
+
+  if (files) {
+    for (const consumer of dependencies.consumers) {
+      const target = nodes.get(consumer.type)
+      // 定义文件对自身类型的引用已由类型之间的边体现
+      if (!target || target.file === consumer.file) continue
+      const id = fileNodeId(consumer.file)
+      if (!nodes.has(id)) {
+        nodes.set(id, { id, type: 'file', name: consumer.file, file: consumer.file })
+      }
+      edges.push({ from: id, to: consumer.type, kind: 'uses', count: consumer.count })
+    }
+  }
+
+  if (roots.length === 0) {
+    return { roots: [], depth: null, direction: null, nodes: Array.from(nodes.values()), edges }
+  }
+
+  const levels =
+    direction === 'both'
+      ? mergeLevels(walk(roots, edges, 'dependents', depth), walk(roots, edges, 'dependencies', depth))
+      : walk(roots, edges, direction, depth)
+  return {
+    roots,
+    depth: Number.isFinite(depth) ? depth : null,
+    direction,
+    nodes: Array.from(nodes.values())
+      .filter((node) => levels.has(node.id))
+      .map((node) => ({ ...node, level: levels.get(node.id) })),
+    edges: edges.filter((edge) => levels.has(edge.from) && levels.has(edge.to)),
+  }
+}
+
+// 按名称或 "相对路径#名称" 查找起点类型，同名类型全部作为起点
+export function findGraphRoots(dependencies, query) {
+  const exact = dependencies.types.filter((type) => type.id === query)
+  if (exact.length > 0) return exact.map((type) => type.id)
+  return dependencies.types.filter((type) => type.name === query).map((type) => type.id)
+}
+
+export function formatGraph(graph, format) {
+  if (format === 'dot') return toDot(graph)
+  if (format === 'mermaid') return toMermaid(graph)
+  if (format === 'json') return JSON.stringify(graph, null, 2) + '\n'
+  throw new Error(`不支持的图格式: ${format}（可选: ${GRAPH_FORMATS.join(', ')}）`)
+}
+
+export function toDot(graph) {
+  const roots = new Set(graph.roots)
+  const lines = [
+    'digraph types {',
+    '  rankdir=LR;',
+    '  node [fontname="Helvetica", fontsize=11];',
+    '  edge [fontname="Helvetica", fontsize=9];',
+  ]
+
+  for (const node of graph.nodes) {
+    const attributes =
+      node.type === 'file'
+        ? { label: node.name, shape: 'note', color: 'gray50', fontcolor: 'gray30' }
+        : {
+            label: `${node.name}\n${node.file}:${node.line}`,
+            shape: NODE_SHAPES[node.kind] || 'box',
+            ...(roots.has(node.id) ? { style: 'filled', fillcolor: 'lightgoldenrod1' } : {}),
+          }
+    lines.push(`  ${dotString(node.id)} [${dotAttributes(attributes)}];`)
+  }
+
+  for (const edge of graph.edges) {
+    const attributes = EDGE_STYLES[edge.kind]
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)}${attributes ? ` [${dotAttributes(attributes)}]` : ''};`)
+  }
+
+  lines.push('}')
+  return lines.join('\n') + '\n'
+}
+
+// Mermaid 节点 id 只能是简单标识符，按顺序编号，名称放在标签中
+export function toMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]))
+  const roots = new Set(graph.roots)
+  const lines = ['graph LR']
+
+  for (const node of graph.nodes) {
+    const label = mermaidLabel(node.type === 'file' ? node.name : `${node.name}<br/>${node.file}`)
+    const shape = node.type === 'file' ? `[/${label}/]` : node.kind === 'enum' ? `{{${label}}}` : `[${label}]`
+    lines.push(`  ${ids.get(node.id)}${shape}`)
+  }
+
+  for (const edge of graph.edges) {
+    const arrow = edge.kind === 'extends' ? '==>|extends|' : edge.kind === 'uses' ? '-.->' : '-->'
+    lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`)
+  }
+
+  const rootIds = graph.nodes.filter((node) => roots.has(node.id)).map((node) => ids.get(node.id))
+  if (rootIds.length > 0) {
+    lines.push('  classDef root fill:#fff3b0,stroke:#b08800')
+    lines.push(`  class ${rootIds.join(',')} root`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+const NODE_SHAPES = { interface: 'box', type: 'box', enum: 'hexagon' }
+
+const EDGE_STYLES = {
+  extends: { arrowhead: 'onormal', style: 'bold', label: 'extends' },
+  uses: { style: 'dashed', color: 'gray50' },
+}
+
+function fileNodeId(file) {
+  return `file:${file}`
+}
+
+// 广度优先遍历，返回每个可达节点到起点的最短层数；dependents 沿边反向遍历
+function walk(roots, edges, direction, depth) {
+  const adjacent = new Map()
+  for (const edge of edges) {
+    const [from, to] = direction === 'dependents' ? [edge.to, edge.from] : [edge.from, edge.to]
+    if (!adjacent.has(from)) adjacent.set(from, [])
+    adjacent.get(from).push(to)
+  }
+
+  const levels = new Map(roots.map((root) => [root, 0]))
+  let frontier = roots
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const next = []
+    for (const id of frontier) {
+      for (const neighbor of adjacent.get(id) || []) {
+        if (levels.has(neighbor)) continue
+        levels.set(neighbor, level)
+        next.push(neighbor)
+      }
+    }
+    frontier = next
+  }
+  return levels
+}
+
+function mergeLevels(left, right) {
+  const levels = new Map(left)
+  for (const [id, level] of right) {
+    if (!levels.has(id) || level < levels.get(id)) levels.set(id, level)
+  }
+  return levels
+}
+
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+}
+
+function dotAttributes(attributes) {
+  return Object.entries(attributes)
+    .map(([key, value]) => `${key}=${dotString(value)}`)
+    .join(', ')
+}
+
+function mermaidLabel(text) {
+  return `"${String(text).replace(/"/g, '#quot;')}"`
+}
@@ -0,0 +1,220 @@
+import ts from 'typescript'
+
+// 类型声明中嵌套最深的泛型参数链，如 Promise<Array<Record<string, User>>> 返回
+// { depth: 3, path: ['Promise', 'Array', 'Record'] }；没有泛型参数时返回 null
+export function getGenericNesting(node, sourceFile) {
+  let deepest = null
+
+  const visit = (current, path) => {
+    let next = path
+    const target = getGenericName(current, sourceFile)
+    if (target && current.typeArguments?.length > 0) {
+      next = [...path, target]
+      if (!deepest || next.length > deepest.length) deepest = next
+    }
+    ts.forEachChild(current, (child) => visit(child, next))
+  }
+  visit(node, [])
+
+  return deepest ? { depth: deepest.length, path: deepest } : null
+}
+
+// 复杂类型：跨文件的循环依赖、过深的 extends 链与泛型嵌套
+// types / references 为报告 dependencies 中的类型与类型之间的依赖（id 为 "相对路径#名称"）
+export function findComplexTypes(types, references, options = {}) {
+  const { circular = true, maxExtendsDepth = 0, maxGenericDepth = 0 } = options
+  const byId = new Map(types.map((type) => [type.id, type]))
+  const findings = []
+
+  if (circular) {
+    findings.push(...findTypeCycles(byId, references))
+  }
+  if (maxExtendsDepth > 0) {
+    findings.push(...findDeepExtends(byId, references, maxExtendsDepth))
+  }
+  if (maxGenericDepth > 0) {
+    for (const type of types) {
+      if (!type.generics || type.generics.depth <= maxGenericDepth) continue
+      const nesting = formatGenericPath(type.generics.path)
+      findings.push({
+        ...finding('deep-generic', type),
+        depth: type.generics.depth,
+        limit: maxGenericDepth,
+        path: type.generics.path,
+        message: `${type.name} 的泛型嵌套 ${type.generics.depth} 层（上限 ${maxGenericDepth}）: ${nesting}`,
+      })
+    }
+  }
+
+  return findings
+}
+
+// 泛型嵌套路径的展示形式，如 Promise<Array<Record<…>>>
+export function formatGenericPath(path) {
+  return `${path.join('<')}<…${'>'.repeat(path.length)}`
+}
+
+// 类型引用图中的强连通分量即循环依赖；只报告涉及多个文件的循环（同一文件内的递归类型很常见）
+function findTypeCycles(byId, references) {
+  const adjacent = new Map()
+  for (const { from, to } of references) {
+    if (from === to || !byId.has(from) || !byId.has(to)) continue
+    if (!adjacent.has(from)) adjacent.set(from, [])
+    adjacent.get(from).push(to)
+  }
+
+  const findings = []
+  for (const component of stronglyConnected(Array.from(byId.keys()), adjacent)) {
+    if (component.length < 2) continue
+    const files = new Set(component.map((id) => byId.get(id).file))
+    if (files.size < 2) continue
+
+    // 从排序最前的类型出发取最短的环，报告结果稳定
+    const members = new Set(component)
+    const start = component.slice().sort()[0]
+    const cycle = shortestCycle(start, adjacent, members).map((id) => byId.get(id))
+    const path = [...cycle, cycle[0]].map((type) => type.name).join(' → ')
+    findings.push({
+      ...finding('circular', byId.get(start)),
+      size: component.length,
+      path: cycle.map(({ name, file, line }) => ({ name, file, line })),
+      message:
+        component.length > cycle.length
+          ? `循环依赖: ${path}（共 ${component.length} 个类型相互依赖）`
+          : `循环依赖: ${path}`,
+    })
+  }
+  return findings
+}
+
+// extends 层数：A extends B extends C 中 A 为 2；只报告链的末端（没有再被继承的类型），避免同一条链重复报告
+function findDeepExtends(byId, references, limit) {
+  const parents = new Map()
+  const extended = new Set()
+  for (const reference of references) {
+    if (!reference.kinds?.includes('extends')) continue
+    if (!byId.has(reference.from) || !byId.has(reference.to) || reference.from === reference.to) continue
+    if (!parents.has(reference.from)) parents.set(reference.from, [])
+    parents.get(reference.from).push(reference.to)
+    extended.add(reference.to)
+  }
+
+  // 每个类型最长的 extends 链（含自身）；继承关系中的环只算一次
+  const chains = new Map()
+  const chainOf = (id, visiting = new Set()) => {
+    if (chains.has(id)) return chains.get(id)
+    if (visiting.has(id)) return [id]
+    visiting.add(id)
+    let longest = []
+    for (const parent of parents.get(id) || []) {
+      const chain = chainOf(parent, visiting)
+      if (chain.length > longest.length) longest = chain
+    }
+    visiting.delete(id)
+    const chain = [id, ...longest]
+    chains.set(id, chain)
+    return chain
+  }
+
+  const findings = []
+  for (const id of parents.keys()) {
+    if (extended.has(id)) continue
+    const chain = chainOf(id).map((member) => byId.get(member))
+    const depth = chain.length - 1
+    if (depth <= limit) continue
+
+    findings.push({
+      ...finding('deep-extends', byId.get(id)),
+      depth,
+      limit,
+      path: chain.map(({ name, file, line }) => ({ name, file, line })),
+      message: `${chain[0].name} 的 extends 链有 ${depth} 层（上限 ${limit}）: ${chain.map((type) => type.name).join(' → ')}`,
+    })
+  }
+  return findings
+}
+
+function finding(rule, type) {
+  return { rule, name: type.name, type: type.kind, file: type.file, line: type.line }
+}
+
+// Tarjan 算法（迭代实现，避免很长的依赖链导致栈溢出）
+function stronglyConnected(ids, adjacent) {
+  const index = new Map()
+  const low = new Map()
+  const onStack = new Set()
+  const stack = []
+  const components = []
+  let counter = 0
+
+  for (const root of ids) {
+    if (index.has(root)) continue
+    const work = [{ id: root, next: 0 }]
+    index.set(root, counter)
+    low.set(root, counter++)
+    stack.push(root)
+    onStack.add(root)
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1]
+      const neighbors = adjacent.get(frame.id) || []
+      if (frame.next < neighbors.length) {
+        const neighbor = neighbors[frame.next++]
+        if (!index.has(neighbor)) {
+          index.set(neighbor, counter)
+          low.set(neighbor, counter++)
+          stack.push(neighbor)
+          onStack.add(neighbor)
+          work.push({ id: neighbor, next: 0 })
+        } else if (onStack.has(neighbor)) {
+          low.set(frame.id, Math.min(low.get(frame.id), index.get(neighbor)))
+        }
+        continue
+      }
+
+      work.pop()
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id
+        low.set(parent, Math.min(low.get(parent), low.get(frame.id)))
+      }
+      if (low.get(frame.id) === index.get(frame.id)) {
+        const component = []
+        let member
+        do {
+          member = stack.pop()
+          onStack.delete(member)
+          component.push(member)
+        } while (member !== frame.id)
+        components.push(component)
+      }
+    }
+  }
+  return components
+}
+
+// 分量内从 start 出发回到 start 的最短路径（广度优先），返回环上的节点（不重复 start）
+function shortestCycle(start, adjacent, members) {
+  const previous = new Map()
+  const queue = [start]
+  while (queue.length > 0) {
+    const id = queue.shift()
+    for (const neighbor of adjacent.get(id) || []) {
+      if (!members.has(neighbor)) continue
+      if (neighbor === start) {
+        const path = [id]
+        while (path[0] !== start) path.unshift(previous.get(path[0]))
+        return path
+      }
+      if (previous.has(neighbor)) continue
+      previous.set(neighbor, id)
+      queue.push(neighbor)
+    }
+  }
+  return [start]
+}
+
+function getGenericName(node, sourceFile) {
+  if (ts.isTypeReferenceNode(node)) return node.typeName.getText(sourceFile)
+  if (ts.isExpressionWithTypeArguments(node)) return node.expression.getText(sourceFile)
+  return null
+}
@@ -0,0 +1,143 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs'
+import { dirname } from 'path'
+import { getHeadCommit } from './changed.js'
+
+// 历史记录结构版本
+export const HISTORY_VERSION = 1
+
+// 每次运行追加一行 JSON，便于增量写入和合并
+export const DEFAULT_HISTORY_FILE = 'type-reports/history.jsonl'
+
+// 趋势中展示的指标；lowerIsBetter 决定增减的颜色
+export const TREND_METRICS = [
+  { key: 'healthScore', label: '📊 健康度', lowerIsBetter: false },
+  { key: 'totalErrors', label: '🚨 类型错误', lowerIsBetter: true },
+  { key: 'totalWarnings', label: '⚠️ 类型警告', lowerIsBetter: true },
+  { key: 'duplicateTypes', label: '🔄 重复定义', lowerIsBetter: true },
+  { key: 'unusedTypes', label: '🗑️ 未使用类型', lowerIsBetter: true },
+  { key: 'unnecessaryExports', label: '🔒 不必要导出', lowerIsBetter: true },
+  { key: 'singleConsumerTypes', label: '📦 单一使用方', lowerIsBetter: true },
+  { key: 'complexTypes', label: '🌀 复杂类型', lowerIsBetter: true },
+  { key: 'totalTypes', label: '🎯 类型定义', lowerIsBetter: null },
+]
+
+const STAT_KEYS = [
+  'totalFiles',
+  'totalTypes',
+  'totalUsages',
+  'totalErrors',
+  'totalWarnings',
+  'duplicateTypes',
+  'unusedTypes',
+  'unnecessaryExports',
+  'singleConsumerTypes',
+  'structuralDuplicates',
+  'complexTypes',
+  'pluginIssues',
+]
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█'
+
+// 报告的精简快照：时间、提交、统计、评分以及各类别扣分
+export function createSnapshot(report, rootDir) {
+  const head = getHeadCommit(rootDir)
+  const penalties = {}
+  for (const item of report.scoreBreakdown?.categories || []) {
+    if (item.penalty > 0) penalties[item.category] = item.penalty
+  }
+
+  return {
+    version: HISTORY_VERSION,
+    timestamp: report.timestamp || new Date().toISOString(),
+    commit: head?.commit || null,
+    branch: head?.branch || null,
+    healthScore: report.healthScore,
+    statistics: Object.fromEntries(STAT_KEYS.map((key) => [key, report.statistics[key] || 0])),
+    penalties,
+  }
+}
+
+export function appendSnapshot(filePath, snapshot) {
+  const dir = dirname(filePath)
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true })
+  }
+  appendFileSync(filePath, JSON.stringify(snapshot) + '\n', 'utf8')
+}
+
+// 读取历史记录，跳过无法解析的行（如写入中断）
+export function loadHistory(filePath) {
+  if (!existsSync(filePath)) return []
+
+  return readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line)
+      } catch (error) {
+        return null
+      }
+    })
+    .filter((snapshot) => snapshot && snapshot.statistics && typeof snapshot.healthScore === 'number')
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+}
+
+// 最近 limit 次运行中每个指标的序列、首末值与变化量
+export function summarizeTrend(history, limit = 20) {
+  const entries = history.slice(-limit)
+  if (entries.length === 0) return null
+
+  const first = entries[0]
+  const last = entries[entries.length - 1]
+  const valueOf = (snapshot, key) =>
+    key === 'healthScore' ? snapshot.healthScore : snapshot.statistics[key] || 0
+
+  const metrics = TREND_METRICS.map((metric) => {
+    const values = entries.map((snapshot) => valueOf(snapshot, metric.key))
+    const delta = values[values.length - 1] - values[0]
+    return {
+      ...metric,
+      values,
+      first: values[0],
+      last: values[values.length - 1],
+      delta,
+      // 变好为 1，变差为 -1，无变化或无好坏之分为 0
+      direction:
+        delta === 0 || metric.lowerIsBetter === null
+          ? 0
+          : (delta < 0) === metric.lowerIsBetter
+            ? 1
+            : -1,
+    }
+  })
+
+  return {
+    runs: entries.length,
+    totalRuns: history.length,
+    first: { timestamp: first.timestamp, commit: first.commit },
+    last: { timestamp: last.timestamp, commit: last.commit },
+    labels: entries.map((snapshot) => formatLabel(snapshot)),
+    metrics,
+  }
+}
+
+// 用 ▁▂▃▄▅▆▇█ 绘制序列，全部相同时画一条中线
+export function sparkline(values) {
+  if (values.length === 0) return ''
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  if (max === min) return SPARK_CHARS[3].repeat(values.length)
+
+  return values
+    .map((value) => SPARK_CHARS[Math.round(((value - min) / (max - min)) * (SPARK_CHARS.length - 1))])
+    .join('')
+}
+
+// 横轴标签：月-日 时:分，有提交时附带短哈希
+function formatLabel(snapshot) {
+  const date = new Date(snapshot.timestamp)
+  const pad = (n) => String(n).padStart(2, '0')
+  const time = `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+  return snapshot.commit ? `${time} ${snapshot.commit.slice(0, 7)}` : time
+}
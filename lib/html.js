@@ -0,0 +1,511 @@
+// 自包含的 HTML 报告：样式、脚本与数据都内联在一个文件中，离线可用
+// 页面由 ReportGenerator.buildHtmlContent 准备的数据在浏览器中渲染
+
+export function buildHtmlDocument(data) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(data.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>🛠️ ${escapeHtml(data.title)}</h1>
+  <p class="meta">${escapeHtml(data.project)} · ${escapeHtml(data.generatedAt)} · ${escapeHtml(data.tool.name)} ${escapeHtml(data.tool.version)}</p>
+  <nav>
+    <a href="#overview">概览</a>
+    <a href="#issues">问题列表</a>
+    <a href="#files">按文件</a>
+    <a href="#dependencies">类型依赖</a>
+    ${data.trend ? '<a href="#trend">历史趋势</a>' : ''}
+  </nav>
+</header>
+<main>
+  <section id="overview"></section>
+  ${data.trend ? `<section id="trend"><h2>📈 历史趋势</h2>${buildTrendChart(data.trend)}<div id="trend-table"></div></section>` : ''}
+  <section id="issues">
+    <h2>📋 问题列表 <span class="count" id="issue-count"></span></h2>
+    <div class="filters">
+      <select id="filter-category"><option value="">全部类别</option></select>
+      <select id="filter-severity"><option value="">全部级别</option></select>
+      <select id="filter-code"><option value="">全部代码</option></select>
+      <input id="filter-file" type="search" placeholder="文件路径">
+      <input id="filter-text" type="search" placeholder="搜索信息">
+    </div>
+    <table id="issue-table">
+      <thead><tr>
+        <th data-sort="severity">级别</th>
+        <th data-sort="category">类别</th>
+        <th data-sort="code">代码</th>
+        <th data-sort="file">位置</th>
+        <th data-sort="message">信息</th>
+      </tr></thead>
+      <tbody></tbody>
+    </table>
+  </section>
+  <section id="files">
+    <h2>📄 按文件 <button type="button" id="toggle-files">全部展开</button></h2>
+    <div id="file-list"></div>
+  </section>
+  <section id="dependencies">
+    <h2>🔗 类型依赖</h2>
+    <p class="hint">依赖：类型声明中引用的其他类型；被依赖：声明中引用了该类型的类型；使用文件：引用该类型的文件。</p>
+    <div class="filters"><input id="filter-type" type="search" placeholder="类型名称或文件"></div>
+    <div class="dependency-view">
+      <table id="type-table">
+        <thead><tr>
+          <th data-sort="name">类型</th>
+          <th data-sort="file">定义位置</th>
+          <th data-sort="dependsOn">依赖</th>
+          <th data-sort="dependents">被依赖</th>
+          <th data-sort="consumers">使用文件</th>
+        </tr></thead>
+        <tbody></tbody>
+      </table>
+      <div id="type-detail" class="detail"><p class="hint">选择一个类型查看依赖关系</p></div>
+    </div>
+  </section>
+</main>
+<footer>由 ${escapeHtml(data.tool.name)} 生成</footer>
+<script type="application/json" id="report-data">${serializeData(data)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+// 内联在 <script> 中的 JSON 不能出现 </script> 等序列
+function serializeData(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+}
+
+// 健康度折线图（0-100 分），直接生成 SVG，不依赖图表库
+function buildTrendChart(trend) {
+  const metric = trend.metrics.find((item) => item.key === 'healthScore')
+  if (!metric) return ''
+
+  const width = 640
+  const height = 200
+  const padding = { top: 16, right: 16, bottom: 28, left: 36 }
+  const plotWidth = width - padding.left - padding.right
+  const plotHeight = height - padding.top - padding.bottom
+  const step = metric.values.length > 1 ? plotWidth / (metric.values.length - 1) : 0
+  const x = (index) => padding.left + index * step
+  const y = (value) => padding.top + plotHeight * (1 - value / 100)
+
+  const points = metric.values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`)
+  const grid = [0, 25, 50, 75, 100]
+    .map(
+      (value) =>
+        `<line x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}" class="grid"/>` +
+        `<text x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>`
+    )
+    .join('')
+  const dots = metric.values
+    .map(
+      (value, index) =>
+        `<circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3"><title>${escapeHtml(trend.labels[index])}: ${value}</title></circle>`
+    )
+    .join('')
+
+  return `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(metric.label)}">
+    ${grid}
+    <polyline points="${points.join(' ')}"/>
+    ${dots}
+    <text x="${padding.left}" y="${height - 8}">${escapeHtml(trend.labels[0])}</text>
+    <text x="${width - padding.right}" y="${height - 8}" text-anchor="end">${escapeHtml(trend.labels[trend.labels.length - 1])}</text>
+  </svg>`
+}
+
+const STYLE = `
+:root { --fg: #1f2328; --muted: #656d76; --border: #d0d7de; --bg: #f6f8fa; --accent: #0969da;
+  --error: #cf222e; --warning: #9a6700; --note: #0969da; --good: #1a7f37; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; color: var(--fg); }
+header { padding: 16px 24px 0; border-bottom: 1px solid var(--border); position: sticky; top: 0; background: #fff; z-index: 1; }
+header h1 { margin: 0; font-size: 20px; }
+.meta, .hint { color: var(--muted); margin: 4px 0 8px; }
+nav a { display: inline-block; margin-right: 16px; padding: 6px 0; color: var(--accent); text-decoration: none; }
+main { padding: 0 24px 24px; max-width: 1400px; }
+h2 { font-size: 17px; margin: 28px 0 12px; border-bottom: 1px solid var(--border); padding-bottom: 6px; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 12px; }
+.card { border: 1px solid var(--border); border-radius: 6px; padding: 10px 12px; background: var(--bg); }
+.card b { display: block; font-size: 22px; }
+.score { font-size: 40px; font-weight: 600; }
+.score.good { color: var(--good); } .score.fair { color: var(--warning); } .score.poor { color: var(--error); }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border); vertical-align: top; }
+th { background: var(--bg); white-space: nowrap; }
+th[data-sort] { cursor: pointer; user-select: none; }
+th.asc::after { content: " ▲"; } th.desc::after { content: " ▼"; }
+td.location { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; word-break: break-all; }
+tr.selected td { background: #ddf4ff; }
+#type-table tbody tr { cursor: pointer; }
+.filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 10px; }
+.filters input, .filters select { padding: 4px 8px; border: 1px solid var(--border); border-radius: 6px; font: inherit; }
+.filters input { min-width: 200px; }
+.badge { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 12px; color: #fff; }
+.badge.error { background: var(--error); } .badge.warning { background: var(--warning); } .badge.note { background: var(--note); }
+.count { color: var(--muted); font-weight: normal; font-size: 14px; }
+details { border: 1px solid var(--border); border-radius: 6px; margin-bottom: 8px; }
+summary { padding: 6px 10px; cursor: pointer; background: var(--bg); font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 13px; }
+.finding { padding: 8px 12px; border-top: 1px solid var(--border); }
+pre.snippet { margin: 6px 0 0; padding: 6px 0; background: var(--bg); border-radius: 4px; overflow-x: auto; font-size: 12px; }
+pre.snippet span { display: block; padding: 0 10px; white-space: pre; }
+pre.snippet span.target { background: #fff8c5; }
+pre.snippet i { display: inline-block; width: 4em; color: var(--muted); font-style: normal; user-select: none; }
+button { font: inherit; font-size: 12px; padding: 2px 8px; border: 1px solid var(--border); border-radius: 6px; background: #fff; cursor: pointer; }
+.dependency-view { display: grid; grid-template-columns: minmax(0, 3fr) minmax(0, 2fr); gap: 16px; align-items: start; }
+.detail { border: 1px solid var(--border); border-radius: 6px; padding: 10px 12px; position: sticky; top: 110px; max-height: 70vh; overflow: auto; }
+.detail h3 { margin: 0 0 4px; font-size: 15px; }
+.detail h4 { margin: 12px 0 4px; font-size: 13px; color: var(--muted); }
+.detail ul { margin: 0; padding-left: 18px; }
+.detail a { color: var(--accent); cursor: pointer; }
+.trend-chart { width: 100%; max-width: 640px; height: auto; }
+.trend-chart polyline { fill: none; stroke: var(--accent); stroke-width: 2; }
+.trend-chart circle { fill: var(--accent); }
+.trend-chart line.grid { stroke: var(--border); }
+.trend-chart text { font-size: 11px; fill: var(--muted); }
+.up { color: var(--good); } .down { color: var(--error); }
+footer { padding: 16px 24px; color: var(--muted); border-top: 1px solid var(--border); }
+@media (max-width: 900px) { .dependency-view { grid-template-columns: 1fr; } }
+`
+
+// 浏览器端渲染：问题表格（筛选、排序）、按文件分组的代码片段、类型依赖与趋势表
+const SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('report-data').textContent)
+  var SEVERITY_ORDER = { error: 0, warning: 1, note: 2 }
+  var SEVERITY_LABELS = { error: '错误', warning: '警告', note: '建议' }
+
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag)
+    Object.keys(attrs || {}).forEach(function (key) {
+      if (key === 'text') node.textContent = attrs[key]
+      else if (key === 'className') node.className = attrs[key]
+      else node.setAttribute(key, attrs[key])
+    })
+    ;(children || []).forEach(function (child) { if (child) node.appendChild(child) })
+    return node
+  }
+
+  function badge(severity) {
+    return el('span', { className: 'badge ' + severity, text: SEVERITY_LABELS[severity] || severity })
+  }
+
+  function location(issue) {
+    return issue.file ? issue.file + (issue.line ? ':' + issue.line : '') : ''
+  }
+
+  // 表头点击排序，再次点击反向
+  function sortable(table, render) {
+    var state = { key: null, dir: 1 }
+    table.querySelectorAll('th[data-sort]').forEach(function (th) {
+      th.addEventListener('click', function () {
+        var key = th.getAttribute('data-sort')
+        state.dir = state.key === key ? -state.dir : 1
+        state.key = key
+        table.querySelectorAll('th').forEach(function (other) { other.classList.remove('asc', 'desc') })
+        th.classList.add(state.dir > 0 ? 'asc' : 'desc')
+        render()
+      })
+    })
+    return function (rows, valueOf) {
+      if (!state.key) return rows
+      return rows.slice().sort(function (a, b) {
+        var left = valueOf(a, state.key)
+        var right = valueOf(b, state.key)
+        if (left < right) return -state.dir
+        if (left > right) return state.dir
+        return 0
+      })
+    }
+  }
+
+  // 概览
+  function renderOverview() {
+    var section = document.getElementById('overview')
+    var score = data.healthScore
+    var level = score >= 80 ? 'good' : score >= 60 ? 'fair' : 'poor'
+    section.appendChild(el('h2', { text: '📊 概览' }))
+    section.appendChild(el('div', { className: 'score ' + level, text: score + ' / 100' }))
+
+    var cards = el('div', { className: 'cards' })
+    data.summary.forEach(function (item) {
+      cards.appendChild(el('div', { className: 'card' }, [el('b', { text: String(item.value) }), el('span', { text: item.label })]))
+    })
+    section.appendChild(cards)
+
+    if (data.scoreBreakdown) {
+      var rows = data.scoreBreakdown.categories.filter(function (item) { return item.penalty > 0 })
+      if (rows.length > 0) {
+        section.appendChild(el('h3', { text: '扣分明细（共扣 ' + data.scoreBreakdown.deducted + ' 分）' }))
+        section.appendChild(el('table', {}, [
+          el('thead', {}, [el('tr', {}, ['类别', '数量', '扣分'].map(function (text) { return el('th', { text: text }) }))]),
+          el('tbody', {}, rows.map(function (item) {
+            return el('tr', {}, [
+              el('td', { text: item.label }),
+              el('td', { text: String(item.count) }),
+              el('td', { text: '-' + item.penalty + (item.capped ? '（已封顶）' : '') })
+            ])
+          }))
+        ]))
+      }
+    }
+
+    if (data.changed) {
+      section.appendChild(el('p', { className: 'hint', text: '仅包含' + data.changed.mode + '中 ' + data.changed.files.length + ' 个文件的问题（过滤 ' + data.changed.filtered + ' 个）' }))
+    }
+
+    if (data.recommendations.length > 0) {
+      section.appendChild(el('h3', { text: '💡 改进建议' }))
+      section.appendChild(el('ul', {}, data.recommendations.map(function (text) { return el('li', { text: text }) })))
+    }
+  }
+
+  // 问题列表
+  function renderIssues() {
+    var table = document.getElementById('issue-table')
+    var tbody = table.querySelector('tbody')
+    var filters = {
+      category: document.getElementById('filter-category'),
+      severity: document.getElementById('filter-severity'),
+      code: document.getElementById('filter-code'),
+      file: document.getElementById('filter-file'),
+      text: document.getElementById('filter-text')
+    }
+
+    function fillOptions(select, values, labelOf) {
+      values.forEach(function (value) {
+        select.appendChild(el('option', { value: value, text: labelOf ? labelOf(value) : value }))
+      })
+    }
+    function unique(key) {
+      var values = []
+      data.issues.forEach(function (issue) { if (values.indexOf(issue[key]) === -1) values.push(issue[key]) })
+      return values
+    }
+    fillOptions(filters.category, Object.keys(data.categories), function (key) { return data.categories[key] })
+    fillOptions(filters.severity, Object.keys(SEVERITY_LABELS).filter(function (key) { return unique('severity').indexOf(key) !== -1 }), function (key) { return SEVERITY_LABELS[key] })
+    fillOptions(filters.code, unique('code').sort())
+
+    var sort = sortable(table, render)
+    function valueOf(issue, key) {
+      if (key === 'severity') return SEVERITY_ORDER[issue.severity]
+      if (key === 'file') return issue.file + ':' + String(issue.line || 0).padStart(8, '0')
+      return String(issue[key] || '').toLowerCase()
+    }
+
+    function render() {
+      var file = filters.file.value.trim().toLowerCase()
+      var text = filters.text.value.trim().toLowerCase()
+      var rows = data.issues.filter(function (issue) {
+        return (!filters.category.value || issue.category === filters.category.value) &&
+          (!filters.severity.value || issue.severity === filters.severity.value) &&
+          (!filters.code.value || issue.code === filters.code.value) &&
+          (!file || (issue.file || '').toLowerCase().indexOf(file) !== -1) &&
+          (!text || issue.message.toLowerCase().indexOf(text) !== -1)
+      })
+      rows = sort(rows, valueOf)
+
+      tbody.textContent = ''
+      rows.forEach(function (issue) {
+        tbody.appendChild(el('tr', {}, [
+          el('td', {}, [badge(issue.severity)]),
+          el('td', { text: data.categories[issue.category] }),
+          el('td', { text: issue.code }),
+          el('td', { className: 'location' }, [el('a', { href: '#file-' + issue.file, text: location(issue) })]),
+          el('td', { text: issue.message })
+        ]))
+      })
+      document.getElementById('issue-count').textContent = rows.length === data.issues.length
+        ? '(' + rows.length + ')'
+        : '(' + rows.length + ' / ' + data.issues.length + ')'
+    }
+
+    Object.keys(filters).forEach(function (key) { filters[key].addEventListener('input', render) })
+    render()
+  }
+
+  // 按文件分组，展开后显示每个问题附近的代码
+  function renderFiles() {
+    var container = document.getElementById('file-list')
+    var groups = {}
+    data.issues.forEach(function (issue) {
+      if (!issue.file) return
+      ;(groups[issue.file] = groups[issue.file] || []).push(issue)
+    })
+
+    Object.keys(groups).sort().forEach(function (file) {
+      var issues = groups[file].slice().sort(function (a, b) { return (a.line || 0) - (b.line || 0) })
+      var counts = issues.reduce(function (acc, issue) { acc[issue.severity] = (acc[issue.severity] || 0) + 1; return acc }, {})
+      var summary = el('summary', { text: file + '  ' })
+      Object.keys(counts).sort(function (a, b) { return SEVERITY_ORDER[a] - SEVERITY_ORDER[b] }).forEach(function (severity) {
+        summary.appendChild(el('span', { className: 'badge ' + severity, text: counts[severity] + ' ' + SEVERITY_LABELS[severity] }))
+        summary.appendChild(document.createTextNode(' '))
+      })
+
+      var details = el('details', { id: 'file-' + file }, [summary])
+      issues.forEach(function (issue) {
+        details.appendChild(el('div', { className: 'finding' }, [
+          badge(issue.severity),
+          document.createTextNode(' 第 ' + (issue.line || '-') + ' 行 · ' + issue.code + ' · ' + issue.message),
+          snippet(file, issue.line)
+        ]))
+      })
+      container.appendChild(details)
+    })
+
+    if (Object.keys(groups).length === 0) {
+      container.appendChild(el('p', { className: 'hint', text: '没有发现问题 🎉' }))
+    }
+
+    var toggle = document.getElementById('toggle-files')
+    toggle.addEventListener('click', function () {
+      var open = toggle.textContent === '全部展开'
+      container.querySelectorAll('details').forEach(function (details) { details.open = open })
+      toggle.textContent = open ? '全部收起' : '全部展开'
+    })
+
+    // 从问题列表跳转时展开对应文件
+    function openTarget() {
+      var target = document.getElementById(decodeURIComponent(window.location.hash.slice(1)))
+      if (target && target.tagName === 'DETAILS') target.open = true
+    }
+    window.addEventListener('hashchange', openTarget)
+    openTarget()
+  }
+
+  function snippet(file, line) {
+    var lines = data.snippets[file]
+    if (!lines || !line) return null
+    var pre = el('pre', { className: 'snippet' })
+    for (var number = line - data.context; number <= line + data.context; number++) {
+      if (lines[number] === undefined) continue
+      var row = el('span', { className: number === line ? 'target' : '' }, [el('i', { text: String(number) })])
+      row.appendChild(document.createTextNode(lines[number]))
+      pre.appendChild(row)
+    }
+    return pre.childNodes.length > 0 ? pre : null
+  }
+
+  // 类型依赖：左侧类型表，右侧为选中类型的依赖、被依赖与使用文件
+  function renderDependencies() {
+    var deps = data.dependencies
+    var table = document.getElementById('type-table')
+    var tbody = table.querySelector('tbody')
+    var detail = document.getElementById('type-detail')
+    var search = document.getElementById('filter-type')
+    var byId = {}
+    deps.types.forEach(function (type) {
+      byId[type.id] = type
+      type.dependsOn = []
+      type.dependents = []
+      type.consumers = []
+    })
+    deps.references.forEach(function (ref) {
+      if (byId[ref.from]) byId[ref.from].dependsOn.push(ref.to)
+      if (byId[ref.to]) byId[ref.to].dependents.push(ref.from)
+    })
+    deps.consumers.forEach(function (item) {
+      if (byId[item.type]) byId[item.type].consumers.push(item.file)
+    })
+
+    var selected = null
+    var sort = sortable(table, render)
+    function valueOf(type, key) {
+      if (Array.isArray(type[key])) return type[key].length
+      return String(type[key]).toLowerCase()
+    }
+
+    function render() {
+      var query = search.value.trim().toLowerCase()
+      var rows = deps.types.filter(function (type) {
+        return !query || type.name.toLowerCase().indexOf(query) !== -1 || type.file.toLowerCase().indexOf(query) !== -1
+      })
+      rows = sort(rows, valueOf)
+
+      tbody.textContent = ''
+      rows.forEach(function (type) {
+        var row = el('tr', { className: type.id === selected ? 'selected' : '' }, [
+          el('td', { text: type.name + (type.isExported ? '' : ' (未导出)') }),
+          el('td', { className: 'location', text: type.file + ':' + type.line }),
+          el('td', { text: String(type.dependsOn.length) }),
+          el('td', { text: String(type.dependents.length) }),
+          el('td', { text: String(type.consumers.length) })
+        ])
+        row.addEventListener('click', function () { select(type.id) })
+        tbody.appendChild(row)
+      })
+    }
+
+    function typeList(title, ids) {
+      var nodes = [el('h4', { text: title + ' (' + ids.length + ')' })]
+      if (ids.length === 0) return nodes
+      nodes.push(el('ul', {}, ids.map(function (id) {
+        var type = byId[id]
+        var link = el('a', { text: type ? type.name : id, title: id })
+        link.addEventListener('click', function () { select(id) })
+        return el('li', {}, [link, el('span', { className: 'hint', text: type ? '  ' + type.file : '' })])
+      })))
+      return nodes
+    }
+
+    function select(id) {
+      var type = byId[id]
+      if (!type) return
+      selected = id
+      detail.textContent = ''
+      detail.appendChild(el('h3', { text: type.kind + ' ' + type.name }))
+      detail.appendChild(el('div', { className: 'hint', text: type.file + ':' + type.line }))
+      typeList('依赖', type.dependsOn).concat(typeList('被依赖', type.dependents)).forEach(function (node) { detail.appendChild(node) })
+      detail.appendChild(el('h4', { text: '使用文件 (' + type.consumers.length + ')' }))
+      if (type.consumers.length > 0) {
+        detail.appendChild(el('ul', {}, type.consumers.map(function (file) { return el('li', { text: file }) })))
+      }
+      render()
+    }
+
+    search.addEventListener('input', render)
+    render()
+  }
+
+  // 趋势表（折线图已在服务端生成）
+  function renderTrend() {
+    if (!data.trend) return
+    var rows = data.trend.metrics.map(function (metric) {
+      var delta = metric.delta > 0 ? '+' + metric.delta : String(metric.delta)
+      return el('tr', {}, [
+        el('td', { text: metric.label }),
+        el('td', { text: String(metric.first) }),
+        el('td', { text: String(metric.last) }),
+        el('td', { className: metric.direction > 0 ? 'up' : metric.direction < 0 ? 'down' : '', text: delta })
+      ])
+    })
+    document.getElementById('trend-table').appendChild(el('table', {}, [
+      el('thead', {}, [el('tr', {}, ['指标', '起点', '最近', '变化'].map(function (text) { return el('th', { text: text }) }))]),
+      el('tbody', {}, rows)
+    ]))
+  }
+
+  renderOverview()
+  renderTrend()
+  renderIssues()
+  renderFiles()
+  renderDependencies()
+})()
+`
@@ -1,22 +1,30 @@
-export { TypeAnalyzer } from './analyzer.js'
+export { TypeAnalyzer, ANALYSIS_PHASES } from './analyzer.js'
 export { ReportGenerator } from './reporter.js'
+export { TypeCleaner } from './cleaner.js'
+export { TypeDeduper } from './deduper.js'
+export { TypeWatcher } from './watcher.js'
+export { createBaseline, writeBaseline, loadBaseline, applyBaseline } from './baseline.js'
+export { defineConfig, loadConfig, DEFAULT_CONFIG } from './config.js'
+export { clearCache } from './cache.js'
+export { createSnapshot, appendSnapshot, loadHistory, summarizeTrend } from './history.js'
+export { buildTypeGraph, findGraphRoots, formatGraph } from './graph.js'
+export { definePlugin } from './plugins.js'
+export { silentLogger, createConsoleLogger } from './logger.js'
 
-// 便捷函数
+// 便捷函数：传入 analyzer 时复用它的分析结果（analyzer.run()），多个函数共享同一次分析
 export async function analyzeProject(options = {}) {
-  const { TypeAnalyzer } = await import('./analyzer.js')
   const { ReportGenerator } = await import('./reporter.js')
   
-  const analyzer = new TypeAnalyzer(options)
-  const report = await analyzer.analyze()
+  const analyzer = options.analyzer || await createAnalyzer(options)
+  const report = await analyzer.run()
   
-  // 如果需要控制台输出
-  if (options.console !== false) {
+  // console / markdown 为 true 时才输出控制台报告、写入 Markdown 报告
+  if (options.console === true) {
     const reporter = new ReportGenerator(options.rootDir || process.cwd())
     reporter.generateConsoleOutput(report)
   }
   
-  // 如果需要 Markdown 报告
-  if (options.markdown !== false) {
+  if (options.markdown === true) {
     const reporter = new ReportGenerator(options.rootDir || process.cwd())
     await reporter.generateMarkdownReport(report)
   }
@@ -26,22 +34,51 @@ export async function analyzeProject(options = {}) {
 
 // 快速检查函数
 export async function quickCheck(options = {}) {
-  const { TypeAnalyzer } = await import('./analyzer.js')
-  
-  const analyzer = new TypeAnalyzer({
+  const analyzer = options.analyzer || await createAnalyzer({
     ...options,
     verbose: false
   })
   
-  const report = await analyzer.analyze()
-  const threshold = options.threshold || 70
+  let report = await analyzer.run()
+  const threshold = options.threshold ?? analyzer.config.threshold
+  
+  // 指定基线文件时只统计新增问题
+  if (options.baseline) {
+    const { resolve } = await import('path')
+    const { loadBaseline, applyBaseline } = await import('./baseline.js')
+    const baselinePath = resolve(options.rootDir || process.cwd(), options.baseline)
+    report = applyBaseline(report, loadBaseline(baselinePath), report.projectPath)
+  }
+  
+  // 指定 since / staged / changed 时只统计变更文件中的问题
+  if (options.since || options.staged || options.changed) {
+    const { getChangedFiles, describeChangeMode, filterReportToFiles } = await import('./changed.js')
+    const files = getChangedFiles(options.rootDir || process.cwd(), options)
+    report = filterReportToFiles(report, files, report.projectPath, describeChangeMode(options))
+  }
+  
+  // maxWarnings：允许的最大类型警告数，未指定时不限制
+  const withinWarnings = options.maxWarnings === undefined || report.issues.warnings.length <= options.maxWarnings
+  const passed = withinWarnings && (report.baseline
+    ? (report.changed ? report.changed.kept : report.baseline.new) === 0
+    : report.changed
+      ? report.issues.errors.length === 0
+      : report.issues.errors.length === 0 && report.healthScore >= threshold)
   
   return {
-    passed: report.issues.errors.length === 0 && report.healthScore >= threshold,
+    passed,
     score: report.healthScore,
     errors: report.issues.errors.length,
+    warnings: report.issues.warnings.length,
     duplicates: Object.keys(report.issues.duplicates).length,
     unused: report.issues.unused.length,
+    unnecessaryExports: report.issues.unnecessaryExports.length,
+    singleConsumer: report.issues.singleConsumer.length,
+    complexTypes: report.issues.complexTypes.length,
+    pluginIssues: report.issues.plugins.length,
+    suppressed: report.suppressions.total,
+    baseline: report.baseline || null,
+    changed: report.changed || null,
     summary: report.issues.errors.length === 0 
       ? `✅ 类型检查通过 (评分: ${report.healthScore}/100)`
       : `❌ 发现 ${report.issues.errors.length} 个类型错误`
@@ -50,14 +87,12 @@ export async function quickCheck(options = {}) {
 
 // 获取项目统计
 export async function getProjectStats(options = {}) {
-  const { TypeAnalyzer } = await import('./analyzer.js')
-  
-  const analyzer = new TypeAnalyzer({
+  const analyzer = options.analyzer || await createAnalyzer({
     ...options,
     verbose: false
   })
   
-  const report = await analyzer.analyze()
+  const report = await analyzer.run()
   
   return {
     files: report.statistics.totalFiles,
@@ -66,6 +101,27 @@ export async function getProjectStats(options = {}) {
     errors: report.statistics.totalErrors,
     duplicates: report.statistics.duplicateTypes,
     unused: report.statistics.unusedTypes,
+    unnecessaryExports: report.statistics.unnecessaryExports,
+    singleConsumer: report.statistics.singleConsumerTypes,
+    complexTypes: report.statistics.complexTypes,
+    pluginIssues: report.statistics.pluginIssues,
+    suppressed: report.statistics.suppressedIssues,
     healthScore: report.healthScore
   }
+}
+
+// 创建分析器：未传入 config 时，从 rootDir 向上查找配置文件（configFile 可指定路径）
+// 未传入 logger 且未开启 verbose 时不输出任何日志，进度与问题通过 progress / finding 事件获取
+export async function createAnalyzer(options = {}) {
+  const { TypeAnalyzer } = await import('./analyzer.js')
+  const { silentLogger, createConsoleLogger } = await import('./logger.js')
+  
+  // loadConfig 返回已合并的配置，TypeAnalyzer 不会再次校验
+  let config = options.config
+  if (!config) {
+    const { loadConfig } = await import('./config.js')
+    config = (await loadConfig(options.rootDir || process.cwd(), options.configFile)).config
+  }
+  
+  return new TypeAnalyzer({ ...options, config, logger: options.logger || (options.verbose ? createConsoleLogger({ verbose: true }) : silentLogger) })
 }
\ No newline at end of file
@@ -0,0 +1,28 @@
+// 日志接口 { debug, info, warn, error }；debug 为 --verbose 的详细过程
+// 编程式调用时可以传入自定义的 logger，缺少的方法视为不输出
+export const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+}
+
+// 输出到控制台：verbose 时才输出 debug；quiet 时不输出 info（报告写到标准输出时使用），
+// warn / error 始终输出到 stderr
+export function createConsoleLogger({ verbose = false, quiet = false } = {}) {
+  return {
+    debug: verbose ? (...args) => console.log(...args) : () => {},
+    info: quiet ? () => {} : (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args),
+  }
+}
+
+export function normalizeLogger(logger) {
+  return Object.fromEntries(
+    Object.entries(silentLogger).map(([level, noop]) => [
+      level,
+      typeof logger?.[level] === 'function' ? logger[level].bind(logger) : noop,
+    ])
+  )
+}
@@ -0,0 +1,140 @@
+import { isAbsolute, relative, resolve } from 'path'
+import { SUPPRESSION_RULES } from './suppressions.js'
+
+// 插件问题在 SARIF / HTML 报告中的级别
+export const PLUGIN_LEVELS = ['warning', 'note']
+
+// 类别 id 同时用作抑制注释的规则名与基线类别，使用小写短横线形式
+const CATEGORY_ID = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/
+
+// 内置的抑制规则名与基线类别，插件不能使用
+const RESERVED_CATEGORIES = new Set([
+  ...SUPPRESSION_RULES,
+  'warning',
+  'info',
+  'similar',
+  'circular',
+  'deep-extends',
+  'deep-generic',
+])
+
+// 插件在类型定义与引用数据之上注册自定义的问题类别与收集器：
+//   definePlugin({
+//     name: 'acme-rules',
+//     setup({ addCategory, addCollector }) {
+//       addCategory('interface-prefix', { title: '接口命名', description: '接口不使用 I 前缀' })
+//       addCollector(({ definitions }) => definitions
+//         .filter((definition) => definition.kind === 'interface' && /^I[A-Z]/.test(definition.name))
+//         .map(({ name, file, line }) => ({ category: 'interface-prefix', name, file, line, message: `${name} 不应使用 I 前缀` })))
+//     },
+//   })
+export function definePlugin(plugin) {
+  return plugin
+}
+
+// 校验 plugins 配置：[{ name, setup(api) }]
+export function validatePlugins(value) {
+  if (!Array.isArray(value)) return '应为插件数组，如 [definePlugin({ name, setup })]'
+
+  const problems = []
+  value.forEach((plugin, index) => {
+    const name = `[${index}]`
+    if (!plugin || typeof plugin !== 'object' || Array.isArray(plugin)) {
+      problems.push(`${name} 应为对象`)
+      return
+    }
+    if (typeof plugin.name !== 'string' || !plugin.name.trim()) {
+      problems.push(`${name}.name 应为非空字符串`)
+    }
+    if (typeof plugin.setup !== 'function') {
+      problems.push(`${name}.setup 应为函数`)
+    }
+  })
+  return problems.length > 0 ? problems.join('；') : null
+}
+
+// 依次调用插件的 setup，返回注册的类别（Map id → 类别）与收集器
+export function loadPlugins(plugins = []) {
+  const problem = validatePlugins(plugins)
+  if (problem) throw new Error(`插件无效: ${problem}`)
+
+  const categories = new Map()
+  const collectors = []
+
+  for (const plugin of plugins) {
+    plugin.setup({
+      addCategory(id, options = {}) {
+        if (typeof id !== 'string' || !CATEGORY_ID.test(id)) {
+          throw new Error(`插件 ${plugin.name} 的类别 "${id}" 应为小写短横线形式（如 interface-prefix）`)
+        }
+        if (RESERVED_CATEGORIES.has(id) || categories.has(id)) {
+          const owner = categories.get(id)?.plugin
+          throw new Error(`插件 ${plugin.name} 的类别 "${id}" 已被${owner ? `插件 ${owner} ` : '内置类别'}使用`)
+        }
+        const level = options.level ?? 'warning'
+        if (!PLUGIN_LEVELS.includes(level)) {
+          throw new Error(`插件 ${plugin.name} 的类别 "${id}" 的 level 应为 ${PLUGIN_LEVELS.join(' 或 ')}`)
+        }
+        categories.set(id, {
+          id,
+          plugin: plugin.name,
+          title: options.title || id,
+          description: options.description || '',
+          level,
+        })
+      },
+      addCollector(collect) {
+        if (typeof collect !== 'function') {
+          throw new Error(`插件 ${plugin.name} 的收集器应为函数`)
+        }
+        collectors.push({ plugin: plugin.name, collect })
+      },
+    })
+  }
+
+  return { categories, collectors }
+}
+
+// 运行所有收集器（可以是异步函数），返回校验后的问题列表，文件路径转换为相对项目根目录的路径
+export async function runCollectors({ categories, collectors }, context) {
+  const findings = []
+
+  for (const { plugin, collect } of collectors) {
+    let result
+    try {
+      result = await collect(context)
+    } catch (error) {
+      throw new Error(`插件 ${plugin} 执行失败: ${error.message}`)
+    }
+
+    for (const item of result || []) {
+      const problem = validateFinding(item, categories)
+      if (problem) throw new Error(`插件 ${plugin} 返回的问题无效: ${problem}`)
+
+      const file = isAbsolute(item.file) ? item.file : resolve(context.rootDir, item.file)
+      findings.push({
+        ...item,
+        plugin,
+        name: item.name ?? null,
+        file: relative(context.rootDir, file).replace(/\\/g, '/'),
+        line: item.line ?? 1,
+      })
+    }
+  }
+
+  return findings
+}
+
+function validateFinding(item, categories) {
+  if (!item || typeof item !== 'object') return '应为 { category, file, line, message }'
+  if (!categories.has(item.category)) {
+    const known = Array.from(categories.keys())
+    return `未注册的类别 "${item.category}"（已注册: ${known.join(', ') || '无'}）`
+  }
+  if (typeof item.file !== 'string' || !item.file) return `${item.category} 的 file 应为非空字符串`
+  if (typeof item.message !== 'string' || !item.message) return `${item.category} 的 message 应为非空字符串`
+  if (item.line !== undefined && !(Number.isInteger(item.line) && item.line > 0)) {
+    return `${item.category} 的 line 应为正整数`
+  }
+  return null
+}
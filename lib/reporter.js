@@ -1,14 +1,44 @@
-import { writeFileSync, existsSync, mkdirSync } from 'fs'
-import { join, relative } from 'path'
+import { writeFileSync, existsSync, mkdirSync, readFileSync } from 'fs'
+import { join, relative, resolve, dirname, isAbsolute } from 'path'
+import { pathToFileURL } from 'url'
 import chalk from 'chalk'
+import { describeScoreRule } from './score.js'
+import { sparkline } from './history.js'
+import { buildHtmlDocument } from './html.js'
+import { buildTypeGraph, toMermaid } from './graph.js'
+import { formatGenericPath } from './hierarchy.js'
+import { countByCode } from './diagnostics.js'
+import { TOOL_VERSION } from './utils.js'
+
+// JSON 报告结构版本，字段发生不兼容变化时递增
+export const REPORT_SCHEMA_VERSION = 1
+
+// 支持的报告格式
+export const REPORT_FORMATS = ['console', 'markdown', 'html', 'json', 'sarif', 'junit']
+
+const TOOL_NAME = 'ts-type-cleaner'
+const TOOL_URI = 'https://github.com/ChenyCHENYU/ts-type-cleaner'
+
+// HTML 报告中每个问题前后展示的代码行数
+const SNIPPET_CONTEXT = 2
+
+// 复杂类型的规则：名称与 SARIF / HTML 中的级别
+const COMPLEX_RULES = {
+  circular: { label: '循环依赖', level: 'warning' },
+  'deep-extends': { label: 'extends 链过深', level: 'note' },
+  'deep-generic': { label: '泛型嵌套过深', level: 'note' }
+}
+
+// Markdown 报告中内嵌依赖图的最大边数，超过时请使用 graph 命令导出
+const MARKDOWN_GRAPH_EDGES = 60
 
 export class ReportGenerator {
   constructor(rootDir) {
     this.rootDir = rootDir
   }
 
-  // 生成精美的控制台输出
-  generateConsoleOutput(report) {
+  // 生成精美的控制台输出；showIgnored 时列出被忽略规则匹配的诊断
+  generateConsoleOutput(report, options = {}) {
     const { statistics: stats, healthScore, issues } = report
     
     console.log('\n' + '═'.repeat(60))
@@ -16,31 +46,72 @@ export class ReportGenerator {
     console.log('═'.repeat(60))
     
     // 健康度评分
-    this.printHealthScore(healthScore)
+    this.printHealthScore(healthScore, report.scoreBreakdown)
     
     // 统计信息
     this.printStatistics(stats)
     
+    // 工作区各包概览
+    if (report.workspace) {
+      this.printWorkspace(report.workspace)
+    }
+    
     // 问题详情
     if (issues.errors.length > 0) {
       this.printTypeErrors(issues.errors)
     }
     
+    if (issues.warnings.length > 0 || issues.info?.length > 0) {
+      this.printDiagnosticCounts(issues.warnings, issues.info || [])
+    }
+    
     if (Object.keys(issues.duplicates).length > 0) {
       this.printDuplicateTypes(issues.duplicates)
     }
     
+    if (this.hasStructuralDuplicates(issues.structuralDuplicates)) {
+      this.printStructuralDuplicates(issues.structuralDuplicates)
+    }
+    
     if (issues.unused.length > 0) {
       this.printUnusedTypes(issues.unused, report)
     }
     
+    if (issues.unnecessaryExports?.length > 0) {
+      this.printUnnecessaryExports(issues.unnecessaryExports)
+    }
+    
+    if (issues.singleConsumer?.length > 0) {
+      this.printSingleConsumerTypes(issues.singleConsumer)
+    }
+    
+    if (issues.complexTypes?.length > 0) {
+      this.printComplexTypes(issues.complexTypes)
+    }
+    
+    if (issues.plugins?.length > 0) {
+      this.printPluginIssues(report)
+    }
+    
+    if (report.suppressions?.total > 0 || report.suppressions?.unusedDirectives.length > 0) {
+      this.printSuppressions(report.suppressions)
+    }
+    
+    if (report.ignoredDiagnostics?.total > 0) {
+      this.printIgnoredDiagnostics(report.ignoredDiagnostics, options.showIgnored)
+    }
+    
+    if (report.skippedFiles?.length > 0) {
+      this.printSkippedFiles(report.skippedFiles)
+    }
+    
     // 改进建议
     this.printRecommendations(report.recommendations)
     
     console.log('═'.repeat(60) + '\n')
   }
 
-  printHealthScore(score) {
+  printHealthScore(score, breakdown) {
     console.log('\n📊 健康度评分')
     console.log('─'.repeat(30))
     
@@ -50,6 +121,15 @@ export class ReportGenerator {
     
     console.log(`${emoji} 综合评分: ${chalk[color].bold(score)}/100 (${status})`)
     console.log(this.createProgressBar(score, 100))
+    
+    // 扣分明细按影响从大到小排列，优先修复排在前面的类别
+    const deductions = (breakdown?.categories || []).filter(item => item.penalty > 0)
+    if (deductions.length > 0) {
+      console.log(chalk.gray('\n扣分明细:'))
+      deductions.forEach(item => {
+        console.log(`  ${item.label.padEnd(10)} ${chalk.red(`-${item.penalty}`.padStart(6))}  ${chalk.gray(describeScoreRule(item, breakdown.totalTypes))}`)
+      })
+    }
   }
 
   printStatistics(stats) {
@@ -62,7 +142,11 @@ export class ReportGenerator {
       ['🔗 类型引用', stats.totalUsages, 'cyan'],
       ['🚨 类型错误', stats.totalErrors, stats.totalErrors > 0 ? 'red' : 'green'],
       ['⚠️  重复定义', stats.duplicateTypes, stats.duplicateTypes > 0 ? 'yellow' : 'green'],
-      ['🗑️  未使用类型', stats.unusedTypes, stats.unusedTypes > 0 ? 'yellow' : 'green']
+      ['🗑️  未使用类型', stats.unusedTypes, stats.unusedTypes > 0 ? 'yellow' : 'green'],
+      ['🔒 不必要导出', stats.unnecessaryExports, stats.unnecessaryExports > 0 ? 'yellow' : 'green'],
+      ['📦 单一使用方', stats.singleConsumerTypes, stats.singleConsumerTypes > 0 ? 'yellow' : 'green'],
+      ['🌀 复杂类型', stats.complexTypes || 0, stats.complexTypes > 0 ? 'yellow' : 'green'],
+      ...(stats.pluginIssues > 0 ? [['🧩 插件问题', stats.pluginIssues, 'yellow']] : [])
     ]
     
     // 两列布局
@@ -77,9 +161,34 @@ export class ReportGenerator {
     }
   }
 
+  printWorkspace(workspace) {
+    const { packages, rollup } = workspace
+    console.log(`\n📦 工作区 (${rollup.packages} 个包)`)
+    console.log('─'.repeat(60))
+    
+    const nameWidth = Math.min(30, Math.max(8, ...packages.map(pkg => pkg.name.length)))
+    console.log(chalk.gray(`${'包'.padEnd(nameWidth)}  评分  类型  错误  未使用  跨包引用`))
+    packages.forEach(pkg => {
+      const stats = pkg.statistics
+      const color = pkg.healthScore >= 80 ? 'green' : pkg.healthScore >= 60 ? 'yellow' : 'red'
+      console.log([
+        pkg.name.padEnd(nameWidth),
+        chalk[color].bold(String(pkg.healthScore).padStart(4)),
+        String(stats.totalTypes).padStart(5),
+        String(stats.totalErrors).padStart(5),
+        String(stats.unusedTypes).padStart(7),
+        String(stats.crossPackageUsages).padStart(9)
+      ].join(' '))
+    })
+    
+    console.log('─'.repeat(60))
+    console.log(`平均评分: ${chalk.bold(rollup.averageHealthScore)}  最低评分: ${chalk.bold(rollup.lowestHealthScore)}  跨包引用: ${chalk.bold(rollup.crossPackageUsages)}`)
+  }
+
   printTypeErrors(errors) {
     console.log(`\n🚨 类型错误 (${errors.length})`)
     console.log('─'.repeat(50))
+    console.log(chalk.gray(`按错误码: ${this.formatCodeCounts(errors)}`))
     
     // 按文件分组
     const errorsByFile = this.groupErrorsByFile(errors)
@@ -88,7 +197,7 @@ export class ReportGenerator {
       console.log(`\n📄 ${chalk.blue(this.relativePath(file))}`)
       
       fileErrors.slice(0, 3).forEach((error, index) => {
-        console.log(`  ${chalk.red(`${index + 1}.`)} 第 ${chalk.yellow(error.line)} 行`)
+        console.log(`  ${chalk.red(`${index + 1}.`)} 第 ${chalk.yellow(error.line)} 行 ${chalk.gray(error.code)}`)
         console.log(`     ${chalk.gray('▶')} ${error.message.slice(0, 80)}${error.message.length > 80 ? '...' : ''}`)
       })
       
@@ -102,6 +211,25 @@ export class ReportGenerator {
     }
   }
 
+  // 警告与提示只输出按错误码的统计，详情见 Markdown / JSON 报告
+  printDiagnosticCounts(warnings, info) {
+    console.log(`\n⚠️  类型警告 (${warnings.length}) · 提示 (${info.length})`)
+    console.log('─'.repeat(50))
+    if (warnings.length > 0) {
+      console.log(`${chalk.yellow('警告')} ${this.formatCodeCounts(warnings)}`)
+    }
+    if (info.length > 0) {
+      console.log(`${chalk.blue('提示')} ${this.formatCodeCounts(info)}`)
+    }
+  }
+  
+  // 如 "TS2339 ×12 · TS2322 ×3 · 另 4 种"
+  formatCodeCounts(diagnostics, limit = 8) {
+    const counts = countByCode(diagnostics)
+    const text = counts.slice(0, limit).map(({ code, count }) => `${code} ×${count}`).join(' · ')
+    return counts.length > limit ? `${text} · 另 ${counts.length - limit} 种` : text
+  }
+
   printDuplicateTypes(duplicates) {
     const count = Object.keys(duplicates).length
     console.log(`\n⚠️  重复类型定义 (${count})`)
@@ -120,6 +248,37 @@ export class ReportGenerator {
     }
   }
 
+  printStructuralDuplicates(structural) {
+    const { exact, similar } = structural
+    console.log(`\n🧬 结构重复类型 (${exact.length} 组完全一致, ${similar.length} 对相似)`)
+    console.log('─'.repeat(50))
+    
+    exact.slice(0, 3).forEach(group => {
+      const names = [...new Set(group.definitions.map(def => def.name))].join(' = ')
+      console.log(`\n🟰 ${chalk.yellow.bold(names)}`)
+      group.definitions.forEach((def, index) => {
+        console.log(`  ${index + 1}. ${chalk.blue(this.relativePath(def.file))}:${chalk.yellow(def.line)} ${def.name}`)
+      })
+    })
+    
+    if (exact.length > 3) {
+      console.log(`\n${chalk.gray(`... 还有 ${exact.length - 3} 组结构相同的类型`)}`)
+    }
+    
+    similar.slice(0, 3).forEach(pair => {
+      const [left, right] = pair.definitions
+      console.log(`\n≈ ${chalk.yellow.bold(left.name)} ~ ${chalk.yellow.bold(right.name)} ${chalk.gray(`(相似度 ${Math.round(pair.similarity * 100)}%)`)}`)
+      console.log(`  ${chalk.blue(this.relativePath(left.file))}:${chalk.yellow(left.line)}  ${chalk.blue(this.relativePath(right.file))}:${chalk.yellow(right.line)}`)
+      pair.differences.forEach(diff => {
+        console.log(`     ${chalk.gray('▶')} ${diff.member}: ${diff.left || chalk.gray('(缺失)')} ${chalk.gray('|')} ${diff.right || chalk.gray('(缺失)')}`)
+      })
+    })
+    
+    if (similar.length > 3) {
+      console.log(`\n${chalk.gray(`... 还有 ${similar.length - 3} 对相似类型`)}`)
+    }
+  }
+
   printUnusedTypes(unused, report) {
     console.log(`\n🗑️  未使用类型 (${unused.length})`)
     console.log('─'.repeat(50))
@@ -132,8 +291,8 @@ export class ReportGenerator {
       const left = sample[i] || ''
       const right = sample[i + rows] || ''
       
-      const leftText = left ? `• ${chalk.yellow(left)}` : ''
-      const rightText = right ? `• ${chalk.yellow(right)}` : ''
+      const leftText = left ? `• ${chalk.yellow(left.name)}` : ''
+      const rightText = right ? `• ${chalk.yellow(right.name)}` : ''
       
       console.log(`${leftText.padEnd(25)} ${rightText}`)
     }
@@ -143,6 +302,149 @@ export class ReportGenerator {
     }
   }
 
+  printUnnecessaryExports(items) {
+    console.log(`\n🔒 不必要的导出 (${items.length})`)
+    console.log('─'.repeat(50))
+    
+    items.slice(0, 5).forEach(item => {
+      console.log(`• ${chalk.yellow(item.name)} ${chalk.gray(`${item.file}:${item.line}`)}`)
+    })
+    
+    if (items.length > 5) {
+      console.log(`${chalk.gray(`... 还有 ${items.length - 5} 个`)}`)
+    }
+    console.log(chalk.gray('   仅在定义文件内使用，可以移除 export'))
+  }
+
+  printSingleConsumerTypes(items) {
+    console.log(`\n📦 单一使用方类型 (${items.length})`)
+    console.log('─'.repeat(50))
+    
+    items.slice(0, 5).forEach(item => {
+      console.log(`• ${chalk.yellow(item.name)} ${chalk.gray(`${item.file}:${item.line}`)} → ${chalk.cyan(item.consumer)}`)
+    })
+    
+    if (items.length > 5) {
+      console.log(`${chalk.gray(`... 还有 ${items.length - 5} 个`)}`)
+    }
+  }
+
+  printComplexTypes(items) {
+    console.log(`\n🌀 复杂类型 (${items.length})`)
+    console.log('─'.repeat(50))
+    
+    items.slice(0, 5).forEach(item => {
+      console.log(`• ${chalk.yellow(COMPLEX_RULES[item.rule].label)} ${chalk.gray(`${item.file}:${item.line}`)}`)
+      console.log(`   ${chalk.gray('▶')} ${this.describeComplexPath(item)}`)
+    })
+    
+    if (items.length > 5) {
+      console.log(`${chalk.gray(`... 还有 ${items.length - 5} 个`)}`)
+    }
+  }
+
+  printPluginIssues(report) {
+    this.groupPluginIssues(report).forEach(({ category, items }) => {
+      console.log(`\n🧩 ${category.title} (${items.length})`)
+      console.log('─'.repeat(50))
+      
+      items.slice(0, 5).forEach(item => {
+        console.log(`• ${item.name ? `${chalk.yellow(item.name)} ` : ''}${chalk.gray(`${item.file}:${item.line}`)}`)
+        console.log(`   ${chalk.gray('▶')} ${item.message}`)
+      })
+      
+      if (items.length > 5) {
+        console.log(`${chalk.gray(`... 还有 ${items.length - 5} 个`)}`)
+      }
+    })
+  }
+  
+  // 插件问题按注册的类别分组（保持注册顺序）
+  groupPluginIssues(report) {
+    const items = report.issues.plugins || []
+    return (report.categories || [])
+      .map(category => ({ category, items: items.filter(item => item.category === category.id) }))
+      .filter(group => group.items.length > 0)
+  }
+  
+  // 循环依赖与 extends 链的完整路径，泛型嵌套的展开形式
+  describeComplexPath(item) {
+    if (item.rule === 'deep-generic') {
+      return `${item.name} = ${formatGenericPath(item.path)}（${item.depth} 层，上限 ${item.limit}）`
+    }
+    const names = item.path.map(member => member.name)
+    if (item.rule === 'circular') {
+      return [...names, names[0]].join(' → ')
+    }
+    return `${names.join(' → ')}（${item.depth} 层，上限 ${item.limit}）`
+  }
+
+  printSuppressions(suppressions) {
+    console.log(`\n🤫 已抑制的问题 (${suppressions.total})`)
+    console.log('─'.repeat(50))
+    
+    if (suppressions.total > 0) {
+      console.log(chalk.gray(this.describeSuppressions(suppressions)))
+    }
+    
+    const unused = suppressions.unusedDirectives
+    if (unused.length > 0) {
+      console.log(chalk.yellow(`\n⚠️ 未生效的抑制注释 (${unused.length})`))
+      unused.slice(0, 10).forEach(item => {
+        console.log(`${chalk.blue(`${item.file}:${item.line}`)} ${item.directive}${item.rules.length > 0 ? ` ${item.rules.join(' ')}` : ''}`)
+        console.log(`   ${chalk.gray(item.reason)}`)
+      })
+      
+      if (unused.length > 10) {
+        console.log(`${chalk.gray(`... 还有 ${unused.length - 10} 条注释`)}`)
+      }
+    }
+  }
+  
+  // 各类别被抑制的数量，如 "unused 3 · duplicate 1（其中 @public 2）"
+  describeSuppressions(suppressions) {
+    const counts = Object.entries(suppressions.byRule)
+      .sort((a, b) => b[1] - a[1])
+      .map(([rule, count]) => `${rule} ${count}`)
+      .join(' · ')
+    return suppressions.public > 0 ? `${counts}（其中 @public ${suppressions.public}）` : counts
+  }
+
+  // 每条忽略规则匹配的诊断数；showList 时列出具体诊断
+  printIgnoredDiagnostics(ignored, showList = false) {
+    console.log(`\n🙈 忽略规则匹配的诊断 (${ignored.total})`)
+    console.log('─'.repeat(50))
+    
+    ignored.rules.filter(rule => rule.count > 0).forEach(rule => {
+      console.log(`${chalk.yellow(String(rule.count).padStart(4))}  ${rule.reason}`)
+      console.log(`      ${chalk.gray(rule.match)}`)
+      
+      if (showList) {
+        rule.diagnostics.forEach(item => {
+          console.log(`      ${chalk.blue(`${this.relativePath(item.file)}:${item.line}`)} ${chalk.gray(item.code)} ${item.message.split('\n')[0]}`)
+        })
+      }
+    })
+    
+    if (!showList) {
+      console.log(chalk.gray('使用 --show-ignored 查看具体诊断'))
+    }
+  }
+  
+  printSkippedFiles(skippedFiles) {
+    console.log(`\n⏭️  跳过的文件 (${skippedFiles.length})`)
+    console.log('─'.repeat(50))
+    
+    skippedFiles.slice(0, 5).forEach(item => {
+      console.log(`${chalk.yellow(item.file)}`)
+      console.log(`   ${chalk.gray(item.reason)}`)
+    })
+    
+    if (skippedFiles.length > 5) {
+      console.log(`${chalk.gray(`... 还有 ${skippedFiles.length - 5} 个文件`)}`)
+    }
+  }
+
   printRecommendations(recommendations) {
     console.log('\n💡 改进建议')
     console.log('─'.repeat(30))
@@ -152,24 +454,527 @@ export class ReportGenerator {
     })
   }
 
-  // 生成详细的 Markdown 报告
-  async generateMarkdownReport(report) {
-    const reportDir = join(this.rootDir, 'type-reports')
-    if (!existsSync(reportDir)) {
-      mkdirSync(reportDir, { recursive: true })
+  // 历史趋势：每个指标的迷你折线与首末变化
+  printTrend(trend) {
+    console.log('\n' + '═'.repeat(60))
+    console.log(chalk.cyan.bold(`📈 类型健康趋势（最近 ${trend.runs} 次运行，共 ${trend.totalRuns} 次）`))
+    console.log('═'.repeat(60))
+    
+    trend.metrics.forEach(metric => {
+      const color = metric.direction > 0 ? 'green' : metric.direction < 0 ? 'red' : 'gray'
+      const delta = metric.delta > 0 ? `+${metric.delta}` : String(metric.delta)
+      console.log(
+        `${metric.label.padEnd(10)} ${chalk.cyan(sparkline(metric.values))}  ` +
+        `${String(metric.first).padStart(4)} → ${chalk.bold(String(metric.last).padEnd(4))} ${chalk[color](`(${delta})`)}`
+      )
+    })
+    
+    console.log('─'.repeat(60))
+    console.log(chalk.gray(`起点: ${this.formatTrendPoint(trend.first)}`))
+    console.log(chalk.gray(`最近: ${this.formatTrendPoint(trend.last)}`))
+    console.log('═'.repeat(60) + '\n')
+  }
+
+  formatTrendPoint(point) {
+    const time = new Date(point.timestamp).toLocaleString('zh-CN')
+    return point.commit ? `${time} (${point.commit.slice(0, 7)})` : time
+  }
+
+  // Markdown 中的趋势：Mermaid 折线图（GitHub / GitLab 可直接渲染）与变化表
+  buildTrendMarkdown(trend) {
+    const content = []
+    const score = trend.metrics.find(metric => metric.key === 'healthScore')
+    const quote = (text) => `"${String(text).replace(/"/g, "'")}"`
+    
+    content.push('## 📈 历史趋势')
+    content.push('')
+    content.push(`最近 **${trend.runs}** 次运行（共 ${trend.totalRuns} 次），从 ${this.formatTrendPoint(trend.first)} 到 ${this.formatTrendPoint(trend.last)}。`)
+    content.push('')
+    content.push('```mermaid')
+    content.push('xychart-beta')
+    content.push('  title "健康度评分"')
+    content.push(`  x-axis [${trend.labels.map(quote).join(', ')}]`)
+    content.push('  y-axis "评分" 0 --> 100')
+    content.push(`  line [${score.values.join(', ')}]`)
+    content.push('```')
+    content.push('')
+    content.push('| 指标 | 趋势 | 起点 | 最近 | 变化 |')
+    content.push('|------|------|------|------|------|')
+    trend.metrics.forEach(metric => {
+      const mark = metric.direction > 0 ? ' 🟢' : metric.direction < 0 ? ' 🔴' : ''
+      const delta = metric.delta > 0 ? `+${metric.delta}` : String(metric.delta)
+      content.push(`| ${metric.label} | \`${sparkline(metric.values)}\` | ${metric.first} | **${metric.last}** | ${delta}${mark} |`)
+    })
+    content.push('')
+    return content
+  }
+
+  // 类型之间的依赖图（Mermaid），只包含有依赖关系的类型
+  buildDependencyMarkdown(dependencies) {
+    const content = []
+    content.push('## 🔗 类型依赖')
+    content.push('')
+    
+    const graph = buildTypeGraph(dependencies, { files: false })
+    if (graph.edges.length > MARKDOWN_GRAPH_EDGES) {
+      content.push(`类型之间共有 **${graph.edges.length}** 条依赖，图过大不在报告中展示。可以使用 \`vue-type-checker graph --type <类型>\` 导出某个类型的依赖图。`)
+      content.push('')
+      return content
     }
     
-    const date = new Date().toISOString().split('T')[0]
-    const fileName = `type-analysis-${date}.md`
-    const filePath = join(reportDir, fileName)
+    const linked = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]))
+    content.push(`${linked.size} 个类型之间的 ${graph.edges.length} 条依赖（A → B 表示 A 的声明中引用了 B）：`)
+    content.push('')
+    content.push('```mermaid')
+    content.push(toMermaid({ ...graph, nodes: graph.nodes.filter(node => linked.has(node.id)) }).trimEnd())
+    content.push('```')
+    content.push('')
+    return content
+  }
+
+  // 生成详细的 Markdown 报告
+  async generateMarkdownReport(report, output) {
+    let filePath
+    if (output) {
+      filePath = resolve(output)
+    } else {
+      const date = new Date().toISOString().split('T')[0]
+      filePath = join(this.rootDir, 'type-reports', `type-analysis-${date}.md`)
+    }
     
     const markdown = this.buildMarkdownContent(report)
-    writeFileSync(filePath, markdown, 'utf8')
+    this.writeFile(filePath, markdown)
     
     console.log(`\n📋 详细报告已保存: ${chalk.green(this.relativePath(filePath))}`)
     return filePath
   }
 
+  // 生成可交互的单文件 HTML 报告
+  async generateHtmlReport(report, output) {
+    let filePath
+    if (output) {
+      filePath = resolve(output)
+    } else {
+      const date = new Date().toISOString().split('T')[0]
+      filePath = join(this.rootDir, 'type-reports', `type-analysis-${date}.html`)
+    }
+    
+    this.writeFile(filePath, this.buildHtmlContent(report))
+    
+    console.log(`\n📋 HTML 报告已保存: ${chalk.green(this.relativePath(filePath))}`)
+    return filePath
+  }
+
+  // 生成 json / sarif / junit 报告；未指定输出文件时写到标准输出
+  async generateFormattedReport(report, format, output) {
+    const builders = {
+      json: () => this.buildJsonContent(report),
+      sarif: () => this.buildSarifContent(report),
+      junit: () => this.buildJUnitContent(report)
+    }
+    
+    if (!builders[format]) {
+      throw new Error(`不支持的报告格式: ${format}（可选: ${REPORT_FORMATS.join(', ')}）`)
+    }
+    
+    const content = builders[format]()
+    if (!output) {
+      process.stdout.write(content)
+      return null
+    }
+    
+    const filePath = resolve(output)
+    this.writeFile(filePath, content)
+    console.log(`\n📋 ${format.toUpperCase()} 报告已保存: ${chalk.green(this.relativePath(filePath))}`)
+    return filePath
+  }
+
+  buildJsonContent(report) {
+    const data = {
+      schemaVersion: REPORT_SCHEMA_VERSION,
+      tool: { name: TOOL_NAME, version: TOOL_VERSION },
+      ...report
+    }
+    
+    // 文件路径统一转换为相对项目根目录的路径
+    return JSON.stringify(data, (key, value) => {
+      if (key === 'file' && typeof value === 'string' && isAbsolute(value)) {
+        return this.relativePath(value)
+      }
+      return value
+    }, 2) + '\n'
+  }
+
+  buildSarifContent(report) {
+    const { issues } = report
+    const rules = new Map()
+    const results = []
+    
+    const addRule = (id, name, description, level) => {
+      if (!rules.has(id)) {
+        rules.set(id, {
+          id,
+          name,
+          shortDescription: { text: description },
+          defaultConfiguration: { level }
+        })
+      }
+    }
+    
+    const location = (file, line, column = 1) => ({
+      physicalLocation: {
+        artifactLocation: { uri: this.relativePath(resolve(this.rootDir, file)), uriBaseId: '%SRCROOT%' },
+        region: { startLine: line || 1, startColumn: column || 1 }
+      }
+    })
+    
+    // 类型错误、警告与提示
+    const diagnostics = [
+      ...issues.errors.map(error => ({ ...error, level: 'error' })),
+      ...issues.warnings.map(warning => ({ ...warning, level: 'warning' })),
+      ...(issues.info || []).map(item => ({ ...item, level: 'note' }))
+    ]
+    diagnostics.forEach(diagnostic => {
+      addRule(diagnostic.code, diagnostic.code, `TypeScript ${diagnostic.code}`, diagnostic.level)
+      results.push({
+        ruleId: diagnostic.code,
+        level: diagnostic.level,
+        message: { text: diagnostic.message },
+        locations: [location(diagnostic.file, diagnostic.line, diagnostic.column)]
+      })
+    })
+    
+    // 同名重复定义：每个定义一条结果，其余位置作为关联位置
+    Object.entries(issues.duplicates).forEach(([typeName, definitions]) => {
+      addRule('duplicate-type', 'DuplicateType', '同名类型在多个文件中重复定义', 'warning')
+      definitions.forEach(def => {
+        results.push({
+          ruleId: 'duplicate-type',
+          level: 'warning',
+          message: { text: `类型 ${typeName} 在 ${definitions.length} 个文件中重复定义` },
+          locations: [location(def.file, def.line)],
+          relatedLocations: definitions
+            .filter(other => other !== def)
+            .map((other, index) => ({ id: index, ...location(other.file, other.line) }))
+        })
+      })
+    })
+    
+    // 结构重复
+    const structural = issues.structuralDuplicates
+    if (this.hasStructuralDuplicates(structural)) {
+      addRule('structural-duplicate', 'StructuralDuplicate', '不同名称的类型结构相同或相似', 'note')
+      const groups = [...structural.exact, ...structural.similar]
+      groups.forEach(group => {
+        const names = [...new Set(group.definitions.map(def => def.name))].join(', ')
+        const text = group.similarity === 1
+          ? `类型 ${names} 结构完全相同`
+          : `类型 ${names} 结构相似 (${Math.round(group.similarity * 100)}%)`
+        group.definitions.forEach(def => {
+          results.push({
+            ruleId: 'structural-duplicate',
+            level: 'note',
+            message: { text },
+            locations: [location(def.file, def.line)]
+          })
+        })
+      })
+    }
+    
+    // 未使用类型
+    issues.unused.forEach(item => {
+      addRule('unused-type', 'UnusedType', '类型定义未被使用', 'warning')
+      results.push({
+        ruleId: 'unused-type',
+        level: 'warning',
+        message: { text: `${item.type} ${item.name} 未被使用` },
+        locations: [location(item.file, item.line)]
+      })
+    })
+    
+    // 不必要的导出与单一使用方类型（建议类）
+    ;(issues.unnecessaryExports || []).forEach(item => {
+      addRule('unnecessary-export', 'UnnecessaryExport', '导出的类型只在定义文件内使用', 'note')
+      results.push({
+        ruleId: 'unnecessary-export',
+        level: 'note',
+        message: { text: item.suggestion },
+        locations: [location(item.file, item.line)]
+      })
+    })
+    
+    ;(issues.singleConsumer || []).forEach(item => {
+      addRule('single-consumer-type', 'SingleConsumerType', '导出的类型只被一个文件使用', 'note')
+      results.push({
+        ruleId: 'single-consumer-type',
+        level: 'note',
+        message: { text: item.suggestion },
+        locations: [location(item.file, item.line)],
+        relatedLocations: [{ id: 0, ...location(item.consumer, 1), message: { text: '唯一使用方' } }]
+      })
+    })
+    
+    ;(issues.complexTypes || []).forEach(item => {
+      const rule = COMPLEX_RULES[item.rule]
+      addRule(`complex-type/${item.rule}`, 'ComplexType', `复杂类型: ${rule.label}`, rule.level)
+      results.push({
+        ruleId: `complex-type/${item.rule}`,
+        level: rule.level,
+        message: { text: item.message },
+        locations: [location(item.file, item.line)],
+        relatedLocations: item.rule === 'deep-generic'
+          ? []
+          : item.path.slice(1).map((member, index) => ({
+            id: index,
+            ...location(member.file, member.line),
+            message: { text: member.name }
+          }))
+      })
+    })
+    
+    // 插件问题：规则 id 为 plugin/<类别>
+    this.groupPluginIssues(report).forEach(({ category, items }) => {
+      const ruleId = `plugin/${category.id}`
+      const name = category.id.replace(/(?:^|-)(\w)/g, (_, char) => char.toUpperCase())
+      addRule(ruleId, name, category.description || category.title, category.level)
+      items.forEach(item => {
+        results.push({
+          ruleId,
+          level: category.level,
+          message: { text: item.message },
+          locations: [location(item.file, item.line)]
+        })
+      })
+    })
+    
+    const sarif = {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: TOOL_VERSION,
+            informationUri: TOOL_URI,
+            rules: Array.from(rules.values())
+          }
+        },
+        originalUriBaseIds: {
+          '%SRCROOT%': { uri: pathToFileURL(resolve(this.rootDir)).href.replace(/\/?$/, '/') }
+        },
+        results
+      }]
+    }
+    
+    return JSON.stringify(sarif, null, 2) + '\n'
+  }
+
+  buildJUnitContent(report) {
+    const { issues } = report
+    const suites = []
+    let tests = 0
+    let failures = 0
+    
+    const testCase = (name, classname, failure) => {
+      if (!failure) {
+        return `    <testcase name="${escapeXml(name)}" classname="${escapeXml(classname)}"/>`
+      }
+      return [
+        `    <testcase name="${escapeXml(name)}" classname="${escapeXml(classname)}">`,
+        `      <failure message="${escapeXml(failure.message)}" type="${escapeXml(failure.type)}">${escapeXml(failure.details || failure.message)}</failure>`,
+        '    </testcase>'
+      ].join('\n')
+    }
+    
+    const addSuite = (name, cases) => {
+      // 没有问题的分类记为一个通过的用例
+      const body = cases.length > 0 ? cases : [testCase(name, TOOL_NAME)]
+      suites.push([
+        `  <testsuite name="${escapeXml(name)}" tests="${body.length}" failures="${cases.length}">`,
+        ...body,
+        '  </testsuite>'
+      ].join('\n'))
+      tests += body.length
+      failures += cases.length
+    }
+    
+    // 与 SARIF 的结果一一对应：SARIF 中的每类问题都生成失败的用例
+    const diagnosticCase = diagnostic => {
+      const file = this.relativePath(diagnostic.file)
+      return testCase(`${file}:${diagnostic.line} ${diagnostic.code}`, file, {
+        message: diagnostic.message,
+        type: diagnostic.code,
+        details: `${file}:${diagnostic.line}:${diagnostic.column} ${diagnostic.code} ${diagnostic.message}`
+      })
+    }
+    const declarationCase = (item, type, message) => {
+      const file = this.relativePath(item.file)
+      return testCase(`${file}:${item.line} ${item.name}`, file, { message, type })
+    }
+    
+    addSuite('类型错误', issues.errors.map(diagnosticCase))
+    addSuite('类型警告', issues.warnings.map(diagnosticCase))
+    addSuite('提示', (issues.info || []).map(diagnosticCase))
+    
+    addSuite('重复定义', Object.entries(issues.duplicates).map(([typeName, definitions]) => {
+      const locations = definitions.map(def => `${this.relativePath(def.file)}:${def.line}`)
+      return testCase(typeName, 'duplicate-type', {
+        message: `类型 ${typeName} 在 ${definitions.length} 个文件中重复定义`,
+        type: 'duplicate-type',
+        details: locations.join('\n')
+      })
+    }))
+    
+    const structural = issues.structuralDuplicates
+    const structuralGroups = this.hasStructuralDuplicates(structural) ? [...structural.exact, ...structural.similar] : []
+    addSuite('结构重复', structuralGroups.map(group => {
+      const names = [...new Set(group.definitions.map(def => def.name))].join(', ')
+      return testCase(names, 'structural-duplicate', {
+        message: group.similarity === 1
+          ? `类型 ${names} 结构完全相同`
+          : `类型 ${names} 结构相似 (${Math.round(group.similarity * 100)}%)`,
+        type: 'structural-duplicate',
+        details: group.definitions.map(def => `${this.relativePath(def.file)}:${def.line}`).join('\n')
+      })
+    }))
+    
+    addSuite('未使用类型', issues.unused.map(item => declarationCase(item, 'unused-type', `${item.type} ${item.name} 未被使用`)))
+    addSuite('不必要的导出', (issues.unnecessaryExports || []).map(item => declarationCase(item, 'unnecessary-export', item.suggestion)))
+    addSuite('单一使用方类型', (issues.singleConsumer || []).map(item => declarationCase(item, 'single-consumer-type', item.suggestion)))
+    addSuite('复杂类型', (issues.complexTypes || []).map(item => declarationCase(item, `complex-type/${item.rule}`, item.message)))
+    
+    this.groupPluginIssues(report).forEach(({ category, items }) => {
+      addSuite(category.title, items.map(item => testCase(`${item.file}:${item.line}${item.name ? ` ${item.name}` : ''}`, item.file, {
+        message: item.message,
+        type: `plugin/${category.id}`
+      })))
+    })
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n')
+  }
+
+  // HTML 页面所需的数据：所有问题展开为一行一条，附带问题附近的代码片段
+  buildHtmlContent(report) {
+    const { statistics: stats, issues } = report
+    const list = []
+    const add = (category, severity, code, item, message) => {
+      list.push({
+        category,
+        severity,
+        code,
+        file: item.file ? this.relativePath(resolve(this.rootDir, item.file)) : '',
+        line: item.line || 0,
+        message
+      })
+    }
+    
+    issues.errors.forEach(error => add('errors', 'error', error.code, error, error.message))
+    issues.warnings.forEach(warning => add('warnings', 'warning', warning.code, warning, warning.message))
+    ;(issues.info || []).forEach(item => add('info', 'note', item.code, item, item.message))
+    Object.entries(issues.duplicates).forEach(([typeName, definitions]) => {
+      definitions.forEach(def => {
+        add('duplicates', 'warning', 'duplicate-type', def, `类型 ${typeName} 在 ${definitions.length} 个文件中重复定义`)
+      })
+    })
+    const structural = issues.structuralDuplicates
+    if (this.hasStructuralDuplicates(structural)) {
+      [...structural.exact, ...structural.similar].forEach(group => {
+        const names = [...new Set(group.definitions.map(def => def.name))].join(', ')
+        const text = group.similarity === 1
+          ? `类型 ${names} 结构完全相同`
+          : `类型 ${names} 结构相似 (${Math.round(group.similarity * 100)}%)`
+        group.definitions.forEach(def => add('structural', 'note', 'structural-duplicate', def, text))
+      })
+    }
+    issues.unused.forEach(item => add('unused', 'warning', 'unused-type', item, `${item.type} ${item.name} 未被使用`))
+    ;(issues.unnecessaryExports || []).forEach(item => add('unnecessaryExports', 'note', 'unnecessary-export', item, item.suggestion))
+    ;(issues.singleConsumer || []).forEach(item => add('singleConsumer', 'note', 'single-consumer-type', item, item.suggestion))
+    ;(issues.complexTypes || []).forEach(item => add('complexTypes', COMPLEX_RULES[item.rule].level, item.rule, item, item.message))
+    const pluginGroups = this.groupPluginIssues(report)
+    pluginGroups.forEach(({ category, items }) => {
+      items.forEach(item => add(`plugin/${category.id}`, category.level, `plugin/${category.id}`, item, item.message))
+    })
+    
+    const data = {
+      title: 'TypeScript 类型分析报告',
+      project: this.rootDir,
+      generatedAt: new Date(report.timestamp || Date.now()).toLocaleString('zh-CN'),
+      tool: { name: TOOL_NAME, version: TOOL_VERSION },
+      healthScore: report.healthScore,
+      scoreBreakdown: report.scoreBreakdown || null,
+      summary: [
+        { label: '📁 源文件', value: stats.totalFiles },
+        { label: '🎯 自定义类型', value: stats.totalTypes },
+        { label: '🔗 类型引用', value: stats.totalUsages },
+        { label: '🚨 类型错误', value: stats.totalErrors },
+        { label: '⚠️ 类型警告', value: stats.totalWarnings },
+        { label: '💬 提示', value: stats.totalInfo || 0 },
+        { label: '🔄 重复定义', value: stats.duplicateTypes },
+        { label: '🗑️ 未使用类型', value: stats.unusedTypes },
+        { label: '🔒 不必要的导出', value: stats.unnecessaryExports || 0 },
+        { label: '📦 单一使用方类型', value: stats.singleConsumerTypes || 0 },
+        { label: '🌀 复杂类型', value: stats.complexTypes || 0 },
+        ...pluginGroups.map(({ category, items }) => ({ label: `🧩 ${category.title}`, value: items.length }))
+      ],
+      categories: {
+        errors: '类型错误',
+        warnings: '类型警告',
+        info: '提示',
+        duplicates: '重复定义',
+        structural: '结构重复',
+        unused: '未使用类型',
+        unnecessaryExports: '不必要的导出',
+        singleConsumer: '单一使用方',
+        complexTypes: '复杂类型',
+        ...Object.fromEntries(pluginGroups.map(({ category }) => [`plugin/${category.id}`, category.title]))
+      },
+      issues: list,
+      context: SNIPPET_CONTEXT,
+      snippets: this.collectSnippets(list),
+      dependencies: report.dependencies || { types: [], references: [], consumers: [] },
+      recommendations: report.recommendations || [],
+      changed: report.changed || null,
+      trend: report.trend?.runs > 1 ? report.trend : null
+    }
+    
+    return buildHtmlDocument(data)
+  }
+
+  // 读取问题所在行前后的代码，按文件保存 { 行号: 内容 }；文件无法读取时跳过
+  collectSnippets(issues) {
+    const lines = new Map()
+    issues.forEach(issue => {
+      if (!issue.file || !issue.line) return
+      if (!lines.has(issue.file)) lines.set(issue.file, new Set())
+      for (let line = issue.line - SNIPPET_CONTEXT; line <= issue.line + SNIPPET_CONTEXT; line++) {
+        lines.get(issue.file).add(line)
+      }
+    })
+    
+    const snippets = {}
+    lines.forEach((numbers, file) => {
+      let source
+      try {
+        source = readFileSync(resolve(this.rootDir, file), 'utf8').split(/\r?\n/)
+      } catch (error) {
+        return
+      }
+      snippets[file] = {}
+      numbers.forEach(line => {
+        if (line >= 1 && line <= source.length) {
+          snippets[file][line] = source[line - 1].slice(0, 300)
+        }
+      })
+    })
+    return snippets
+  }
+
   buildMarkdownContent(report) {
     const { statistics: stats, healthScore, issues } = report
     const timestamp = new Date().toLocaleString('zh-CN')
@@ -181,7 +986,11 @@ export class ReportGenerator {
     content.push('')
     content.push(`**生成时间**: ${timestamp}`)
     content.push(`**项目路径**: \`${this.rootDir}\``)
-    content.push(`**分析范围**: 仅 src/ 目录下的自定义类型`)
+    const scope = report.scope?.include.map(pattern => `\`${pattern}\``).join(', ') || '`src/**/*`'
+    content.push(`**分析范围**: ${scope} 中的自定义类型`)
+    if (report.changed) {
+      content.push(`**变更文件**: ${report.changed.files.length} 个（${report.changed.mode}），已过滤 ${report.changed.filtered} 个既有问题`)
+    }
     content.push('')
     
     // 执行摘要
@@ -203,6 +1012,18 @@ export class ReportGenerator {
     }
     content.push('')
     
+    const deductions = (report.scoreBreakdown?.categories || []).filter(item => item.penalty > 0)
+    if (deductions.length > 0) {
+      content.push('**扣分明细**（按扣分从高到低，优先处理靠前的类别）：')
+      content.push('')
+      content.push('| 类别 | 数量 | 规则 | 扣分 |')
+      content.push('|------|------|------|------|')
+      deductions.forEach(item => {
+        content.push(`| ${item.label} | ${item.count} | ${describeScoreRule(item, report.scoreBreakdown.totalTypes)} | **-${item.penalty}** |`)
+      })
+      content.push('')
+    }
+    
     // 统计数据表格
     content.push('## 📊 统计数据')
     content.push('')
@@ -216,13 +1037,38 @@ export class ReportGenerator {
       ['🚨 类型错误', stats.totalErrors, stats.totalErrors === 0 ? '🟢 优秀' : '🔴 需修复'],
       ['⚠️ 类型警告', stats.totalWarnings, stats.totalWarnings === 0 ? '🟢 优秀' : '🟡 需关注'],
       ['🔄 重复定义', stats.duplicateTypes, stats.duplicateTypes === 0 ? '🟢 优秀' : '🟡 需处理'],
-      ['🗑️ 未使用类型', stats.unusedTypes, stats.unusedTypes === 0 ? '🟢 优秀' : '🟡 可清理']
+      ['🗑️ 未使用类型', stats.unusedTypes, stats.unusedTypes === 0 ? '🟢 优秀' : '🟡 可清理'],
+      ['🔒 不必要的导出', stats.unnecessaryExports, stats.unnecessaryExports === 0 ? '🟢 优秀' : '🟡 可收窄'],
+      ['📦 单一使用方类型', stats.singleConsumerTypes, stats.singleConsumerTypes === 0 ? '🟢 优秀' : '🟡 可移动'],
+      ['🌀 复杂类型', stats.complexTypes || 0, !stats.complexTypes ? '🟢 优秀' : '🟡 需拆解'],
+      ...this.groupPluginIssues(report).map(({ category, items }) => [`🧩 ${category.title}`, items.length, '🟡 需处理'])
     ]
     
     metrics.forEach(([metric, value, status]) => {
       content.push(`| ${metric} | **${value}** | ${status} |`)
     })
     content.push('')
+    
+    // 工作区各包统计
+    if (report.workspace) {
+      const { packages, rollup } = report.workspace
+      content.push('## 📦 工作区包')
+      content.push('')
+      content.push('| 包 | 路径 | 评分 | 文件 | 类型 | 错误 | 重复 | 未使用 | 跨包引用 |')
+      content.push('|----|------|------|------|------|------|------|--------|----------|')
+      packages.forEach(pkg => {
+        const stats = pkg.statistics
+        content.push(`| \`${pkg.name}\` | \`${pkg.path}\` | **${pkg.healthScore}** | ${stats.totalFiles} | ${stats.totalTypes} | ${stats.totalErrors} | ${stats.duplicateTypes} | ${stats.unusedTypes} | ${stats.crossPackageUsages} |`)
+      })
+      content.push('')
+      content.push(`**汇总**: ${rollup.packages} 个包，平均评分 ${rollup.averageHealthScore}，最低评分 ${rollup.lowestHealthScore}，跨包引用 ${rollup.crossPackageUsages} 次`)
+      content.push('')
+    }
+    
+    // 历史趋势（至少两次运行记录时）
+    if (report.trend?.runs > 1) {
+      content.push(...this.buildTrendMarkdown(report.trend))
+    }
 
     // 分析说明
     content.push('## ℹ️ 分析说明')
@@ -256,6 +1102,7 @@ export class ReportGenerator {
       content.push('')
       content.push(`发现 **${issues.errors.length}** 个真正的类型错误，需要修复：`)
       content.push('')
+      content.push(...this.buildCodeCountMarkdown(issues.errors))
       
       const errorsByFile = this.groupErrorsByFile(issues.errors)
       
@@ -284,6 +1131,7 @@ export class ReportGenerator {
       content.push('')
       content.push(`发现 **${issues.warnings.length}** 个类型警告，建议处理：`)
       content.push('')
+      content.push(...this.buildCodeCountMarkdown(issues.warnings))
       
       const warningsByFile = this.groupErrorsByFile(issues.warnings)
       
@@ -305,6 +1153,15 @@ export class ReportGenerator {
       })
     }
     
+    // 提示级诊断只列出按错误码的统计
+    if (issues.info?.length > 0) {
+      content.push('## 💬 提示')
+      content.push('')
+      content.push(`另有 **${issues.info.length}** 条提示级诊断（可在 \`diagnosticRules\` 中调整级别）：`)
+      content.push('')
+      content.push(...this.buildCodeCountMarkdown(issues.info))
+    }
+    
     // 重复类型详情
     if (Object.keys(issues.duplicates).length > 0) {
       content.push('## 🔄 重复类型定义')
@@ -328,6 +1185,46 @@ export class ReportGenerator {
       })
     }
     
+    // 结构重复类型
+    if (this.hasStructuralDuplicates(issues.structuralDuplicates)) {
+      const { exact, similar, threshold } = issues.structuralDuplicates
+      content.push('## 🧬 结构重复类型')
+      content.push('')
+      content.push(`按成员结构比较（忽略属性顺序），发现 **${exact.length}** 组完全一致、**${similar.length}** 对相似度不低于 ${Math.round(threshold * 100)}% 的类型：`)
+      content.push('')
+      
+      exact.forEach(group => {
+        const names = [...new Set(group.definitions.map(def => def.name))]
+        content.push(`### 🟰 ${names.map(name => `\`${name}\``).join(' = ')}`)
+        content.push('')
+        content.push('**定义位置：**')
+        group.definitions.forEach((def, index) => {
+          content.push(`${index + 1}. \`${this.relativePath(def.file)}:${def.line}\` (${def.name})`)
+        })
+        content.push('')
+        content.push(`**共同成员：** ${group.members.map(member => `\`${member}\``).join(', ')}`)
+        content.push('')
+      })
+      
+      similar.forEach(pair => {
+        const [left, right] = pair.definitions
+        content.push(`### ≈ \`${left.name}\` ~ \`${right.name}\` (相似度 ${Math.round(pair.similarity * 100)}%)`)
+        content.push('')
+        content.push(`- \`${left.name}\`: \`${this.relativePath(left.file)}:${left.line}\``)
+        content.push(`- \`${right.name}\`: \`${this.relativePath(right.file)}:${right.line}\``)
+        content.push('')
+        content.push(`| 成员 | ${left.name} | ${right.name} |`)
+        content.push('|------|------|------|')
+        pair.differences.forEach(diff => {
+          content.push(`| \`${diff.member}\` | ${diff.left ? `\`${diff.left}\`` : '—'} | ${diff.right ? `\`${diff.right}\`` : '—'} |`)
+        })
+        content.push('')
+      })
+      
+      content.push('**建议：** 结构相同的类型可以合并为一个，或通过 `type A = B` 复用已有定义。')
+      content.push('')
+    }
+    
     // 未使用类型
     if (issues.unused.length > 0) {
       content.push('## 🗑️ 未使用的自定义类型')
@@ -357,6 +1254,126 @@ export class ReportGenerator {
       })
     }
     
+    // 不必要的导出
+    if (issues.unnecessaryExports?.length > 0) {
+      content.push('## 🔒 不必要的导出')
+      content.push('')
+      content.push(`以下 **${issues.unnecessaryExports.length}** 个类型已导出，但只在定义文件内使用：`)
+      content.push('')
+      content.push('| 类型名 | 类型 | 位置 | 文件内引用 | 建议 |')
+      content.push('|--------|------|------|------------|------|')
+      issues.unnecessaryExports.forEach(item => {
+        content.push(`| \`${item.name}\` | ${item.type} | \`${item.file}:${item.line}\` | ${item.usages} | 移除 \`export\` |`)
+      })
+      content.push('')
+    }
+    
+    // 单一使用方类型
+    if (issues.singleConsumer?.length > 0) {
+      content.push('## 📦 单一使用方类型')
+      content.push('')
+      content.push(`以下 **${issues.singleConsumer.length}** 个类型只被一个文件使用，可以移动到使用处：`)
+      content.push('')
+      content.push('| 类型名 | 类型 | 定义位置 | 建议移动到 | 引用次数 |')
+      content.push('|--------|------|----------|------------|----------|')
+      issues.singleConsumer.forEach(item => {
+        content.push(`| \`${item.name}\` | ${item.type} | \`${item.file}:${item.line}\` | \`${item.target.file}\` | ${item.usages} |`)
+      })
+      content.push('')
+    }
+    
+    // 复杂类型
+    if (issues.complexTypes?.length > 0) {
+      content.push('## 🌀 复杂类型')
+      content.push('')
+      content.push(`以下 **${issues.complexTypes.length}** 处类型存在跨文件循环依赖，或 extends 链、泛型嵌套超过上限：`)
+      content.push('')
+      content.push('| 问题 | 类型 | 位置 | 路径 |')
+      content.push('|------|------|------|------|')
+      issues.complexTypes.forEach(item => {
+        content.push(`| ${COMPLEX_RULES[item.rule].label} | \`${item.name}\` | \`${item.file}:${item.line}\` | \`${this.describeComplexPath(item).replace(/\|/g, '\\|')}\` |`)
+      })
+      content.push('')
+      
+      // 循环依赖中每个类型的位置
+      issues.complexTypes.filter(item => item.rule === 'circular').forEach(item => {
+        content.push(`**${this.describeComplexPath(item)}**`)
+        content.push('')
+        item.path.forEach(member => content.push(`- \`${member.name}\` — \`${member.file}:${member.line}\``))
+        content.push('')
+      })
+    }
+    
+    // 插件问题
+    this.groupPluginIssues(report).forEach(({ category, items }) => {
+      content.push(`## 🧩 ${category.title}`)
+      content.push('')
+      content.push(`${category.description ? `${category.description}。` : ''}插件 \`${category.plugin}\` 发现 **${items.length}** 个问题：`)
+      content.push('')
+      content.push('| 位置 | 名称 | 说明 |')
+      content.push('|------|------|------|')
+      items.forEach(item => {
+        content.push(`| \`${item.file}:${item.line}\` | ${item.name ? `\`${item.name}\`` : '-'} | ${item.message.replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`)
+      })
+      content.push('')
+    })
+    
+    // 类型之间的依赖关系
+    if (report.dependencies?.references.length > 0) {
+      content.push(...this.buildDependencyMarkdown(report.dependencies))
+    }
+    
+    // 抑制注释
+    const suppressions = report.suppressions
+    if (suppressions?.total > 0 || suppressions?.unusedDirectives.length > 0) {
+      content.push('## 🤫 已抑制的问题')
+      content.push('')
+      if (suppressions.total > 0) {
+        content.push(`抑制注释与 \`@public\` 标记共忽略 **${suppressions.total}** 个问题：${this.describeSuppressions(suppressions)}`)
+        content.push('')
+      }
+      if (suppressions.unusedDirectives.length > 0) {
+        content.push(`以下 **${suppressions.unusedDirectives.length}** 条抑制注释没有生效，可以删除或修正：`)
+        content.push('')
+        content.push('| 位置 | 注释 | 原因 |')
+        content.push('|------|------|------|')
+        suppressions.unusedDirectives.forEach(item => {
+          const directive = [item.directive, ...item.rules].join(' ')
+          content.push(`| \`${item.file}:${item.line}\` | \`${directive}\` | ${item.reason} |`)
+        })
+        content.push('')
+      }
+    }
+    
+    // 忽略规则
+    const ignored = report.ignoredDiagnostics
+    if (ignored?.total > 0) {
+      content.push('## 🙈 忽略规则匹配的诊断')
+      content.push('')
+      content.push(`\`ignoreDiagnostics\` 规则共忽略 **${ignored.total}** 个诊断：`)
+      content.push('')
+      content.push('| 数量 | 条件 | 原因 |')
+      content.push('|------|------|------|')
+      ignored.rules.filter(rule => rule.count > 0).forEach(rule => {
+        content.push(`| ${rule.count} | \`${rule.match.replace(/\|/g, '\\|')}\` | ${rule.reason} |`)
+      })
+      content.push('')
+    }
+    
+    // 跳过的文件
+    if (report.skippedFiles?.length > 0) {
+      content.push('## ⏭️ 跳过的文件')
+      content.push('')
+      content.push(`以下 **${report.skippedFiles.length}** 个文件读取或解析失败，未参与分析：`)
+      content.push('')
+      content.push('| 文件 | 原因 |')
+      content.push('|------|------|')
+      report.skippedFiles.forEach(item => {
+        content.push(`| \`${item.file}\` | ${item.reason.replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`)
+      })
+      content.push('')
+    }
+    
     // 改进建议
     content.push('## 💡 改进建议')
     content.push('')
@@ -386,7 +1403,20 @@ export class ReportGenerator {
     return content.join('\n')
   }
 
+  buildCodeCountMarkdown(diagnostics) {
+    return [
+      '| 错误代码 | 数量 |',
+      '|----------|------|',
+      ...countByCode(diagnostics).map(({ code, count }) => `| \`${code}\` | ${count} |`),
+      ''
+    ]
+  }
+
   // 工具方法
+  hasStructuralDuplicates(structural) {
+    return !!structural && (structural.exact.length > 0 || structural.similar.length > 0)
+  }
+
   groupErrorsByFile(errors) {
     const groups = {}
     errors.forEach(error => {
@@ -409,7 +1439,25 @@ export class ReportGenerator {
     return `[${bar}] ${percentage.toFixed(0)}%`
   }
 
+  writeFile(filePath, content) {
+    const dir = dirname(filePath)
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true })
+    }
+    writeFileSync(filePath, content, 'utf8')
+  }
+
+  // 报告中的路径可能已经是相对项目根目录的路径（如未使用类型），按根目录解析而不是当前目录
   relativePath(filePath) {
-    return relative(this.rootDir, filePath).replace(/\\/g, '/')
+    return relative(this.rootDir, resolve(this.rootDir, filePath)).replace(/\\/g, '/')
   }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
 }
\ No newline at end of file
@@ -0,0 +1,115 @@
+import { isPlainObject } from './utils.js'
+
+// 健康度评分：100 分起，各类问题按规则扣分
+// mode: 'count' 每个问题扣 weight 分；'ratio' 按问题数占类型总数的比例扣分（比例 × weight）
+// cap: 该类问题最多扣的分数
+export const DEFAULT_SCORE_RULES = {
+  errors: { mode: 'count', weight: 15, cap: 60 },
+  warnings: { mode: 'count', weight: 2, cap: 10 },
+  duplicates: { mode: 'ratio', weight: 100, cap: 20 },
+  unused: { mode: 'ratio', weight: 50, cap: 10 },
+  unnecessaryExports: { mode: 'ratio', weight: 0, cap: 0 },
+  singleConsumer: { mode: 'ratio', weight: 0, cap: 0 },
+  structural: { mode: 'ratio', weight: 0, cap: 0 },
+  complexity: { mode: 'ratio', weight: 0, cap: 0 },
+}
+
+export const SCORE_MODES = ['count', 'ratio']
+
+// 各类别对应的统计项
+const CATEGORIES = {
+  errors: { label: '🚨 类型错误', stat: 'totalErrors' },
+  warnings: { label: '⚠️ 类型警告', stat: 'totalWarnings' },
+  duplicates: { label: '🔄 重复定义', stat: 'duplicateTypes' },
+  unused: { label: '🗑️ 未使用类型', stat: 'unusedTypes' },
+  unnecessaryExports: { label: '🔒 不必要的导出', stat: 'unnecessaryExports' },
+  singleConsumer: { label: '📦 单一使用方类型', stat: 'singleConsumerTypes' },
+  structural: { label: '🧬 结构重复', stat: 'structuralDuplicates' },
+  complexity: { label: '🌀 复杂类型', stat: 'complexTypes' },
+}
+
+// 用户规则按类别与默认规则合并，只需覆盖要修改的字段
+export function mergeScoreRules(rules = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SCORE_RULES).map(([category, rule]) => [
+      category,
+      { ...rule, ...(rules[category] || {}) },
+    ])
+  )
+}
+
+// 计算评分与扣分明细（按扣分从高到低排序）
+export function calculateScore(stats, rules = DEFAULT_SCORE_RULES) {
+  const categories = Object.entries(CATEGORIES).map(([category, { label, stat }]) => {
+    const rule = rules[category]
+    const count = stats[stat] || 0
+    const raw =
+      rule.mode === 'ratio'
+        ? stats.totalTypes > 0
+          ? (count / stats.totalTypes) * rule.weight
+          : 0
+        : count * rule.weight
+    const penalty = Math.min(rule.cap, raw)
+
+    return {
+      category,
+      label,
+      count,
+      mode: rule.mode,
+      weight: rule.weight,
+      cap: rule.cap,
+      penalty: round(penalty),
+      capped: raw > rule.cap,
+      exact: penalty,
+    }
+  })
+
+  const deducted = categories.reduce((sum, item) => sum + item.exact, 0)
+  categories.sort((a, b) => b.exact - a.exact)
+
+  return {
+    score: Math.max(0, Math.round(100 - deducted)),
+    breakdown: {
+      max: 100,
+      deducted: round(deducted),
+      totalTypes: stats.totalTypes,
+      categories: categories.map(({ exact, ...item }) => item),
+    },
+  }
+}
+
+// 规则说明，如 "2 个 × 15（上限 60）"、"3/40 个类型 × 100（上限 20）"
+export function describeScoreRule(item, totalTypes) {
+  const amount = item.mode === 'ratio' ? `${item.count}/${totalTypes} 个类型` : `${item.count} 个`
+  return `${amount} × ${item.weight}（上限 ${item.cap}${item.capped ? '，已封顶' : ''}）`
+}
+
+export function validateScoreRules(value) {
+  if (!isPlainObject(value)) return '应为 { 类别: { mode, weight, cap } }'
+
+  for (const [category, rule] of Object.entries(value)) {
+    if (!(category in DEFAULT_SCORE_RULES)) {
+      return `包含未知类别 "${category}"（可选: ${Object.keys(DEFAULT_SCORE_RULES).join(', ')}）`
+    }
+    if (!isPlainObject(rule)) return `.${category} 应为 { mode, weight, cap }`
+
+    for (const [key, option] of Object.entries(rule)) {
+      if (key === 'mode') {
+        if (!SCORE_MODES.includes(option)) return `.${category}.mode 应为 ${SCORE_MODES.join(' 或 ')}`
+      } else if (key === 'weight') {
+        if (typeof option !== 'number' || option < 0) return `.${category}.weight 应为非负数`
+      } else if (key === 'cap') {
+        if (typeof option !== 'number' || option < 0 || option > 100) {
+          return `.${category}.cap 应为 0 到 100 之间的数字`
+        }
+      } else {
+        return `.${category} 包含未知字段 "${key}"（可选: mode, weight, cap）`
+      }
+    }
+  }
+  return null
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10
+}
@@ -0,0 +1,152 @@
+import ts from 'typescript'
+
+// 提取 interface / 对象字面量类型的成员，返回 null 表示该类型没有可比较的结构
+export function getTypeMembers(node, sourceFile) {
+  let members = null
+  if (ts.isInterfaceDeclaration(node)) {
+    members = node.members
+  } else if (ts.isTypeAliasDeclaration(node) && ts.isTypeLiteralNode(node.type)) {
+    members = node.type.members
+  }
+  if (!members) return null
+
+  return members.map((member) => normalizeMember(member, sourceFile))
+}
+
+function normalizeMember(member, sourceFile) {
+  const optional = !!member.questionToken
+  let name
+  let type
+
+  if (ts.isPropertySignature(member)) {
+    name = getMemberName(member.name, sourceFile)
+    type = member.type ? normalizeText(member.type.getText(sourceFile)) : 'any'
+  } else if (ts.isMethodSignature(member)) {
+    name = getMemberName(member.name, sourceFile)
+    const params = member.parameters.map((p) => normalizeText(p.getText(sourceFile)))
+    const returns = member.type ? normalizeText(member.type.getText(sourceFile)) : 'void'
+    type = `(${params.join(', ')}) => ${returns}`
+  } else if (ts.isIndexSignatureDeclaration(member)) {
+    name = `[${member.parameters.map((p) => normalizeText(p.getText(sourceFile))).join(', ')}]`
+    type = member.type ? normalizeText(member.type.getText(sourceFile)) : 'any'
+  } else {
+    // 调用签名、构造签名等按原文比较
+    name = normalizeText(member.getText(sourceFile))
+    type = ''
+  }
+
+  const key = type ? `${name}${optional ? '?' : ''}: ${type}` : name
+  return { name, optional, type, key }
+}
+
+function getMemberName(name, sourceFile) {
+  if (ts.isIdentifier(name) || ts.isStringLiteral(name) || ts.isNumericLiteral(name)) {
+    return name.text
+  }
+  return normalizeText(name.getText(sourceFile))
+}
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').replace(/[;,]\s*}/g, ' }').replace(/[;,]$/, '').trim()
+}
+
+// 按结构查找重复类型：exact 为成员完全一致的分组，similar 为相似度超过阈值的类型对
+export function findStructuralDuplicates(definitions, options = {}) {
+  const threshold = options.threshold ?? 0.8
+  const minMembers = options.minMembers ?? 2
+
+  const candidates = definitions.filter(
+    (def) => def.members && def.members.length >= minMembers
+  )
+
+  // 完全一致：成员签名排序后相同（忽略属性顺序）
+  const bySignature = new Map()
+  for (const def of candidates) {
+    const signature = def.members.map((m) => m.key).sort().join('\n')
+    if (!bySignature.has(signature)) {
+      bySignature.set(signature, [])
+    }
+    bySignature.get(signature).push(def)
+  }
+
+  const exact = []
+  const exactIds = new Map()
+  for (const group of bySignature.values()) {
+    if (group.length < 2) continue
+    // 全部同名的分组已由同名重复检测覆盖
+    if (new Set(group.map((d) => d.name)).size < 2) continue
+
+    exact.push({
+      similarity: 1,
+      definitions: group,
+      members: group[0].members.map((m) => m.key).sort(),
+      differences: [],
+    })
+    group.forEach((def) => exactIds.set(def.id, exact.length - 1))
+  }
+
+  // 近似：按成员逐一比较的相似度
+  const similar = []
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = candidates[i]
+      const b = candidates[j]
+      if (a.name === b.name) continue
+      if (exactIds.has(a.id) && exactIds.get(a.id) === exactIds.get(b.id)) continue
+
+      const sizeRatio =
+        Math.min(a.members.length, b.members.length) /
+        Math.max(a.members.length, b.members.length)
+      if (sizeRatio < threshold) continue
+
+      const similarity = compareMembers(a.members, b.members)
+      if (similarity >= threshold && similarity < 1) {
+        similar.push({
+          similarity: Math.round(similarity * 100) / 100,
+          definitions: [a, b],
+          differences: diffMembers(a, b),
+        })
+      }
+    }
+  }
+
+  similar.sort((x, y) => y.similarity - x.similarity)
+  return { exact, similar, threshold }
+}
+
+// 同名且完全一致的成员计 1 分，同名但可选性或类型不同计 0.5 分，按成员名并集归一化
+function compareMembers(left, right) {
+  const rightByName = new Map(right.map((m) => [m.name, m]))
+  const names = new Set([...left.map((m) => m.name), ...rightByName.keys()])
+
+  let score = 0
+  for (const member of left) {
+    const other = rightByName.get(member.name)
+    if (!other) continue
+    score += other.key === member.key ? 1 : 0.5
+  }
+  return score / names.size
+}
+
+// 列出两个类型之间不一致的成员
+function diffMembers(a, b) {
+  const leftByName = new Map(a.members.map((m) => [m.name, m]))
+  const rightByName = new Map(b.members.map((m) => [m.name, m]))
+  const differences = []
+
+  for (const [name, member] of leftByName) {
+    const other = rightByName.get(name)
+    if (!other) {
+      differences.push({ member: name, left: member.key, right: null })
+    } else if (other.key !== member.key) {
+      differences.push({ member: name, left: member.key, right: other.key })
+    }
+  }
+  for (const [name, member] of rightByName) {
+    if (!leftByName.has(name)) {
+      differences.push({ member: name, left: null, right: member.key })
+    }
+  }
+
+  return differences
+}
@@ -0,0 +1,199 @@
+import ts from 'typescript'
+import { resolve } from 'path'
+import { parseSFC } from './vue.js'
+
+// 抑制注释中可用的规则名（对应报告中的问题类别）；类型错误还可以直接写诊断码，如 TS2322，插件问题写插件注册的类别
+export const SUPPRESSION_RULES = [
+  'error',
+  'duplicate',
+  'structural',
+  'unused',
+  'unnecessary-export',
+  'single-consumer',
+  'complex',
+]
+
+// @public 标记的类型是有意导出的 API，不报告为未使用、不必要导出或单一使用方
+export const PUBLIC_RULES = ['unused', 'unnecessary-export', 'single-consumer']
+
+const DIRECTIVE_MARKER = 'ts-type-cleaner-'
+const DIRECTIVE_PATTERN = /^ts-type-cleaner-(ignore-next-line|disable)(?=\s|$)([\s\S]*)$/
+
+// 解析文件中的抑制注释（.ts / .tsx 全文，.vue 为 ts/tsx 的 <script> 块）：
+//   // ts-type-cleaner-ignore-next-line unused      忽略下一行的问题
+//   /* ts-type-cleaner-disable duplicate */         忽略整个文件的问题
+// 未写规则时忽略所有类别；"--" 之后为说明文字
+export function parseSuppressionComments(file, content) {
+  if (!content.includes(DIRECTIVE_MARKER)) return []
+
+  const blocks = file.endsWith('.vue')
+    ? parseSFC(content)
+        .scripts.filter((script) => script.isTypeScript)
+        .map((script) => ({
+          text: script.content,
+          lineOffset: content.slice(0, script.start).split('\n').length - 1,
+          tsx: script.lang === 'tsx',
+        }))
+    : [{ text: content, lineOffset: 0, tsx: file.endsWith('.tsx') }]
+
+  const directives = []
+  for (const block of blocks) {
+    if (!block.text.includes(DIRECTIVE_MARKER)) continue
+    const sourceFile = ts.createSourceFile(
+      file,
+      block.text,
+      ts.ScriptTarget.Latest,
+      true,
+      block.tsx ? ts.ScriptKind.TSX : ts.ScriptKind.TS
+    )
+
+    for (const comment of collectComments(sourceFile)) {
+      const directive = parseDirective(block.text.slice(comment.pos, comment.end), comment.kind)
+      if (!directive) continue
+      const lineOf = (pos) => sourceFile.getLineAndCharacterOfPosition(pos).line + 1 + block.lineOffset
+      directives.push({ ...directive, line: lineOf(comment.pos), endLine: lineOf(comment.end) })
+    }
+  }
+  return directives
+}
+
+// 从报告的问题中移除被抑制的项，返回新的问题列表与抑制统计
+// directives 为 Map(绝对路径 → 抑制注释)，publicTypes 为 @public 类型的 "绝对路径#名称" 集合，rules 为可用的规则名
+export function applySuppressions(issues, { rootDir, directives, publicTypes = new Set(), rules = SUPPRESSION_RULES }) {
+  const byRule = {}
+  let total = 0
+  let suppressedByPublic = 0
+
+  const record = (rule) => {
+    byRule[rule] = (byRule[rule] || 0) + 1
+    total++
+  }
+
+  // 问题所在的任一位置（文件 + 行）匹配到抑制注释即视为被抑制；匹配到的注释标记为已使用
+  const isSuppressed = (rule, locations, code) => {
+    let matched = false
+    for (const { file, line } of locations) {
+      for (const directive of directives.get(resolve(rootDir, file)) || []) {
+        if (!appliesTo(directive, rule, code)) continue
+        if (directive.kind === 'disable' || directive.endLine + 1 === line) {
+          directive.used = true
+          matched = true
+        }
+      }
+    }
+    return matched
+  }
+
+  const keep = (rule, getLocations, getCode = () => null) => (item) => {
+    if (!isSuppressed(rule, getLocations(item), getCode(item))) return true
+    record(rule)
+    return false
+  }
+
+  const keepDeclaration = (rule) => (item) => {
+    if (PUBLIC_RULES.includes(rule) && publicTypes.has(`${resolve(rootDir, item.file)}#${item.name}`)) {
+      record(rule)
+      suppressedByPublic++
+      return false
+    }
+    return keep(rule, (current) => [current])(item)
+  }
+
+  // 同名或结构重复的一组声明：逐个移除被抑制的声明，剩余不足两个时整组不再报告
+  const filterGroup = (rule, definitions) => definitions.filter(keep(rule, (definition) => [definition]))
+
+  const errorCode = (item) => item.code
+  const structural = issues.structuralDuplicates
+  const filtered = {
+    errors: issues.errors.filter(keep('error', (item) => [item], errorCode)),
+    warnings: issues.warnings.filter(keep('error', (item) => [item], errorCode)),
+    info: issues.info.filter(keep('error', (item) => [item], errorCode)),
+    duplicates: Object.fromEntries(
+      Object.entries(issues.duplicates)
+        .map(([name, definitions]) => [name, filterGroup('duplicate', definitions)])
+        .filter(([, definitions]) => definitions.length > 1)
+    ),
+    unused: issues.unused.filter(keepDeclaration('unused')),
+    unnecessaryExports: issues.unnecessaryExports.filter(keepDeclaration('unnecessary-export')),
+    singleConsumer: issues.singleConsumer.filter(keepDeclaration('single-consumer')),
+    structuralDuplicates: {
+      ...structural,
+      exact: structural.exact
+        .map((group) => ({ ...group, definitions: filterGroup('structural', group.definitions) }))
+        .filter((group) => group.definitions.length > 1),
+      similar: structural.similar
+        .map((group) => ({ ...group, definitions: filterGroup('structural', group.definitions) }))
+        .filter((group) => group.definitions.length > 1),
+    },
+    // 循环依赖与 extends 链可以在链上任一类型处抑制
+    complexTypes: issues.complexTypes.filter(
+      keep('complex', (item) => (item.rule === 'deep-generic' ? [item] : [item, ...item.path]))
+    ),
+    plugins: (issues.plugins || []).filter((item) => keep(item.category, (current) => [current])(item)),
+  }
+
+  const all = Array.from(directives.values()).flat()
+  const unknownRules = (directive) =>
+    directive.rules.filter((rule) => !rules.includes(rule) && !/^TS\d+$/.test(rule))
+  const unusedDirectives = all
+    .filter((directive) => !directive.used || unknownRules(directive).length > 0)
+    .map((directive) => ({
+      file: directive.file,
+      line: directive.line,
+      directive: `${DIRECTIVE_MARKER}${directive.kind}`,
+      rules: directive.rules,
+      reason:
+        unknownRules(directive).length > 0
+          ? `未知的规则: ${unknownRules(directive).join(', ')}（可选: ${rules.join(', ')}）`
+          : '没有抑制任何问题',
+    }))
+
+  return {
+    issues: filtered,
+    suppressions: {
+      total,
+      byRule,
+      public: suppressedByPublic,
+      directives: all.length,
+      unusedDirectives,
+    },
+  }
+}
+
+// 源码中所有注释（跳过字符串与模板中形似注释的文本）
+function collectComments(sourceFile) {
+  const text = sourceFile.text
+  const comments = new Map()
+  const add = (ranges) => ranges?.forEach((range) => comments.set(range.pos, range))
+  const visit = (node) => {
+    add(ts.getLeadingCommentRanges(text, node.pos))
+    add(ts.getTrailingCommentRanges(text, node.end))
+    node.getChildren(sourceFile).forEach(visit)
+  }
+  visit(sourceFile)
+  return Array.from(comments.values()).sort((a, b) => a.pos - b.pos)
+}
+
+function parseDirective(comment, kind) {
+  const body =
+    kind === ts.SyntaxKind.SingleLineCommentTrivia
+      ? comment.slice(2)
+      : comment.slice(2, -2).replace(/^\*+/, '')
+  const match = body.trim().match(DIRECTIVE_PATTERN)
+  if (!match) return null
+
+  const [rulesText] = match[2].split(/\s--\s|\s--$/)
+  const names = rulesText.split(/[\s,]+/).filter(Boolean)
+  const rules = names.map((name) => (/^ts\d+$/i.test(name) ? name.toUpperCase() : name))
+  return {
+    kind: match[1],
+    rules,
+    used: false,
+  }
+}
+
+// 未写规则时匹配所有类别；诊断码只匹配对应的类型错误
+function appliesTo(directive, rule, code) {
+  if (directive.rules.length === 0) return true
+  return directive.rules.includes(rule) || (!!code && directive.rules.includes(code))
+}
@@ -0,0 +1,90 @@
+import { existsSync, statSync } from 'fs'
+import { dirname, join, resolve } from 'path'
+import ts from 'typescript'
+
+// 未找到 tsconfig.json 时使用的默认编译选项
+export const DEFAULT_COMPILER_OPTIONS = {
+  target: ts.ScriptTarget.ES2020,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.NodeJs,
+  skipLibCheck: true,
+  noEmit: true,
+  allowJs: true,
+  jsx: ts.JsxEmit.Preserve,
+}
+
+// 查找 tsconfig：显式指定的路径（文件或目录）优先，否则取根目录下的 tsconfig.json
+export function findTsConfig(rootDir, project) {
+  if (project) {
+    let configPath = resolve(rootDir, project)
+    if (existsSync(configPath) && statSync(configPath).isDirectory()) {
+      configPath = join(configPath, 'tsconfig.json')
+    }
+    if (!existsSync(configPath)) {
+      throw new Error(`tsconfig 不存在: ${configPath}`)
+    }
+    return configPath
+  }
+
+  const configPath = join(rootDir, 'tsconfig.json')
+  return existsSync(configPath) ? configPath : null
+}
+
+// 解析 tsconfig（含 extends），并递归展开 references 中的子项目
+export function loadProjects(configPath) {
+  const projects = []
+  const visited = new Set()
+
+  const load = (path) => {
+    const fullPath = resolve(path)
+    if (visited.has(fullPath)) return
+    visited.add(fullPath)
+
+    const parsed = parseTsConfig(fullPath)
+    projects.push({
+      configPath: fullPath,
+      options: parsed.options,
+      fileNames: parsed.fileNames.map((file) => resolve(file)),
+      projectReferences: parsed.projectReferences || [],
+    })
+
+    for (const reference of parsed.projectReferences || []) {
+      load(ts.resolveProjectReferencePath(reference))
+    }
+  }
+
+  load(configPath)
+  return projects
+}
+
+export function parseTsConfig(configPath) {
+  const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile)
+  if (error) {
+    throw new Error(`无法读取 ${configPath}: ${formatDiagnostic(error)}`)
+  }
+
+  // 与 vue-tsc 一致，.vue 文件也计入项目文件列表
+  const parsed = ts.parseJsonConfigFileContent(
+    config,
+    ts.sys,
+    dirname(configPath),
+    undefined,
+    configPath,
+    undefined,
+    [{ extension: '.vue', isMixedContent: true, scriptKind: ts.ScriptKind.Deferred }]
+  )
+
+  // TS18003: include 未匹配到任何文件（如只包含 .vue 的项目），不视为错误
+  const errors = parsed.errors.filter((d) => d.code !== 18003)
+  if (errors.length > 0) {
+    throw new Error(
+      `tsconfig 解析失败 ${configPath}:\n${errors.map(formatDiagnostic).join('\n')}`
+    )
+  }
+
+  return parsed
+}
+
+function formatDiagnostic(diagnostic) {
+  return ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+}
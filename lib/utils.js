@@ -0,0 +1,23 @@
+import { readFileSync } from 'fs'
+
+// 本工具的版本，写入报告元数据，也是分析缓存的失效条件之一
+export const TOOL_VERSION = readJson(new URL('../package.json', import.meta.url), true).version
+
+// 读取 JSON 文件：文件不存在或解析失败时返回 null，strict 为 true 时抛出原始错误
+export function readJson(path, strict = false) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'))
+  } catch (error) {
+    if (strict) throw error
+    return null
+  }
+}
+
+// 路径分隔符统一为 /（用于报告、glob 匹配与缓存键）
+export function toPosix(path) {
+  return path.replace(/\\/g, '/')
+}
+
+export function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
@@ -0,0 +1,211 @@
+import ts from 'typescript'
+
+// Vue 编译宏，未显式导入时在虚拟文件中补充声明，避免误报 "Cannot find name"
+const COMPILER_MACROS = {
+  defineProps: 'declare function defineProps<T = any>(props?: unknown): T;',
+  defineEmits: 'declare function defineEmits<T = any>(emits?: unknown): T;',
+  withDefaults: 'declare function withDefaults<T, D = unknown>(props: T, defaults?: D): T;',
+  defineExpose: 'declare function defineExpose<T = unknown>(exposed?: T): void;',
+  defineModel: 'declare function defineModel<T = any>(...args: unknown[]): { value: T };',
+  defineSlots: 'declare function defineSlots<T = any>(): T;',
+  defineOptions: 'declare function defineOptions(options?: unknown): void;',
+}
+
+// 拆分 SFC 顶层块：所有 <script> 块以及 <template>，偏移量均相对整个 .vue 文件
+export function parseSFC(content) {
+  // HTML 注释中的标签不参与解析，替换为等长空白以保持偏移
+  const source = content.replace(/<!--[\s\S]*?-->/g, (comment) =>
+    comment.replace(/[^\n]/g, ' ')
+  )
+
+  const scripts = []
+  const openRegex = /<script\b/gi
+  let match
+  while ((match = openRegex.exec(source)) !== null) {
+    const tag = readTag(source, match.index)
+    if (!tag) break
+
+    const closeIndex = source.toLowerCase().indexOf('</script>', tag.end)
+    if (closeIndex === -1) break
+
+    const attrs = parseAttributes(tag.attributes)
+    const lang = attrs.lang || 'js'
+    scripts.push({
+      lang,
+      setup: 'setup' in attrs,
+      generic: attrs.generic || null,
+      attrs,
+      isTypeScript: lang === 'ts' || lang === 'tsx',
+      start: tag.end,
+      end: closeIndex,
+      blockStart: match.index,
+      blockEnd: closeIndex + '</script>'.length,
+      tagLine: countLines(source, match.index),
+      content: content.slice(tag.end, closeIndex),
+    })
+    openRegex.lastIndex = closeIndex
+  }
+
+  return { scripts, template: findTemplate(source, content, scripts) }
+}
+
+// 生成与 .vue 文件逐行对齐的虚拟 TS 内容：非 TS 脚本区域替换为空白，
+// 行列号与原文件一致；泛型参数和编译宏声明追加在末尾
+export function createVirtualScript(content, sfc = parseSFC(content)) {
+  const scripts = sfc.scripts.filter((script) => script.isTypeScript)
+  if (scripts.length === 0) return null
+
+  let virtual = ''
+  let cursor = 0
+  for (const script of scripts) {
+    virtual += blank(content.slice(cursor, script.start)) + script.content
+    cursor = script.end
+  }
+  virtual += blank(content.slice(cursor))
+
+  const scriptText = scripts.map((script) => script.content).join('\n')
+  const generated = []
+
+  // <script setup generic="T extends User">：将类型参数声明为其约束类型
+  const genericScript = scripts.find((script) => script.setup && script.generic)
+  if (genericScript) {
+    for (const param of parseGenericParameters(genericScript.generic)) {
+      generated.push(`type ${param.name} = ${param.constraint || 'unknown'};`)
+    }
+  }
+
+  for (const [name, declaration] of Object.entries(COMPILER_MACROS)) {
+    const used = new RegExp(`\\b${name}\\b`).test(scriptText)
+    const imported = new RegExp(`import\\s*\\{[^}]*\\b${name}\\b[^}]*\\}\\s*from`).test(scriptText)
+    if (used && !imported) generated.push(declaration)
+  }
+  generated.push('export {};')
+
+  const generatedStart = virtual.length + 1
+  return {
+    content: `${virtual}\n${generated.join('\n')}\n`,
+    scriptKind: scripts.some((script) => script.lang === 'tsx')
+      ? ts.ScriptKind.TSX
+      : ts.ScriptKind.TS,
+    generatedStart,
+    lineCount: countLines(content, content.length),
+    genericLine: genericScript ? genericScript.tagLine : null,
+    templateTypeReferences: findTemplateTypeReferences(content, sfc.template),
+    templateIdentifiers: collectTemplateIdentifiers(sfc.template),
+  }
+}
+
+// 模板中出现的标识符（含 kebab-case 组件名对应的 PascalCase），用于判断脚本绑定是否被模板使用
+function collectTemplateIdentifiers(template) {
+  const identifiers = new Set()
+  if (!template) return identifiers
+
+  for (const word of template.content.match(/[A-Za-z_$][\w$-]*/g) || []) {
+    word.split('-').forEach((part) => part && identifiers.add(part))
+    if (word.includes('-')) {
+      identifiers.add(word.replace(/(^|-)(\w)/g, (_, __, char) => char.toUpperCase()))
+    }
+  }
+  return identifiers
+}
+
+// 模板表达式中的类型断言（如 :user="row as UserInfo"）
+function findTemplateTypeReferences(content, template) {
+  if (!template) return []
+
+  const references = []
+  const regex = /\b(?:as|satisfies)\s+([A-Za-z_$][\w$]*)/g
+  let match
+  while ((match = regex.exec(template.content)) !== null) {
+    references.push({
+      name: match[1],
+      line: countLines(content, template.start + match.index + match[0].length - match[1].length),
+    })
+  }
+  return references
+}
+
+function parseGenericParameters(generic) {
+  const sourceFile = ts.createSourceFile(
+    'generic.ts',
+    `function __generic<${generic}>() {}`,
+    ts.ScriptTarget.Latest,
+    true
+  )
+  const declaration = sourceFile.statements[0]
+  if (!declaration || !ts.isFunctionDeclaration(declaration)) return []
+
+  return (declaration.typeParameters || []).map((param) => ({
+    name: param.name.text,
+    constraint: param.constraint ? param.constraint.getText(sourceFile) : null,
+  }))
+}
+
+// 读取开始标签，属性值中的 ">"（如泛型约束）不会提前结束标签
+function readTag(source, index) {
+  let quote = null
+  for (let i = index + 1; i < source.length; i++) {
+    const char = source[i]
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '>') {
+      const nameEnd = source.slice(index + 1).search(/[\s>/]/) + index + 1
+      return { attributes: source.slice(nameEnd, i), end: i + 1 }
+    }
+  }
+  return null
+}
+
+function parseAttributes(text) {
+  const attrs = {}
+  const regex = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g
+  let match
+  while ((match = regex.exec(text)) !== null) {
+    attrs[match[1]] = match[2] ?? match[3] ?? match[4] ?? ''
+  }
+  return attrs
+}
+
+// 顶层 <template>：跳过脚本块，按嵌套层级匹配对应的闭合标签
+function findTemplate(source, content, scripts) {
+  const inScript = (index) =>
+    scripts.some((script) => index >= script.blockStart && index < script.blockEnd)
+
+  const tagRegex = /<(\/?)template\b/gi
+  let depth = 0
+  let start = -1
+  let match
+  while ((match = tagRegex.exec(source)) !== null) {
+    if (inScript(match.index)) continue
+
+    if (!match[1]) {
+      if (depth === 0) {
+        const tag = readTag(source, match.index)
+        if (!tag) return null
+        start = tag.end
+        tagRegex.lastIndex = tag.end
+      }
+      depth++
+    } else if (depth > 0) {
+      depth--
+      if (depth === 0) {
+        return { start, end: match.index, content: content.slice(start, match.index) }
+      }
+    }
+  }
+  return null
+}
+
+function blank(text) {
+  return text.replace(/[^\r\n]/g, ' ')
+}
+
+function countLines(text, index) {
+  let line = 1
+  for (let i = 0; i < index; i++) {
+    if (text.charCodeAt(i) === 10) line++
+  }
+  return line
+}
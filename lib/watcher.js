@@ -0,0 +1,146 @@
+import { existsSync } from 'fs'
+import { resolve, sep } from 'path'
+import ts from 'typescript'
+import { TypeAnalyzer } from './analyzer.js'
+import { applyBaseline, createBaseline } from './baseline.js'
+import { getBaseDirectories } from './files.js'
+
+// 保存后编辑器可能连续写入多次，合并一段时间内的变更再分析
+const DEFAULT_DEBOUNCE = 200
+// 文件被删除后 TypeScript 改为轮询等待其重新出现
+const POLLING_INTERVAL = 500
+
+// 监听源文件变化并增量分析；每次分析完成后回调新的报告以及与上一次相比的问题变化
+export class TypeWatcher {
+  constructor(options = {}) {
+    const { onReport, onError, debounce, ...analyzerOptions } = options
+    this.rootDir = resolve(options.rootDir || process.cwd())
+    this.onReport = onReport || (() => {})
+    this.onError = onError || (() => {})
+    this.debounce = debounce ?? DEFAULT_DEBOUNCE
+    // 分析结果与失败通过回调报告；分析器默认不输出日志
+    this.analyzer = new TypeAnalyzer({ ...analyzerOptions, incremental: true })
+
+    this.report = null
+    this.pending = new Set()
+    this.timer = null
+    this.running = false
+    this.watchers = []
+    // 每个源文件的监听器，文件增删后在每次分析结束时同步
+    this.fileWatchers = new Map()
+    this.closed = false
+  }
+
+  // 完成首次分析后开始监听，返回首次分析的报告
+  async start() {
+    await this.run([])
+    if (!this.closed) this.watch()
+    return this.report
+  }
+
+  close() {
+    this.closed = true
+    clearTimeout(this.timer)
+    this.watchers.forEach((watcher) => watcher.close())
+    this.fileWatchers.forEach((watcher) => watcher.close())
+    this.watchers = []
+    this.fileWatchers.clear()
+  }
+
+  // 与 tsc --watch 相同：目录监听只感知文件增删，文件内容变化由单独的文件监听感知
+  watch() {
+    const watchOptions = { excludeDirectories: ['**/node_modules', '**/.git'] }
+    const dirs = getBaseDirectories(this.rootDir, this.analyzer.include).filter((dir) => existsSync(dir))
+
+    for (const dir of dirs) {
+      this.watchers.push(
+        ts.sys.watchDirectory(dir, (fileName) => this.schedule(fileName), true, watchOptions)
+      )
+    }
+
+    // tsconfig 变化时重新加载编译选项（受影响的文件由 BuilderProgram 判断）
+    const configPaths = new Set(this.analyzer.projects.map((project) => project.configPath))
+    for (const configPath of configPaths) {
+      this.watchers.push(ts.sys.watchFile(configPath, (fileName) => this.schedule(fileName, true), POLLING_INTERVAL))
+    }
+
+    this.syncFileWatchers()
+  }
+
+  syncFileWatchers() {
+    const files = new Set(this.analyzer.sourceFiles)
+    for (const [file, watcher] of this.fileWatchers) {
+      if (!files.has(file)) {
+        watcher.close()
+        this.fileWatchers.delete(file)
+      }
+    }
+    for (const file of files) {
+      if (!this.fileWatchers.has(file)) {
+        this.fileWatchers.set(file, ts.sys.watchFile(file, (fileName) => this.schedule(fileName, true), POLLING_INTERVAL))
+      }
+    }
+  }
+
+  schedule(fileName, force = false) {
+    const file = resolve(fileName)
+    if (!force && !this.isWatchedFile(file)) return
+
+    this.pending.add(file)
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.flush(), this.debounce)
+  }
+
+  isWatchedFile(file) {
+    if (file.split(sep).includes('node_modules')) return false
+    return this.analyzer.isSourceFile(file)
+  }
+
+  // 分析进行中时的变更留到本次分析结束后处理
+  async flush() {
+    if (this.running || this.pending.size === 0 || this.closed) return
+
+    const changedFiles = Array.from(this.pending)
+    this.pending.clear()
+    await this.run(changedFiles)
+    if (!this.closed) this.syncFileWatchers()
+
+    if (this.pending.size > 0) {
+      this.timer = setTimeout(() => this.flush(), this.debounce)
+    }
+  }
+
+  // 单次分析失败（如 tsconfig 暂时写坏）只报告错误，继续监听
+  async run(changedFiles) {
+    this.running = true
+    const startTime = Date.now()
+
+    try {
+      this.analyzer.invalidateFiles(changedFiles)
+      const report = await this.analyzer.analyze()
+      const diff = this.report ? diffReports(this.report, report, this.rootDir) : null
+      this.report = report
+
+      await this.onReport({
+        report,
+        diff,
+        changedFiles,
+        affectedFiles: this.analyzer.affectedFiles,
+        duration: Date.now() - startTime,
+      })
+    } catch (error) {
+      this.onError(error, changedFiles)
+    } finally {
+      this.running = false
+    }
+  }
+}
+
+// 比较两次分析的问题：指纹与基线相同（不含行号），代码上下移动不算新问题
+export function diffReports(previous, current, rootDir) {
+  const compared = applyBaseline(current, createBaseline(previous, rootDir), rootDir)
+  return {
+    added: createBaseline(compared, rootDir).entries,
+    resolved: compared.baseline.fixed,
+  }
+}
@@ -0,0 +1,219 @@
+import { existsSync, readFileSync, readdirSync, statSync } from 'fs'
+import { dirname, join, relative, resolve, sep } from 'path'
+import ts from 'typescript'
+import { globToRegExp } from './files.js'
+import { readJson, toPosix } from './utils.js'
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.vue']
+
+// 发现工作区中的包：依次尝试 pnpm-workspace.yaml、package.json workspaces、tsconfig references
+export function findWorkspace(rootDir) {
+  const root = resolve(rootDir)
+  const sources = [
+    ['pnpm-workspace.yaml', () => readPnpmWorkspace(root)],
+    ['package.json', () => readPackageWorkspaces(root)],
+    ['tsconfig.json', () => readTsConfigReferences(root)],
+  ]
+
+  for (const [source, read] of sources) {
+    const dirs = read()
+    if (!dirs) continue
+
+    const packages = dirs.map((dir) => createPackage(root, dir))
+    packages.sort((a, b) => a.relativeDir.localeCompare(b.relativeDir))
+    return { root, source, packages }
+  }
+
+  return null
+}
+
+// 将工作区包名（含子路径，如 @acme/shared/utils）解析为包内的源文件
+export function resolveWorkspaceImport(specifier, workspace) {
+  if (specifier.startsWith('.') || specifier.startsWith('/')) return null
+
+  const pkg = workspace.packages.find(
+    (p) => p.name && (specifier === p.name || specifier.startsWith(`${p.name}/`))
+  )
+  if (!pkg) return null
+
+  const subpath = specifier.slice(pkg.name.length + 1)
+  const candidates = subpath
+    ? [join(pkg.srcDir, subpath), join(pkg.dir, subpath)]
+    : [
+        ...['source', 'types', 'typings']
+          .map((field) => pkg.manifest[field])
+          .filter((entry) => typeof entry === 'string')
+          .map((entry) => join(pkg.dir, entry)),
+        join(pkg.srcDir, 'index'),
+        join(pkg.dir, 'index'),
+      ]
+
+  for (const candidate of candidates) {
+    const file = resolveSourceFile(candidate)
+    if (file) return file
+  }
+  return null
+}
+
+// 文件所属的包（按目录最长匹配）
+export function findPackageForFile(file, workspace) {
+  let match = null
+  for (const pkg of workspace.packages) {
+    if (file === pkg.dir || file.startsWith(`${pkg.dir}${sep}`)) {
+      if (!match || pkg.dir.length > match.dir.length) match = pkg
+    }
+  }
+  return match
+}
+
+function createPackage(root, dir) {
+  const manifestPath = join(dir, 'package.json')
+  const manifest = existsSync(manifestPath) ? readJson(manifestPath) || {} : {}
+  const srcDir = existsSync(join(dir, 'src')) ? join(dir, 'src') : dir
+  const tsconfig = join(dir, 'tsconfig.json')
+
+  return {
+    name: manifest.name || null,
+    dir,
+    relativeDir: toPosix(relative(root, dir)) || '.',
+    srcDir,
+    relativeSrcDir: toPosix(relative(root, srcDir)) || '.',
+    tsconfig: existsSync(tsconfig) ? tsconfig : null,
+    manifest,
+  }
+}
+
+function readPnpmWorkspace(root) {
+  const path = join(root, 'pnpm-workspace.yaml')
+  if (!existsSync(path)) return null
+
+  // 只解析 packages 列表，不引入 YAML 解析依赖
+  const patterns = []
+  let inPackages = false
+  for (const line of readFileSync(path, 'utf8').split(/\r?\n/)) {
+    const text = line.replace(/\s+#.*$/, '')
+    if (/^packages\s*:/.test(text)) {
+      inPackages = true
+      const inline = text.match(/\[(.*)\]/)
+      if (inline) {
+        patterns.push(...inline[1].split(',').map(unquote).filter(Boolean))
+        inPackages = false
+      }
+      continue
+    }
+    if (!inPackages) continue
+
+    const item = text.match(/^\s*-\s*(.+)$/)
+    if (item) {
+      patterns.push(unquote(item[1]))
+    } else if (/^\S/.test(text)) {
+      inPackages = false
+    }
+  }
+
+  return expandPackagePatterns(root, patterns)
+}
+
+function readPackageWorkspaces(root) {
+  const manifest = readJson(join(root, 'package.json'))
+  const workspaces = manifest?.workspaces
+  const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages
+  return Array.isArray(patterns) ? expandPackagePatterns(root, patterns) : null
+}
+
+function readTsConfigReferences(root) {
+  const configPath = join(root, 'tsconfig.json')
+  if (!existsSync(configPath)) return null
+
+  const { config } = ts.readConfigFile(configPath, ts.sys.readFile)
+  const references = config?.references
+  if (!Array.isArray(references) || references.length === 0) return null
+
+  const dirs = references
+    .filter((reference) => typeof reference?.path === 'string')
+    .map((reference) => {
+      const target = resolve(root, reference.path)
+      return existsSync(target) && statSync(target).isFile() ? dirname(target) : target
+    })
+    // 指向根目录自身的引用（如 tsconfig.node.json）不作为包
+    .filter((dir) => dir !== root && existsSync(dir))
+
+  return Array.from(new Set(dirs))
+}
+
+// 展开包目录 glob，"!" 开头的模式用于排除；只保留包含 package.json 的目录
+function expandPackagePatterns(root, patterns) {
+  const includes = patterns.filter((p) => !p.startsWith('!')).map(normalizePattern)
+  const excludes = patterns.filter((p) => p.startsWith('!')).map((p) => normalizePattern(p.slice(1)))
+  const isExcluded = (path) => excludes.some((pattern) => globToRegExp(pattern).test(path))
+
+  const dirs = new Set()
+  for (const pattern of includes) {
+    const regex = globToRegExp(pattern)
+    for (const dir of listDirectories(root, pattern)) {
+      const path = toPosix(relative(root, dir))
+      if (regex.test(path) && !isExcluded(path) && existsSync(join(dir, 'package.json'))) {
+        dirs.add(dir)
+      }
+    }
+  }
+  return Array.from(dirs)
+}
+
+// 列出可能匹配模式的目录：模式不含 ** 时只遍历到对应深度
+function listDirectories(root, pattern) {
+  const segments = pattern.split('/')
+  const maxDepth = segments.includes('**') ? Infinity : segments.length
+  const dirs = []
+
+  const walk = (dir, depth) => {
+    if (depth > maxDepth) return
+    dirs.push(dir)
+
+    let items = []
+    try {
+      items = readdirSync(dir, { withFileTypes: true })
+    } catch (error) {
+      return
+    }
+    for (const item of items) {
+      if (!item.isDirectory() || item.name === 'node_modules' || item.name.startsWith('.')) continue
+      walk(join(dir, item.name), depth + 1)
+    }
+  }
+
+  walk(root, 0)
+  return dirs
+}
+
+function resolveSourceFile(candidate) {
+  if (isFile(candidate) && SOURCE_EXTENSIONS.some((ext) => candidate.endsWith(ext))) {
+    return candidate
+  }
+
+  // 指向构建产物时尝试对应的源文件（dist/index.d.ts -> src/index.ts）
+  const withoutExtension = candidate.replace(/\.(d\.ts|ts|tsx|js|mjs|cjs)$/, '')
+  const paths = [withoutExtension, withoutExtension.replace(/([\\/])(dist|lib|build)([\\/])/, '$1src$3')]
+  for (const path of paths) {
+    for (const suffix of [...SOURCE_EXTENSIONS, '/index.ts', '/index.tsx']) {
+      if (isFile(path + suffix)) return path + suffix
+    }
+  }
+  return null
+}
+
+function normalizePattern(pattern) {
+  return toPosix(pattern).replace(/^\.\//, '').replace(/\/+$/, '')
+}
+
+function unquote(text) {
+  return text.trim().replace(/^['"]|['"]$/g, '')
+}
+
+function isFile(path) {
+  try {
+    return statSync(path).isFile()
+  } catch (error) {
+    return false
+  }
+}
@@ -0,0 +1,22 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { dirname, join } from 'path'
+
+// 在临时目录中创建测试项目：{ 'src/a.ts': '...' }，对象值写为 JSON
+export function createFixture(files = {}) {
+  const root = mkdtempSync(join(tmpdir(), 'ts-type-cleaner-'))
+  writeFiles(root, files)
+  return root
+}
+
+export function writeFiles(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    const path = join(root, file)
+    mkdirSync(dirname(path), { recursive: true })
+    writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content, null, 2))
+  }
+}
+
+export function removeFixture(root) {
+  rmSync(root, { recursive: true, force: true })
+}
@@ -0,0 +1,257 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { join } from 'path'
+import { ANALYSIS_PHASES, TypeAnalyzer } from '../../lib/analyzer.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const TSCONFIG = {
+  compilerOptions: { strict: true, target: 'es2020', module: 'esnext', moduleResolution: 'bundler' },
+  include: ['src'],
+}
+
+// 每组用例分析一次临时项目，共享分析器与报告；files 中 'tsconfig.json': null 表示根目录没有 tsconfig.json
+function analyzeFixture(files, options = {}) {
+  const context = {}
+  before(async () => {
+    const entries = Object.entries({ 'tsconfig.json': TSCONFIG, ...files }).filter(([, content]) => content !== null)
+    context.root = createFixture(Object.fromEntries(entries))
+    context.analyzer = new TypeAnalyzer({ rootDir: context.root, ...options })
+    context.report = await context.analyzer.analyze()
+  })
+  after(() => removeFixture(context.root))
+  return context
+}
+
+describe('按文件登记类型定义', () => {
+  const context = analyzeFixture({
+    'src/a.ts': [
+      'export interface User { id: string }',
+      "export const a: User = { id: '1' }",
+      '',
+    ].join('\n'),
+    'src/b.ts': 'interface User { name: string }\n',
+  })
+
+  test('同名类型以 "文件#类型名" 分别登记', () => {
+    const file = (name) => join(context.root, name)
+    assert.deepEqual(
+      [...context.analyzer.types.definitions.keys()].sort(),
+      [`${file('src/a.ts')}#User`, `${file('src/b.ts')}#User`]
+    )
+  })
+
+  test('同名类型报告为重复定义，保留每个声明的位置', () => {
+    const duplicates = context.report.issues.duplicates.User
+    assert.deepEqual(
+      duplicates.map((definition) => context.analyzer.relativePath(definition.file)).sort(),
+      ['src/a.ts', 'src/b.ts']
+    )
+  })
+
+  test('引用只计入被引用的那个声明', () => {
+    const unused = context.report.issues.unused.map(({ name, file }) => `${file}#${name}`)
+    assert.deepEqual(unused, ['src/b.ts#User'])
+  })
+})
+
+describe('工作区', () => {
+  const context = analyzeFixture(
+    {
+      'package.json': { private: true, workspaces: ['packages/*'] },
+      'packages/a/package.json': { name: '@x/a' },
+      'packages/a/tsconfig.json': TSCONFIG,
+      'packages/a/src/index.ts': [
+        'export interface UsedA { a: string }',
+        'export interface UnusedA { a: string }',
+        '',
+      ].join('\n'),
+      // 没有 tsconfig.json 的包
+      'packages/b/package.json': { name: '@x/b' },
+      'packages/b/src/index.ts': [
+        "import type { UsedA } from '@x/a'",
+        'export interface UnusedB { b: string }',
+        "export const value: UsedA = { a: '' }",
+        '',
+      ].join('\n'),
+    },
+    { workspace: true }
+  )
+
+  test('没有 tsconfig.json 的包同样检测未使用的导出', () => {
+    const unused = context.report.issues.unused.map(({ name, file, detectedBy }) => [name, file, detectedBy])
+    assert.deepEqual(unused.sort(), [
+      ['UnusedA', 'packages/a/src/index.ts', 'ts-unused-exports'],
+      ['UnusedB', 'packages/b/src/index.ts', 'ts-unused-exports'],
+    ])
+  })
+})
+
+describe('根目录与各包都没有 tsconfig.json 的工作区', () => {
+  const context = analyzeFixture(
+    {
+      'tsconfig.json': null,
+      'package.json': { private: true, workspaces: ['packages/*'] },
+      'packages/a/package.json': { name: '@x/a' },
+      'packages/a/src/index.ts': [
+        'export interface UsedA { a: string }',
+        'export interface UnusedA { a: string }',
+        '',
+      ].join('\n'),
+      'packages/b/package.json': { name: '@x/b' },
+      'packages/b/src/index.ts': [
+        "import type { UsedA } from '@x/a'",
+        'export interface UnusedB { b: string }',
+        'interface LocalB { b: string }',
+        "export const value: UsedA = { a: '' }",
+        '',
+      ].join('\n'),
+    },
+    { workspace: true }
+  )
+
+  test('导出的类型按收集到的跨包引用检测', () => {
+    const unused = context.report.issues.unused.map(({ name, file }) => [name, file])
+    assert.deepEqual(unused.sort(), [
+      ['LocalB', 'packages/b/src/index.ts'],
+      ['UnusedA', 'packages/a/src/index.ts'],
+      ['UnusedB', 'packages/b/src/index.ts'],
+    ])
+  })
+})
+
+describe('类型引用方式', () => {
+  const context = analyzeFixture({
+    'src/types.ts': [
+      'export interface Base { id: string }',
+      'export interface Payload { data: string }',
+      'export interface Config { debug: boolean }',
+      'export interface Keyed { a: 1 }',
+      'export enum Color { Red }',
+      '',
+    ].join('\n'),
+    'src/tree.ts': 'export interface Tree { children: Tree[] }\n',
+    'src/use.ts': [
+      "import type { Base as B, Payload, Config, Keyed } from './types'",
+      "import * as Api from './types'",
+      "import { Color } from './types'",
+      '',
+      'export interface Admin extends B { role: string }',
+      'export type Box<T = Payload> = { value: T }',
+      'export const cfg = JSON.parse("{}") as Config',
+      'export type Keys = keyof Keyed',
+      'export const red = Color.Red',
+      'export let base: Api.Base | undefined',
+      '',
+    ].join('\n'),
+  })
+
+  const kindsOf = (name, file = 'src/types.ts') => {
+    const id = `${join(context.root, file)}#${name}`
+    return (context.analyzer.types.usages.get(id) || []).map((usage) => usage.kind).sort()
+  }
+
+  test('跟随导入别名与命名空间导入，记录引用方式', () => {
+    assert.deepEqual(kindsOf('Base'), ['annotation', 'extends'])
+    assert.deepEqual(kindsOf('Payload'), ['generic-default'])
+    assert.deepEqual(kindsOf('Config'), ['assertion'])
+    assert.deepEqual(kindsOf('Keyed'), ['keyof'])
+    assert.deepEqual(kindsOf('Color'), ['value'])
+  })
+
+  test('类型在自身声明内部的引用不计入', () => {
+    assert.deepEqual(kindsOf('Tree', 'src/tree.ts'), [])
+    assert.ok(context.report.issues.unused.some((item) => item.name === 'Tree'))
+  })
+})
+
+describe('不必要的导出与单一使用方类型', () => {
+  const context = analyzeFixture({
+    'src/user.ts': [
+      'export interface Address { city: string }',
+      'export interface User { address: Address }',
+      'export interface Settings { theme: string }',
+      '',
+    ].join('\n'),
+    'src/page.ts': [
+      "import type { User } from './user'",
+      'export const users: User[] = []',
+      '',
+    ].join('\n'),
+    'src/other.ts': [
+      "import type { Settings } from './user'",
+      'export const a: Settings | null = null',
+      '',
+    ].join('\n'),
+    'src/more.ts': [
+      "import type { Settings } from './user'",
+      'export const b: Settings | null = null',
+      '',
+    ].join('\n'),
+  })
+
+  test('只在定义文件内使用的导出类型建议移除 export', () => {
+    assert.deepEqual(
+      context.report.issues.unnecessaryExports.map(({ name, file, usages, suggestion }) => ({ name, file, usages, suggestion })),
+      [{ name: 'Address', file: 'src/user.ts', usages: 1, suggestion: '移除 Address 的 export，仅在文件内使用' }]
+    )
+  })
+
+  test('只被另一个文件使用的类型建议移动到使用方', () => {
+    assert.deepEqual(
+      context.report.issues.singleConsumer.map(({ name, consumer, target }) => ({ name, consumer, target })),
+      [{ name: 'User', consumer: 'src/page.ts', target: { file: 'src/page.ts' } }]
+    )
+  })
+})
+
+describe('事件与插件', () => {
+  const events = { progress: [], finding: [], report: [] }
+  const context = {}
+
+  before(async () => {
+    context.root = createFixture({
+      'tsconfig.json': TSCONFIG,
+      'src/user.ts': [
+        'export interface IUser { id: string }',
+        "export const user: IUser = { id: '1' }",
+        '',
+      ].join('\n'),
+    })
+    const plugin = {
+      name: 'naming',
+      setup({ addCategory, addCollector }) {
+        addCategory('interface-prefix', { title: '接口命名' })
+        addCollector(({ definitions }) =>
+          definitions
+            .filter((definition) => /^I[A-Z]/.test(definition.name))
+            .map(({ name, file, line }) => ({ category: 'interface-prefix', name, file, line, message: `${name} 不应使用 I 前缀` }))
+        )
+      },
+    }
+    const analyzer = new TypeAnalyzer({ rootDir: context.root, plugins: [plugin] })
+    for (const name of Object.keys(events)) {
+      analyzer.on(name, (payload) => events[name].push(payload))
+    }
+    context.report = await analyzer.run()
+  })
+  after(() => removeFixture(context.root))
+
+  test('按阶段触发 progress 事件', () => {
+    assert.deepEqual(
+      events.progress.map(({ phase, step, total }) => [phase, step, total]),
+      ANALYSIS_PHASES.map(({ phase }, index) => [phase, index + 1, ANALYSIS_PHASES.length])
+    )
+  })
+
+  test('插件问题写入报告并以类别触发 finding 事件', () => {
+    assert.deepEqual(
+      context.report.issues.plugins.map(({ category, plugin, name, file, line }) => ({ category, plugin, name, file, line })),
+      [{ category: 'interface-prefix', plugin: 'naming', name: 'IUser', file: 'src/user.ts', line: 1 }]
+    )
+    assert.deepEqual(
+      events.finding.filter(({ category }) => category === 'interface-prefix').map(({ issue }) => issue.name),
+      ['IUser']
+    )
+    assert.deepEqual(events.report, [context.report])
+  })
+})
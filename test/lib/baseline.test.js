@@ -0,0 +1,101 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFileSync } from 'fs'
+import { join } from 'path'
+import {
+  BASELINE_VERSION,
+  applyBaseline,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+} from '../../lib/baseline.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture()
+after(() => removeFixture(root))
+
+function createReport({ errors = [], unused = [] } = {}) {
+  return {
+    issues: {
+      errors,
+      warnings: [],
+      info: [{ file: join(root, 'src/a.ts'), line: 1, code: 'TS6133', message: 'unused variable' }],
+      duplicates: {},
+      unused,
+      unnecessaryExports: [],
+      singleConsumer: [],
+      complexTypes: [],
+      plugins: [],
+    },
+  }
+}
+
+const error = (line, message = "Type 'number' is not assignable to type 'string'.") => ({
+  file: join(root, 'src/a.ts'),
+  line,
+  code: 'TS2322',
+  message,
+})
+
+test('指纹不含行号，空白差异不影响匹配', () => {
+  const baseline = createBaseline(createReport({ errors: [error(3)] }), root)
+  const moved = createReport({ errors: [error(30, "Type 'number'  is not\nassignable to type 'string'.")] })
+
+  const result = applyBaseline(moved, baseline, root)
+  assert.deepEqual(result.issues.errors, [])
+  assert.deepEqual(result.baseline, { total: 1, matched: 1, new: 0, fixed: [] })
+})
+
+test('只保留基线之外的新增问题，并列出已修复的条目', () => {
+  const baseline = createBaseline(
+    createReport({ unused: [{ name: 'Old', type: 'interface', file: 'src/b.ts', line: 1 }] }),
+    root
+  )
+  const current = createReport({ errors: [error(3)] })
+
+  const result = applyBaseline(current, baseline, root)
+  assert.deepEqual(result.issues.errors, current.issues.errors)
+  // 提示级诊断不参与基线比较
+  assert.equal(result.issues.info, current.issues.info)
+  assert.equal(result.baseline.new, 1)
+  assert.deepEqual(result.baseline.fixed.map((entry) => entry.key), ['Old'])
+})
+
+test('相同指纹按次数匹配', () => {
+  const baseline = createBaseline(createReport({ errors: [error(3)] }), root)
+  const current = createReport({ errors: [error(3), error(9)] })
+
+  const result = applyBaseline(current, baseline, root)
+  assert.deepEqual(result.issues.errors, [current.issues.errors[1]])
+})
+
+test('基线条目使用相对路径并按类别、文件排序', () => {
+  const baseline = createBaseline(
+    createReport({
+      errors: [error(3)],
+      unused: [{ name: 'Old', type: 'interface', file: 'src/b.ts', line: 1 }],
+    }),
+    root
+  )
+
+  assert.equal(baseline.version, BASELINE_VERSION)
+  assert.deepEqual(
+    baseline.entries.map(({ category, file, key }) => [category, file, key]),
+    [['error', 'src/a.ts', 'TS2322'], ['unused', 'src/b.ts', 'Old']]
+  )
+  assert.match(baseline.entries[0].fingerprint, /^error:src\/a\.ts:TS2322:[0-9a-f]{12}$/)
+})
+
+test('writeBaseline 与 loadBaseline 往返，无效文件给出明确错误', () => {
+  const file = join(root, 'nested/.type-baseline.json')
+  const written = writeBaseline(file, createReport({ errors: [error(3)] }), root)
+  assert.deepEqual(loadBaseline(file), written)
+
+  assert.throws(() => loadBaseline(join(root, 'missing.json')), /基线文件不存在/)
+
+  writeFileSync(file, '{')
+  assert.throws(() => loadBaseline(file), /基线文件解析失败/)
+
+  writeFileSync(file, JSON.stringify({ version: BASELINE_VERSION + 1, entries: [] }))
+  assert.throws(() => loadBaseline(file), /高于当前支持的版本/)
+})
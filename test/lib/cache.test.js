@@ -0,0 +1,58 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { existsSync, writeFileSync } from 'fs'
+import { join } from 'path'
+import { AnalysisCache, DEFAULT_CACHE_DIR, clearCache } from '../../lib/cache.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture()
+after(() => removeFixture(root))
+
+const settings = { config: { commonTypePatterns: ['Props'], ignore: [/^Foo/] }, include: ['src/**/*'] }
+
+test('保存后重新加载，按内容哈希与依赖签名命中', () => {
+  const cache = new AnalysisCache(root, { settings })
+  assert.equal(cache.load(), false)
+  cache.update('src/a.ts', { hash: 'h1', definitions: [{ name: 'A' }] })
+  cache.update('src/a.ts', { signature: 's1', usages: [], errors: [] })
+  cache.setUnusedExports('p1', { 'src/a.ts': [] })
+  cache.save()
+
+  const loaded = new AnalysisCache(root, { settings })
+  assert.equal(loaded.load(), true)
+  assert.deepEqual(loaded.getDefinitions('src/a.ts', 'h1'), [{ name: 'A' }])
+  assert.deepEqual(loaded.getUsages('src/a.ts', 's1'), [])
+  assert.equal(loaded.getUsages('src/a.ts', 's2'), null)
+  assert.equal(loaded.getDefinitions('src/b.ts', 'h1'), null)
+  assert.deepEqual(loaded.getUnusedExports('p1'), { 'src/a.ts': [] })
+  assert.equal(loaded.getUnusedExports('p2'), null)
+  assert.equal(loaded.hits, 3)
+})
+
+test('配置变化（包括正则）时整个缓存失效', () => {
+  const same = new AnalysisCache(root, { settings: { ...settings, config: { ...settings.config, ignore: [/^Foo/] } } })
+  const regex = new AnalysisCache(root, { settings: { ...settings, config: { ...settings.config, ignore: [/^Bar/] } } })
+  const include = new AnalysisCache(root, { settings: { ...settings, include: ['lib/**/*'] } })
+
+  assert.equal(same.key, new AnalysisCache(root, { settings }).key)
+  assert.notEqual(regex.key, same.key)
+  assert.notEqual(include.key, same.key)
+  assert.equal(regex.load(), false)
+})
+
+test('损坏的缓存文件视为空缓存', () => {
+  const cache = new AnalysisCache(root, { settings })
+  writeFileSync(cache.file, '{')
+  assert.equal(cache.load(), false)
+  assert.equal(cache.getDefinitions('src/a.ts', 'h1'), null)
+})
+
+test('clearCache 删除缓存目录', () => {
+  const cache = new AnalysisCache(root, { settings, dir: '.cache/types' })
+  cache.save()
+
+  assert.equal(clearCache(root, '.cache/types'), join(root, '.cache/types'))
+  assert.equal(existsSync(join(root, '.cache/types')), false)
+  assert.equal(clearCache(root, '.cache/types'), null)
+  assert.equal(new AnalysisCache(root).dir, join(root, DEFAULT_CACHE_DIR))
+})
@@ -0,0 +1,93 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import { symlinkSync } from 'fs'
+import { join } from 'path'
+import { describeChangeMode, filterReportToFiles, getChangedFiles, getHeadCommit } from '../../lib/changed.js'
+import { createFixture, removeFixture, writeFiles } from '../helpers.js'
+
+const root = createFixture({ 'src/a.ts': '', 'src/b.ts': '', 'src/c.ts': '' })
+after(() => removeFixture(root))
+
+const git = (...args) =>
+  execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: root,
+    stdio: 'ignore',
+  })
+
+git('init', '-q', '-b', 'main')
+git('add', '-A')
+git('commit', '-q', '-m', 'init')
+git('checkout', '-q', '-b', 'feature')
+writeFiles(root, { 'src/a.ts': 'export {}\n' })
+git('commit', '-q', '-am', 'change a')
+writeFiles(root, { 'src/b.ts': 'export {}\n', 'src/new.ts': '' })
+git('add', 'src/b.ts')
+writeFiles(root, { 'src/c.ts': 'export {}\n' })
+
+const file = (name) => join(root, name)
+
+test('getChangedFiles 按模式列出变更文件', () => {
+  assert.deepEqual(getChangedFiles(root, { staged: true }), [file('src/b.ts')])
+  // since 比较分叉点与工作区，包含分支上的提交以及尚未提交的修改
+  assert.deepEqual(getChangedFiles(root, { since: 'main' }), [file('src/a.ts'), file('src/b.ts'), file('src/c.ts')])
+  assert.deepEqual(getChangedFiles(root), [file('src/b.ts'), file('src/c.ts'), file('src/new.ts')])
+  assert.throws(() => getChangedFiles(root, { since: 'missing-branch' }), /git merge-base 失败/)
+})
+
+test('getHeadCommit 返回当前提交与分支', () => {
+  const head = getHeadCommit(root)
+  assert.match(head.commit, /^[0-9a-f]{40}$/)
+  assert.equal(head.branch, 'feature')
+})
+
+test('describeChangeMode 描述变更范围', () => {
+  assert.equal(describeChangeMode({ staged: true }), '暂存区')
+  assert.equal(describeChangeMode({ since: 'origin/main' }), '相对 origin/main')
+  assert.equal(describeChangeMode({ changed: true }), '未提交的修改')
+})
+
+test('filterReportToFiles 只保留变更文件中的问题', () => {
+  const definition = (name, path) => ({ name, file: file(path), line: 1 })
+  const report = {
+    issues: {
+      errors: [
+        { file: file('src/a.ts'), line: 1, code: 'TS2322', message: '' },
+        { file: file('src/b.ts'), line: 1, code: 'TS2322', message: '' },
+      ],
+      warnings: [],
+      duplicates: {
+        User: [definition('User', 'src/a.ts'), definition('User', 'src/c.ts')],
+        Item: [definition('Item', 'src/b.ts'), definition('Item', 'src/c.ts')],
+      },
+      unused: [{ name: 'Old', type: 'interface', file: 'src/a.ts', line: 1 }],
+      complexTypes: [
+        { rule: 'circular', file: 'src/c.ts', path: [definition('A', 'src/c.ts'), definition('B', 'src/a.ts')] },
+        { rule: 'deep-generic', file: 'src/c.ts', path: [definition('A', 'src/a.ts')] },
+      ],
+    },
+  }
+
+  const { issues, changed } = filterReportToFiles(report, [file('src/a.ts')], root, 'since')
+  assert.deepEqual(issues.errors, [report.issues.errors[0]])
+  assert.deepEqual(Object.keys(issues.duplicates), ['User'])
+  assert.deepEqual(issues.unused, report.issues.unused)
+  assert.deepEqual(issues.complexTypes, [report.issues.complexTypes[0]])
+  assert.deepEqual(changed, { mode: 'since', files: ['src/a.ts'], total: 7, kept: 4, filtered: 3 })
+})
+
+test('项目位于符号链接之下时，变更文件仍以传入的根目录为前缀', (t) => {
+  const link = createFixture()
+  t.after(() => removeFixture(link))
+  const linkedRoot = join(link, 'project')
+  symlinkSync(root, linkedRoot, 'dir')
+
+  const files = getChangedFiles(linkedRoot, { staged: true })
+  assert.deepEqual(files, [join(linkedRoot, 'src/b.ts')])
+
+  const error = { file: join(linkedRoot, 'src/b.ts'), line: 1, code: 'TS2322', message: '' }
+  const report = {
+    issues: { errors: [error], warnings: [], duplicates: {}, unused: [] },
+  }
+  assert.deepEqual(filterReportToFiles(report, files, linkedRoot, 'staged').issues.errors, [error])
+})
@@ -0,0 +1,90 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'fs'
+import { join } from 'path'
+import { TypeCleaner, applyEdits, expandToLines } from '../../lib/cleaner.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture({
+  'src/types.ts': [
+    "import { Base } from './base'",
+    '',
+    '/** 未使用 */',
+    'export interface Unused extends Base {',
+    '  id: string',
+    '}',
+    '',
+    'export type Used = { name: string }',
+    '',
+  ].join('\n'),
+  'src/inner.ts': [
+    'interface Helper { id: string }',
+    '',
+    'export type Kept = Helper',
+    '',
+  ].join('\n'),
+  'src/App.vue': [
+    '<script setup lang="ts">',
+    'interface Props { title: string }',
+    'interface Unused { id: string }',
+    'defineProps<Props>()',
+    '</script>',
+    '',
+  ].join('\n'),
+})
+after(() => removeFixture(root))
+
+// 清理计划只需要分析器的根目录、源文件列表与模块解析
+function createCleaner() {
+  return new TypeCleaner({ rootDir: root, sourceFiles: [], resolveModulePath: () => null })
+}
+
+test('expandToLines 将删除范围扩展为整行并合并空行', () => {
+  const text = 'a\n\ntype A = 1\n\nb\n'
+  const start = text.indexOf('type')
+  const range = expandToLines(text, start, text.indexOf('1') + 1)
+  assert.equal(text.slice(0, range.start) + text.slice(range.end), 'a\n\nb\n')
+})
+
+test('applyEdits 从后往前应用编辑', () => {
+  const edits = [
+    { start: 0, end: 1, text: 'x' },
+    { start: 2, end: 3, text: 'yy' },
+  ]
+  assert.equal(applyEdits('a-b', edits), 'x-yy')
+})
+
+test('plan 删除声明、紧贴的注释以及失效的 import', () => {
+  const { changes, skipped } = createCleaner().plan([
+    { name: 'Unused', file: 'src/types.ts', line: 4 },
+  ])
+
+  assert.deepEqual(skipped, [])
+  assert.equal(changes.length, 1)
+  assert.equal(changes[0].relativeFile, 'src/types.ts')
+  assert.equal(changes[0].updated, 'export type Used = { name: string }\n')
+  // 计划不写入文件
+  assert.match(readFileSync(join(root, 'src/types.ts'), 'utf8'), /Unused/)
+})
+
+test('plan 跳过仍在文件内被引用的类型', () => {
+  const { changes, skipped } = createCleaner().plan([
+    { name: 'Helper', file: 'src/inner.ts', line: 1 },
+  ])
+
+  assert.equal(changes.length, 0)
+  assert.deepEqual(
+    skipped.map(({ name, reason }) => ({ name, reason })),
+    [{ name: 'Helper', reason: '仍在文件内被引用' }]
+  )
+})
+
+test('plan 只修改 Vue 文件的 <script> 块', () => {
+  const cleaner = createCleaner()
+  const { changes } = cleaner.plan([{ name: 'Unused', file: 'src/App.vue', line: 3 }])
+
+  assert.equal(changes.length, 1)
+  assert.doesNotMatch(changes[0].updated, /interface Unused/)
+  assert.match(changes[0].updated, /interface Props/)
+  assert.match(cleaner.createPatch(changes[0]), /^-interface Unused \{ id: string \}$/m)
+})
@@ -0,0 +1,91 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { join } from 'path'
+import {
+  DEFAULT_CONFIG,
+  findConfigFile,
+  loadConfig,
+  normalizeErrorCode,
+  resolveConfig,
+  validateConfig,
+} from '../../lib/config.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture({
+  'module/ts-type-cleaner.config.mjs': 'export default { threshold: 90, exclude: ["**/*.spec.ts"] }\n',
+  'module/packages/app/src/.keep': '',
+  'package/package.json': { name: 'demo', 'ts-type-cleaner': { srcDir: ['src', 'lib'] } },
+  'invalid/ts-type-cleaner.config.json': { threshold: 120, unknown: true },
+  'broken/ts-type-cleaner.config.json': '{ threshold: ',
+})
+after(() => removeFixture(root))
+
+test('resolveConfig 合并默认配置，数组整体替换，errorCodes 按级别合并', () => {
+  const config = resolveConfig({ exclude: ['**/*.test.ts'], errorCodes: { warning: [2339] } })
+
+  assert.deepEqual(config.exclude, ['**/*.test.ts'])
+  assert.equal(config.threshold, DEFAULT_CONFIG.threshold)
+  assert.deepEqual(config.errorCodes, { error: DEFAULT_CONFIG.errorCodes.error, warning: [2339] })
+})
+
+test('resolveConfig 对已合并的配置原样返回，不再重复校验', () => {
+  const config = resolveConfig({ threshold: 90 })
+  assert.equal(resolveConfig(config), config)
+  // 标记不可枚举，不影响序列化与展开
+  assert.deepEqual(Object.keys(resolveConfig({ ...config })), Object.keys(config))
+  assert.notEqual(resolveConfig({ ...config }), config)
+})
+
+test('validateConfig 一次列出所有问题', () => {
+  assert.throws(
+    () => validateConfig({ threshold: 120, srcDir: [], gitignore: 'yes', nope: 1 }, 'my.config.js'),
+    (error) => {
+      assert.match(error.message, /^my\.config\.js 无效:/)
+      assert.match(error.message, /threshold 应为 0 到 100 之间的数字/)
+      assert.match(error.message, /srcDir 应为非空字符串或字符串数组/)
+      assert.match(error.message, /gitignore /)
+      assert.match(error.message, /未知配置项 "nope"/)
+      return true
+    }
+  )
+  assert.throws(() => validateConfig([]), /配置必须是对象/)
+})
+
+test('validateConfig 校验 errorCodes 的级别与错误码', () => {
+  assert.doesNotThrow(() => validateConfig({ errorCodes: { error: [2322, 'TS2345'] } }))
+  assert.throws(() => validateConfig({ errorCodes: { fatal: [1] } }), /未知级别 "fatal"/)
+  assert.throws(() => validateConfig({ errorCodes: { error: ['x'] } }), /\.error 应为错误码数组/)
+})
+
+test('normalizeErrorCode 支持 "TS2322" 写法', () => {
+  assert.equal(normalizeErrorCode('TS2322'), 2322)
+  assert.equal(normalizeErrorCode('ts7016'), 7016)
+  assert.equal(normalizeErrorCode(2345), 2345)
+})
+
+test('findConfigFile 向上查找配置文件与 package.json 字段', () => {
+  assert.deepEqual(findConfigFile(join(root, 'module/packages/app/src')), {
+    path: join(root, 'module/ts-type-cleaner.config.mjs'),
+    key: null,
+  })
+  assert.deepEqual(findConfigFile(join(root, 'package')), {
+    path: join(root, 'package/package.json'),
+    key: 'ts-type-cleaner',
+  })
+})
+
+test('loadConfig 读取 ES 模块与 package.json 中的配置', async () => {
+  const module = await loadConfig(join(root, 'module'))
+  assert.equal(module.path, join(root, 'module/ts-type-cleaner.config.mjs'))
+  assert.equal(module.config.threshold, 90)
+  assert.deepEqual(module.config.exclude, ['**/*.spec.ts'])
+
+  const pkg = await loadConfig(join(root, 'package'))
+  assert.deepEqual(pkg.config.srcDir, ['src', 'lib'])
+})
+
+test('loadConfig 报告无效、损坏或不存在的配置文件', async () => {
+  await assert.rejects(loadConfig(join(root, 'invalid')), /ts-type-cleaner\.config\.json 无效:/)
+  await assert.rejects(loadConfig(join(root, 'broken')), /配置文件解析失败/)
+  await assert.rejects(loadConfig(root, 'missing.config.js'), /配置文件不存在/)
+})
@@ -0,0 +1,124 @@
+import { after, before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'fs'
+import { join } from 'path'
+import { TypeAnalyzer } from '../../lib/analyzer.js'
+import { TypeDeduper } from '../../lib/deduper.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+let root
+let analyzer
+let report
+
+before(async () => {
+  root = createFixture({
+    'tsconfig.json': {
+      compilerOptions: { strict: true, target: 'es2020', module: 'esnext', moduleResolution: 'bundler' },
+      include: ['src'],
+    },
+    'src/a.ts': [
+      'export interface User {',
+      '  id: string',
+      '  name: string',
+      '}',
+      '',
+      "export const a: User = { id: '1', name: 'a' }",
+      '',
+    ].join('\n'),
+    'src/b.ts': 'export interface User { id: string; name: string }\n',
+    'src/page.ts': "import type { User } from './b'\n\nexport const user: User = { id: '2', name: 'b' }\n",
+    'src/c.ts': 'export interface Item { id: string }\n',
+    'src/d.ts': 'export interface Item { id: number }\n',
+  })
+  analyzer = new TypeAnalyzer({ rootDir: root })
+  report = await analyzer.analyze()
+})
+after(() => removeFixture(root))
+
+const updated = (changes, file) => changes.find((change) => change.relativeFile === file)?.updated
+
+test('保留被更多文件引用的声明，删除副本并改为导入', () => {
+  const { changes, merged, skipped } = new TypeDeduper(analyzer).plan(report.issues.duplicates)
+
+  assert.deepEqual(merged, [
+    {
+      name: 'User',
+      kind: 'interface',
+      canonical: { file: 'src/b.ts', line: 1, moved: false },
+      removed: [{ file: 'src/a.ts', line: 1 }],
+    },
+  ])
+  assert.deepEqual(changes.map((change) => change.relativeFile), ['src/a.ts'])
+  // 删除的副本原本导出，改为从保留的声明转导出
+  assert.equal(
+    updated(changes, 'src/a.ts'),
+    "import type { User } from './b'\nexport type { User } from './b'\n\nexport const a: User = { id: '1', name: 'a' }\n"
+  )
+  // 计划不写入文件
+  assert.match(readFileSync(join(root, 'src/a.ts'), 'utf8'), /^export interface User/)
+
+  // 结构不一致的同名类型跳过并说明原因
+  assert.deepEqual(skipped, [
+    { name: 'Item', files: ['src/c.ts:1', 'src/d.ts:1'], reason: '各文件中的声明结构不一致，请手动合并' },
+  ])
+})
+
+test('--prefer 指定保留的文件，names 只处理指定的类型', () => {
+  const deduper = new TypeDeduper(analyzer, { prefer: 'src/a.ts' })
+  const { changes, merged, skipped } = deduper.plan(report.issues.duplicates, ['User'])
+
+  assert.equal(merged[0].canonical.file, 'src/a.ts')
+  assert.deepEqual(skipped, [])
+  assert.equal(updated(changes, 'src/b.ts'), "export type { User } from './a'\n")
+  assert.match(updated(changes, 'src/page.ts'), /^import type \{ User \} from '\.\/a'\n/)
+})
+
+test('移动到共享模块时新建文件并改写所有导入', () => {
+  const deduper = new TypeDeduper(analyzer, { target: 'src/shared/types.ts' })
+  const { changes, merged } = deduper.plan(report.issues.duplicates, ['User'])
+
+  assert.deepEqual(merged[0].canonical, { file: 'src/shared/types.ts', line: null, moved: true })
+  assert.deepEqual(merged[0].removed.map((item) => item.file), ['src/a.ts', 'src/b.ts'])
+  assert.match(updated(changes, 'src/a.ts'), /^import type \{ User \} from '\.\/shared\/types'\nexport type \{ User \} from '\.\/shared\/types'\n/)
+  assert.equal(updated(changes, 'src/b.ts'), "export type { User } from './shared/types'\n")
+  assert.match(updated(changes, 'src/page.ts'), /^import type \{ User \} from '\.\/shared\/types'\n/)
+
+  const created = changes.find((change) => change.relativeFile === 'src/shared/types.ts')
+  assert.equal(created.updated, 'export interface User {\n  id: string\n  name: string\n}\n')
+  // 新建的文件在补丁中以 /dev/null 为原文件
+  assert.match(deduper.createPatch(created), /^--- \/dev\/null\n\+\+\+ b\/src\/shared\/types\.ts\n/)
+
+  deduper.applyChange(created)
+  assert.equal(readFileSync(join(root, 'src/shared/types.ts'), 'utf8'), created.updated)
+})
+
+test('以 export { } 列表（含别名）导出的副本改为转导出', async (t) => {
+  const fixture = createFixture({
+    'tsconfig.json': { compilerOptions: { strict: true, module: 'esnext', moduleResolution: 'bundler' }, include: ['src'] },
+    'src/status.ts': 'export enum Status { On, Off }\n',
+    'src/state.ts': [
+      'enum Status { On, Off }',
+      '',
+      'export { Status as State }',
+      'export const initial = Status.On',
+      '',
+    ].join('\n'),
+  })
+  t.after(() => removeFixture(fixture))
+
+  const fixtureAnalyzer = new TypeAnalyzer({ rootDir: fixture })
+  const { issues } = await fixtureAnalyzer.analyze()
+  const { changes } = new TypeDeduper(fixtureAnalyzer, { prefer: 'src/status.ts' }).plan(issues.duplicates)
+
+  // 枚举是值，转导出不能使用 export type
+  assert.equal(
+    updated(changes, 'src/state.ts'),
+    "import { Status } from './status'\nexport { Status as State } from './status'\n\nexport const initial = Status.On\n"
+  )
+})
+
+test('共享模块中已有该类型时跳过', () => {
+  const { merged, skipped } = new TypeDeduper(analyzer, { target: 'src/b.ts' }).plan(report.issues.duplicates, ['User'])
+  assert.deepEqual(merged, [])
+  assert.equal(skipped[0].reason, 'src/b.ts 中已有该类型的声明，请使用 --prefer 指定保留的文件')
+})
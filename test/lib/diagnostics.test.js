@@ -0,0 +1,133 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import ts from 'typescript'
+import {
+  IGNORE_PRESETS,
+  countByCode,
+  createIgnoreMatcher,
+  createSeverityResolver,
+  describeIgnoreRule,
+  expandIgnoreRules,
+  summarizeIgnored,
+  validateDiagnosticRules,
+  validateIgnoreRules,
+} from '../../lib/diagnostics.js'
+
+const errorCodes = { error: new Set([2322]), warning: new Set([2339, 6133]) }
+
+test('createSeverityResolver：单个错误码优先于范围，范围越小越优先', () => {
+  const resolve = createSeverityResolver({
+    diagnosticRules: { 'TS2000-TS2999': 'warn', 'TS2300-TS2399': 'info', TS2322: 'error', 2304: 'off' },
+    errorCodes,
+  })
+
+  assert.equal(resolve(2322), 'error')
+  assert.equal(resolve(2304), 'off')
+  assert.equal(resolve(2339), 'info')
+  assert.equal(resolve(2551), 'warning')
+})
+
+test('createSeverityResolver：未配置规则时按 errorCodes 与诊断类别', () => {
+  const resolve = createSeverityResolver({ errorCodes })
+
+  assert.equal(resolve(2322, ts.DiagnosticCategory.Warning), 'error')
+  assert.equal(resolve(6133), 'warning')
+  assert.equal(resolve(80001, ts.DiagnosticCategory.Suggestion), 'info')
+  assert.equal(resolve(1234), 'error')
+})
+
+test('validateDiagnosticRules 报告无效的错误码、范围与级别', () => {
+  assert.equal(validateDiagnosticRules({ TS2339: 'error', 'ts7000 - ts7999': 'warn', 6133: 'off' }), null)
+  assert.match(validateDiagnosticRules([]), /应为对象/)
+  assert.equal(
+    validateDiagnosticRules({ E100: 'warn', 'TS2399-TS2300': 'error', TS2322: 'fatal' }),
+    '"E100" 应为错误码或错误码范围（如 TS2339、TS2300-TS2399）；"TS2399-TS2300" 范围的起点大于终点；"TS2322" 的级别应为 off / info / warn / error'
+  )
+})
+
+test('countByCode 按数量从多到少排序，数量相同时按错误码', () => {
+  const diagnostics = ['TS2339', 'TS2322', 'TS2339', 'TS2304'].map((code) => ({ code }))
+  assert.deepEqual(countByCode(diagnostics), [
+    { code: 'TS2339', count: 2 },
+    { code: 'TS2304', count: 1 },
+    { code: 'TS2322', count: 1 },
+  ])
+})
+
+test('validateIgnoreRules 接受预设名与带原因的规则', () => {
+  assert.equal(validateIgnoreRules(['vite', { code: ['TS2307', '7000-7999'], file: 'src/legacy/**', reason: '旧代码' }]), null)
+  assert.match(validateIgnoreRules({}), /应为规则数组/)
+  assert.equal(validateIgnoreRules(['webpack']), '[0] 未知的预设 "webpack"（可选: vite, untyped-modules）')
+})
+
+test('validateIgnoreRules 报告缺少原因、条件与无效的字段', () => {
+  const problems = validateIgnoreRules([
+    null,
+    { code: 2307 },
+    { reason: '没有条件' },
+    { code: 'E1', file: [], symbol: '', message: '(', reason: 'x', level: 'warn' },
+  ]).split('；')
+
+  assert.deepEqual(problems.slice(0, 3), [
+    '[0] 应为对象',
+    '[1].reason 应为非空字符串，说明忽略的原因',
+    '[2] 至少需要 code / file / symbol / message 中的一个条件',
+  ])
+  assert.match(problems[3], /^\[3\] 包含未知字段 level/)
+  assert.match(problems[4], /^\[3\]\.code 应为错误码/)
+  assert.deepEqual(problems.slice(5, 7), [
+    '[3].file 应为非空字符串或字符串数组',
+    '[3].symbol 应为非空字符串或字符串数组',
+  ])
+  assert.match(problems[7], /^\[3\]\.message 不是有效的正则表达式/)
+})
+
+test('expandIgnoreRules 展开预设', () => {
+  const rule = { code: 2307, reason: '路径别名' }
+  assert.deepEqual(expandIgnoreRules(['untyped-modules', rule]), [...IGNORE_PRESETS['untyped-modules'], rule])
+})
+
+test('createIgnoreMatcher 返回第一条所有条件都满足的规则', () => {
+  const rules = expandIgnoreRules([
+    'vite',
+    { code: 'TS2300-TS2399', file: 'src/legacy/**', reason: '旧代码' },
+    { symbol: ['legacyApi'], reason: '待删除' },
+  ])
+  const match = createIgnoreMatcher(rules, '/project')
+  const diagnostic = (overrides) => ({ code: 2304, file: '/project/src/a.ts', symbol: 'x', message: '', ...overrides })
+
+  assert.equal(match(diagnostic({ code: 2339, message: "Property 'env' does not exist on type 'ImportMeta'." })), 0)
+  assert.equal(match(diagnostic({ code: 2339, message: "Property 'env' does not exist on type 'User'." })), -1)
+  assert.equal(match(diagnostic({ file: '/project/src/legacy/old.ts' })), 1)
+  assert.equal(match(diagnostic({ code: 7006, file: '/project/src/legacy/old.ts' })), -1)
+  assert.equal(match(diagnostic({ code: 7006, symbol: 'legacyApi' })), 2)
+  assert.equal(match(diagnostic({ symbol: undefined })), -1)
+})
+
+test('summarizeIgnored 按规则统计被忽略的诊断', () => {
+  const rules = [
+    { code: 7016, reason: '缺少类型声明' },
+    { file: ['a/**', 'b/**', 'c/**', 'd/**'], message: 'foo', reason: '生成的代码' },
+  ]
+  const ignored = [
+    { code: 'TS7016', file: 'src/a.ts', ignoredBy: 0 },
+    { code: 'TS7016', file: 'src/b.ts', ignoredBy: 0 },
+  ]
+
+  assert.deepEqual(summarizeIgnored(rules, ignored), {
+    total: 2,
+    rules: [
+      {
+        reason: '缺少类型声明',
+        match: 'TS7016',
+        count: 2,
+        diagnostics: [
+          { code: 'TS7016', file: 'src/a.ts' },
+          { code: 'TS7016', file: 'src/b.ts' },
+        ],
+      },
+      { reason: '生成的代码', match: 'file a/**, b/**, c/** 等 4 个 · message /foo/', count: 0, diagnostics: [] },
+    ],
+  })
+  assert.equal(describeIgnoreRule({ code: ['ts2307', 2339], symbol: 'x' }), 'ts2307, TS2339 · symbol x')
+})
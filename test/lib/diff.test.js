@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createUnifiedDiff, diffLines } from '../../lib/diff.js'
+
+test('diffLines 输出最短的编辑序列', () => {
+  const edits = diffLines(['a', 'b', 'c'], ['a', 'c', 'd'])
+  assert.deepEqual(
+    edits.map((edit) => `${edit.type}${edit.line}`),
+    [' a', '-b', ' c', '+d']
+  )
+})
+
+test('diffLines 处理空输入', () => {
+  assert.deepEqual(diffLines([], []), [])
+  assert.deepEqual(
+    diffLines([], ['a']).map((edit) => edit.type),
+    ['+']
+  )
+})
+
+test('createUnifiedDiff 内容相同时返回空字符串', () => {
+  assert.equal(createUnifiedDiff('a\nb\n', 'a\nb\n', 'src/a.ts'), '')
+})
+
+test('createUnifiedDiff 生成带行号的 hunk', () => {
+  const diff = createUnifiedDiff('a\nb\nc\n', 'a\nc\n', 'src/a.ts')
+  assert.equal(
+    diff,
+    ['--- a/src/a.ts', '+++ b/src/a.ts', '@@ -1,3 +1,2 @@', ' a', '-b', ' c', ''].join('\n')
+  )
+})
+
+test('createUnifiedDiff 相距较远的修改拆分为多个 hunk', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`)
+  const updated = lines.filter((line) => line !== 'line 2' && line !== 'line 18')
+  const diff = createUnifiedDiff(`${lines.join('\n')}\n`, `${updated.join('\n')}\n`, 'a.ts', 1)
+
+  const headers = diff.split('\n').filter((line) => line.startsWith('@@'))
+  assert.deepEqual(headers, ['@@ -1,3 +1,2 @@', '@@ -17,3 +16,2 @@'])
+})
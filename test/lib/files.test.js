@@ -0,0 +1,96 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { join } from 'path'
+import { createMatcher, getBaseDirectories, globToRegExp, scanFiles } from '../../lib/files.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture({
+  '.gitignore': '# 生成文件\n*.gen.ts\n/dist/\nsrc/legacy/\n!src/legacy/keep.ts\n',
+  'src/main.ts': '',
+  'src/api.gen.ts': '',
+  'src/components/Button.vue': '',
+  'src/components/Button.spec.ts': '',
+  'src/legacy/old.ts': '',
+  'src/legacy/keep.ts': '',
+  'src/node_modules/dep/index.ts': '',
+  'src/nested/.gitignore': 'local.ts\n',
+  'src/nested/local.ts': '',
+  'src/nested/shared.ts': '',
+  'dist/main.ts': '',
+  'lib/util.ts': '',
+})
+after(() => removeFixture(root))
+
+const relativeFiles = (files) => files.map((file) => file.slice(root.length + 1).replace(/\\/g, '/'))
+
+test('globToRegExp 支持 **、*、?、[abc] 与 {a,b}', () => {
+  const cases = [
+    ['src/**/*.ts', ['src/a.ts', 'src/x/y/a.ts'], ['src/a.vue', 'lib/a.ts']],
+    ['src/*.ts', ['src/a.ts'], ['src/x/a.ts']],
+    ['**/*.{ts,vue}', ['a.ts', 'x/a.vue'], ['a.tsx']],
+    ['src/?.ts', ['src/a.ts'], ['src/ab.ts']],
+    ['src/[!a]*.ts', ['src/b.ts'], ['src/a.ts']],
+    ['./src/**', ['src/a/b/c.ts'], ['lib/a.ts']],
+  ]
+  for (const [pattern, matches, misses] of cases) {
+    const regex = globToRegExp(pattern)
+    matches.forEach((path) => assert.ok(regex.test(path), `${pattern} 应匹配 ${path}`))
+    misses.forEach((path) => assert.ok(!regex.test(path), `${pattern} 不应匹配 ${path}`))
+  }
+})
+
+test('createMatcher 匹配目录的模式同时匹配其中的文件', () => {
+  const matches = createMatcher(['apps/*', '**/*.spec.ts'])
+  assert.ok(matches('apps/web/src/main.ts'))
+  assert.ok(matches('src/a.spec.ts'))
+  assert.ok(!matches('packages/a/src/main.ts'))
+})
+
+test('getBaseDirectories 只保留不含通配符的最外层前缀目录', () => {
+  assert.deepEqual(getBaseDirectories(root, ['src/**/*.ts', 'src/components/*.vue', 'lib/**']), [
+    join(root, 'src'),
+    join(root, 'lib'),
+  ])
+})
+
+test('scanFiles 按 include / exclude 与 .gitignore 扫描，跳过被忽略的 include 目录', () => {
+  const { files, skipped, missing } = scanFiles(root, {
+    include: ['src/**/*', 'dist/**/*'],
+    exclude: ['**/*.spec.ts'],
+  })
+
+  // 与 git 一致：目录被忽略时，其中的文件不能再用 ! 规则重新包含
+  assert.deepEqual(relativeFiles(files), [
+    'src/components/Button.vue',
+    'src/main.ts',
+    'src/nested/.gitignore',
+    'src/nested/shared.ts',
+  ])
+  assert.deepEqual(skipped, [])
+  assert.deepEqual(missing, [])
+})
+
+test('scanFiles 可以关闭 .gitignore 并按 filter 过滤', () => {
+  const { files } = scanFiles(root, {
+    include: ['src/**/*'],
+    gitignore: false,
+    filter: (file) => file.endsWith('.ts'),
+  })
+
+  assert.deepEqual(relativeFiles(files), [
+    'src/api.gen.ts',
+    'src/components/Button.spec.ts',
+    'src/legacy/keep.ts',
+    'src/legacy/old.ts',
+    'src/main.ts',
+    'src/nested/local.ts',
+    'src/nested/shared.ts',
+  ])
+})
+
+test('scanFiles 报告不存在的目录', () => {
+  const result = scanFiles(root, { include: ['missing/**/*', 'lib/**/*'] })
+  assert.deepEqual(result.missing, ['missing'])
+  assert.equal(result.allMissing, false)
+  assert.equal(scanFiles(root, { include: ['missing/**/*'] }).allMissing, true)
+})
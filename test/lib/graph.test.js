@@ -0,0 +1,101 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildTypeGraph, findGraphRoots, formatGraph, toDot, toMermaid } from '../../lib/graph.js'
+
+const type = (file, name, kind = 'interface') => ({ id: `${file}#${name}`, name, kind, file, line: 1 })
+
+// Admin → User → Base，page.ts 使用 Admin，另有一个同名的 User
+const dependencies = {
+  types: [
+    type('src/base.ts', 'Base'),
+    type('src/user.ts', 'User'),
+    type('src/admin.ts', 'Admin'),
+    type('src/legacy.ts', 'User', 'type'),
+    type('src/status.ts', 'Status', 'enum'),
+  ],
+  references: [
+    { from: 'src/user.ts#User', to: 'src/base.ts#Base', kinds: ['extends'], count: 1 },
+    { from: 'src/admin.ts#Admin', to: 'src/user.ts#User', kinds: ['property'], count: 2 },
+    { from: 'src/admin.ts#Admin', to: 'src/missing.ts#Gone', kinds: ['property'], count: 1 },
+  ],
+  consumers: [
+    { file: 'src/page.ts', type: 'src/admin.ts#Admin', count: 3 },
+    // 定义文件自身的引用不生成文件节点
+    { file: 'src/user.ts', type: 'src/base.ts#Base', count: 1 },
+    { file: 'src/user.ts', type: 'src/user.ts#User', count: 1 },
+  ],
+}
+
+const ids = (graph) => graph.nodes.map((node) => node.id).sort()
+const levels = (graph) => Object.fromEntries(graph.nodes.map((node) => [node.id, node.level]))
+
+test('buildTypeGraph 生成类型、文件节点与带类别的边', () => {
+  const graph = buildTypeGraph(dependencies)
+
+  assert.equal(graph.nodes.length, 7)
+  assert.deepEqual(
+    graph.edges.map(({ from, to, kind }) => [from, to, kind]),
+    [
+      ['src/user.ts#User', 'src/base.ts#Base', 'extends'],
+      ['src/admin.ts#Admin', 'src/user.ts#User', 'references'],
+      ['file:src/page.ts', 'src/admin.ts#Admin', 'uses'],
+      ['file:src/user.ts', 'src/base.ts#Base', 'uses'],
+    ]
+  )
+  assert.equal(buildTypeGraph(dependencies, { files: false }).nodes.length, 5)
+})
+
+test('指定起点时按方向与深度裁剪', () => {
+  const roots = ['src/base.ts#Base']
+
+  const dependents = buildTypeGraph(dependencies, { roots })
+  assert.deepEqual(levels(dependents), {
+    'src/base.ts#Base': 0,
+    'src/user.ts#User': 1,
+    'file:src/user.ts': 1,
+    'src/admin.ts#Admin': 2,
+    'file:src/page.ts': 3,
+  })
+
+  const shallow = buildTypeGraph(dependencies, { roots, depth: 1, files: false })
+  assert.deepEqual(ids(shallow), ['src/base.ts#Base', 'src/user.ts#User'])
+  assert.equal(shallow.depth, 1)
+
+  const upstream = buildTypeGraph(dependencies, { roots: ['src/admin.ts#Admin'], direction: 'dependencies' })
+  assert.deepEqual(levels(upstream), { 'src/base.ts#Base': 2, 'src/user.ts#User': 1, 'src/admin.ts#Admin': 0 })
+
+  const both = buildTypeGraph(dependencies, { roots: ['src/user.ts#User'], direction: 'both', files: false })
+  assert.deepEqual(levels(both), { 'src/base.ts#Base': 1, 'src/user.ts#User': 0, 'src/admin.ts#Admin': 1 })
+})
+
+test('findGraphRoots 按 id 精确匹配，否则按名称匹配全部同名类型', () => {
+  assert.deepEqual(findGraphRoots(dependencies, 'src/user.ts#User'), ['src/user.ts#User'])
+  assert.deepEqual(findGraphRoots(dependencies, 'User'), ['src/user.ts#User', 'src/legacy.ts#User'])
+  assert.deepEqual(findGraphRoots(dependencies, 'Nope'), [])
+})
+
+test('toDot 转义标签并标注起点与边样式', () => {
+  const graph = buildTypeGraph(dependencies, { roots: ['src/user.ts#User'], direction: 'both', depth: 1 })
+  const dot = toDot(graph)
+
+  assert.match(dot, /^digraph types \{\n/)
+  assert.match(dot, /"src\/user.ts#User" \[label="User\\nsrc\/user.ts:1", shape="box", style="filled"/)
+  assert.match(dot, /"src\/user.ts#User" -> "src\/base.ts#Base" \[arrowhead="onormal"/)
+  assert.match(dot, /"src\/admin.ts#Admin" -> "src\/user.ts#User";/)
+})
+
+test('toMermaid 按顺序编号节点并标注起点', () => {
+  const graph = buildTypeGraph(dependencies, { roots: ['src/status.ts#Status'] })
+  assert.equal(toMermaid(graph), 'graph LR\n  n0{{"Status<br/>src/status.ts"}}\n  classDef root fill:#fff3b0,stroke:#b08800\n  class n0 root\n')
+
+  const mermaid = toMermaid(buildTypeGraph(dependencies))
+  assert.match(mermaid, /n1 ==>\|extends\| n0/)
+  assert.match(mermaid, /n5\[\/"src\/page.ts"\/\]/)
+  assert.match(mermaid, /n5 -.-> n2/)
+})
+
+test('formatGraph 拒绝不支持的格式', () => {
+  const graph = buildTypeGraph(dependencies)
+  assert.deepEqual(JSON.parse(formatGraph(graph, 'json')), graph)
+  assert.throws(() => formatGraph(graph, 'svg'), /不支持的图格式: svg（可选: dot, mermaid, json）/)
+})
@@ -0,0 +1,81 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import ts from 'typescript'
+import { findComplexTypes, formatGenericPath, getGenericNesting } from '../../lib/hierarchy.js'
+
+function nestingOf(source) {
+  const sourceFile = ts.createSourceFile('types.ts', source, ts.ScriptTarget.Latest, true)
+  return getGenericNesting(sourceFile.statements[0], sourceFile)
+}
+
+const type = (file, name, generics) => ({ id: `${file}#${name}`, name, kind: 'interface', file, line: 1, generics })
+const reference = (from, to, kinds = ['property']) => ({ from, to, kinds, count: 1 })
+
+test('getGenericNesting 返回嵌套最深的泛型链', () => {
+  assert.deepEqual(nestingOf('type A = Promise<Array<Record<string, User>>> | Map<string, Set<number>>'), {
+    depth: 3,
+    path: ['Promise', 'Array', 'Record'],
+  })
+  assert.deepEqual(nestingOf('interface B extends Base<Partial<C>> { items: Api.List<string> }'), {
+    depth: 2,
+    path: ['Base', 'Partial'],
+  })
+  assert.equal(nestingOf('type C = { id: string }'), null)
+})
+
+test('formatGenericPath 省略最内层参数', () => {
+  assert.equal(formatGenericPath(['Promise', 'Array']), 'Promise<Array<…>>')
+})
+
+test('findComplexTypes 只报告跨文件的循环依赖', () => {
+  const types = [type('a.ts', 'A'), type('b.ts', 'B'), type('c.ts', 'C'), type('a.ts', 'Tree'), type('a.ts', 'Node')]
+  const references = [
+    reference('a.ts#A', 'b.ts#B'),
+    reference('b.ts#B', 'c.ts#C'),
+    reference('c.ts#C', 'a.ts#A'),
+    reference('b.ts#B', 'a.ts#A'),
+    // 同一文件内的递归类型
+    reference('a.ts#Tree', 'a.ts#Node'),
+    reference('a.ts#Node', 'a.ts#Tree'),
+    reference('a.ts#Tree', 'a.ts#Tree'),
+  ]
+
+  const findings = findComplexTypes(types, references)
+  assert.equal(findings.length, 1)
+  assert.deepEqual(
+    [findings[0].rule, findings[0].name, findings[0].size, findings[0].message],
+    ['circular', 'A', 3, '循环依赖: A → B → A（共 3 个类型相互依赖）']
+  )
+  assert.deepEqual(findComplexTypes(types, references, { circular: false }), [])
+})
+
+test('findComplexTypes 只在链的末端报告过深的 extends', () => {
+  const types = [type('a.ts', 'A'), type('b.ts', 'B'), type('c.ts', 'C'), type('d.ts', 'D')]
+  const references = [
+    reference('a.ts#A', 'b.ts#B', ['extends']),
+    reference('b.ts#B', 'c.ts#C', ['extends']),
+    reference('c.ts#C', 'd.ts#D', ['extends', 'property']),
+    reference('a.ts#A', 'd.ts#D'),
+  ]
+
+  const findings = findComplexTypes(types, references, { circular: false, maxExtendsDepth: 2 })
+  assert.deepEqual(
+    findings.map(({ rule, name, depth, message }) => [rule, name, depth, message]),
+    [['deep-extends', 'A', 3, 'A 的 extends 链有 3 层（上限 2）: A → B → C → D']]
+  )
+  assert.deepEqual(findComplexTypes(types, references, { circular: false, maxExtendsDepth: 3 }), [])
+})
+
+test('findComplexTypes 报告超过上限的泛型嵌套', () => {
+  const types = [
+    type('a.ts', 'Deep', { depth: 3, path: ['Promise', 'Array', 'Record'] }),
+    type('a.ts', 'Shallow', { depth: 2, path: ['Promise', 'Array'] }),
+    type('a.ts', 'Plain', null),
+  ]
+
+  const findings = findComplexTypes(types, [], { maxGenericDepth: 2 })
+  assert.deepEqual(
+    findings.map(({ rule, name, message }) => [rule, name, message]),
+    [['deep-generic', 'Deep', 'Deep 的泛型嵌套 3 层（上限 2）: Promise<Array<Record<…>>>']]
+  )
+})
@@ -0,0 +1,79 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { appendFileSync } from 'fs'
+import { join } from 'path'
+import {
+  HISTORY_VERSION,
+  appendSnapshot,
+  createSnapshot,
+  loadHistory,
+  sparkline,
+  summarizeTrend,
+} from '../../lib/history.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture()
+after(() => removeFixture(root))
+
+function createReport(timestamp, healthScore, statistics) {
+  return {
+    timestamp,
+    healthScore,
+    statistics: { totalTypes: 40, ...statistics },
+    scoreBreakdown: {
+      categories: [
+        { category: 'errors', penalty: 30 },
+        { category: 'unused', penalty: 0 },
+      ],
+    },
+  }
+}
+
+test('createSnapshot 记录统计、评分与有扣分的类别', () => {
+  const snapshot = createSnapshot(createReport('2026-01-01T00:00:00.000Z', 70, { totalErrors: 2 }), root)
+
+  assert.equal(snapshot.version, HISTORY_VERSION)
+  // 不在 git 仓库中时没有提交信息
+  assert.equal(snapshot.commit, null)
+  assert.equal(snapshot.statistics.totalErrors, 2)
+  assert.equal(snapshot.statistics.unusedTypes, 0)
+  assert.deepEqual(snapshot.penalties, { errors: 30 })
+})
+
+test('appendSnapshot 与 loadHistory 按时间排序并跳过损坏的行', () => {
+  const file = join(root, 'type-reports/history.jsonl')
+  appendSnapshot(file, createSnapshot(createReport('2026-01-02T00:00:00.000Z', 80, { totalErrors: 1 }), root))
+  appendFileSync(file, '{"truncated\n')
+  appendSnapshot(file, createSnapshot(createReport('2026-01-01T00:00:00.000Z', 70, { totalErrors: 2 }), root))
+
+  assert.deepEqual(loadHistory(file).map((snapshot) => snapshot.healthScore), [70, 80])
+  assert.deepEqual(loadHistory(join(root, 'missing.jsonl')), [])
+})
+
+test('summarizeTrend 计算每个指标的变化与好坏方向', () => {
+  const history = [
+    createReport('2026-01-01T00:00:00.000Z', 60, { totalErrors: 4, totalTypes: 40 }),
+    createReport('2026-01-02T00:00:00.000Z', 70, { totalErrors: 2, totalTypes: 40 }),
+    createReport('2026-01-03T00:00:00.000Z', 85, { totalErrors: 0, totalTypes: 45 }),
+  ].map((report) => createSnapshot(report, root))
+
+  const trend = summarizeTrend(history)
+  const metric = (key) => trend.metrics.find((item) => item.key === key)
+
+  assert.equal(trend.runs, 3)
+  assert.deepEqual(metric('healthScore').values, [60, 70, 85])
+  assert.deepEqual([metric('healthScore').delta, metric('healthScore').direction], [25, 1])
+  assert.deepEqual([metric('totalErrors').delta, metric('totalErrors').direction], [-4, 1])
+  // 类型数量没有好坏之分
+  assert.deepEqual([metric('totalTypes').delta, metric('totalTypes').direction], [5, 0])
+
+  const recent = summarizeTrend(history, 2)
+  assert.deepEqual([recent.runs, recent.totalRuns], [2, 3])
+  assert.equal(summarizeTrend([]), null)
+})
+
+test('sparkline 按最小值到最大值绘制', () => {
+  assert.equal(sparkline([0, 7, 14]), '▁▅█')
+  assert.equal(sparkline([3, 3]), '▄▄')
+  assert.equal(sparkline([]), '')
+})
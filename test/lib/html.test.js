@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildHtmlDocument, escapeHtml } from '../../lib/html.js'
+
+function createData(overrides = {}) {
+  return {
+    title: '报告 <测试>',
+    project: '/project',
+    generatedAt: '2026/1/1 00:00:00',
+    tool: { name: 'ts-type-cleaner', version: '1.0.0' },
+    summary: [],
+    categories: {},
+    issues: [],
+    snippets: {},
+    recommendations: [],
+    trend: null,
+    ...overrides,
+  }
+}
+
+// 取出内联的报告数据
+const embeddedData = (html) => html.match(/<script type="application\/json" id="report-data">([\s\S]*?)<\/script>/)[1]
+
+test('escapeHtml 转义 HTML 特殊字符', () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;')
+  assert.equal(escapeHtml(42), '42')
+})
+
+test('buildHtmlDocument 转义标题与项目信息', () => {
+  const html = buildHtmlDocument(createData({ project: '/a&b' }))
+  assert.match(html, /<title>报告 &lt;测试&gt;<\/title>/)
+  assert.match(html, /\/a&amp;b · /)
+})
+
+test('内联数据中不会出现 </script>，并且可以还原', () => {
+  const message = '</script><script>alert(1)</script>\u2028'
+  const data = createData({ issues: [{ category: 'errors', file: 'src/a.ts', line: 1, message }] })
+  const json = embeddedData(buildHtmlDocument(data))
+
+  assert.equal(json.includes('</script>'), false)
+  assert.equal(JSON.parse(json).issues[0].message, message)
+})
+
+test('只有存在历史趋势时才输出趋势图', () => {
+  assert.doesNotMatch(buildHtmlDocument(createData()), /id="trend"/)
+
+  const trend = {
+    runs: 2,
+    labels: ['01-01', '01-02'],
+    metrics: [{ key: 'healthScore', label: '健康度', values: [60, 80] }],
+  }
+  const html = buildHtmlDocument(createData({ trend }))
+  assert.match(html, /<a href="#trend">历史趋势<\/a>/)
+  assert.match(html, /<svg class="trend-chart"[^>]*aria-label="健康度"/)
+  assert.equal((html.match(/<circle /g) || []).length, 2)
+})
@@ -0,0 +1,52 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createConsoleLogger, normalizeLogger, silentLogger } from '../../lib/logger.js'
+
+// 记录每个 console 方法收到的参数
+function mockConsole(t) {
+  const calls = []
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, (...args) => calls.push([method, ...args]))
+  }
+  return calls
+}
+
+test('createConsoleLogger 默认输出 info 与警告，不输出 debug', (t) => {
+  const calls = mockConsole(t)
+  const logger = createConsoleLogger()
+  logger.debug('debug')
+  logger.info('info')
+  logger.warn('warn')
+  logger.error('error', 1)
+
+  assert.deepEqual(calls, [['log', 'info'], ['warn', 'warn'], ['error', 'error', 1]])
+})
+
+test('quiet 时不输出 info，但保留警告与错误；verbose 时输出 debug', (t) => {
+  const calls = mockConsole(t)
+  const logger = createConsoleLogger({ quiet: true, verbose: true })
+  logger.debug('debug')
+  logger.info('info')
+  logger.warn('warn')
+  logger.error('error')
+
+  assert.deepEqual(calls, [['log', 'debug'], ['warn', 'warn'], ['error', 'error']])
+})
+
+test('normalizeLogger 补全缺少的方法并保留 this', () => {
+  const messages = []
+  const logger = normalizeLogger({
+    prefix: '>',
+    warn(message) {
+      messages.push(`${this.prefix} ${message}`)
+    },
+    info: 'not a function',
+  })
+
+  assert.deepEqual(Object.keys(logger), Object.keys(silentLogger))
+  logger.info('ignored')
+  logger.debug('ignored')
+  logger.warn('kept')
+  assert.deepEqual(messages, ['> kept'])
+  assert.equal(normalizeLogger(undefined).error, silentLogger.error)
+})
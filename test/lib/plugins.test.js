@@ -0,0 +1,91 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { definePlugin, loadPlugins, runCollectors, validatePlugins } from '../../lib/plugins.js'
+
+const root = '/project'
+
+const plugin = (setup, name = 'acme') => definePlugin({ name, setup })
+
+test('validatePlugins 报告无效的插件', () => {
+  assert.equal(validatePlugins([plugin(() => {})]), null)
+  assert.match(validatePlugins({}), /应为插件数组/)
+  assert.equal(validatePlugins([null, { name: ' ', setup: 1 }]), '[0] 应为对象；[1].name 应为非空字符串；[1].setup 应为函数')
+  assert.throws(() => loadPlugins([{ name: 'x' }]), /^Error: 插件无效: \[0\]\.setup 应为函数$/)
+})
+
+test('loadPlugins 登记类别与收集器', () => {
+  const collect = () => []
+  const { categories, collectors } = loadPlugins([
+    plugin(({ addCategory, addCollector }) => {
+      addCategory('interface-prefix', { title: '接口命名', level: 'note' })
+      addCategory('no-any')
+      addCollector(collect)
+    }),
+  ])
+
+  assert.deepEqual(categories.get('interface-prefix'), {
+    id: 'interface-prefix',
+    plugin: 'acme',
+    title: '接口命名',
+    description: '',
+    level: 'note',
+  })
+  assert.deepEqual([categories.get('no-any').title, categories.get('no-any').level], ['no-any', 'warning'])
+  assert.deepEqual(collectors, [{ plugin: 'acme', collect }])
+})
+
+test('loadPlugins 拒绝无效、内置或重复的类别', () => {
+  const load = (...setups) => () => loadPlugins(setups.map((setup, index) => plugin(setup, `p${index}`)))
+
+  assert.throws(load(({ addCategory }) => addCategory('InterfacePrefix')), /插件 p0 的类别 "InterfacePrefix" 应为小写短横线形式/)
+  assert.throws(load(({ addCategory }) => addCategory('unused')), /插件 p0 的类别 "unused" 已被内置类别使用/)
+  assert.throws(
+    load(({ addCategory }) => addCategory('no-any'), ({ addCategory }) => addCategory('no-any')),
+    /插件 p1 的类别 "no-any" 已被插件 p0 使用/
+  )
+  assert.throws(load(({ addCategory }) => addCategory('no-any', { level: 'error' })), /level 应为 warning 或 note/)
+  assert.throws(load(({ addCollector }) => addCollector({})), /插件 p0 的收集器应为函数/)
+})
+
+test('runCollectors 支持异步收集器，路径转换为相对路径', async () => {
+  const plugins = loadPlugins([
+    plugin(({ addCategory, addCollector }) => {
+      addCategory('no-any')
+      addCollector(async ({ rootDir }) => [
+        { category: 'no-any', file: `${rootDir}/src/a.ts`, line: 3, message: '避免使用 any' },
+        { category: 'no-any', file: 'src/b.ts', message: '避免使用 any' },
+      ])
+      addCollector(() => undefined)
+    }),
+  ])
+
+  const findings = await runCollectors(plugins, { rootDir: root })
+  assert.deepEqual(findings, [
+    { category: 'no-any', file: 'src/a.ts', line: 3, message: '避免使用 any', plugin: 'acme', name: null },
+    { category: 'no-any', file: 'src/b.ts', line: 1, message: '避免使用 any', plugin: 'acme', name: null },
+  ])
+})
+
+test('runCollectors 报告收集器错误与无效的问题', async () => {
+  const run = (collect) =>
+    runCollectors(
+      loadPlugins([
+        plugin(({ addCategory, addCollector }) => {
+          addCategory('no-any')
+          addCollector(collect)
+        }),
+      ]),
+      { rootDir: root }
+    )
+
+  await assert.rejects(
+    run(() => {
+      throw new Error('boom')
+    }),
+    /^Error: 插件 acme 执行失败: boom$/
+  )
+  await assert.rejects(run(() => [{ category: 'typo', file: 'a.ts', message: 'x' }]), /未注册的类别 "typo"（已注册: no-any）/)
+  await assert.rejects(run(() => [{ category: 'no-any', file: '', message: 'x' }]), /no-any 的 file 应为非空字符串/)
+  await assert.rejects(run(() => [{ category: 'no-any', file: 'a.ts' }]), /no-any 的 message 应为非空字符串/)
+  await assert.rejects(run(() => [{ category: 'no-any', file: 'a.ts', message: 'x', line: 0 }]), /no-any 的 line 应为正整数/)
+})
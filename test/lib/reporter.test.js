@@ -0,0 +1,119 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'fs'
+import { join } from 'path'
+import { pathToFileURL } from 'url'
+import { REPORT_SCHEMA_VERSION, ReportGenerator } from '../../lib/reporter.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture()
+after(() => removeFixture(root))
+
+function createReport() {
+  return {
+    projectPath: root,
+    issues: {
+      errors: [
+        { file: join(root, 'src/a.ts'), line: 3, column: 5, code: 'TS2322', message: "Type 'number' is not assignable to type '<string>'" },
+      ],
+      warnings: [],
+      info: [],
+      duplicates: {
+        User: [
+          { name: 'User', file: join(root, 'src/a.ts'), line: 1 },
+          { name: 'User', file: join(root, 'src/b.ts'), line: 2 },
+        ],
+      },
+      unused: [{ name: 'Old', type: 'interface', file: 'src/b.ts', line: 7 }],
+      unnecessaryExports: [],
+      singleConsumer: [],
+      complexTypes: [],
+      plugins: [],
+    },
+  }
+}
+
+test('JSON 报告带有结构版本，文件路径转换为相对路径', () => {
+  const data = JSON.parse(new ReportGenerator(root).buildJsonContent(createReport()))
+
+  assert.equal(data.schemaVersion, REPORT_SCHEMA_VERSION)
+  assert.equal(data.tool.name, 'ts-type-cleaner')
+  assert.equal(data.issues.errors[0].file, 'src/a.ts')
+  assert.deepEqual(data.issues.duplicates.User.map((def) => def.file), ['src/a.ts', 'src/b.ts'])
+})
+
+test('SARIF 报告为每类问题注册规则并记录位置', () => {
+  const sarif = JSON.parse(new ReportGenerator(root).buildSarifContent(createReport()))
+  const [run] = sarif.runs
+
+  assert.equal(sarif.version, '2.1.0')
+  assert.deepEqual(
+    run.tool.driver.rules.map((rule) => rule.id),
+    ['TS2322', 'duplicate-type', 'unused-type']
+  )
+  assert.deepEqual(
+    run.results.map((result) => [result.ruleId, result.level]),
+    [['TS2322', 'error'], ['duplicate-type', 'warning'], ['duplicate-type', 'warning'], ['unused-type', 'warning']]
+  )
+  assert.deepEqual(run.results[0].locations[0].physicalLocation, {
+    artifactLocation: { uri: 'src/a.ts', uriBaseId: '%SRCROOT%' },
+    region: { startLine: 3, startColumn: 5 },
+  })
+  assert.equal(run.results[1].relatedLocations[0].physicalLocation.artifactLocation.uri, 'src/b.ts')
+  assert.equal(run.originalUriBaseIds['%SRCROOT%'].uri, `${pathToFileURL(root).href}/`)
+})
+
+test('JUnit 报告按分类生成测试套件并转义 XML', () => {
+  const xml = new ReportGenerator(root).buildJUnitContent(createReport())
+
+  assert.match(xml, /<testsuites name="ts-type-cleaner" tests="9" failures="3">/)
+  assert.match(xml, /<testsuite name="类型错误" tests="1" failures="1">/)
+  assert.match(xml, /message="Type &apos;number&apos; is not assignable to type &apos;&lt;string&gt;&apos;"/)
+  assert.match(xml, /<testcase name="src\/b.ts:7 Old" classname="src\/b.ts">/)
+})
+
+test('JUnit 报告包含 SARIF 中的所有问题类别', () => {
+  const report = createReport()
+  const definition = (name, file) => ({ name, file: join(root, file), line: 1 })
+  Object.assign(report.issues, {
+    warnings: [{ file: join(root, 'src/a.ts'), line: 4, column: 1, code: 'TS6133', message: 'unused' }],
+    info: [{ file: join(root, 'src/a.ts'), line: 5, column: 1, code: 'TS80001', message: 'note' }],
+    structuralDuplicates: {
+      exact: [{ similarity: 1, definitions: [definition('A', 'src/a.ts'), definition('B', 'src/b.ts')] }],
+      similar: [],
+    },
+    unnecessaryExports: [{ name: 'Local', file: 'src/a.ts', line: 9, suggestion: '移除 Local 的 export，仅在文件内使用' }],
+    singleConsumer: [{ name: 'Only', file: 'src/a.ts', line: 10, consumer: 'src/b.ts', suggestion: '移动到 src/b.ts' }],
+    complexTypes: [{ rule: 'deep-generic', name: 'Deep', file: 'src/a.ts', line: 11, message: 'Deep 的泛型嵌套 4 层' }],
+  })
+
+  const generator = new ReportGenerator(root)
+  const xml = generator.buildJUnitContent(report)
+  const [run] = JSON.parse(generator.buildSarifContent(report)).runs
+  const failures = Number(xml.match(/<testsuites [^>]*failures="(\d+)"/)[1])
+
+  // 同名重复与结构重复每组一个用例（SARIF 中每个定义一条结果），其余问题一一对应
+  assert.equal(failures, run.results.length - 2)
+  for (const suite of ['类型警告', '提示', '结构重复', '不必要的导出', '单一使用方类型', '复杂类型']) {
+    assert.match(xml, new RegExp(`<testsuite name="${suite}" tests="1" failures="1">`))
+  }
+  assert.match(xml, /<testcase name="src\/a.ts:11 Deep" classname="src\/a.ts">\n {6}<failure message="Deep 的泛型嵌套 4 层" type="complex-type\/deep-generic">/)
+  assert.match(xml, /<testcase name="A, B" classname="structural-duplicate">/)
+})
+
+test('没有问题的分类记为一个通过的用例', () => {
+  const report = createReport()
+  report.issues.errors = []
+  const xml = new ReportGenerator(root).buildJUnitContent(report)
+
+  assert.match(xml, /<testsuite name="类型错误" tests="1" failures="0">\n {4}<testcase name="类型错误" classname="ts-type-cleaner"\/>/)
+})
+
+test('指定输出文件时写入文件，不支持的格式抛出错误', async (t) => {
+  t.mock.method(console, 'log', () => {})
+  const generator = new ReportGenerator(root)
+  const file = await generator.generateFormattedReport(createReport(), 'json', join(root, 'out/report.json'))
+
+  assert.equal(JSON.parse(readFileSync(file, 'utf8')).schemaVersion, REPORT_SCHEMA_VERSION)
+  await assert.rejects(generator.generateFormattedReport(createReport(), 'xml'), /不支持的报告格式: xml/)
+})
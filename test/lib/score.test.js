@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DEFAULT_SCORE_RULES,
+  calculateScore,
+  describeScoreRule,
+  mergeScoreRules,
+  validateScoreRules,
+} from '../../lib/score.js'
+
+test('没有问题时满分，没有类型时比例类别不扣分', () => {
+  assert.equal(calculateScore({ totalTypes: 0, duplicateTypes: 3 }).score, 100)
+  assert.equal(calculateScore({ totalTypes: 10 }).breakdown.deducted, 0)
+})
+
+test('count 按问题数扣分，ratio 按占类型总数的比例扣分，均不超过上限', () => {
+  const { score, breakdown } = calculateScore({
+    totalTypes: 40,
+    totalErrors: 5,
+    totalWarnings: 2,
+    duplicateTypes: 4,
+  })
+
+  const byCategory = Object.fromEntries(breakdown.categories.map((item) => [item.category, item]))
+  assert.deepEqual([byCategory.errors.penalty, byCategory.errors.capped], [60, true])
+  assert.equal(byCategory.warnings.penalty, 4)
+  assert.equal(byCategory.duplicates.penalty, 10)
+  assert.equal(breakdown.deducted, 74)
+  assert.equal(score, 26)
+  // 按扣分从高到低排序
+  assert.deepEqual(
+    breakdown.categories.slice(0, 3).map((item) => item.category),
+    ['errors', 'duplicates', 'warnings']
+  )
+})
+
+test('分数不低于 0', () => {
+  const rules = mergeScoreRules({ warnings: { cap: 100 }, errors: { cap: 100 } })
+  assert.equal(calculateScore({ totalTypes: 1, totalErrors: 10, totalWarnings: 100 }, rules).score, 0)
+})
+
+test('mergeScoreRules 只覆盖指定的字段', () => {
+  const rules = mergeScoreRules({ unused: { weight: 80 } })
+  assert.deepEqual(rules.unused, { ...DEFAULT_SCORE_RULES.unused, weight: 80 })
+  assert.deepEqual(rules.errors, DEFAULT_SCORE_RULES.errors)
+})
+
+test('describeScoreRule 说明扣分依据', () => {
+  const { breakdown } = calculateScore({ totalTypes: 40, totalErrors: 5, duplicateTypes: 4 })
+  const describe = (category) =>
+    describeScoreRule(breakdown.categories.find((item) => item.category === category), 40)
+
+  assert.equal(describe('errors'), '5 个 × 15（上限 60，已封顶）')
+  assert.equal(describe('duplicates'), '4/40 个类型 × 100（上限 20）')
+})
+
+test('validateScoreRules 报告无效的类别与字段', () => {
+  assert.equal(validateScoreRules({ errors: { weight: 10 } }), null)
+  assert.match(validateScoreRules([]), /应为 \{ 类别/)
+  assert.match(validateScoreRules({ typos: {} }), /未知类别 "typos"/)
+  assert.match(validateScoreRules({ errors: { mode: 'log' } }), /\.errors\.mode 应为 count 或 ratio/)
+  assert.match(validateScoreRules({ errors: { weight: -1 } }), /\.errors\.weight 应为非负数/)
+  assert.match(validateScoreRules({ errors: { cap: 101 } }), /\.errors\.cap 应为 0 到 100/)
+  assert.match(validateScoreRules({ errors: { max: 1 } }), /未知字段 "max"/)
+})
@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import ts from 'typescript'
+import { findStructuralDuplicates, getTypeMembers } from '../../lib/structure.js'
+
+// 解析源码中的每个类型声明为 findStructuralDuplicates 使用的定义
+function parseDefinitions(source) {
+  const sourceFile = ts.createSourceFile('types.ts', source, ts.ScriptTarget.Latest, true)
+  return sourceFile.statements
+    .filter((node) => ts.isInterfaceDeclaration(node) || ts.isTypeAliasDeclaration(node))
+    .map((node) => ({
+      id: `types.ts#${node.name.text}`,
+      name: node.name.text,
+      members: getTypeMembers(node, sourceFile),
+    }))
+}
+
+test('getTypeMembers 规范化成员签名', () => {
+  const [definition] = parseDefinitions(`
+    interface User {
+      id: string;
+      'display-name'?: string
+      get(key:   string): number;
+      [key: string]: unknown
+    }
+  `)
+  assert.deepEqual(
+    definition.members.map((member) => member.key),
+    ['id: string', 'display-name?: string', 'get: (key: string) => number', '[key: string]: unknown']
+  )
+})
+
+test('getTypeMembers 对没有成员结构的类型返回 null', () => {
+  const [definition] = parseDefinitions('type Id = string | number')
+  assert.equal(definition.members, null)
+})
+
+test('成员相同（忽略顺序）的不同名类型为完全重复', () => {
+  const { exact, similar } = findStructuralDuplicates(
+    parseDefinitions(`
+      interface User { id: string; name: string }
+      type Account = { name: string; id: string }
+      interface Other { id: number; title: string }
+    `)
+  )
+
+  assert.equal(exact.length, 1)
+  assert.deepEqual(exact[0].definitions.map((d) => d.name), ['User', 'Account'])
+  assert.deepEqual(exact[0].members, ['id: string', 'name: string'])
+  assert.deepEqual(similar, [])
+})
+
+test('相似度达到阈值的类型对列出不一致的成员', () => {
+  const { similar } = findStructuralDuplicates(
+    parseDefinitions(`
+      interface User { id: string; name: string; email: string; age: number }
+      interface Member { id: string; name: string; email: string; age?: number }
+    `)
+  )
+
+  assert.equal(similar.length, 1)
+  assert.equal(similar[0].similarity, 0.88)
+  assert.deepEqual(similar[0].differences, [
+    { member: 'age', left: 'age: number', right: 'age?: number' },
+  ])
+})
+
+test('低于阈值或成员过少的类型不报告', () => {
+  const definitions = parseDefinitions(`
+    interface A { id: string; name: string; email: string }
+    interface B { id: string; title: string; body: string }
+    interface C { id: string }
+    interface D { id: string }
+  `)
+  const result = findStructuralDuplicates(definitions, { threshold: 0.9 })
+  assert.deepEqual(result.exact, [])
+  assert.deepEqual(result.similar, [])
+  assert.equal(result.threshold, 0.9)
+})
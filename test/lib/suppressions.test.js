@@ -0,0 +1,158 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SUPPRESSION_RULES, applySuppressions, parseSuppressionComments } from '../../lib/suppressions.js'
+
+const root = '/project'
+
+function createIssues(overrides = {}) {
+  return {
+    errors: [],
+    warnings: [],
+    info: [],
+    duplicates: {},
+    unused: [],
+    unnecessaryExports: [],
+    singleConsumer: [],
+    structuralDuplicates: { exact: [], similar: [] },
+    complexTypes: [],
+    plugins: [],
+    ...overrides,
+  }
+}
+
+// 与分析器相同：按绝对路径登记，注释上带相对路径
+function parseDirectives(files) {
+  return new Map(
+    Object.entries(files).map(([file, content]) => [
+      `${root}/${file}`,
+      parseSuppressionComments(file, content).map((directive) => ({ ...directive, file })),
+    ])
+  )
+}
+
+test('parseSuppressionComments 解析规则、说明文字与所在行', () => {
+  const content = [
+    '// ts-type-cleaner-ignore-next-line unused, ts2322 -- 兼容旧接口',
+    'interface Old {}',
+    '/*',
+    '  ts-type-cleaner-disable duplicate',
+    '*/',
+    "const text = '// ts-type-cleaner-disable'",
+    '// ts-type-cleaner-disabled',
+    '',
+  ].join('\n')
+
+  assert.deepEqual(parseSuppressionComments('a.ts', content), [
+    { kind: 'ignore-next-line', rules: ['unused', 'TS2322'], used: false, line: 1, endLine: 1 },
+    { kind: 'disable', rules: ['duplicate'], used: false, line: 3, endLine: 5 },
+  ])
+  assert.deepEqual(parseSuppressionComments('a.ts', 'interface A {}\n'), [])
+})
+
+test('parseSuppressionComments 只读取 .vue 中 TypeScript 的 <script> 块，行号相对整个文件', () => {
+  const content = [
+    '<template>',
+    '  <!-- ts-type-cleaner-disable -->',
+    '</template>',
+    '<script setup lang="ts">',
+    '// ts-type-cleaner-ignore-next-line',
+    'interface Props {}',
+    '</script>',
+    '',
+  ].join('\n')
+
+  assert.deepEqual(
+    parseSuppressionComments('App.vue', content).map(({ kind, rules, line }) => [kind, rules, line]),
+    [['ignore-next-line', [], 5]]
+  )
+})
+
+test('applySuppressions 按下一行、整个文件与诊断码抑制问题', () => {
+  const directives = parseDirectives({
+    'src/a.ts': '// ts-type-cleaner-ignore-next-line TS2322\nconst a: string = 1\nconst b: string = 2\n',
+    'src/b.ts': '// ts-type-cleaner-disable unused\n',
+  })
+  const error = (line, code = 'TS2322') => ({ file: `${root}/src/a.ts`, line, code, message: '' })
+  const issues = createIssues({
+    errors: [error(2), error(2, 'TS2345'), error(3)],
+    unused: [
+      { name: 'A', type: 'interface', file: 'src/b.ts', line: 4 },
+      { name: 'B', type: 'interface', file: 'src/c.ts', line: 1 },
+    ],
+  })
+
+  const { issues: filtered, suppressions } = applySuppressions(issues, { rootDir: root, directives })
+  assert.deepEqual(filtered.errors, [error(2, 'TS2345'), error(3)])
+  assert.deepEqual(filtered.unused.map((item) => item.name), ['B'])
+  assert.deepEqual(suppressions, { total: 2, byRule: { error: 1, unused: 1 }, public: 0, directives: 2, unusedDirectives: [] })
+})
+
+test('重复定义中被抑制的声明不再报告，不足两个时整组移除', () => {
+  const directives = parseDirectives({ 'src/b.ts': '/* ts-type-cleaner-disable duplicate */\n' })
+  const definition = (file) => ({ name: 'User', file: `${root}/${file}`, line: 1 })
+  const issues = createIssues({
+    duplicates: {
+      User: [definition('src/a.ts'), definition('src/b.ts')],
+      Item: [definition('src/a.ts'), definition('src/c.ts')],
+    },
+  })
+
+  const { issues: filtered } = applySuppressions(issues, { rootDir: root, directives })
+  assert.deepEqual(Object.keys(filtered.duplicates), ['Item'])
+})
+
+test('循环依赖可以在链上任一类型处抑制', () => {
+  const directives = parseDirectives({ 'src/b.ts': '// ts-type-cleaner-ignore-next-line complex\ninterface B {}\n' })
+  const issues = createIssues({
+    complexTypes: [
+      {
+        rule: 'circular',
+        file: 'src/a.ts',
+        line: 1,
+        path: [
+          { name: 'A', file: 'src/a.ts', line: 1 },
+          { name: 'B', file: 'src/b.ts', line: 2 },
+        ],
+      },
+    ],
+  })
+
+  assert.deepEqual(applySuppressions(issues, { rootDir: root, directives }).issues.complexTypes, [])
+})
+
+test('@public 类型不报告为未使用或不必要的导出', () => {
+  const item = { name: 'Api', type: 'interface', file: 'src/api.ts', line: 1 }
+  const issues = createIssues({ unused: [item], unnecessaryExports: [item] })
+
+  const { issues: filtered, suppressions } = applySuppressions(issues, {
+    rootDir: root,
+    directives: new Map(),
+    publicTypes: new Set([`${root}/src/api.ts#Api`]),
+  })
+  assert.deepEqual([filtered.unused, filtered.unnecessaryExports], [[], []])
+  assert.deepEqual([suppressions.total, suppressions.public], [2, 2])
+})
+
+test('报告未生效与含未知规则的抑制注释，插件类别可作为规则', () => {
+  const directives = parseDirectives({
+    'src/a.ts': '// ts-type-cleaner-disable unusd\n// ts-type-cleaner-disable error\n',
+    'src/b.ts': '// ts-type-cleaner-disable no-any\n',
+  })
+  const issues = createIssues({
+    plugins: [{ category: 'no-any', file: 'src/b.ts', line: 3, message: '' }],
+  })
+
+  const { issues: filtered, suppressions } = applySuppressions(issues, {
+    rootDir: root,
+    directives,
+    rules: [...SUPPRESSION_RULES, 'no-any'],
+  })
+  assert.deepEqual(filtered.plugins, [])
+  assert.deepEqual(
+    suppressions.unusedDirectives.map(({ file, line, directive, reason }) => [file, line, directive, reason]),
+    [
+      ['src/a.ts', 1, 'ts-type-cleaner-disable', `未知的规则: unusd（可选: ${SUPPRESSION_RULES.join(', ')}, no-any）`],
+      ['src/a.ts', 2, 'ts-type-cleaner-disable', '没有抑制任何问题'],
+    ]
+  )
+})
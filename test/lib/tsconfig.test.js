@@ -0,0 +1,58 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { join } from 'path'
+import ts from 'typescript'
+import { findTsConfig, loadProjects } from '../../lib/tsconfig.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture({
+  'tsconfig.base.json': { compilerOptions: { strict: true, target: 'es2022' } },
+  'tsconfig.json': {
+    files: [],
+    references: [{ path: './packages/app' }, { path: './packages/shared' }],
+  },
+  'packages/app/tsconfig.json': {
+    extends: '../../tsconfig.base.json',
+    include: ['src'],
+    references: [{ path: '../shared' }],
+  },
+  'packages/app/src/main.ts': 'export {}\n',
+  'packages/app/src/App.vue': '<script setup lang="ts"></script>\n',
+  'packages/shared/tsconfig.json': { compilerOptions: { composite: true }, include: ['src'] },
+  'packages/shared/src/index.ts': 'export {}\n',
+  'broken/tsconfig.json': { compilerOptions: { target: 'es1999' } },
+})
+after(() => removeFixture(root))
+
+test('findTsConfig 默认使用根目录的 tsconfig.json，-p 可指定文件或目录', () => {
+  assert.equal(findTsConfig(root), join(root, 'tsconfig.json'))
+  assert.equal(findTsConfig(root, 'packages/app'), join(root, 'packages/app/tsconfig.json'))
+  assert.equal(findTsConfig(join(root, 'packages')), null)
+  assert.throws(() => findTsConfig(root, 'missing'), /tsconfig 不存在/)
+})
+
+test('loadProjects 展开 references，每个子项目只加载一次', () => {
+  const projects = loadProjects(join(root, 'tsconfig.json'))
+  assert.deepEqual(
+    projects.map((project) => project.configPath),
+    [
+      join(root, 'tsconfig.json'),
+      join(root, 'packages/app/tsconfig.json'),
+      join(root, 'packages/shared/tsconfig.json'),
+    ]
+  )
+})
+
+test('loadProjects 合并 extends 的编译选项并包含 .vue 文件', () => {
+  const app = loadProjects(join(root, 'packages/app/tsconfig.json'))[0]
+  assert.equal(app.options.strict, true)
+  assert.equal(app.options.target, ts.ScriptTarget.ES2022)
+  assert.deepEqual(
+    app.fileNames.map((file) => file.slice(root.length + 1)).sort(),
+    ['packages/app/src/App.vue', 'packages/app/src/main.ts']
+  )
+})
+
+test('tsconfig 中的错误选项抛出可读的错误', () => {
+  assert.throws(() => loadProjects(join(root, 'broken/tsconfig.json')), /tsconfig 解析失败/)
+})
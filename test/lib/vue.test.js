@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import ts from 'typescript'
+import { createVirtualScript, parseSFC } from '../../lib/vue.js'
+
+const SFC = [
+  '<script lang="ts">',
+  'export interface Props { title: string }',
+  '</script>',
+  '',
+  '<script setup lang="ts" generic="T extends Item<string>">',
+  'const props = defineProps<Props>()',
+  '</script>',
+  '',
+  '<template>',
+  '  <!-- <script>ignored</script> -->',
+  '  <template v-if="ok"><row-item :row="item as Row" /></template>',
+  '</template>',
+  '',
+].join('\n')
+
+test('parseSFC 拆分所有 <script> 块与顶层 <template>', () => {
+  const { scripts, template } = parseSFC(SFC)
+
+  assert.deepEqual(
+    scripts.map(({ lang, setup, generic, tagLine }) => ({ lang, setup, generic, tagLine })),
+    [
+      { lang: 'ts', setup: false, generic: null, tagLine: 1 },
+      { lang: 'ts', setup: true, generic: 'T extends Item<string>', tagLine: 5 },
+    ]
+  )
+  assert.equal(SFC.slice(scripts[1].start, scripts[1].end), scripts[1].content)
+  assert.match(template.content, /^\n {2}<!--/)
+  assert.match(template.content, /<\/template>\n$/)
+})
+
+test('createVirtualScript 与 .vue 文件逐行对齐', () => {
+  const virtual = createVirtualScript(SFC)
+  const lines = virtual.content.split('\n')
+
+  assert.equal(lines[1], 'export interface Props { title: string }')
+  assert.equal(lines[5], 'const props = defineProps<Props>()')
+  assert.equal(lines[8].trim(), '')
+  assert.equal(virtual.lineCount, SFC.split('\n').length)
+  assert.equal(virtual.scriptKind, ts.ScriptKind.TS)
+})
+
+test('createVirtualScript 声明泛型参数与用到的编译宏', () => {
+  const virtual = createVirtualScript(SFC)
+  const generated = virtual.content.slice(virtual.generatedStart)
+
+  assert.match(generated, /^type T = Item<string>;$/m)
+  assert.match(generated, /^declare function defineProps</m)
+  assert.doesNotMatch(generated, /defineEmits/)
+  assert.equal(virtual.genericLine, 5)
+})
+
+test('createVirtualScript 收集模板中的类型断言与标识符', () => {
+  const virtual = createVirtualScript(SFC)
+
+  assert.deepEqual(virtual.templateTypeReferences, [{ name: 'Row', line: 11 }])
+  assert.ok(virtual.templateIdentifiers.has('RowItem'))
+  assert.ok(virtual.templateIdentifiers.has('item'))
+})
+
+test('已导入的编译宏不重复声明，没有 TS 脚本时返回 null', () => {
+  const imported = createVirtualScript(
+    "<script setup lang=\"ts\">\nimport { defineProps } from 'vue'\ndefineProps()\n</script>\n"
+  )
+  assert.doesNotMatch(imported.content.slice(imported.generatedStart), /defineProps/)
+  assert.equal(createVirtualScript('<script>\nexport default {}\n</script>\n'), null)
+})
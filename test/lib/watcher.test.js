@@ -0,0 +1,144 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFileSync } from 'fs'
+import { join } from 'path'
+import { TypeWatcher, diffReports } from '../../lib/watcher.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = '/project'
+
+function createReport({ errors = [], unused = [] } = {}) {
+  return {
+    issues: {
+      errors,
+      warnings: [],
+      info: [],
+      duplicates: {},
+      unused,
+      unnecessaryExports: [],
+      singleConsumer: [],
+      complexTypes: [],
+      plugins: [],
+    },
+  }
+}
+
+const error = (line, code = 'TS2322') => ({
+  file: '/project/src/a.ts',
+  line,
+  code,
+  message: `${code} message`,
+})
+
+test('diffReports 列出新增与已解决的问题', () => {
+  const previous = createReport({
+    errors: [error(3)],
+    unused: [{ name: 'Old', type: 'interface', file: 'src/b.ts', line: 1 }],
+  })
+  const current = createReport({ errors: [error(3), error(8, 'TS2345')] })
+
+  const { added, resolved } = diffReports(previous, current, root)
+  assert.deepEqual(added.map(({ category, file, key }) => [category, file, key]), [['error', 'src/a.ts', 'TS2345']])
+  assert.deepEqual(resolved.map(({ category, key }) => [category, key]), [['unused', 'Old']])
+})
+
+test('diffReports 中代码上下移动不算新问题', () => {
+  const { added, resolved } = diffReports(
+    createReport({ errors: [error(3)] }),
+    createReport({ errors: [error(12)] }),
+    root
+  )
+  assert.deepEqual(added, [])
+  assert.deepEqual(resolved, [])
+})
+
+test('TypeWatcher 在文件变化后增量分析并报告问题变化', async (t) => {
+  const fixture = createFixture({
+    'tsconfig.json': { compilerOptions: { strict: true }, include: ['src'] },
+    'src/a.ts': 'export const a: string = "a"\n',
+    'src/b.ts': 'export const b = 1\n',
+  })
+  const reports = []
+  let next
+  const watcher = new TypeWatcher({
+    rootDir: fixture,
+    debounce: 0,
+    onReport: (result) => {
+      reports.push(result)
+      next?.()
+    },
+  })
+  t.after(() => {
+    watcher.close()
+    removeFixture(fixture)
+  })
+
+  const initial = await watcher.start()
+  assert.equal(initial.issues.errors.length, 0)
+  assert.equal(reports[0].diff, null)
+
+  const file = join(fixture, 'src/a.ts')
+  const changed = new Promise((resolve) => (next = resolve))
+  writeFileSync(file, 'export const a: string = 1\n')
+  // 直接调度变更，不依赖文件系统事件的时机
+  watcher.schedule(file, true)
+  await changed
+
+  const { diff, changedFiles, affectedFiles } = reports[1]
+  assert.deepEqual(changedFiles, [file])
+  // 只重新分析受影响的文件
+  assert.deepEqual([...affectedFiles], [file])
+  assert.deepEqual(diff.added.map(({ category, file, key }) => [category, file, key]), [['error', 'src/a.ts', 'TS2322']])
+  assert.deepEqual(diff.resolved, [])
+})
+
+test('增量分析复用未修改文件的定义与抑制注释，只重新检测受影响文件的未使用导出', async (t) => {
+  const fixture = createFixture({
+    'tsconfig.json': { compilerOptions: { strict: true }, include: ['src'] },
+    'src/types.ts': [
+      'export interface A { a: string }',
+      'export interface B { b: string }',
+      '// ts-type-cleaner-ignore-next-line unused',
+      'export interface C { c: string }',
+      '',
+    ].join('\n'),
+    'src/page.ts': "import type { A } from './types'\n\nexport const a: A = { a: '' }\n",
+  })
+  const messages = []
+  const reports = []
+  let next
+  const watcher = new TypeWatcher({
+    rootDir: fixture,
+    debounce: 0,
+    logger: { debug: (message) => messages.push(message) },
+    onReport: (result) => {
+      reports.push(result)
+      next?.()
+    },
+  })
+  t.after(() => {
+    watcher.close()
+    removeFixture(fixture)
+  })
+
+  const types = join(fixture, 'src/types.ts')
+  const initial = await watcher.start()
+  assert.deepEqual(initial.issues.unused.map((item) => item.name), ['B'])
+  const definitions = watcher.analyzer.definitionCache.get(types).definitions
+  const directives = watcher.analyzer.directiveCache.get(types)
+
+  // page.ts 不再使用 A：types.ts 未修改，但 A 的未使用状态需要随之更新
+  const file = join(fixture, 'src/page.ts')
+  const changed = new Promise((resolve) => (next = resolve))
+  writeFileSync(file, "export const a = { a: '' }\n")
+  messages.length = 0
+  watcher.schedule(file, true)
+  await changed
+
+  const { report, diff } = reports[1]
+  assert.deepEqual(report.issues.unused.map((item) => item.name).sort(), ['A', 'B'])
+  assert.deepEqual(diff.added.map(({ category, key }) => [category, key]), [['unused', 'A']])
+  assert.equal(watcher.analyzer.definitionCache.get(types).definitions, definitions)
+  assert.equal(watcher.analyzer.directiveCache.get(types), directives)
+  assert.ok(messages.includes('♻️ 重新检测 2 个文件的未使用导出'))
+})
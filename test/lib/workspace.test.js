@@ -0,0 +1,74 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { join } from 'path'
+import { findPackageForFile, findWorkspace, resolveWorkspaceImport } from '../../lib/workspace.js'
+import { createFixture, removeFixture } from '../helpers.js'
+
+const root = createFixture({
+  // pnpm
+  'pnpm/pnpm-workspace.yaml': "packages:\n  - 'packages/*'\n  - \"apps/**\" # 应用\n  - '!packages/private'\n",
+  'pnpm/packages/shared/package.json': { name: '@acme/shared', types: 'dist/index.d.ts' },
+  'pnpm/packages/shared/src/index.ts': 'export {}\n',
+  'pnpm/packages/shared/src/utils.ts': 'export {}\n',
+  'pnpm/packages/private/package.json': { name: '@acme/private' },
+  'pnpm/packages/no-manifest/src/index.ts': '',
+  'pnpm/apps/web/admin/package.json': { name: 'admin' },
+  'pnpm/apps/web/admin/tsconfig.json': {},
+  'pnpm/apps/web/admin/main.ts': '',
+  // package.json workspaces
+  'npm/package.json': { name: 'root', workspaces: { packages: ['libs/*'] } },
+  'npm/libs/core/package.json': { name: 'core' },
+  // tsconfig references
+  'refs/tsconfig.json': { files: [], references: [{ path: './a' }, { path: './b/tsconfig.build.json' }, { path: './tsconfig.node.json' }] },
+  'refs/a/tsconfig.json': {},
+  'refs/b/tsconfig.build.json': {},
+  'refs/tsconfig.node.json': {},
+})
+after(() => removeFixture(root))
+
+const dir = (path) => join(root, path)
+
+test('findWorkspace 读取 pnpm-workspace.yaml，支持排除模式，只保留有 package.json 的目录', () => {
+  const workspace = findWorkspace(dir('pnpm'))
+
+  assert.equal(workspace.source, 'pnpm-workspace.yaml')
+  assert.deepEqual(
+    workspace.packages.map(({ name, relativeDir, relativeSrcDir }) => ({ name, relativeDir, relativeSrcDir })),
+    [
+      { name: 'admin', relativeDir: 'apps/web/admin', relativeSrcDir: 'apps/web/admin' },
+      { name: '@acme/shared', relativeDir: 'packages/shared', relativeSrcDir: 'packages/shared/src' },
+    ]
+  )
+  assert.equal(workspace.packages[0].tsconfig, dir('pnpm/apps/web/admin/tsconfig.json'))
+  assert.equal(workspace.packages[1].tsconfig, null)
+})
+
+test('findWorkspace 读取 package.json workspaces 与 tsconfig references', () => {
+  const npm = findWorkspace(dir('npm'))
+  assert.equal(npm.source, 'package.json')
+  assert.deepEqual(npm.packages.map((pkg) => pkg.name), ['core'])
+
+  const refs = findWorkspace(dir('refs'))
+  assert.equal(refs.source, 'tsconfig.json')
+  assert.deepEqual(refs.packages.map((pkg) => pkg.relativeDir), ['a', 'b'])
+
+  assert.equal(findWorkspace(dir('npm/libs')), null)
+})
+
+test('resolveWorkspaceImport 将包名与子路径解析为源文件', () => {
+  const workspace = findWorkspace(dir('pnpm'))
+
+  // types 指向构建产物时回退到 src 中的源文件
+  assert.equal(resolveWorkspaceImport('@acme/shared', workspace), dir('pnpm/packages/shared/src/index.ts'))
+  assert.equal(resolveWorkspaceImport('@acme/shared/utils', workspace), dir('pnpm/packages/shared/src/utils.ts'))
+  assert.equal(resolveWorkspaceImport('@acme/shared/missing', workspace), null)
+  assert.equal(resolveWorkspaceImport('./local', workspace), null)
+  assert.equal(resolveWorkspaceImport('vue', workspace), null)
+})
+
+test('findPackageForFile 按目录最长匹配', () => {
+  const workspace = findWorkspace(dir('pnpm'))
+
+  assert.equal(findPackageForFile(dir('pnpm/apps/web/admin/main.ts'), workspace).name, 'admin')
+  assert.equal(findPackageForFile(dir('pnpm/packages/shared-extra/index.ts'), workspace), null)
+})